@@ -11,13 +11,16 @@ public abstract class CrudServiceBase<TEntity> where TEntity : class
 {
     protected readonly IRepository<TEntity> Repository;
     protected readonly ISecretVariablesService SecretVariablesService;
+    protected readonly IVariableChangeNotifier? VariableChangeNotifier;
 
     protected CrudServiceBase(
         IRepository<TEntity> repository,
-        ISecretVariablesService secretVariablesService)
+        ISecretVariablesService secretVariablesService,
+        IVariableChangeNotifier? variableChangeNotifier = null)
     {
         Repository = repository;
         SecretVariablesService = secretVariablesService;
+        VariableChangeNotifier = variableChangeNotifier;
     }
 
     /// <summary>
@@ -68,6 +71,7 @@ public abstract class CrudServiceBase<TEntity> where TEntity : class
         var resultVariables = GetEntityVariables(result);
         SecretVariableHelper.MergeSecretVariables(resultVariables, separated.SecretVariables);
 
+        VariableChangeNotifier?.NotifyVariablesChanged(id);
         return result;
     }
 
@@ -79,6 +83,7 @@ public abstract class CrudServiceBase<TEntity> where TEntity : class
     {
         await DeleteSecretsAsync(id);
         await Repository.DeleteAsync(id);
+        VariableChangeNotifier?.NotifyVariablesChanged(id);
     }
 
     /// <summary>
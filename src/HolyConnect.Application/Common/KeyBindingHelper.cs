@@ -0,0 +1,181 @@
+using HolyConnect.Application.Interfaces;
+
+namespace HolyConnect.Application.Common;
+
+/// <summary>
+/// Helper class for parsing and formatting keyboard bindings such as "Ctrl+Shift+N" or "Ctrl+K Ctrl+S".
+/// Keys are stored the way the browser reports them in KeyboardEvent.key, lower-cased.
+/// </summary>
+public static class KeyBindingHelper
+{
+    private static readonly Dictionary<string, string> KeyAliases = new(StringComparer.OrdinalIgnoreCase)
+    {
+        { "space", " " },
+        { "esc", "escape" },
+        { "del", "delete" },
+        { "up", "arrowup" },
+        { "down", "arrowdown" },
+        { "left", "arrowleft" },
+        { "right", "arrowright" },
+        { "plus", "+" }
+    };
+
+    private static readonly Dictionary<string, string> KeyDisplayNames = new()
+    {
+        { "arrowup", "Up" },
+        { "arrowdown", "Down" },
+        { "arrowleft", "Left" },
+        { "arrowright", "Right" },
+        { "escape", "Esc" },
+        { "pageup", "PageUp" },
+        { "pagedown", "PageDown" }
+    };
+
+    /// <summary>
+    /// Parses a binding made of one or more chords separated by spaces
+    /// </summary>
+    /// <param name="binding">The binding text (e.g., "Ctrl+K Ctrl+S")</param>
+    /// <param name="chords">The parsed chords</param>
+    /// <returns>True if the binding is valid, false otherwise</returns>
+    public static bool TryParse(string? binding, out List<KeyChord> chords)
+    {
+        chords = new List<KeyChord>();
+
+        if (string.IsNullOrWhiteSpace(binding))
+        {
+            return false;
+        }
+
+        foreach (var part in binding.Split(' ', StringSplitOptions.RemoveEmptyEntries))
+        {
+            var chord = ParseChord(part);
+            if (chord == null)
+            {
+                chords.Clear();
+                return false;
+            }
+
+            chords.Add(chord);
+        }
+
+        return true;
+    }
+
+    /// <summary>
+    /// Formats chords for display, e.g. "Ctrl+K Ctrl+S"
+    /// </summary>
+    public static string Format(IEnumerable<KeyChord> chords)
+    {
+        return string.Join(" ", chords.Select(FormatChord));
+    }
+
+    /// <summary>
+    /// Formats a single chord for display, e.g. "Ctrl+Shift+N"
+    /// </summary>
+    public static string FormatChord(KeyChord chord)
+    {
+        var parts = new List<string>();
+
+        if (chord.CtrlKey) parts.Add("Ctrl");
+        if (chord.ShiftKey) parts.Add("Shift");
+        if (chord.AltKey) parts.Add("Alt");
+        parts.Add(FormatKey(chord.Key));
+
+        return string.Join("+", parts);
+    }
+
+    /// <summary>
+    /// Checks whether two chords describe the same key combination
+    /// </summary>
+    public static bool ChordEquals(KeyChord first, KeyChord second)
+    {
+        return string.Equals(first.Key, second.Key, StringComparison.OrdinalIgnoreCase)
+            && first.CtrlKey == second.CtrlKey
+            && first.ShiftKey == second.ShiftKey
+            && first.AltKey == second.AltKey;
+    }
+
+    /// <summary>
+    /// Checks whether a chord sequence starts with (or equals) another chord sequence
+    /// </summary>
+    public static bool StartsWith(IReadOnlyList<KeyChord> chords, IReadOnlyList<KeyChord> prefix)
+    {
+        if (prefix.Count == 0 || prefix.Count > chords.Count)
+        {
+            return false;
+        }
+
+        for (var i = 0; i < prefix.Count; i++)
+        {
+            if (!ChordEquals(chords[i], prefix[i]))
+            {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    private static KeyChord? ParseChord(string text)
+    {
+        // A trailing "++" means the key itself is "+"
+        var isPlusKey = text.EndsWith("++") || text == "+";
+        var parts = (isPlusKey ? text[..^1] : text).Split('+', StringSplitOptions.RemoveEmptyEntries).ToList();
+        if (isPlusKey)
+        {
+            parts.Add("+");
+        }
+
+        if (parts.Count == 0)
+        {
+            return null;
+        }
+
+        var chord = new KeyChord();
+        foreach (var modifier in parts.Take(parts.Count - 1))
+        {
+            switch (modifier.ToLowerInvariant())
+            {
+                case "ctrl":
+                case "control":
+                case "cmd":
+                case "meta":
+                    chord.CtrlKey = true;
+                    break;
+                case "shift":
+                    chord.ShiftKey = true;
+                    break;
+                case "alt":
+                case "option":
+                    chord.AltKey = true;
+                    break;
+                default:
+                    return null;
+            }
+        }
+
+        var key = parts[^1];
+        chord.Key = KeyAliases.TryGetValue(key, out var alias) ? alias : key.ToLowerInvariant();
+        return chord;
+    }
+
+    private static string FormatKey(string key)
+    {
+        if (key == " ")
+        {
+            return "Space";
+        }
+
+        if (key.Length == 1)
+        {
+            return key.ToUpperInvariant();
+        }
+
+        if (KeyDisplayNames.TryGetValue(key, out var displayName))
+        {
+            return displayName;
+        }
+
+        return char.ToUpperInvariant(key[0]) + key[1..];
+    }
+}
@@ -0,0 +1,74 @@
+using HolyConnect.Domain.Entities;
+
+namespace HolyConnect.Application.Common;
+
+/// <summary>
+/// Tracks whether a request differs from its last saved state. The REST body and GraphQL query and variables
+/// are tracked by code editors, which report through <see cref="SetEditorDirty"/>; the other fields are compared
+/// with a snapshot taken when the request was loaded or saved.
+/// </summary>
+public class RequestChangeTracker
+{
+    private Request? _request;
+    private string? _savedSnapshot;
+    private bool _isEditorDirty;
+
+    /// <summary>
+    /// Whether the request had unsaved changes when it was last checked with <see cref="Update"/>
+    /// </summary>
+    public bool IsDirty { get; private set; }
+
+    /// <summary>
+    /// Starts tracking a request. Another request instance is taken as freshly loaded, i.e. clean.
+    /// </summary>
+    public void Track(Request request)
+    {
+        if (ReferenceEquals(request, _request))
+        {
+            return;
+        }
+
+        _request = request;
+        _savedSnapshot = RequestSnapshotHelper.CreateSnapshot(request);
+        _isEditorDirty = false;
+    }
+
+    /// <summary>
+    /// Records whether the content of the request's code editors differs from its saved state
+    /// </summary>
+    public void SetEditorDirty(bool isDirty)
+    {
+        _isEditorDirty = isDirty;
+    }
+
+    /// <summary>
+    /// Takes the current fields of the request as its saved state
+    /// </summary>
+    public void MarkClean()
+    {
+        if (_request != null)
+        {
+            _savedSnapshot = RequestSnapshotHelper.CreateSnapshot(_request);
+        }
+
+        _isEditorDirty = false;
+    }
+
+    /// <summary>
+    /// Checks the request for unsaved changes
+    /// </summary>
+    /// <returns>True when <see cref="IsDirty"/> changed</returns>
+    public bool Update()
+    {
+        var isDirty = _isEditorDirty
+            || (_request != null && RequestSnapshotHelper.CreateSnapshot(_request) != _savedSnapshot);
+
+        if (isDirty == IsDirty)
+        {
+            return false;
+        }
+
+        IsDirty = isDirty;
+        return true;
+    }
+}
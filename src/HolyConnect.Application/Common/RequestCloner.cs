@@ -50,6 +50,7 @@ public static class RequestCloner
             Body = source.Body,
             ContentType = source.ContentType,
             BodyType = source.BodyType,
+            BodySchema = source.BodySchema,
             QueryParameters = new Dictionary<string, string>(source.QueryParameters),
             DisabledQueryParameters = new HashSet<string>(source.DisabledQueryParameters),
             FormDataFields = new List<FormDataField>(source.FormDataFields.Select(f => new FormDataField
@@ -0,0 +1,51 @@
+using System.Text.Json;
+using System.Text.Json.Serialization.Metadata;
+using HolyConnect.Domain.Entities;
+
+namespace HolyConnect.Application.Common;
+
+/// <summary>
+/// Helper for detecting unsaved changes to a request by comparing snapshots of its editable fields
+/// </summary>
+public static class RequestSnapshotHelper
+{
+    // Navigation properties are not part of the request, and the REST body and GraphQL query and variables
+    // are tracked by their code editors, which also know when an undo returns them to the saved state
+    private static readonly HashSet<string> ExcludedProperties = new()
+    {
+        nameof(Request.Collection),
+        nameof(RestRequest.Body),
+        nameof(GraphQLRequest.Query),
+        nameof(GraphQLRequest.Variables)
+    };
+
+    private static readonly JsonSerializerOptions SnapshotOptions = new()
+    {
+        TypeInfoResolver = new DefaultJsonTypeInfoResolver
+        {
+            Modifiers = { ExcludeEditorTrackedProperties }
+        }
+    };
+
+    /// <summary>
+    /// Creates a snapshot of the request's fields, leaving out the REST body and GraphQL query and variables.
+    /// Two snapshots are equal when the request has not changed in between.
+    /// </summary>
+    public static string CreateSnapshot(Request request)
+    {
+        return JsonSerializer.Serialize(request, request.GetType(), SnapshotOptions);
+    }
+
+    private static void ExcludeEditorTrackedProperties(JsonTypeInfo typeInfo)
+    {
+        if (!typeof(Request).IsAssignableFrom(typeInfo.Type))
+        {
+            return;
+        }
+
+        foreach (var property in typeInfo.Properties.Where(p => ExcludedProperties.Contains(p.Name)))
+        {
+            property.ShouldSerialize = (_, _) => false;
+        }
+    }
+}
@@ -0,0 +1,104 @@
+using System.Text;
+using System.Text.RegularExpressions;
+using HolyConnect.Domain.Entities;
+
+namespace HolyConnect.Application.Common;
+
+/// <summary>
+/// Helper class for turning JSONPath/XPath expressions picked in the response viewer into extraction rules.
+/// </summary>
+public static class ResponsePathHelper
+{
+    private const string DefaultVariableName = "extractedValue";
+
+    // Segment names that say little on their own, so the parent name is prepended (e.g. user.id -> userId)
+    private static readonly HashSet<string> GenericNames = new(StringComparer.OrdinalIgnoreCase)
+    {
+        "id", "name", "value", "key", "type", "code", "text"
+    };
+
+    private static readonly Regex JsonPathSegmentRegex = new(@"\.([^.\[\]]+)|\[\s*'((?:\\.|[^'])*)'\s*\]|\[\s*""((?:\\.|[^""])*)""\s*\]", RegexOptions.Compiled);
+    private static readonly Regex XPathSegmentRegex = new(@"@?([A-Za-z_][\w.\-]*:)?([A-Za-z_][\w.\-]*)(?=\s*(?:\[|/|$))", RegexOptions.Compiled);
+
+    /// <summary>
+    /// Creates a pre-filled extraction rule for a JSONPath or XPath expression.
+    /// </summary>
+    /// <param name="pattern">The JSONPath or XPath expression</param>
+    /// <returns>A new, enabled extraction rule with a suggested name and variable name</returns>
+    public static ResponseExtraction CreateExtraction(string pattern)
+    {
+        var variableName = SuggestVariableName(pattern);
+        return new ResponseExtraction
+        {
+            Id = Guid.Empty,
+            Name = $"Extract {variableName}",
+            Pattern = pattern,
+            VariableName = variableName,
+            SaveToCollection = false,
+            IsEnabled = true
+        };
+    }
+
+    /// <summary>
+    /// Suggests a camelCase variable name from the last named segments of a JSONPath or XPath expression.
+    /// </summary>
+    /// <param name="pattern">The JSONPath (e.g., "$.data.user.id") or XPath (e.g., "/root/user/@id") expression</param>
+    /// <returns>A valid variable name (e.g., "userId"), or "extractedValue" if no name can be derived</returns>
+    public static string SuggestVariableName(string? pattern)
+    {
+        if (string.IsNullOrWhiteSpace(pattern))
+        {
+            return DefaultVariableName;
+        }
+
+        var trimmed = pattern.Trim();
+        var segments = trimmed.StartsWith('/')
+            ? XPathSegmentRegex.Matches(trimmed).Select(m => m.Groups[2].Value)
+            : JsonPathSegmentRegex.Matches(trimmed).Select(m => m.Groups[1].Success ? m.Groups[1].Value : m.Groups[2].Success ? m.Groups[2].Value : m.Groups[3].Value);
+
+        var names = segments
+            .Select(ToWords)
+            .Where(words => words.Count > 0 && words[0] != "*")
+            .ToList();
+
+        if (names.Count == 0)
+        {
+            return DefaultVariableName;
+        }
+
+        var words = new List<string>(names[^1]);
+        if (names.Count > 1 && words.Count == 1 && GenericNames.Contains(words[0]))
+        {
+            words.InsertRange(0, names[^2]);
+        }
+
+        var builder = new StringBuilder();
+        foreach (var word in words)
+        {
+            if (builder.Length > 0)
+            {
+                builder.Append(char.ToUpperInvariant(word[0])).Append(word.All(char.IsUpper) ? word[1..].ToLowerInvariant() : word[1..]);
+            }
+            else
+            {
+                // Keep camelCase segments such as "userName", but lower-case acronyms such as "ID"
+                builder.Append(word.All(char.IsUpper) ? word.ToLowerInvariant() : char.ToLowerInvariant(word[0]) + word[1..]);
+            }
+        }
+
+        var result = builder.ToString();
+        return char.IsDigit(result[0]) ? $"_{result}" : result;
+    }
+
+    private static List<string> ToWords(string segment)
+    {
+        if (segment == "*")
+        {
+            return new List<string> { "*" };
+        }
+
+        return Regex.Split(segment, "[^A-Za-z0-9]+")
+            .Where(word => word.Length > 0)
+            .ToList();
+    }
+}
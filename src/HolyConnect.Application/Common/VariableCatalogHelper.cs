@@ -0,0 +1,179 @@
+using System.Text.Json.Serialization;
+using HolyConnect.Domain.Entities;
+
+namespace HolyConnect.Application.Common;
+
+/// <summary>
+/// Helper class for listing the variables that can be referenced with {{ variableName }} in a given context.
+/// </summary>
+public static class VariableCatalogHelper
+{
+    /// <summary>
+    /// Placeholder shown instead of secret values. It has a fixed length so the real length is not revealed.
+    /// </summary>
+    public const string SecretMask = "••••••••";
+
+    /// <summary>
+    /// Lists all variables available to a request, using the same precedence as the variable resolver:
+    /// collection static variables, then environment static variables, then dynamic variables
+    /// (request, collection, environment). Response extraction targets of the request are listed
+    /// last when no variable with that name exists yet.
+    /// </summary>
+    /// <param name="environment">The active environment</param>
+    /// <param name="collection">Optional collection containing variables</param>
+    /// <param name="request">Optional request containing dynamic variables and response extractions</param>
+    /// <returns>One descriptor per variable name, with secret values masked</returns>
+    public static IReadOnlyList<VariableDescriptor> GetAvailableVariables(
+        Domain.Entities.Environment environment,
+        Collection? collection = null,
+        Request? request = null)
+    {
+        var descriptors = new List<VariableDescriptor>();
+        var seen = new HashSet<string>();
+
+        void AddStatic(Dictionary<string, string> variables, HashSet<string> secretNames, VariableSource source)
+        {
+            foreach (var variable in variables.OrderBy(v => v.Key, StringComparer.OrdinalIgnoreCase))
+            {
+                if (!seen.Add(variable.Key))
+                {
+                    continue;
+                }
+
+                var isSecret = secretNames.Contains(variable.Key);
+                descriptors.Add(new VariableDescriptor
+                {
+                    Name = variable.Key,
+                    Source = isSecret ? VariableSource.Secret : source,
+                    Preview = isSecret ? SecretMask : variable.Value,
+                    IsSecret = isSecret,
+                    Detail = source.ToString()
+                });
+            }
+        }
+
+        void AddDynamic(IEnumerable<DynamicVariable> dynamicVariables, string owner)
+        {
+            foreach (var dynamicVariable in dynamicVariables.OrderBy(v => v.Name, StringComparer.OrdinalIgnoreCase))
+            {
+                if (string.IsNullOrEmpty(dynamicVariable.Name) || !seen.Add(dynamicVariable.Name))
+                {
+                    continue;
+                }
+
+                descriptors.Add(new VariableDescriptor
+                {
+                    Name = dynamicVariable.Name,
+                    Source = VariableSource.Dynamic,
+                    Preview = dynamicVariable.IsSecret ? SecretMask : $"<{dynamicVariable.GeneratorType}>",
+                    IsSecret = dynamicVariable.IsSecret,
+                    Detail = $"{dynamicVariable.GeneratorType} ({owner})"
+                });
+            }
+        }
+
+        if (collection != null)
+        {
+            AddStatic(collection.Variables, collection.SecretVariableNames, VariableSource.Collection);
+        }
+
+        AddStatic(environment.Variables, environment.SecretVariableNames, VariableSource.Environment);
+
+        if (request != null)
+        {
+            AddDynamic(request.DynamicVariables, "Request");
+        }
+
+        if (collection != null)
+        {
+            AddDynamic(collection.DynamicVariables, "Collection");
+        }
+
+        AddDynamic(environment.DynamicVariables, "Environment");
+
+        if (request != null)
+        {
+            foreach (var extraction in request.ResponseExtractions.Where(e => e.IsEnabled && !string.IsNullOrWhiteSpace(e.VariableName)))
+            {
+                if (!seen.Add(extraction.VariableName!))
+                {
+                    continue;
+                }
+
+                descriptors.Add(new VariableDescriptor
+                {
+                    Name = extraction.VariableName!,
+                    Source = VariableSource.ResponseExtraction,
+                    Preview = extraction.Pattern,
+                    IsSecret = false,
+                    Detail = extraction.SaveToCollection ? "Saved to collection" : "Saved to environment"
+                });
+            }
+        }
+
+        return descriptors;
+    }
+
+    /// <summary>
+    /// Gets the names of all variables available to a request whose values are secret.
+    /// Editors use this to avoid sending secret values to the UI.
+    /// </summary>
+    /// <param name="environment">The active environment</param>
+    /// <param name="collection">Optional collection containing variables</param>
+    /// <param name="request">Optional request containing dynamic variables</param>
+    /// <returns>The secret variable names</returns>
+    public static HashSet<string> GetSecretVariableNames(
+        Domain.Entities.Environment environment,
+        Collection? collection = null,
+        Request? request = null)
+    {
+        return GetAvailableVariables(environment, collection, request)
+            .Where(v => v.IsSecret)
+            .Select(v => v.Name)
+            .ToHashSet();
+    }
+}
+
+/// <summary>
+/// Describes a variable that can be referenced with {{ variableName }}
+/// </summary>
+public class VariableDescriptor
+{
+    /// <summary>
+    /// The variable name
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Where the variable comes from
+    /// </summary>
+    public VariableSource Source { get; set; }
+
+    /// <summary>
+    /// Value preview (masked for secrets, generator type for dynamic variables, pattern for extractions)
+    /// </summary>
+    public string Preview { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Whether the value is secret and must not be shown
+    /// </summary>
+    public bool IsSecret { get; set; }
+
+    /// <summary>
+    /// Additional context such as the owner or generator type
+    /// </summary>
+    public string? Detail { get; set; }
+}
+
+/// <summary>
+/// Sources a variable can be defined in
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum VariableSource
+{
+    Environment,
+    Collection,
+    Secret,
+    Dynamic,
+    ResponseExtraction
+}
@@ -143,6 +143,20 @@ public interface IGitService
     /// <param name="filePath">Path to the file relative to repository root</param>
     /// <returns>Diff information including original and modified content</returns>
     Task<GitFileDiff?> GetFileDiffAsync(string filePath);
+
+    /// <summary>
+    /// Gets the base, ours and theirs versions of a file with an unresolved merge conflict
+    /// </summary>
+    /// <param name="filePath">Path to the file relative to repository root</param>
+    /// <returns>The three conflict sides, or null if the file is not conflicted</returns>
+    Task<GitMergeConflict?> GetMergeConflictAsync(string filePath);
+
+    /// <summary>
+    /// Writes the resolved content of a conflicted file and stages it, marking the conflict as resolved
+    /// </summary>
+    /// <param name="filePath">Path to the file relative to repository root</param>
+    /// <param name="resolvedContent">The merged file content</param>
+    Task<bool> ResolveConflictAsync(string filePath, string resolvedContent);
 }
 
 /// <summary>
@@ -178,6 +192,7 @@ public class GitFileChange
     public string FilePath { get; set; } = string.Empty;
     public string Status { get; set; } = string.Empty;
     public bool IsStaged { get; set; }
+    public bool IsConflicted { get; set; }
 }
 
 /// <summary>
@@ -191,3 +206,14 @@ public class GitFileDiff
     public string Status { get; set; } = string.Empty;
     public bool IsStaged { get; set; }
 }
+
+/// <summary>
+/// Represents the three sides of a merge conflict for a single file
+/// </summary>
+public class GitMergeConflict
+{
+    public string FilePath { get; set; } = string.Empty;
+    public string BaseContent { get; set; } = string.Empty;
+    public string OursContent { get; set; } = string.Empty;
+    public string TheirsContent { get; set; } = string.Empty;
+}
@@ -1,4 +1,6 @@
 using System;
+using System.Collections.Generic;
+using System.Text.Json.Serialization;
 using System.Threading.Tasks;
 
 namespace HolyConnect.Application.Interfaces;
@@ -8,6 +10,11 @@ namespace HolyConnect.Application.Interfaces;
 /// </summary>
 public interface IKeyboardShortcutService
 {
+    /// <summary>
+    /// Raised when a shortcut is registered or unregistered, or when binding overrides change
+    /// </summary>
+    event Action? BindingsChanged;
+
     /// <summary>
     /// Registers a keyboard shortcut handler
     /// </summary>
@@ -19,12 +26,41 @@ public interface IKeyboardShortcutService
     /// <param name="description">Description of the shortcut for documentation</param>
     /// <returns>A unique identifier for the registered shortcut</returns>
     string RegisterShortcut(string key, bool ctrlKey, bool shiftKey, bool altKey, Func<Task> handler, string description);
+
+    /// <summary>
+    /// Registers a command with a default, user-remappable key binding.
+    /// Registering a command id again shadows the earlier handler until the newer one is unregistered.
+    /// </summary>
+    /// <param name="commandId">Stable command identifier used to store user overrides (e.g., "search.open")</param>
+    /// <param name="defaultBinding">Default binding, with chords separated by spaces (e.g., "Ctrl+K Ctrl+S")</param>
+    /// <param name="handler">The action to execute</param>
+    /// <param name="description">Description of the shortcut for documentation</param>
+    /// <param name="scope">Where in the UI the shortcut is active</param>
+    /// <param name="allowInInputs">Whether the shortcut also fires while typing in an input field</param>
+    /// <returns>A unique identifier for the registered shortcut</returns>
+    string RegisterCommand(string commandId, string defaultBinding, Func<Task> handler, string description, ShortcutScope scope = ShortcutScope.Global, bool allowInInputs = false);
+
+    /// <summary>
+    /// Registers a remappable command that only a focused code editor can run (e.g., "editor.format").
+    /// It has no global handler, so it is left out of the global shortcuts and the command palette.
+    /// </summary>
+    /// <param name="commandId">Stable command identifier used to store user overrides</param>
+    /// <param name="defaultBinding">Default binding, with chords separated by spaces</param>
+    /// <param name="description">Description of the shortcut for documentation</param>
+    /// <returns>A unique identifier for the registered shortcut</returns>
+    string RegisterEditorCommand(string commandId, string defaultBinding, string description);
     
     /// <summary>
     /// Unregisters a keyboard shortcut
     /// </summary>
     /// <param name="shortcutId">The unique identifier returned by RegisterShortcut</param>
     void UnregisterShortcut(string shortcutId);
+
+    /// <summary>
+    /// Replaces the user-defined binding overrides
+    /// </summary>
+    /// <param name="overrides">Bindings keyed by command identifier. An empty binding removes the shortcut.</param>
+    void SetBindingOverrides(IDictionary<string, string> overrides);
     
     /// <summary>
     /// Handles a keyboard event
@@ -35,6 +71,34 @@ public interface IKeyboardShortcutService
     /// <param name="altKey">Whether Alt key was pressed</param>
     /// <returns>True if a shortcut was handled, false otherwise</returns>
     Task<bool> HandleKeyPress(string key, bool ctrlKey, bool shiftKey, bool altKey);
+
+    /// <summary>
+    /// Executes a shortcut matched on the client side
+    /// </summary>
+    /// <param name="shortcutId">The unique identifier of the shortcut</param>
+    /// <returns>True if the shortcut exists and was executed, false otherwise</returns>
+    Task<bool> ExecuteShortcut(string shortcutId);
+
+    /// <summary>
+    /// Executes a registered command, e.g. when it is invoked from an editor action
+    /// </summary>
+    /// <param name="commandId">The command identifier passed to RegisterCommand</param>
+    /// <returns>True if the command exists and was executed, false otherwise</returns>
+    Task<bool> ExecuteCommand(string commandId);
+
+    /// <summary>
+    /// Gets the effective bindings (defaults with user overrides applied)
+    /// </summary>
+    /// <returns>All registered shortcuts, including unbound ones</returns>
+    IReadOnlyList<ShortcutBinding> GetBindings();
+
+    /// <summary>
+    /// Gets pairs of bindings that cannot both work, because they use the same key sequence
+    /// in the same scope, or one is a prefix of the other in overlapping scopes.
+    /// A scoped binding may reuse the keys of a global one; it takes precedence inside its scope.
+    /// </summary>
+    /// <returns>The detected conflicts</returns>
+    IReadOnlyList<ShortcutConflict> GetConflicts();
     
     /// <summary>
     /// Gets all registered shortcuts for documentation
@@ -42,3 +106,76 @@ public interface IKeyboardShortcutService
     /// <returns>Dictionary of shortcut combinations to descriptions</returns>
     IDictionary<string, string> GetAllShortcuts();
 }
+
+/// <summary>
+/// Part of the UI a shortcut is active in. Global shortcuts are active everywhere, editor shortcuts only
+/// while a code editor has focus.
+/// </summary>
+[JsonConverter(typeof(JsonStringEnumConverter))]
+public enum ShortcutScope
+{
+    Global,
+    Editor
+}
+
+/// <summary>
+/// A single key combination of a binding
+/// </summary>
+public class KeyChord
+{
+    public string Key { get; set; } = string.Empty;
+    public bool CtrlKey { get; set; }
+    public bool ShiftKey { get; set; }
+    public bool AltKey { get; set; }
+}
+
+/// <summary>
+/// Effective key binding of a registered shortcut
+/// </summary>
+public class ShortcutBinding
+{
+    public string Id { get; set; } = string.Empty;
+    public string CommandId { get; set; } = string.Empty;
+    public string Description { get; set; } = string.Empty;
+    public ShortcutScope Scope { get; set; }
+    public bool AllowInInputs { get; set; }
+
+    /// <summary>
+    /// Whether the command only runs as an action of the focused code editor
+    /// </summary>
+    public bool IsEditorOnly { get; set; }
+
+    /// <summary>
+    /// Key chords to press in sequence. Empty when the user removed the binding.
+    /// </summary>
+    public IReadOnlyList<KeyChord> Chords { get; set; } = Array.Empty<KeyChord>();
+
+    /// <summary>
+    /// Display text of the effective binding (e.g., "Ctrl+K Ctrl+S")
+    /// </summary>
+    public string Binding { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Display text of the default binding
+    /// </summary>
+    public string DefaultBinding { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Whether a user override replaces the default binding
+    /// </summary>
+    public bool IsCustomized { get; set; }
+}
+
+/// <summary>
+/// Two bindings that cannot both be triggered
+/// </summary>
+public class ShortcutConflict
+{
+    public ShortcutBinding First { get; set; } = new();
+    public ShortcutBinding Second { get; set; } = new();
+
+    /// <summary>
+    /// Human readable explanation of the conflict
+    /// </summary>
+    public string Reason { get; set; } = string.Empty;
+}
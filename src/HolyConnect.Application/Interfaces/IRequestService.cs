@@ -12,5 +12,6 @@ public interface IRequestService
     Task DeleteRequestAsync(Guid id);
     Task<RequestResponse> ExecuteRequestAsync(Request request);
     Task<RequestResponse> ExecuteRequestAsync(Request request, Domain.Entities.Environment? environment, Collection? collection);
+    Task<RequestResponse> ExecuteRequestAsync(Request request, IProgress<StreamEvent> streamProgress);
     Task<Request> MoveRequestAsync(Guid requestId, Guid? newCollectionId);
 }
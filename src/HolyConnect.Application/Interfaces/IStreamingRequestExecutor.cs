@@ -0,0 +1,17 @@
+using HolyConnect.Domain.Entities;
+
+namespace HolyConnect.Application.Interfaces;
+
+/// <summary>
+/// Executor of a streaming connection that can report its events while the connection is open.
+/// </summary>
+public interface IStreamingRequestExecutor : IRequestExecutor
+{
+    /// <summary>
+    /// Executes the request, reporting each stream event as it is recorded.
+    /// </summary>
+    /// <param name="request">The request to execute</param>
+    /// <param name="streamProgress">Receives the events in order, on the thread that reads the connection</param>
+    /// <returns>The response, with all stream events of the connection</returns>
+    Task<RequestResponse> ExecuteAsync(Request request, IProgress<StreamEvent>? streamProgress);
+}
@@ -0,0 +1,19 @@
+namespace HolyConnect.Application.Interfaces;
+
+/// <summary>
+/// Notifies listeners (such as editors caching resolved variable values) that the
+/// variables of an environment or collection may have changed.
+/// </summary>
+public interface IVariableChangeNotifier
+{
+    /// <summary>
+    /// Raised with the ID of the environment or collection whose variables changed.
+    /// </summary>
+    event Action<Guid>? VariablesChanged;
+
+    /// <summary>
+    /// Raises <see cref="VariablesChanged"/> for the given environment or collection.
+    /// </summary>
+    /// <param name="entityId">The ID of the environment or collection that changed</param>
+    void NotifyVariablesChanged(Guid entityId);
+}
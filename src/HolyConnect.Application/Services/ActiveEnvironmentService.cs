@@ -9,13 +9,16 @@ public class ActiveEnvironmentService : IActiveEnvironmentService
 {
     private readonly ISettingsService _settingsService;
     private readonly IRepository<Domain.Entities.Environment> _environmentRepository;
+    private readonly IVariableChangeNotifier? _variableChangeNotifier;
 
     public ActiveEnvironmentService(
         ISettingsService settingsService,
-        IRepository<Domain.Entities.Environment> environmentRepository)
+        IRepository<Domain.Entities.Environment> environmentRepository,
+        IVariableChangeNotifier? variableChangeNotifier = null)
     {
         _settingsService = settingsService;
         _environmentRepository = environmentRepository;
+        _variableChangeNotifier = variableChangeNotifier;
     }
 
     public async Task<Guid?> GetActiveEnvironmentIdAsync()
@@ -29,6 +32,11 @@ public class ActiveEnvironmentService : IActiveEnvironmentService
         var settings = await _settingsService.GetSettingsAsync();
         settings.ActiveEnvironmentId = environmentId;
         await _settingsService.SaveSettingsAsync(settings);
+
+        if (environmentId.HasValue)
+        {
+            _variableChangeNotifier?.NotifyVariablesChanged(environmentId.Value);
+        }
     }
 
     public async Task<Domain.Entities.Environment?> GetActiveEnvironmentAsync()
@@ -11,8 +11,9 @@ public class CollectionService : CrudServiceBase<Collection>, ICollectionService
 {
     public CollectionService(
         IRepository<Collection> collectionRepository,
-        ISecretVariablesService secretVariablesService)
-        : base(collectionRepository, secretVariablesService)
+        ISecretVariablesService secretVariablesService,
+        IVariableChangeNotifier? variableChangeNotifier = null)
+        : base(collectionRepository, secretVariablesService, variableChangeNotifier)
     {
     }
 
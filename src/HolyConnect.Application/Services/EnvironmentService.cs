@@ -8,8 +8,9 @@ public class EnvironmentService : CrudServiceBase<Domain.Entities.Environment>,
 {
     public EnvironmentService(
         IRepository<Domain.Entities.Environment> environmentRepository,
-        ISecretVariablesService secretVariablesService)
-        : base(environmentRepository, secretVariablesService)
+        ISecretVariablesService secretVariablesService,
+        IVariableChangeNotifier? variableChangeNotifier = null)
+        : base(environmentRepository, secretVariablesService, variableChangeNotifier)
     {
     }
 
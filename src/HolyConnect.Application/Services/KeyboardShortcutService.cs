@@ -2,6 +2,7 @@ using System;
 using System.Collections.Generic;
 using System.Linq;
 using System.Threading.Tasks;
+using HolyConnect.Application.Common;
 using HolyConnect.Application.Interfaces;
 
 namespace HolyConnect.Application.Services;
@@ -11,41 +12,80 @@ namespace HolyConnect.Application.Services;
 /// </summary>
 public class KeyboardShortcutService : IKeyboardShortcutService
 {
-    private readonly Dictionary<string, ShortcutHandler> _shortcuts = new();
+    private readonly List<ShortcutHandler> _shortcuts = new();
+    private Dictionary<string, string> _overrides = new();
+
+    public event Action? BindingsChanged;
     
     public string RegisterShortcut(string key, bool ctrlKey, bool shiftKey, bool altKey, Func<Task> handler, string description)
     {
-        var shortcutKey = CreateShortcutKey(key, ctrlKey, shiftKey, altKey);
-        var shortcutId = Guid.NewGuid().ToString();
-        
-        _shortcuts[shortcutKey] = new ShortcutHandler
+        var chord = new KeyChord { Key = key.ToLower(), CtrlKey = ctrlKey, ShiftKey = shiftKey, AltKey = altKey };
+
+        // Shortcuts registered by key combination shadow any previous handler for the same combination
+        return Register(new ShortcutHandler
         {
-            Id = shortcutId,
-            Key = key,
-            CtrlKey = ctrlKey,
-            ShiftKey = shiftKey,
-            AltKey = altKey,
+            CommandId = $"shortcut.{CreateShortcutKey(key, ctrlKey, shiftKey, altKey)}",
+            DefaultChords = new List<KeyChord> { chord },
             Handler = handler,
             Description = description
-        };
-        
-        return shortcutId;
+        });
+    }
+
+    public string RegisterCommand(string commandId, string defaultBinding, Func<Task> handler, string description, ShortcutScope scope = ShortcutScope.Global, bool allowInInputs = false)
+    {
+        return Register(new ShortcutHandler
+        {
+            CommandId = commandId,
+            DefaultChords = ParseDefaultBinding(defaultBinding),
+            Handler = handler,
+            Description = description,
+            Scope = scope,
+            AllowInInputs = allowInInputs
+        });
+    }
+
+    public string RegisterEditorCommand(string commandId, string defaultBinding, string description)
+    {
+        // Editors run these themselves through their Monaco actions
+        return Register(new ShortcutHandler
+        {
+            CommandId = commandId,
+            DefaultChords = ParseDefaultBinding(defaultBinding),
+            Handler = null,
+            Description = description,
+            Scope = ShortcutScope.Editor
+        });
     }
     
     public void UnregisterShortcut(string shortcutId)
     {
-        var shortcut = _shortcuts.FirstOrDefault(s => s.Value.Id == shortcutId);
-        if (shortcut.Key != null)
+        if (_shortcuts.RemoveAll(s => s.Id == shortcutId) > 0)
         {
-            _shortcuts.Remove(shortcut.Key);
+            BindingsChanged?.Invoke();
         }
     }
+
+    public void SetBindingOverrides(IDictionary<string, string> overrides)
+    {
+        _overrides = new Dictionary<string, string>(overrides);
+        BindingsChanged?.Invoke();
+    }
     
     public async Task<bool> HandleKeyPress(string key, bool ctrlKey, bool shiftKey, bool altKey)
     {
-        var shortcutKey = CreateShortcutKey(key, ctrlKey, shiftKey, altKey);
+        var chord = new KeyChord { Key = key, CtrlKey = ctrlKey, ShiftKey = shiftKey, AltKey = altKey };
+        var handler = GetActiveShortcuts().FirstOrDefault(s =>
+        {
+            if (s.Handler == null)
+            {
+                return false;
+            }
+
+            var chords = GetEffectiveChords(s);
+            return chords.Count == 1 && KeyBindingHelper.ChordEquals(chords[0], chord);
+        });
         
-        if (_shortcuts.TryGetValue(shortcutKey, out var handler))
+        if (handler?.Handler != null)
         {
             await handler.Handler();
             return true;
@@ -53,40 +93,160 @@ public class KeyboardShortcutService : IKeyboardShortcutService
         
         return false;
     }
+
+    public Task<bool> ExecuteShortcut(string shortcutId)
+    {
+        return ExecuteAsync(_shortcuts.FirstOrDefault(s => s.Id == shortcutId));
+    }
+
+    public Task<bool> ExecuteCommand(string commandId)
+    {
+        return ExecuteAsync(_shortcuts.LastOrDefault(s => s.CommandId == commandId));
+    }
+
+    public IReadOnlyList<ShortcutBinding> GetBindings()
+    {
+        return GetActiveShortcuts().Select(ToBinding).ToList();
+    }
+
+    public IReadOnlyList<ShortcutConflict> GetConflicts()
+    {
+        var bindings = GetBindings().Where(b => b.Chords.Count > 0).ToList();
+        var conflicts = new List<ShortcutConflict>();
+
+        for (var i = 0; i < bindings.Count; i++)
+        {
+            for (var j = i + 1; j < bindings.Count; j++)
+            {
+                var first = bindings[i];
+                var second = bindings[j];
+
+                string? reason = null;
+                if (first.Chords.Count == second.Chords.Count && KeyBindingHelper.StartsWith(first.Chords, second.Chords))
+                {
+                    // An editor binding deliberately overrides a global one with the same keys while the editor has focus
+                    if (first.Scope == second.Scope)
+                    {
+                        reason = $"Both use {first.Binding}";
+                    }
+                }
+                else if (KeyBindingHelper.StartsWith(first.Chords, second.Chords))
+                {
+                    reason = $"{second.Binding} starts the chord {first.Binding}";
+                }
+                else if (KeyBindingHelper.StartsWith(second.Chords, first.Chords))
+                {
+                    reason = $"{first.Binding} starts the chord {second.Binding}";
+                }
+
+                if (reason != null)
+                {
+                    conflicts.Add(new ShortcutConflict { First = first, Second = second, Reason = reason });
+                }
+            }
+        }
+
+        return conflicts;
+    }
     
     public IDictionary<string, string> GetAllShortcuts()
     {
-        return _shortcuts.ToDictionary(
-            kvp => FormatShortcutKey(kvp.Value),
-            kvp => kvp.Value.Description
-        );
+        var shortcuts = new Dictionary<string, string>();
+        foreach (var binding in GetBindings().Where(b => b.Chords.Count > 0))
+        {
+            shortcuts[binding.Binding] = binding.Description;
+        }
+
+        return shortcuts;
+    }
+
+    private static async Task<bool> ExecuteAsync(ShortcutHandler? handler)
+    {
+        if (handler?.Handler == null)
+        {
+            return false;
+        }
+
+        await handler.Handler();
+        return true;
     }
-    
-    private static string CreateShortcutKey(string key, bool ctrlKey, bool shiftKey, bool altKey)
+
+    private static List<KeyChord> ParseDefaultBinding(string defaultBinding)
     {
-        return $"{(ctrlKey ? "Ctrl+" : "")}{(shiftKey ? "Shift+" : "")}{(altKey ? "Alt+" : "")}{key.ToLower()}";
+        if (!KeyBindingHelper.TryParse(defaultBinding, out var chords))
+        {
+            throw new ArgumentException($"Invalid key binding '{defaultBinding}'", nameof(defaultBinding));
+        }
+
+        return chords;
+    }
+
+    private string Register(ShortcutHandler handler)
+    {
+        handler.Id = Guid.NewGuid().ToString();
+        _shortcuts.Add(handler);
+        BindingsChanged?.Invoke();
+        return handler.Id;
+    }
+
+    // The latest registration of each command wins. Earlier ones stay registered underneath, so two
+    // components registering the same command (e.g. two request editors) don't unregister each other.
+    private IEnumerable<ShortcutHandler> GetActiveShortcuts()
+    {
+        return _shortcuts.GroupBy(s => s.CommandId).Select(g => g.Last());
+    }
+
+    private IReadOnlyList<KeyChord> GetEffectiveChords(ShortcutHandler handler)
+    {
+        if (!_overrides.TryGetValue(handler.CommandId, out var binding))
+        {
+            return handler.DefaultChords;
+        }
+
+        // An empty override removes the shortcut; an invalid one falls back to the default
+        if (string.IsNullOrWhiteSpace(binding))
+        {
+            return Array.Empty<KeyChord>();
+        }
+
+        return KeyBindingHelper.TryParse(binding, out var chords) ? chords : handler.DefaultChords;
+    }
+
+    private ShortcutBinding ToBinding(ShortcutHandler handler)
+    {
+        var chords = GetEffectiveChords(handler);
+
+        return new ShortcutBinding
+        {
+            Id = handler.Id,
+            CommandId = handler.CommandId,
+            Description = handler.Description,
+            Scope = handler.Scope,
+            AllowInInputs = handler.AllowInInputs,
+            IsEditorOnly = handler.Handler == null,
+            Chords = chords,
+            Binding = KeyBindingHelper.Format(chords),
+            DefaultBinding = KeyBindingHelper.Format(handler.DefaultChords),
+            IsCustomized = _overrides.ContainsKey(handler.CommandId)
+        };
     }
     
-    private static string FormatShortcutKey(ShortcutHandler handler)
+    private static string CreateShortcutKey(string key, bool ctrlKey, bool shiftKey, bool altKey)
     {
-        var parts = new List<string>();
-        
-        if (handler.CtrlKey) parts.Add("Ctrl");
-        if (handler.ShiftKey) parts.Add("Shift");
-        if (handler.AltKey) parts.Add("Alt");
-        parts.Add(handler.Key.ToUpper());
-        
-        return string.Join("+", parts);
+        return $"{(ctrlKey ? "Ctrl+" : "")}{(shiftKey ? "Shift+" : "")}{(altKey ? "Alt+" : "")}{key.ToLower()}";
     }
     
     private class ShortcutHandler
     {
         public string Id { get; set; } = string.Empty;
-        public string Key { get; set; } = string.Empty;
-        public bool CtrlKey { get; set; }
-        public bool ShiftKey { get; set; }
-        public bool AltKey { get; set; }
-        public Func<Task> Handler { get; set; } = () => Task.CompletedTask;
+        public string CommandId { get; set; } = string.Empty;
+        public List<KeyChord> DefaultChords { get; set; } = new();
+        public ShortcutScope Scope { get; set; }
+        public bool AllowInInputs { get; set; }
+        /// <summary>
+        /// Null for editor-only commands
+        /// </summary>
+        public Func<Task>? Handler { get; set; }
         public string Description { get; set; } = string.Empty;
     }
 }
@@ -78,13 +78,26 @@ public class RequestService : IRequestService
     }
 
     public async Task<RequestResponse> ExecuteRequestAsync(Request request, Domain.Entities.Environment? environment, Collection? collection)
+    {
+        return await ExecuteRequestAsync(request, environment, collection, null);
+    }
+
+    public async Task<RequestResponse> ExecuteRequestAsync(Request request, IProgress<StreamEvent> streamProgress)
+    {
+        return await ExecuteRequestAsync(request, null, null, streamProgress);
+    }
+
+    private async Task<RequestResponse> ExecuteRequestAsync(Request request, Domain.Entities.Environment? environment, Collection? collection, IProgress<StreamEvent>? streamProgress)
     {
         var executor = _executionContext.ExecutorFactory.GetExecutor(request);
 
         // Resolve variables before execution using provided or active environment
         var resolvedRequest = await ResolveRequestVariablesAsync(request, environment, collection);
 
-        var response = await executor.ExecuteAsync(resolvedRequest);
+        // Streaming executors report their events while the connection is open
+        var response = streamProgress != null && executor is IStreamingRequestExecutor streamingExecutor
+            ? await streamingExecutor.ExecuteAsync(resolvedRequest, streamProgress)
+            : await executor.ExecuteAsync(resolvedRequest);
 
         // Apply response extractions if configured
         if (_executionContext.ResponseExtractor != null && request.ResponseExtractions.Any(e => e.IsEnabled))
@@ -0,0 +1,16 @@
+using HolyConnect.Application.Interfaces;
+
+namespace HolyConnect.Application.Services;
+
+/// <summary>
+/// Default implementation of <see cref="IVariableChangeNotifier"/>.
+/// </summary>
+public class VariableChangeNotifier : IVariableChangeNotifier
+{
+    public event Action<Guid>? VariablesChanged;
+
+    public void NotifyVariablesChanged(Guid entityId)
+    {
+        VariablesChanged?.Invoke(entityId);
+    }
+}
@@ -23,6 +23,27 @@ public class AppSettings
     /// The order of environments in the variables matrix. Contains environment IDs in display order.
     /// </summary>
     public List<Guid> EnvironmentOrder { get; set; } = new();
+    
+    /// <summary>
+    /// User-defined keyboard shortcut bindings keyed by command ID (e.g., "search.open" = "Ctrl+P").
+    /// An empty binding removes the shortcut.
+    /// </summary>
+    public Dictionary<string, string> KeyboardShortcutOverrides { get; set; } = new();
+    
+    /// <summary>
+    /// JSONPath expressions (e.g. "$..timestamp") left out when comparing JSON responses semantically.
+    /// </summary>
+    public List<string> JsonDiffIgnorePaths { get; set; } = new();
+    
+    /// <summary>
+    /// Number of spaces per indentation level when formatting GraphQL queries.
+    /// </summary>
+    public int GraphQLFormatIndentSize { get; set; } = 2;
+    
+    /// <summary>
+    /// Line length above which the GraphQL formatter puts arguments and variable definitions on separate lines.
+    /// </summary>
+    public int GraphQLFormatPrintWidth { get; set; } = 80;
 }
 
 public enum RequestLayout
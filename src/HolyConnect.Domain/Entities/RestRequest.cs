@@ -6,6 +6,12 @@ public class RestRequest : Request
     public string? Body { get; set; }
     public string? ContentType { get; set; }
     public BodyType BodyType { get; set; } = BodyType.Json;
+
+    /// <summary>
+    /// Optional JSON Schema for a JSON body, used by the editor for validation and completion
+    /// </summary>
+    public string? BodySchema { get; set; }
+
     public Dictionary<string, string> QueryParameters { get; set; } = new();
     public HashSet<string> DisabledQueryParameters { get; set; } = new();
     public List<FormDataField> FormDataFields { get; set; } = new();
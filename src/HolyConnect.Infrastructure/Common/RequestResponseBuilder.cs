@@ -13,6 +13,7 @@ public class RequestResponseBuilder
 {
     private readonly RequestResponse _response;
     private readonly Stopwatch _stopwatch;
+    private IProgress<StreamEvent>? _streamProgress;
     private bool _isBuilt;
 
     private RequestResponseBuilder()
@@ -139,18 +140,26 @@ public class RequestResponseBuilder
         return this;
     }
 
+    /// <summary>
+    /// Reports every stream event added from now on, so it can be shown before the response is built.
+    /// </summary>
+    public RequestResponseBuilder WithStreamProgress(IProgress<StreamEvent>? streamProgress)
+    {
+        _streamProgress = streamProgress;
+        return this;
+    }
+
     /// <summary>
     /// Adds a stream event to the response.
     /// </summary>
     public RequestResponseBuilder AddStreamEvent(string data, string? eventType = null)
     {
-        _response.StreamEvents.Add(new StreamEvent
+        return AddStreamEvent(new StreamEvent
         {
             Timestamp = DateTime.UtcNow,
             Data = data,
             EventType = eventType
         });
-        return this;
     }
 
     /// <summary>
@@ -159,6 +168,7 @@ public class RequestResponseBuilder
     public RequestResponseBuilder AddStreamEvent(StreamEvent streamEvent)
     {
         _response.StreamEvents.Add(streamEvent);
+        _streamProgress?.Report(streamEvent);
         return this;
     }
 
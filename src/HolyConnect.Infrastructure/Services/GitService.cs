@@ -576,6 +576,7 @@ public class GitService : IGitService
     {
         return status switch
         {
+            _ when status.HasFlag(FileStatus.Conflicted) => "Conflicted",
             FileStatus.NewInIndex => "Added",
             FileStatus.ModifiedInIndex => "Modified",
             FileStatus.DeletedFromIndex => "Deleted",
@@ -765,7 +766,8 @@ public class GitService : IGitService
                     IsStaged = item.State.HasFlag(FileStatus.NewInIndex) || 
                                item.State.HasFlag(FileStatus.ModifiedInIndex) || 
                                item.State.HasFlag(FileStatus.DeletedFromIndex) ||
-                               item.State.HasFlag(FileStatus.RenamedInIndex)
+                               item.State.HasFlag(FileStatus.RenamedInIndex),
+                    IsConflicted = item.State.HasFlag(FileStatus.Conflicted)
                 });
             }
 
@@ -1159,4 +1161,63 @@ public class GitService : IGitService
             return Task.FromResult<GitFileDiff?>(null);
         }
     }
+
+    public Task<GitMergeConflict?> GetMergeConflictAsync(string filePath)
+    {
+        try
+        {
+            var path = GetRepositoryPath();
+            var gitPath = DiscoverGitRepositoryPath(path);
+            if (gitPath == null)
+                return Task.FromResult<GitMergeConflict?>(null);
+
+            using var repo = new Repository(gitPath);
+            var conflict = repo.Index.Conflicts[filePath];
+            if (conflict == null)
+                return Task.FromResult<GitMergeConflict?>(null);
+
+            // A side is missing when the file was added or deleted on that side of the merge
+            string ReadSide(IndexEntry? entry) =>
+                entry == null ? string.Empty : repo.Lookup<Blob>(entry.Id)?.GetContentText() ?? string.Empty;
+
+            return Task.FromResult<GitMergeConflict?>(new GitMergeConflict
+            {
+                FilePath = filePath,
+                BaseContent = ReadSide(conflict.Ancestor),
+                OursContent = ReadSide(conflict.Ours),
+                TheirsContent = ReadSide(conflict.Theirs)
+            });
+        }
+        catch
+        {
+            return Task.FromResult<GitMergeConflict?>(null);
+        }
+    }
+
+    public Task<bool> ResolveConflictAsync(string filePath, string resolvedContent)
+    {
+        try
+        {
+            var path = GetRepositoryPath();
+            var gitPath = DiscoverGitRepositoryPath(path);
+            if (gitPath == null)
+                return Task.FromResult(false);
+
+            using var repo = new Repository(gitPath);
+            if (repo.Index.Conflicts[filePath] == null)
+                return Task.FromResult(false);
+
+            // Conflict paths are relative to the repository root, which may be above the storage path
+            var fullPath = Path.Combine(repo.Info.WorkingDirectory, filePath);
+            File.WriteAllText(fullPath, resolvedContent);
+
+            // Staging the file removes the conflict entries from the index
+            Commands.Stage(repo, filePath);
+            return Task.FromResult(true);
+        }
+        catch
+        {
+            return Task.FromResult(false);
+        }
+    }
 }
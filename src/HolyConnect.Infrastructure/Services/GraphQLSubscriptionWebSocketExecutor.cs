@@ -8,7 +8,7 @@ using Newtonsoft.Json.Linq;
 
 namespace HolyConnect.Infrastructure.Services;
 
-public class GraphQLSubscriptionWebSocketExecutor : IRequestExecutor
+public class GraphQLSubscriptionWebSocketExecutor : IStreamingRequestExecutor
 {
     private const int MaxBufferSize = 8192;
     private const int DefaultTimeoutSeconds = 60;
@@ -20,14 +20,20 @@ public class GraphQLSubscriptionWebSocketExecutor : IRequestExecutor
                graphQLRequest.SubscriptionProtocol == GraphQLSubscriptionProtocol.WebSocket;
     }
 
-    public async Task<RequestResponse> ExecuteAsync(Request request)
+    public Task<RequestResponse> ExecuteAsync(Request request)
+    {
+        return ExecuteAsync(request, null);
+    }
+
+    public async Task<RequestResponse> ExecuteAsync(Request request, IProgress<StreamEvent>? streamProgress)
     {
         if (request is not GraphQLRequest graphQLRequest)
         {
             throw new ArgumentException("Request must be of type GraphQLRequest", nameof(request));
         }
 
-        var builder = RequestResponseBuilder.CreateStreaming();
+        var builder = RequestResponseBuilder.CreateStreaming()
+            .WithStreamProgress(streamProgress);
         ClientWebSocket? webSocket = null;
         RequestResponse? response = null;
 
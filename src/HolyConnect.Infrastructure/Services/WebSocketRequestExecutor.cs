@@ -6,7 +6,7 @@ using HolyConnect.Infrastructure.Common;
 
 namespace HolyConnect.Infrastructure.Services;
 
-public class WebSocketRequestExecutor : IRequestExecutor
+public class WebSocketRequestExecutor : IStreamingRequestExecutor
 {
     private const int MaxBufferSize = 4096;
     private const int DefaultTimeoutSeconds = 30;
@@ -17,14 +17,20 @@ public class WebSocketRequestExecutor : IRequestExecutor
                wsRequest.ConnectionType == WebSocketConnectionType.Standard;
     }
 
-    public async Task<RequestResponse> ExecuteAsync(Request request)
+    public Task<RequestResponse> ExecuteAsync(Request request)
+    {
+        return ExecuteAsync(request, null);
+    }
+
+    public async Task<RequestResponse> ExecuteAsync(Request request, IProgress<StreamEvent>? streamProgress)
     {
         if (request is not WebSocketRequest webSocketRequest)
         {
             throw new ArgumentException("Request must be of type WebSocketRequest", nameof(request));
         }
 
-        var builder = RequestResponseBuilder.CreateStreaming();
+        var builder = RequestResponseBuilder.CreateStreaming()
+            .WithStreamProgress(streamProgress);
         ClientWebSocket? webSocket = null;
         RequestResponse? response = null;
 
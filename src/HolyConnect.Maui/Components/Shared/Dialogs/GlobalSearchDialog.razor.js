@@ -1,29 +1,187 @@
-// Dialog-level keyboard handler for GlobalSearchDialog
-// Handles Escape key even before the text field receives focus
-
-export function initialize(dotnetRef) {
-    // Add keydown listener to the document
-    const handleKeyDown = (event) => {
-        // Handle Escape key to close the dialog
-        if (event.key === 'Escape') {
-            event.preventDefault();
-            event.stopPropagation();
-            dotnetRef.invokeMethodAsync('CloseDialog');
-        }
-    };
-    
-    // Store the handler reference so we can remove it later
-    document._globalSearchDialogKeyHandler = handleKeyDown;
-    document.addEventListener('keydown', handleKeyDown, true);
-    
-    console.log('GlobalSearchDialog keyboard handler initialized');
+// Keyboard handling for the GlobalSearchDialog palette
+// Navigation keys are turned into calls to .NET, which owns the selection and renders it; the module only
+// scrolls the selected item into view afterwards.
+
+let owner = null;
+let dotnetReference = null;
+let listElement = null;
+
+// dialogId is the id of the MudBlazor dialog hosting the palette, whose place on the modal stack the palette takes
+export function initialize(dotnetRef, list, dialogId) {
+    dispose();
+
+    owner = dialogId ? window.keyboardHandlerRegistry.dialogOwner(dialogId) : 'global-search-dialog';
+    dotnetReference = dotnetRef;
+    listElement = list;
+
+    // As a modal the palette sees keys before the text field moves the caret or focus,
+    // and keeps them from shortcuts and dialogs underneath it
+    window.keyboardHandlerRegistry.register(owner, handleKeyDown, { modal: true });
+}
+
+// Keep the selected item visible (called by .NET after rendering a new selection)
+export function scrollToSelection() {
+    const selected = listElement ? listElement.querySelector('[aria-selected="true"]') : null;
+    if (selected) {
+        selected.scrollIntoView({ block: 'nearest' });
+    }
 }
 
 export function dispose() {
-    // Remove the event listener
-    if (document._globalSearchDialogKeyHandler) {
-        document.removeEventListener('keydown', document._globalSearchDialogKeyHandler, true);
-        delete document._globalSearchDialogKeyHandler;
-        console.log('GlobalSearchDialog keyboard handler disposed');
+    if (owner) {
+        window.keyboardHandlerRegistry.unregister(owner);
+    }
+    owner = null;
+    dotnetReference = null;
+    listElement = null;
+}
+
+// Fuzzy-match every label against the query. Returns one { score, positions } per label, or null when
+// the label does not contain all query characters in order.
+export function matchLabels(query, labels) {
+    return (labels || []).map(label => fuzzyMatch(query, label));
+}
+
+function handleKeyDown(event) {
+    if (!dotnetReference) {
+        return;
     }
+
+    switch (event.key) {
+        case 'Escape':
+            stop(event);
+            invoke('CloseDialog');
+            break;
+        case 'ArrowDown':
+            stop(event);
+            invoke('MoveSelection', 1);
+            break;
+        case 'ArrowUp':
+            stop(event);
+            invoke('MoveSelection', -1);
+            break;
+        case 'PageDown':
+            stop(event);
+            invoke('MoveSelection', getPageSize());
+            break;
+        case 'PageUp':
+            stop(event);
+            invoke('MoveSelection', -getPageSize());
+            break;
+        case 'Tab':
+            stop(event);
+            invoke('CycleCategory', event.shiftKey ? -1 : 1);
+            break;
+        case 'Enter':
+            stop(event);
+            // Ctrl+Enter (Cmd+Enter on Mac) opens the item in a new window
+            invoke('OpenSelectedItem', event.ctrlKey || event.metaKey);
+            break;
+    }
+}
+
+function stop(event) {
+    event.preventDefault();
+    event.stopPropagation();
+}
+
+function invoke(method, ...args) {
+    dotnetReference.invokeMethodAsync(method, ...args)
+        .catch(error => console.error(`Error invoking ${method}:`, error));
+}
+
+function getItems() {
+    return listElement ? Array.from(listElement.querySelectorAll('[data-palette-index]')) : [];
+}
+
+// Number of items that fit in the visible part of the list
+function getPageSize() {
+    const items = getItems();
+    if (!listElement || items.length === 0 || items[0].offsetHeight === 0) {
+        return 10;
+    }
+    return Math.max(1, Math.floor(listElement.clientHeight / items[0].offsetHeight) - 1);
+}
+
+// Characters after which a match counts as the start of a word
+const wordSeparators = ' -_/.:\\()[]{}';
+
+function isWordStart(text, index) {
+    if (index === 0) {
+        return true;
+    }
+
+    const previous = text[index - 1];
+    const current = text[index];
+    return wordSeparators.includes(previous)
+        || (previous === previous.toLowerCase() && current !== current.toLowerCase());
+}
+
+// Find the best placement of the query characters in the text, preferring word starts and consecutive runs
+function fuzzyMatch(query, text) {
+    const needle = (query || '').replace(/\s+/g, '').toLowerCase();
+    const haystack = text || '';
+    const lower = haystack.toLowerCase();
+
+    if (needle.length === 0) {
+        return { score: 0, positions: [] };
+    }
+    if (needle.length > lower.length) {
+        return null;
+    }
+
+    // scores[i][j]: best score with needle[i] matched at lower[j]; previous[i][j] is where needle[i - 1] went
+    const scores = needle.split('').map(() => new Array(lower.length).fill(-Infinity));
+    const previous = needle.split('').map(() => new Array(lower.length).fill(-1));
+
+    for (let i = 0; i < needle.length; i++) {
+        let bestBefore = -Infinity;
+        let bestBeforeIndex = -1;
+
+        for (let j = i; j < lower.length; j++) {
+            // Best placement of the previous character strictly before j - 1
+            if (i > 0 && j >= 2 && scores[i - 1][j - 2] > bestBefore) {
+                bestBefore = scores[i - 1][j - 2];
+                bestBeforeIndex = j - 2;
+            }
+
+            if (lower[j] !== needle[i]) {
+                continue;
+            }
+
+            const bonus = 1 + (isWordStart(haystack, j) ? 8 : 0) + (j === 0 ? 4 : 0);
+            if (i === 0) {
+                scores[i][j] = bonus;
+                continue;
+            }
+
+            const consecutive = j >= 1 ? scores[i - 1][j - 1] + 6 : -Infinity;
+            if (consecutive >= bestBefore && consecutive > -Infinity) {
+                scores[i][j] = consecutive + bonus;
+                previous[i][j] = j - 1;
+            } else if (bestBefore > -Infinity) {
+                scores[i][j] = bestBefore + bonus;
+                previous[i][j] = bestBeforeIndex;
+            }
+        }
+    }
+
+    const last = needle.length - 1;
+    let end = -1;
+    for (let j = 0; j < lower.length; j++) {
+        if (scores[last][j] > -Infinity && (end === -1 || scores[last][j] > scores[last][end])) {
+            end = j;
+        }
+    }
+    if (end === -1) {
+        return null;
+    }
+
+    const positions = [];
+    for (let i = last, j = end; i >= 0; j = previous[i][j], i--) {
+        positions.unshift(j);
+    }
+
+    // Shorter labels rank higher among equal matches
+    return { score: scores[last][end] - lower.length * 0.01, positions: positions };
 }
@@ -0,0 +1,392 @@
+using HolyConnect.Application.Common;
+using HolyConnect.Application.Interfaces;
+using HolyConnect.Application.Services;
+using HolyConnect.Domain.Entities;
+using HolyConnect.Maui.Components.Shared.Dialogs;
+using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
+using MudBlazor;
+
+namespace HolyConnect.Maui.Components.Shared.Editors;
+
+/// <summary>
+/// Base class for the Monaco-backed editors. Owns the editor id, theme and .NET reference, and
+/// resolves {{ variables }} for the hovers, inlay hints, completion, diagnostics and highlighting in monaco-interop.js
+/// </summary>
+public abstract class MonacoEditorBase : ComponentBase, IAsyncDisposable
+{
+    [Inject]
+    protected IJSRuntime JSRuntime { get; set; } = default!;
+
+    [Inject]
+    protected SettingsService SettingsService { get; set; } = default!;
+
+    [Inject]
+    protected IVariableResolver VariableResolver { get; set; } = default!;
+
+    [Inject]
+    protected IEnvironmentService EnvironmentService { get; set; } = default!;
+
+    [Inject]
+    protected ISnackbar Snackbar { get; set; } = default!;
+
+    [Inject]
+    protected IVariableChangeNotifier VariableChangeNotifier { get; set; } = default!;
+
+    [Inject]
+    protected IKeyboardShortcutService KeyboardShortcutService { get; set; } = default!;
+
+    [Inject]
+    protected IDialogService DialogService { get; set; } = default!;
+
+    [Parameter]
+    public bool ReadOnly { get; set; }
+
+    [Parameter]
+    public string? Theme { get; set; }
+
+    [Parameter]
+    public Domain.Entities.Environment? Environment { get; set; }
+
+    [Parameter]
+    public Collection? Collection { get; set; }
+
+    /// <summary>
+    /// Keeps the Monaco model (content, undo history and view state) under this key when the editor is
+    /// recreated, e.g. "request/{id}/body". It must not change during the component's lifetime, so use
+    /// it together with @key.
+    /// </summary>
+    [Parameter]
+    public string? ModelKey { get; set; }
+
+    /// <summary>
+    /// Called when the content starts or stops differing from its last saved state (requires ModelKey)
+    /// </summary>
+    [Parameter]
+    public EventCallback<bool> OnDirtyStateChanged { get; set; }
+
+    protected readonly string _editorId = $"monaco-editor-{Guid.NewGuid()}";
+    protected DotNetObjectReference<MonacoEditorBase>? _dotNetHelper;
+    protected bool _isInitialized;
+    protected bool _isDisposed;
+    protected string _currentTheme = "vs-dark";
+    private Domain.Entities.Environment? _lastEnvironment;
+    private Collection? _lastCollection;
+
+    /// <summary>
+    /// The request whose variables and dynamic variables take part in resolution, if any
+    /// </summary>
+    protected abstract Request? ContextRequest { get; }
+
+    protected override void OnInitialized()
+    {
+        VariableChangeNotifier.VariablesChanged += OnVariablesChanged;
+        KeyboardShortcutService.BindingsChanged += OnShortcutBindingsChanged;
+    }
+
+    /// <summary>
+    /// Formats the text for the "editor.format" command; returns null when the editor formatted itself
+    /// </summary>
+    protected abstract Task<string?> FormatTextAsync(string text);
+
+    protected async Task DetermineThemeAsync()
+    {
+        if (!string.IsNullOrEmpty(Theme))
+        {
+            _currentTheme = Theme;
+            return;
+        }
+
+        try
+        {
+            var settings = await SettingsService.GetSettingsAsync();
+            _currentTheme = settings.IsDarkMode ? "vs-dark" : "vs";
+        }
+        catch
+        {
+            _currentTheme = "vs-dark"; // Default fallback
+        }
+    }
+
+    /// <summary>
+    /// Registers the variable hovers, inlay hints, completion, diagnostics and highlighting. Call again when the
+    /// environment or collection changes so the document is re-validated against it
+    /// </summary>
+    protected async Task RegisterVariableFeaturesAsync()
+    {
+        // Cached variable values belong to the previous environment/collection
+        if (!ReferenceEquals(Environment, _lastEnvironment) || !ReferenceEquals(Collection, _lastCollection))
+        {
+            _lastEnvironment = Environment;
+            _lastCollection = Collection;
+            await InvalidateVariableCacheAsync();
+        }
+
+        if (Environment == null || _dotNetHelper == null || _isDisposed)
+        {
+            return;
+        }
+
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("monacoEditorInterop.registerVariableHoverProvider", _editorId, _dotNetHelper);
+            await JSRuntime.InvokeVoidAsync("monacoEditorInterop.registerVariableInlayHintsProvider", _editorId, _dotNetHelper);
+            await JSRuntime.InvokeVoidAsync("monacoEditorInterop.registerVariableCompletionProvider", _editorId, _dotNetHelper);
+            await JSRuntime.InvokeVoidAsync("monacoEditorInterop.registerVariableDiagnostics", _editorId, _dotNetHelper);
+
+            // Colour variables by source and flag undefined ones
+            await JSRuntime.InvokeVoidAsync("monacoEditorInterop.registerVariableHighlighting", _editorId, _dotNetHelper);
+
+            // Secret values stay masked until revealed through a code lens
+            await JSRuntime.InvokeVoidAsync("monacoEditorInterop.registerSecretRevealLenses", _editorId, _dotNetHelper);
+        }
+        catch (Exception ex) when (ex is ObjectDisposedException || ex is TaskCanceledException)
+        {
+            // Component is being disposed, ignore the error
+        }
+    }
+
+    [JSInvokable]
+    public Task<string?> GetVariableHoverInfo(string variableName)
+    {
+        if (Environment == null || string.IsNullOrEmpty(variableName))
+        {
+            return Task.FromResult<string?>(null);
+        }
+
+        if (VariableCatalogHelper.GetSecretVariableNames(Environment, Collection, ContextRequest).Contains(variableName))
+        {
+            return Task.FromResult<string?>($"`{variableName}` = **{VariableCatalogHelper.SecretMask}** _(secret, use Reveal above the line to show it)_");
+        }
+
+        var value = VariableResolver.GetVariableValue(variableName, Environment, Collection, ContextRequest);
+
+        if (value != null)
+        {
+            var source = Collection?.Variables.ContainsKey(variableName) == true ? "Collection" : "Environment";
+            return Task.FromResult<string?>($"`{variableName}` = **{value}** _(from {source})_");
+        }
+        else
+        {
+            return Task.FromResult<string?>($"`{variableName}` = **MISSING**");
+        }
+    }
+
+    [JSInvokable]
+    public Task<IReadOnlyList<VariableDescriptor>> GetAvailableVariables()
+    {
+        if (Environment == null)
+        {
+            return Task.FromResult<IReadOnlyList<VariableDescriptor>>(Array.Empty<VariableDescriptor>());
+        }
+
+        return Task.FromResult(VariableCatalogHelper.GetAvailableVariables(Environment, Collection, ContextRequest));
+    }
+
+    [JSInvokable]
+    public Task<Dictionary<string, string?>> GetVariableValues(string[] variableNames)
+    {
+        var values = new Dictionary<string, string?>();
+        if (Environment == null)
+        {
+            return Task.FromResult(values);
+        }
+
+        // Secret values never leave .NET; the editor only gets the mask
+        var secretNames = VariableCatalogHelper.GetSecretVariableNames(Environment, Collection, ContextRequest);
+        foreach (var variableName in variableNames.Where(n => !string.IsNullOrEmpty(n)).Distinct())
+        {
+            values[variableName] = secretNames.Contains(variableName)
+                ? VariableCatalogHelper.SecretMask
+                : VariableResolver.GetVariableValue(variableName, Environment, Collection, ContextRequest);
+        }
+
+        return Task.FromResult(values);
+    }
+
+    [JSInvokable]
+    public async Task<bool> CreateVariable(string variableName)
+    {
+        if (Environment == null || string.IsNullOrWhiteSpace(variableName) || Environment.Variables.ContainsKey(variableName))
+        {
+            return false;
+        }
+
+        Environment.Variables[variableName] = string.Empty;
+        await EnvironmentService.UpdateEnvironmentAsync(Environment);
+        Snackbar.Add($"Variable '{variableName}' created in environment '{Environment.Name}'", Severity.Success);
+        return true;
+    }
+
+    [JSInvokable]
+    public Task<string?> GetVariableValue(string variableName)
+    {
+        if (Environment == null || string.IsNullOrEmpty(variableName))
+        {
+            return Task.FromResult<string?>(null);
+        }
+
+        // Request-level variables take precedence, as they do when the request is sent
+        var value = VariableResolver.GetVariableValue(variableName, Environment, Collection, ContextRequest);
+        return Task.FromResult(value);
+    }
+
+    /// <summary>
+    /// Value shown when a secret variable is revealed through its code lens. Dynamic variables get a new
+    /// value every time the request is sent, so generating one here would show a value that is never used.
+    /// </summary>
+    [JSInvokable]
+    public Task<string?> RevealSecretVariable(string variableName)
+    {
+        if (Environment == null || string.IsNullOrEmpty(variableName))
+        {
+            return Task.FromResult<string?>(null);
+        }
+
+        var variable = VariableCatalogHelper.GetAvailableVariables(Environment, Collection, ContextRequest)
+            .FirstOrDefault(v => v.Name == variableName);
+        if (variable == null || !variable.IsSecret)
+        {
+            return Task.FromResult<string?>(null);
+        }
+
+        if (variable.Source == VariableSource.Dynamic)
+        {
+            return Task.FromResult<string?>($"<{variable.Detail}, generated when the request is sent>");
+        }
+
+        return Task.FromResult(VariableResolver.GetVariableValue(variableName, Environment, Collection, ContextRequest));
+    }
+
+    [JSInvokable]
+    public Task<string?> ExecuteEditorCommand(string commandId, string text, bool hasSelection)
+    {
+        return InvokeAsync(async () =>
+        {
+            switch (commandId)
+            {
+                case "editor.format":
+                    return await FormatTextAsync(text);
+                case "editor.extractVariable":
+                    return hasSelection ? await ExtractVariableAsync(text) : null;
+                default:
+                    // Global commands such as send and save
+                    await KeyboardShortcutService.ExecuteCommand(commandId);
+                    return null;
+            }
+        });
+    }
+
+    /// <summary>
+    /// Routes send/save/format/extract shortcuts through Monaco actions. Read-only editors such as the
+    /// response viewer get none, so e.g. Ctrl+Enter inside a response does not re-send the request
+    /// </summary>
+    protected async Task RegisterEditorCommandsAsync()
+    {
+        if (!_isInitialized || _isDisposed || _dotNetHelper == null || ReadOnly)
+        {
+            return;
+        }
+
+        // Editor commands, plus global commands that must keep working while typing (send, save, search)
+        var bindings = KeyboardShortcutService.GetBindings()
+            .Where(b => b.Scope == ShortcutScope.Editor || b.AllowInInputs)
+            .ToList();
+
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("monacoEditorInterop.registerEditorCommands", _editorId, _dotNetHelper, bindings);
+        }
+        catch (Exception ex) when (ex is ObjectDisposedException || ex is TaskCanceledException || ex is JSDisconnectedException)
+        {
+            // Component is being disposed, ignore the error
+        }
+    }
+
+    /// <summary>
+    /// Reports unsaved changes of the keyed model through OnDirtyStateChanged
+    /// </summary>
+    protected async Task RegisterDirtyStateCallbackAsync()
+    {
+        if (ModelKey == null || !OnDirtyStateChanged.HasDelegate || _dotNetHelper == null)
+        {
+            return;
+        }
+
+        await JSRuntime.InvokeVoidAsync("monacoEditorInterop.registerDirtyStateCallback", _editorId, _dotNetHelper);
+    }
+
+    [JSInvokable]
+    public Task DirtyStateChanged(bool isDirty)
+    {
+        return InvokeAsync(() => OnDirtyStateChanged.InvokeAsync(isDirty));
+    }
+
+    private async Task<string?> ExtractVariableAsync(string value)
+    {
+        if (Environment == null)
+        {
+            Snackbar.Add("Select an active environment to extract variables", Severity.Warning);
+            return null;
+        }
+
+        var parameters = new DialogParameters<ExtractVariableDialog>
+        {
+            { x => x.Environment, Environment },
+            { x => x.Collection, Collection },
+            { x => x.Value, value }
+        };
+
+        var dialog = await DialogService.ShowAsync<ExtractVariableDialog>("Extract Variable", parameters);
+        var result = await dialog.Result;
+        return result is { Canceled: false, Data: string name } ? $"{{{{ {name} }}}}" : null;
+    }
+
+    private void OnShortcutBindingsChanged()
+    {
+        _ = InvokeAsync(RegisterEditorCommandsAsync);
+    }
+
+    private void OnVariablesChanged(Guid entityId)
+    {
+        _ = InvokeAsync(InvalidateVariableCacheAsync);
+    }
+
+    private async Task InvalidateVariableCacheAsync()
+    {
+        if (!_isInitialized || _isDisposed)
+        {
+            return;
+        }
+
+        try
+        {
+            await JSRuntime.InvokeVoidAsync("monacoEditorInterop.invalidateVariableCache", _editorId);
+        }
+        catch (Exception ex) when (ex is ObjectDisposedException || ex is TaskCanceledException || ex is JSDisconnectedException)
+        {
+            // Component is being disposed, ignore the error
+        }
+    }
+
+    public virtual async ValueTask DisposeAsync()
+    {
+        _isDisposed = true;
+        VariableChangeNotifier.VariablesChanged -= OnVariablesChanged;
+        KeyboardShortcutService.BindingsChanged -= OnShortcutBindingsChanged;
+
+        if (_isInitialized)
+        {
+            try
+            {
+                await JSRuntime.InvokeVoidAsync("monacoEditorInterop.disposeEditor", _editorId);
+            }
+            catch
+            {
+                // Ignore disposal errors
+            }
+        }
+
+        _dotNetHelper?.Dispose();
+    }
+}
@@ -0,0 +1,390 @@
+// Virtualised message log of a WebSocket connection
+// .NET sends the frames in batches and the module keeps them: only the rows in view are rendered, so a
+// connection with thousands of frames stays responsive. A selected message opens in a read-only Monaco
+// editor, pretty-printed when it is JSON, or as a diff with the previous message in the same direction.
+
+// Height of a row in pixels; must match .ws-log-row in app.css
+const rowHeight = 24;
+// Rows rendered above and below the visible ones, so fast scrolling does not show gaps
+const overscan = 10;
+// Characters of a message shown in its row
+const previewLength = 300;
+
+const directionSymbols = { sent: '↑', received: '↓', event: '•' };
+
+// State of every open log, by log id
+const logs = {};
+
+export function initialize(logId, dotnetRef, viewport, inspectorId) {
+    dispose(logId);
+
+    const spacer = document.createElement('div');
+    spacer.className = 'ws-log-spacer';
+    const rows = document.createElement('div');
+    rows.className = 'ws-log-rows';
+    spacer.appendChild(rows);
+    viewport.replaceChildren(spacer);
+
+    const log = {
+        dotnetReference: dotnetRef,
+        viewport: viewport,
+        spacer: spacer,
+        rows: rows,
+        inspectorId: inspectorId,
+        // { direction, eventType, time, size, data } in the order they were received
+        messages: [],
+        // Messages that arrived while paused
+        pending: [],
+        // Indexes into messages of the rows that pass the filter
+        shown: [],
+        filter: null,
+        filterError: null,
+        paused: false,
+        autoScroll: true,
+        selectedIndex: -1,
+        inspectorMode: 'message',
+        // Inspector updates run one after the other, so a slow one cannot replace a newer one
+        inspecting: Promise.resolve(),
+        renderFrame: 0,
+        listeners: [],
+        disposed: false
+    };
+
+    listen(log, viewport, 'scroll', () => scheduleRender(log));
+    listen(log, viewport, 'keydown', event => handleKeyDown(log, event));
+    listen(log, rows, 'click', event => {
+        const row = event.target.closest('[data-message-index]');
+        if (row) {
+            select(log, Number(row.getAttribute('data-message-index')));
+        }
+    });
+
+    logs[logId] = log;
+    return getState(log);
+}
+
+// Add a batch of messages; while paused they are held back until the log is resumed
+export function appendMessages(logId, batch) {
+    const log = logs[logId];
+    if (!log) {
+        return null;
+    }
+
+    if (log.paused) {
+        pushAll(log.pending, batch);
+    } else {
+        addMessages(log, batch);
+    }
+    return getState(log);
+}
+
+export function clear(logId) {
+    const log = logs[logId];
+    if (!log) {
+        return null;
+    }
+
+    log.messages = [];
+    log.pending = [];
+    log.shown = [];
+    log.selectedIndex = -1;
+    closeInspector(log);
+    log.viewport.scrollTop = 0;
+    scheduleRender(log);
+    return getState(log);
+}
+
+// Show only messages whose data or event type matches a case-insensitive regular expression.
+// An invalid pattern keeps the previous filter and is reported in the state.
+export function setFilter(logId, pattern) {
+    const log = logs[logId];
+    if (!log) {
+        return null;
+    }
+
+    try {
+        log.filter = pattern ? new RegExp(pattern, 'i') : null;
+        log.filterError = null;
+    } catch (error) {
+        log.filterError = error.message;
+        return getState(log);
+    }
+
+    log.shown = [];
+    for (let index = 0; index < log.messages.length; index++) {
+        if (matches(log, log.messages[index])) {
+            log.shown.push(index);
+        }
+    }
+
+    if (log.autoScroll) {
+        scrollToEnd(log);
+    }
+    scheduleRender(log);
+    return getState(log);
+}
+
+export function setPaused(logId, paused) {
+    const log = logs[logId];
+    if (!log) {
+        return null;
+    }
+
+    log.paused = !!paused;
+    if (!log.paused && log.pending.length > 0) {
+        const pending = log.pending;
+        log.pending = [];
+        addMessages(log, pending);
+    }
+    return getState(log);
+}
+
+export function setAutoScroll(logId, enabled) {
+    const log = logs[logId];
+    if (!log) {
+        return;
+    }
+
+    log.autoScroll = !!enabled;
+    if (log.autoScroll) {
+        scrollToEnd(log);
+        scheduleRender(log);
+    }
+}
+
+// Show the selected message on its own ('message') or as a diff with the previous one ('diff')
+export function setInspectorMode(logId, mode) {
+    const log = logs[logId];
+    if (!log) {
+        return;
+    }
+
+    log.inspectorMode = mode === 'diff' ? 'diff' : 'message';
+    openInspector(log);
+}
+
+export function dispose(logId) {
+    const log = logs[logId];
+    if (!log) {
+        return;
+    }
+
+    delete logs[logId];
+    log.disposed = true;
+    if (log.renderFrame) {
+        cancelAnimationFrame(log.renderFrame);
+    }
+    log.listeners.forEach(remove => remove());
+    closeInspector(log);
+    log.viewport.replaceChildren();
+}
+
+function listen(log, element, type, handler) {
+    element.addEventListener(type, handler);
+    log.listeners.push(() => element.removeEventListener(type, handler));
+}
+
+// Batches can be large, and spreading them into push() would overflow the stack
+function pushAll(target, items) {
+    for (let i = 0; i < items.length; i++) {
+        target.push(items[i]);
+    }
+}
+
+function addMessages(log, batch) {
+    for (let i = 0; i < batch.length; i++) {
+        const index = log.messages.push(batch[i]) - 1;
+        if (matches(log, batch[i])) {
+            log.shown.push(index);
+        }
+    }
+
+    if (log.autoScroll) {
+        scrollToEnd(log);
+    }
+    scheduleRender(log);
+}
+
+function matches(log, message) {
+    return !log.filter || log.filter.test(message.data) || (!!message.eventType && log.filter.test(message.eventType));
+}
+
+function getState(log) {
+    return {
+        total: log.messages.length,
+        shown: log.shown.length,
+        pending: log.pending.length,
+        filterError: log.filterError
+    };
+}
+
+// Grow the scroll area to the new row count right away, so the end can be scrolled to before rendering
+function scrollToEnd(log) {
+    log.spacer.style.height = `${log.shown.length * rowHeight}px`;
+    log.viewport.scrollTop = log.viewport.scrollHeight;
+}
+
+function scheduleRender(log) {
+    if (!log.renderFrame) {
+        log.renderFrame = requestAnimationFrame(() => render(log));
+    }
+}
+
+// Render the rows in view (plus the overscan) at their offset in the full list
+function render(log) {
+    log.renderFrame = 0;
+
+    const count = log.shown.length;
+    const top = log.viewport.scrollTop;
+    const first = Math.max(0, Math.floor(top / rowHeight) - overscan);
+    const last = Math.min(count, Math.ceil((top + log.viewport.clientHeight) / rowHeight) + overscan);
+
+    const rows = [];
+    for (let position = first; position < last; position++) {
+        rows.push(createRow(log, log.shown[position]));
+    }
+
+    log.spacer.style.height = `${count * rowHeight}px`;
+    log.rows.style.transform = `translateY(${first * rowHeight}px)`;
+    log.rows.replaceChildren(...rows);
+}
+
+function createRow(log, index) {
+    const message = log.messages[index];
+
+    const row = document.createElement('div');
+    row.className = `ws-log-row ws-log-row-${message.direction}`;
+    if (index === log.selectedIndex) {
+        row.classList.add('ws-log-row-selected');
+    }
+    row.setAttribute('data-message-index', index);
+
+    row.append(
+        createCell('ws-log-direction', directionSymbols[message.direction] || directionSymbols.event),
+        createCell('ws-log-time', message.time),
+        createCell('ws-log-size', formatSize(message.size)),
+        createCell('ws-log-preview', getPreview(message)));
+    return row;
+}
+
+function createCell(className, text) {
+    const cell = document.createElement('span');
+    cell.className = className;
+    cell.textContent = text;
+    return cell;
+}
+
+function getPreview(message) {
+    const preview = message.data.slice(0, previewLength).replace(/\s+/g, ' ');
+    return message.direction === 'event' && message.eventType ? `${message.eventType}: ${preview}` : preview;
+}
+
+function formatSize(bytes) {
+    if (bytes < 1024) {
+        return `${bytes} B`;
+    }
+    if (bytes < 1024 * 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Arrow keys move the selection through the rows that pass the filter
+function handleKeyDown(log, event) {
+    if (event.key !== 'ArrowDown' && event.key !== 'ArrowUp') {
+        return;
+    }
+
+    event.preventDefault();
+    if (log.shown.length === 0) {
+        return;
+    }
+
+    const position = log.shown.indexOf(log.selectedIndex);
+    const next = position === -1
+        ? (event.key === 'ArrowDown' ? 0 : log.shown.length - 1)
+        : Math.max(0, Math.min(log.shown.length - 1, position + (event.key === 'ArrowDown' ? 1 : -1)));
+
+    // Keep the selected row in view
+    const rowTop = next * rowHeight;
+    if (rowTop < log.viewport.scrollTop) {
+        log.viewport.scrollTop = rowTop;
+    } else if (rowTop + rowHeight > log.viewport.scrollTop + log.viewport.clientHeight) {
+        log.viewport.scrollTop = rowTop + rowHeight - log.viewport.clientHeight;
+    }
+
+    select(log, log.shown[next]);
+}
+
+function select(log, index) {
+    const message = log.messages[index];
+    if (!message) {
+        return;
+    }
+
+    log.selectedIndex = index;
+    scheduleRender(log);
+
+    const previous = findPrevious(log, index);
+    if (!previous) {
+        log.inspectorMode = 'message';
+    }
+    log.dotnetReference.invokeMethodAsync('MessageSelected', {
+        index: index,
+        direction: message.direction,
+        eventType: message.eventType,
+        time: message.time,
+        size: message.size,
+        isJson: prettyPrint(message.data).language === 'json',
+        hasPrevious: !!previous
+    }).catch(error => console.error('Error reporting the selected message:', error));
+
+    openInspector(log);
+}
+
+// The message before the given one with the same direction, e.g. the previous update the server pushed
+function findPrevious(log, index) {
+    const direction = log.messages[index].direction;
+    for (let i = index - 1; i >= 0; i--) {
+        if (log.messages[i].direction === direction) {
+            return log.messages[i];
+        }
+    }
+    return null;
+}
+
+function prettyPrint(data) {
+    try {
+        return { text: JSON.stringify(JSON.parse(data), null, 2), language: 'json' };
+    } catch (error) {
+        return { text: data, language: 'plaintext' };
+    }
+}
+
+// Show the selected message, or its diff with the previous one, in the inspector editor
+function openInspector(log) {
+    log.inspecting = log.inspecting.then(async () => {
+        const message = log.messages[log.selectedIndex];
+        if (!message || log.disposed) {
+            return;
+        }
+
+        const interop = window.monacoEditorInterop;
+        interop.disposeEditor(log.inspectorId);
+
+        const current = prettyPrint(message.data);
+        const previous = log.inspectorMode === 'diff' ? findPrevious(log, log.selectedIndex) : null;
+
+        if (previous) {
+            const original = prettyPrint(previous.data);
+            const language = original.language === 'json' && current.language === 'json' ? 'json' : 'plaintext';
+            await interop.initializeDiffEditor(log.inspectorId, original.text, current.text, language, null, true);
+        } else {
+            await interop.initializeEditor(log.inspectorId, current.text, current.language, null, true);
+        }
+    }).catch(error => console.error('Error opening the message:', error));
+}
+
+function closeInspector(log) {
+    log.inspecting = log.inspecting.then(() => window.monacoEditorInterop.disposeEditor(log.inspectorId));
+}
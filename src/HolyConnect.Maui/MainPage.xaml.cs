@@ -6,4 +6,12 @@ public partial class MainPage : ContentPage
 	{
 		InitializeComponent();
 	}
+
+	/// <summary>
+	/// Creates a page that opens the app at the given route (e.g. for a search result opened in a new window)
+	/// </summary>
+	public MainPage(string startPath) : this()
+	{
+		blazorWebView.StartPath = startPath;
+	}
 }
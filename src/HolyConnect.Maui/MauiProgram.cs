@@ -206,6 +206,7 @@ public static class MauiProgram
                 sp.GetRequiredService<IRequestExecutorFactory>(),
                 sp.GetService<IResponseValueExtractor>()));
         
+        builder.Services.AddScoped<IVariableChangeNotifier, VariableChangeNotifier>();
         builder.Services.AddScoped<IActiveEnvironmentService, ActiveEnvironmentService>();
         builder.Services.AddScoped<IEnvironmentService, EnvironmentService>();
         builder.Services.AddScoped<ICollectionService, CollectionService>();
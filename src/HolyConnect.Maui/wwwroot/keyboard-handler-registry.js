@@ -0,0 +1,131 @@
+// Shared registry for document-level keyboard handlers in HolyConnect
+//
+// Handlers are tracked by owner, so a component can remove everything it registered with one call and
+// re-initialising never stacks duplicates. Modal handlers (dialogs) form a stack: only the top-most modal
+// receives keys, in the capture phase, before any input has seen them. Regular handlers (global shortcuts)
+// run in the bubble phase, and only while no modal is open. MainLayout opens a place on the modal stack for
+// every MudBlazor dialog, so dialogs without key handling of their own also keep the global shortcuts quiet.
+
+window.keyboardHandlerRegistry = {
+    // { owner, handler } of regular handlers, in registration order
+    handlers: [],
+    // { owner, handler } of modal handlers; the last entry is the top-most modal. Places opened for a dialog
+    // have no handler until the dialog registers one.
+    modalStack: [],
+    captureListener: null,
+    bubbleListener: null,
+
+    // Register a keydown handler for an owner. Options: { modal: true } to push it onto the modal stack.
+    // Returns a function that unregisters just this handler.
+    register: function(owner, handler, options) {
+        if (!owner || typeof handler !== 'function') {
+            throw new Error('A keyboard handler needs an owner and a function');
+        }
+
+        const entry = { owner: owner, handler: handler };
+        if (options && options.modal) {
+            // A dialog that registers its handler takes over the place opened for it, wherever it is on the stack
+            const place = this.modalStack.findIndex(e => e.owner === owner && !e.handler);
+            if (place !== -1) {
+                this.modalStack[place] = entry;
+            } else {
+                this.modalStack.push(entry);
+            }
+        } else {
+            this.handlers.push(entry);
+        }
+
+        this.updateListeners();
+        return () => this.remove(entry);
+    },
+
+    // Remove every handler (regular and modal) registered by an owner
+    unregister: function(owner) {
+        this.handlers = this.handlers.filter(entry => entry.owner !== owner);
+        this.modalStack = this.modalStack.filter(entry => entry.owner !== owner);
+        this.updateListeners();
+    },
+
+    remove: function(entry) {
+        this.handlers = this.handlers.filter(e => e !== entry);
+        this.modalStack = this.modalStack.filter(e => e !== entry);
+        this.updateListeners();
+    },
+
+    // Owner of the modal stack place of a dialog, for dialogs that register their own handler
+    dialogOwner: function(dialogId) {
+        return `dialog-${dialogId}`;
+    },
+
+    // Open a place on the modal stack for a dialog, unless the dialog already registered its handler
+    openDialog: function(dialogId) {
+        const owner = this.dialogOwner(dialogId);
+        if (!this.modalStack.some(entry => entry.owner === owner)) {
+            this.modalStack.push({ owner: owner, handler: null });
+            this.updateListeners();
+        }
+    },
+
+    // Remove a dialog's place from the modal stack, together with any handler it registered
+    closeDialog: function(dialogId) {
+        this.unregister(this.dialogOwner(dialogId));
+    },
+
+    // Whether the owner's modal is the top-most one
+    isTopModal: function(owner) {
+        return this.modalStack.length > 0 && this.modalStack[this.modalStack.length - 1].owner === owner;
+    },
+
+    // Number of registered handlers, optionally for one owner
+    count: function(owner) {
+        return this.handlers.concat(this.modalStack).filter(entry => owner === undefined || entry.owner === owner).length;
+    },
+
+    // Attach the document listeners while handlers exist, and detach them as soon as none are left
+    updateListeners: function() {
+        const needed = this.handlers.length > 0 || this.modalStack.length > 0;
+
+        if (needed && !this.captureListener) {
+            this.captureListener = this.dispatchModal.bind(this);
+            this.bubbleListener = this.dispatch.bind(this);
+            document.addEventListener('keydown', this.captureListener, true);
+            document.addEventListener('keydown', this.bubbleListener);
+        } else if (!needed && this.captureListener) {
+            document.removeEventListener('keydown', this.captureListener, true);
+            document.removeEventListener('keydown', this.bubbleListener);
+            this.captureListener = null;
+            this.bubbleListener = null;
+        }
+    },
+
+    dispatchModal: function(event) {
+        const top = this.modalStack[this.modalStack.length - 1];
+        if (top && top.handler) {
+            this.invoke(top, event);
+        }
+    },
+
+    dispatch: function(event) {
+        if (this.modalStack.length > 0) {
+            return;
+        }
+
+        // Copy, so handlers may unregister themselves while the event is dispatched
+        this.handlers.slice().forEach(entry => this.invoke(entry, event));
+    },
+
+    invoke: function(entry, event) {
+        try {
+            entry.handler(event);
+        } catch (error) {
+            console.error(`Error in keyboard handler of ${entry.owner}:`, error);
+        }
+    },
+
+    // Remove all handlers and listeners
+    dispose: function() {
+        this.handlers = [];
+        this.modalStack = [];
+        this.updateListeners();
+    }
+};
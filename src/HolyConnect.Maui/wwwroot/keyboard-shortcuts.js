@@ -2,59 +2,118 @@
 
 window.keyboardShortcuts = {
     dotnetReference: null,
+    bindings: [],
+    pendingChords: [],
+    pendingTimer: null,
+
+    // Owner name of the handler in keyboardHandlerRegistry
+    owner: 'keyboard-shortcuts',
+
+    // How long to wait for the next chord of a multi-key binding (e.g. Ctrl+K Ctrl+S)
+    chordTimeout: 1500,
     
-    initialize: function(dotnetRef) {
+    initialize: function(dotnetRef, bindings) {
         this.dotnetReference = dotnetRef;
-        
-        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+        this.setBindings(bindings || []);
+
+        // Replace any previous registration, so re-initialising never stacks handlers
+        window.keyboardHandlerRegistry.unregister(this.owner);
+        window.keyboardHandlerRegistry.register(this.owner, this.handleKeyDown.bind(this));
         console.log('Keyboard shortcuts initialized');
     },
+
+    // Replace the binding table (sent by KeyboardShortcutService whenever bindings change).
+    // Editor-only commands are Monaco actions and never fire from here.
+    setBindings: function(bindings) {
+        this.bindings = (bindings || []).filter(b => b.chords && b.chords.length > 0 && !b.isEditorOnly);
+        this.resetChord();
+    },
     
     handleKeyDown: function(event) {
-        // Don't trigger shortcuts when typing in input fields (except for Ctrl+K)
+        if (!this.dotnetReference || event.repeat || event.defaultPrevented) {
+            return;
+        }
+
+        // Monaco owns the keyboard while it has focus; shortcuts that should work there
+        // are registered as editor actions (see monacoEditorInterop.registerEditorCommands)
+        if (event.target && event.target.closest && event.target.closest('.monaco-editor')) {
+            return;
+        }
+
+        // Modifier keys on their own never complete a chord
+        if (['control', 'shift', 'alt', 'meta'].includes(event.key.toLowerCase())) {
+            return;
+        }
+
         const target = event.target;
         const isInputField = target.tagName === 'INPUT' || 
                             target.tagName === 'TEXTAREA' || 
                             target.contentEditable === 'true';
-        
+
         // Get the key and modifiers
-        const key = event.key.toLowerCase();
-        const ctrlKey = event.ctrlKey || event.metaKey; // metaKey for Mac Cmd
-        const shiftKey = event.shiftKey;
-        const altKey = event.altKey;
-        
-        // Always allow Ctrl+K to open search, even in input fields
-        if (ctrlKey && key === 'k') {
-            event.preventDefault();
-            this.dotnetReference.invokeMethodAsync('HandleKeyPress', key, ctrlKey, shiftKey, altKey);
-            return;
+        const chord = {
+            key: event.key.toLowerCase(),
+            ctrlKey: event.ctrlKey || event.metaKey, // metaKey for Mac Cmd
+            shiftKey: event.shiftKey,
+            altKey: event.altKey
+        };
+
+        // Editor shortcuts are left to the editor; inside inputs only explicitly allowed shortcuts fire
+        const candidates = this.bindings.filter(b =>
+            b.scope === 'Global' && (!isInputField || b.allowInInputs));
+
+        let sequence = this.pendingChords.concat([chord]);
+        if (this.pendingChords.length > 0 && !candidates.some(b => this.startsWith(b.chords, sequence))) {
+            // The chord in progress was abandoned; treat this key press as a fresh start
+            sequence = [chord];
         }
-        
-        // For other shortcuts, skip if in input field
-        if (isInputField) {
+
+        const matching = candidates.filter(b => this.startsWith(b.chords, sequence));
+        if (matching.length === 0) {
+            this.resetChord();
             return;
         }
-        
-        // Allow ? key to open shortcuts (? requires Shift on most keyboards)
-        if (key === '?' && !ctrlKey && !altKey) {
-            event.preventDefault();
-            this.dotnetReference.invokeMethodAsync('HandleKeyPress', key, ctrlKey, shiftKey, altKey);
+
+        event.preventDefault();
+
+        const complete = matching.filter(b => b.chords.length === sequence.length);
+        if (complete.length > 0) {
+            const binding = complete[0];
+            this.resetChord();
+            this.dotnetReference.invokeMethodAsync('ExecuteShortcut', binding.id)
+                .catch(error => console.error('Error executing shortcut:', error));
             return;
         }
-        
-        // Handle other shortcuts with modifiers
-        if (ctrlKey || altKey) {
-            this.dotnetReference.invokeMethodAsync('HandleKeyPress', key, ctrlKey, shiftKey, altKey)
-                .then(handled => {
-                    if (handled) {
-                        event.preventDefault();
-                    }
-                });
+
+        // Wait for the next chord of a multi-key binding
+        this.pendingChords = sequence;
+        clearTimeout(this.pendingTimer);
+        this.pendingTimer = setTimeout(() => this.resetChord(), this.chordTimeout);
+    },
+
+    // Check whether the binding's chords begin with the given sequence
+    startsWith: function(chords, sequence) {
+        if (sequence.length > chords.length) {
+            return false;
         }
+
+        return sequence.every((chord, i) =>
+            chords[i].key.toLowerCase() === chord.key &&
+            chords[i].ctrlKey === chord.ctrlKey &&
+            chords[i].shiftKey === chord.shiftKey &&
+            chords[i].altKey === chord.altKey);
+    },
+
+    resetChord: function() {
+        clearTimeout(this.pendingTimer);
+        this.pendingTimer = null;
+        this.pendingChords = [];
     },
     
     dispose: function() {
-        document.removeEventListener('keydown', this.handleKeyDown.bind(this));
+        window.keyboardHandlerRegistry.unregister(this.owner);
+        this.resetChord();
+        this.bindings = [];
         this.dotnetReference = null;
         console.log('Keyboard shortcuts disposed');
     }
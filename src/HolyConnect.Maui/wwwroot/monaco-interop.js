@@ -1,12 +1,286 @@
 // Monaco Editor Interop for Blazor
 window.monacoEditorInterop = {
+    // Resolves to true once Monaco is loaded, or false when the textarea fallback is used (see whenMonacoReady)
+    monacoReady: null,
+    // How long to wait for Monaco before falling back to plain textareas (ms)
+    monacoLoadTimeout: 15000,
+    // Monaco has one theme for all editors; this is the HolyConnect theme last applied by setTheme
+    currentTheme: null,
+    appDarkMode: null,
+    contrastQuery: null,
+    // Colours of {{ variables }} by source (see registerVariableHighlighting) for each kind of theme
+    templateVariableColors: {
+        light: { environment: '2e7d32', collection: '1565c0', secret: 'ef6c00', dynamic: '7b1fa2', extraction: '00838f', undefined: 'c62828' },
+        dark: { environment: '81c784', collection: '64b5f6', secret: 'ffb74d', dynamic: 'ce93d8', extraction: '4dd0e1', undefined: 'ef5350' },
+        highContrastLight: { environment: '1b5e20', collection: '0d47a1', secret: 'bf360c', dynamic: '4a148c', extraction: '006064', undefined: 'b71c1c' },
+        highContrastDark: { environment: '69f0ae', collection: '82b1ff', secret: 'ffd740', dynamic: 'ea80fc', extraction: '84ffff', undefined: 'ff8a80' }
+    },
     editors: {},
-    completionProviders: {},
     hoverProviders: {},
     inlayHintsProviders: {},
+    // Parsed schemas shared by all GraphQL editors, keyed by a hash of the introspection JSON:
+    // { schemaJson, schemaIndex, editorIds }. The JSON is kept to tell schemas with the same hash apart.
+    // A schema is freed when the last editor using it releases it.
+    graphQLSchemaRegistry: {},
+    // Registry key of the schema each GraphQL editor uses
+    graphQLEditorSchemas: {},
+    // The single completion provider for the graphql language, routed to the schema of each model
+    graphQLCompletionProvider: null,
+    validationListeners: {},
+    graphQLNavigationProviders: {},
+    graphQLSchemaHelpers: {},
+    graphQLSchemaTypeModels: {},
+    graphQLVariableLinks: {},
+    graphQLOperationTools: {},
+    // Print width of the GraphQL formatter per editor, and the editor's formatting actions
+    graphQLFormatting: {},
+    // Document and range formatting providers for the graphql language, shared by all editors
+    graphQLFormattingProviders: null,
+    graphQLSchemaOpener: null,
+    variableCompletionProviders: {},
+    variableDiagnostics: {},
+    variableCaches: {},
+    variableHighlighting: {},
+    secretRevealLenses: {},
+    // How long a revealed secret stays visible (ms)
+    secretRevealTimeout: 10000,
+    editorCommands: {},
+    responseQueries: {},
+    responsePathActions: {},
+    largeDocuments: {},
+    valueUploads: {},
+    settingValue: {},
+    // Models that outlive their editors, keyed by e.g. "request/<id>/body": { model, viewState, savedVersionId }
+    models: {},
+    editorModelKeys: {},
+    dirtyTrackers: {},
+    mergeEditors: {},
+    // Raw content and semantic JSON options of diff editors: { original, modified, language, options, summary }
+    diffSources: {},
+    jsonSchemas: {},
+    jsonPlaceholderValidations: {},
+
+    // Documents above any of these limits switch the editor to large-document mode
+    largeDocumentThresholds: {
+        size: 1024 * 1024,
+        lineCount: 20000,
+        // Above this size the document is shown as plain text, without any tokenization
+        plainTextSize: 10 * 1024 * 1024
+    },
+
+    // Options applied in large-document mode; the editor's own values are restored when it leaves the mode
+    largeDocumentOptions: {
+        folding: false,
+        maxTokenizationLineLength: 1000,
+        stopRenderingLineAfter: 5000,
+        inlayHints: { enabled: 'off' },
+        hover: { enabled: false },
+        occurrencesHighlight: false,
+        selectionHighlight: false,
+        matchBrackets: 'never',
+        codeLens: false,
+        links: false,
+        colorDecorators: false,
+        renderValidationDecorations: 'off',
+        guides: { indentation: false }
+    },
+
+    // Load Monaco once through its AMD loader (configured in index.html to use the files bundled with the app).
+    // If the loader or the editor cannot be loaded, the interop switches to the textarea fallback.
+    whenMonacoReady: function () {
+        if (!this.monacoReady) {
+            this.monacoReady = new Promise(resolve => {
+                if (window.monaco && window.monaco.editor) {
+                    resolve(true);
+                    return;
+                }
+
+                // Without loader.js, require is still the configuration object from index.html
+                const amdRequire = window.require;
+                if (typeof amdRequire !== 'function') {
+                    console.error('Error loading Monaco Editor: the loader is not available');
+                    resolve(false);
+                    return;
+                }
+
+                const timer = setTimeout(() => {
+                    console.error('Error loading Monaco Editor: timed out');
+                    resolve(false);
+                }, this.monacoLoadTimeout);
+
+                amdRequire(['vs/editor/editor.main'], () => {
+                    clearTimeout(timer);
+                    resolve(!!(window.monaco && window.monaco.editor));
+                }, error => {
+                    clearTimeout(timer);
+                    console.error('Error loading Monaco Editor:', error);
+                    resolve(false);
+                });
+            }).then(loaded => {
+                if (!loaded) {
+                    this.useTextareaFallback();
+                }
+                return loaded;
+            });
+        }
+
+        return this.monacoReady;
+    },
+
+    // Route every interop function to textareaEditorFallback. Functions it does not implement need Monaco
+    // and become no-ops returning false.
+    useTextareaFallback: function () {
+        const fallback = window.textareaEditorFallback;
+        Object.keys(this)
+            .filter(name => typeof this[name] === 'function' && name !== 'whenMonacoReady')
+            .forEach(name => {
+                this[name] = typeof fallback[name] === 'function' ? fallback[name].bind(fallback) : () => false;
+            });
+    },
+
+    // Apply the HolyConnect theme for the app's light or dark mode to every editor, diff and merge editor.
+    // The themes are built from the MudBlazor palette CSS variables of the current app theme, so call this
+    // again after the app theme changes. The high-contrast variants follow the system contrast preference.
+    setTheme: async function (isDarkMode) {
+        if (!await this.whenMonacoReady()) {
+            return false;
+        }
+
+        try {
+            this.appDarkMode = !!isDarkMode;
+            this.watchContrastPreference();
+
+            const highContrast = this.contrastQuery ? this.contrastQuery.matches : false;
+            const kind = highContrast
+                ? (isDarkMode ? 'highContrastDark' : 'highContrastLight')
+                : (isDarkMode ? 'dark' : 'light');
+            const name = this.defineHolyConnectTheme(kind);
+            this.currentTheme = name;
+            monaco.editor.setTheme(name);
+            return true;
+        } catch (error) {
+            console.error('Error setting editor theme:', error);
+            return false;
+        }
+    },
+
+    // Re-apply the theme when the system contrast preference changes
+    watchContrastPreference: function () {
+        if (this.contrastQuery || !window.matchMedia) {
+            return;
+        }
+
+        this.contrastQuery = window.matchMedia('(prefers-contrast: more), (forced-colors: active)');
+        this.contrastQuery.addEventListener('change', () => this.setTheme(this.appDarkMode));
+    },
+
+    // Define (or redefine) a HolyConnect Monaco theme from the app palette and return its name.
+    // Kinds: light, dark, highContrastLight, highContrastDark.
+    defineHolyConnectTheme: function (kind) {
+        const style = getComputedStyle(document.documentElement);
+        const palette = name => this.toMonacoColor(style.getPropertyValue(`--mud-palette-${name}`));
+        const highContrast = kind.startsWith('highContrast');
+        const dark = kind === 'dark' || kind === 'highContrastDark';
+
+        const primary = palette('primary');
+        // Palette colour with an alpha channel, e.g. for backgrounds that text must stay readable on
+        const translucent = (color, alpha) => color ? color.substring(0, 7) + alpha : null;
+        const colors = {
+            'editor.background': palette(highContrast ? 'background' : 'surface'),
+            'editor.foreground': palette('text-primary'),
+            'editorCursor.foreground': primary,
+            'focusBorder': primary,
+            'editorLink.activeForeground': primary,
+            'editorError.foreground': palette('error'),
+            'editorWarning.foreground': palette('warning'),
+            'editorInfo.foreground': palette('info'),
+            'editorWidget.background': palette('surface'),
+            'editorSuggestWidget.background': palette('surface'),
+            'editorHoverWidget.background': palette('surface')
+        };
+
+        // Soft colours would weaken the high-contrast base themes
+        if (!highContrast) {
+            Object.assign(colors, {
+                'editorGutter.background': palette('surface'),
+                'editorLineNumber.foreground': palette('text-disabled'),
+                'editorLineNumber.activeForeground': palette('text-secondary'),
+                'editor.lineHighlightBackground': palette('action-default-hover'),
+                'editor.selectionBackground': translucent(primary, '40'),
+                'editorWidget.border': palette('divider'),
+                'editorSuggestWidget.border': palette('divider'),
+                'editorHoverWidget.border': palette('divider'),
+                'diffEditor.insertedTextBackground': translucent(palette('success'), '33'),
+                'diffEditor.removedTextBackground': translucent(palette('error'), '33')
+            });
+        }
+
+        // Keep Monaco's defaults for anything the palette does not define
+        Object.keys(colors).filter(key => !colors[key]).forEach(key => delete colors[key]);
+
+        const name = 'holyconnect-' + kind.replace(/[A-Z]/g, letter => '-' + letter.toLowerCase());
+        monaco.editor.defineTheme(name, {
+            base: highContrast ? (dark ? 'hc-black' : 'hc-light') : (dark ? 'vs-dark' : 'vs'),
+            inherit: true,
+            rules: this.getTemplateVariableTokenRules(this.templateVariableColors[kind]),
+            colors: colors
+        });
+        return name;
+    },
+
+    // Theme rules colouring the templateVariable semantic tokens by their source modifier
+    getTemplateVariableTokenRules: function (colors) {
+        return Object.entries(colors).map(([source, color]) => ({ token: `templateVariable.${source}`, foreground: color }));
+    },
+
+    // Monaco only accepts #RRGGBB and #RRGGBBAA colours; MudBlazor uses those and rgb()/rgba()
+    toMonacoColor: function (value) {
+        const text = (value || '').trim();
+        const hex = text.match(/^#([0-9a-f]{3,8})$/i);
+        if (hex) {
+            const digits = hex[1];
+            if (digits.length === 3 || digits.length === 4) {
+                return '#' + digits.split('').map(digit => digit + digit).join('');
+            }
+            return digits.length === 6 || digits.length === 8 ? '#' + digits : null;
+        }
+
+        const rgb = text.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+        if (!rgb) {
+            return null;
+        }
+
+        const toHex = number => Math.max(0, Math.min(255, Math.round(number))).toString(16).padStart(2, '0');
+        const alpha = rgb[4] !== undefined ? toHex(parseFloat(rgb[4]) * 255) : '';
+        return '#' + toHex(+rgb[1]) + toHex(+rgb[2]) + toHex(+rgb[3]) + alpha;
+    },
+
+    // Theme for a new editor: the app theme once setTheme has run. Until then it is a variant of the requested
+    // theme with rules for the {{ variable }} semantic tokens, which Monaco's built-in themes know nothing of.
+    resolveTheme: function (theme) {
+        if (this.currentTheme) {
+            return this.currentTheme;
+        }
+
+        const base = theme || 'vs-dark';
+        const name = `${base}-holyconnect`;
+        monaco.editor.defineTheme(name, {
+            base: base,
+            inherit: true,
+            rules: this.getTemplateVariableTokenRules(this.templateVariableColors[base === 'vs' || base === 'hc-light' ? 'light' : 'dark']),
+            colors: {}
+        });
+        return name;
+    },
+
+    // Initialize Monaco Editor. With a model key, the model (content, undo history and view state) is kept
+    // when the editor is disposed and reused the next time an editor is created with the same key.
+    // A null initial value keeps the content of a reused model (the value is then streamed with setValue).
+    initializeEditor: async function (editorId, initialValue, language, theme, readOnly, modelKey) {
+        if (!await this.whenMonacoReady()) {
+            return window.textareaEditorFallback.initializeEditor(editorId, initialValue, language, theme, readOnly, modelKey);
+        }
 
-    // Initialize Monaco Editor
-    initializeEditor: function (editorId, initialValue, language, theme, readOnly) {
         try {
             const container = document.getElementById(editorId);
             if (!container) {
@@ -19,11 +293,14 @@ window.monacoEditorInterop = {
                 this.editors[editorId].dispose();
             }
 
+            const modelEntry = modelKey ? this.acquireModel(modelKey, initialValue, language || 'graphql') : null;
+
             // Create editor with improved options
             const editor = monaco.editor.create(container, {
+                model: modelEntry ? modelEntry.model : undefined,
                 value: initialValue || '',
                 language: language || 'graphql',
-                theme: theme || 'vs-dark',
+                theme: this.resolveTheme(theme),
                 readOnly: readOnly || false,
                 automaticLayout: true,
                 minimap: { enabled: false },
@@ -53,6 +330,14 @@ window.monacoEditorInterop = {
             });
 
             this.editors[editorId] = editor;
+            this.updateLargeDocumentMode(editorId);
+
+            if (modelEntry) {
+                this.editorModelKeys[editorId] = modelKey;
+                if (modelEntry.viewState) {
+                    editor.restoreViewState(modelEntry.viewState);
+                }
+            }
 
             return true;
         } catch (error) {
@@ -70,16 +355,79 @@ window.monacoEditorInterop = {
         return null;
     },
 
-    // Set editor value
-    setValue: function (editorId, value) {
+    // Set editor value. Returns whether the editor is in large-document mode afterwards.
+    // With silent set, the change is not echoed back through onValueChanged, for callers that already know the value.
+    setValue: function (editorId, value, silent) {
         const editor = this.editors[editorId];
-        if (editor) {
-            editor.setValue(value || '');
+        const model = editor ? editor.getModel() : null;
+        if (!model) {
+            return false;
+        }
+
+        const modelEntry = this.models[this.editorModelKeys[editorId]];
+        if (model.getValue() !== (value || '')) {
+            if (silent) {
+                this.settingValue[editorId] = true;
+            }
+            try {
+                if (modelEntry && modelEntry.awaitingInitialValue) {
+                    // The loaded content is not an edit: undoing must not empty the model again
+                    model.setValue(value || '');
+                } else if (modelEntry) {
+                    // Shared models keep their undo history
+                    this.replaceModelContent(model, value || '');
+                } else {
+                    editor.setValue(value || '');
+                }
+            } finally {
+                delete this.settingValue[editorId];
+            }
+        }
+
+        // The first value streamed into a new model is its saved state
+        if (modelEntry && modelEntry.awaitingInitialValue) {
+            modelEntry.awaitingInitialValue = false;
+            this.markClean(editorId);
+        }
+
+        return this.updateLargeDocumentMode(editorId);
+    },
+
+    // Start receiving a value from .NET in chunks, so a large body is not sent as one interop string.
+    // Starting a new upload abandons any earlier one; its remaining chunks are ignored by id.
+    beginValueUpload: function (editorId, uploadId) {
+        this.valueUploads[editorId] = { id: uploadId, chunks: [] };
+    },
+
+    // Receive the next chunk of the upload started with beginValueUpload
+    appendValueChunk: function (editorId, uploadId, chunk) {
+        const upload = this.valueUploads[editorId];
+        if (upload && upload.id === uploadId) {
+            upload.chunks.push(chunk);
+        }
+    },
+
+    // Apply the received chunks as the editor value, without echoing it back to .NET.
+    // Returns whether the editor is in large-document mode, or null when the upload was abandoned.
+    endValueUpload: function (editorId, uploadId) {
+        const upload = this.valueUploads[editorId];
+        if (!upload || upload.id !== uploadId) {
+            return null;
         }
+
+        delete this.valueUploads[editorId];
+        return this.setValue(editorId, upload.chunks.join(''), true);
     },
 
     // Set editor language
     setLanguage: function (editorId, language) {
+        // Plain-text large documents switch to the new language once they are small again
+        const largeDocument = this.largeDocuments[editorId];
+        if (largeDocument && largeDocument.language) {
+            largeDocument.language = language;
+            return;
+        }
+
         const editor = this.editors[editorId];
         if (editor) {
             const model = editor.getModel();
@@ -89,263 +437,4041 @@ window.monacoEditorInterop = {
         }
     },
 
-    // Update editor options
-    updateOptions: function (editorId, options) {
+    // Turn large-document mode on or off based on the size of the current content.
+    // The mode disables folding, hovers, inlay hints and other per-line features, limits tokenization
+    // and, for very large documents, drops syntax highlighting altogether.
+    updateLargeDocumentMode: function (editorId) {
         const editor = this.editors[editorId];
-        if (editor) {
-            editor.updateOptions(options);
+        const model = editor ? editor.getModel() : null;
+        if (!model) {
+            return false;
         }
-    },
 
-    // Register completion provider for GraphQL
-    registerGraphQLCompletionProvider: function (editorId, schemaJson) {
-        try {
-            // Dispose existing provider if any
-            if (this.completionProviders[editorId]) {
-                this.completionProviders[editorId].dispose();
-                delete this.completionProviders[editorId];
+        const thresholds = this.largeDocumentThresholds;
+        const size = model.getValueLength();
+        const isLarge = size >= thresholds.size || model.getLineCount() >= thresholds.lineCount;
+        const current = this.largeDocuments[editorId];
+
+        if (isLarge && !current) {
+            const options = {};
+            Object.keys(this.largeDocumentOptions).forEach(name => {
+                options[name] = editor.getOption(monaco.editor.EditorOption[name]);
+            });
+            this.largeDocuments[editorId] = { language: null, options: options };
+            editor.updateOptions(this.largeDocumentOptions);
+        } else if (!isLarge && current) {
+            editor.updateOptions(current.options);
+            if (current.language) {
+                monaco.editor.setModelLanguage(model, current.language);
             }
+            delete this.largeDocuments[editorId];
+        }
 
-            if (!schemaJson) {
-                return false;
+        const largeDocument = this.largeDocuments[editorId];
+        if (largeDocument) {
+            const isPlainText = size >= thresholds.plainTextSize;
+            if (isPlainText && !largeDocument.language) {
+                largeDocument.language = model.getLanguageId();
+                monaco.editor.setModelLanguage(model, 'plaintext');
+            } else if (!isPlainText && largeDocument.language) {
+                monaco.editor.setModelLanguage(model, largeDocument.language);
+                largeDocument.language = null;
             }
+        }
 
-            const schema = JSON.parse(schemaJson);
-            
-            // Extract types and fields from schema
-            const suggestions = this.buildSuggestionsFromSchema(schema);
+        return isLarge;
+    },
 
-            // Register completion provider
-            const provider = monaco.languages.registerCompletionItemProvider('graphql', {
-                triggerCharacters: ['{', ' ', '\n', '.'],
-                provideCompletionItems: (model, position) => {
-                    const word = model.getWordUntilPosition(position);
-                    const range = {
-                        startLineNumber: position.lineNumber,
-                        endLineNumber: position.lineNumber,
-                        startColumn: word.startColumn,
-                        endColumn: word.endColumn
-                    };
+    // Language of a model, ignoring the plain-text fallback of very large documents
+    getDocumentLanguage: function (model) {
+        const editorId = Object.keys(this.largeDocuments).find(id => this.editors[id] && this.editors[id].getModel() === model);
+        const largeDocument = editorId ? this.largeDocuments[editorId] : null;
+        return largeDocument && largeDocument.language ? largeDocument.language : model.getLanguageId();
+    },
 
-                    return {
-                        suggestions: suggestions.map(s => ({
-                            label: s.label,
-                            kind: s.kind,
-                            insertText: s.insertText,
-                            detail: s.detail,
-                            documentation: s.documentation,
-                            range: range
-                        }))
-                    };
-                }
-            });
+    // Attach a JSON Schema to an editor's model. Monaco's JSON worker then validates the content against it
+    // and completes property names and values. Schemas are matched by model URI, so they only apply to this
+    // editor (and the hidden copy used by registerJsonPlaceholderValidation).
+    setJsonSchema: function (editorId, schemaText) {
+        try {
+            if (!schemaText) {
+                this.clearJsonSchema(editorId);
+                return true;
+            }
 
-            this.completionProviders[editorId] = provider;
+            const editor = this.editors[editorId];
+            const model = editor ? editor.getModel() : null;
+            if (!model) {
+                return false;
+            }
+
+            this.jsonSchemas[editorId] = {
+                uri: `holyconnect://schemas/${encodeURIComponent(editorId)}.json`,
+                fileMatch: [model.uri.toString(), this.getJsonShadowUri(editorId).toString()],
+                schema: JSON.parse(schemaText)
+            };
+            this.updateJsonSchemas();
             return true;
         } catch (error) {
-            console.error('Error registering completion provider:', error);
+            console.error('Error setting JSON schema:', error);
             return false;
         }
     },
 
-    // Build suggestions from GraphQL schema
-    buildSuggestionsFromSchema: function (schema) {
-        const suggestions = [];
-
-        if (!schema || !schema.data || !schema.data.__schema) {
-            return suggestions;
+    clearJsonSchema: function (editorId) {
+        if (this.jsonSchemas[editorId]) {
+            delete this.jsonSchemas[editorId];
+            this.updateJsonSchemas();
         }
+    },
 
-        const schemaData = schema.data.__schema;
-        const types = schemaData.types || [];
-
-        // Add query type fields
-        if (schemaData.queryType) {
-            const queryType = types.find(t => t.name === schemaData.queryType.name);
-            if (queryType && queryType.fields) {
-                queryType.fields.forEach(field => {
-                    suggestions.push({
-                        label: field.name,
-                        kind: monaco.languages.CompletionItemKind.Field,
-                        insertText: this.buildFieldSnippet(field),
-                        detail: this.getFieldType(field.type),
-                        documentation: field.description || ''
-                    });
-                });
-            }
-        }
+    // jsonDefaults holds one global list of schemas, so rebuild it from the schemas of all editors
+    updateJsonSchemas: function () {
+        const jsonDefaults = monaco.languages.json.jsonDefaults;
+        jsonDefaults.setDiagnosticsOptions({
+            ...jsonDefaults.diagnosticsOptions,
+            validate: true,
+            enableSchemaRequest: false,
+            schemas: Object.values(this.jsonSchemas)
+        });
+    },
 
-        // Add mutation type fields
-        if (schemaData.mutationType) {
-            const mutationType = types.find(t => t.name === schemaData.mutationType.name);
-            if (mutationType && mutationType.fields) {
-                mutationType.fields.forEach(field => {
-                    suggestions.push({
-                        label: field.name,
-                        kind: monaco.languages.CompletionItemKind.Method,
-                        insertText: this.buildFieldSnippet(field),
-                        detail: this.getFieldType(field.type),
-                        documentation: field.description || ''
-                    });
-                });
-            }
-        }
+    getJsonShadowUri: function (editorId) {
+        return monaco.Uri.parse(`inmemory://holyconnect-validation/${encodeURIComponent(editorId)}.json`);
+    },
 
-        // Add subscription type fields
-        if (schemaData.subscriptionType) {
-            const subscriptionType = types.find(t => t.name === schemaData.subscriptionType.name);
-            if (subscriptionType && subscriptionType.fields) {
-                subscriptionType.fields.forEach(field => {
-                    suggestions.push({
-                        label: field.name,
-                        kind: monaco.languages.CompletionItemKind.Event,
-                        insertText: this.buildFieldSnippet(field),
-                        detail: this.getFieldType(field.type),
-                        documentation: field.description || ''
-                    });
-                });
-            }
-        }
+    // {{ variable }} placeholders are not valid JSON, so Monaco's JSON worker reports syntax errors around
+    // them (and schema errors for strings such as "{{ id }}" where a number is expected). A hidden copy of
+    // the model, with unquoted placeholders replaced by null padded to the same length, is validated
+    // instead; its markers are shown on the editor's model, minus those that point into a placeholder.
+    registerJsonPlaceholderValidation: function (editorId) {
+        try {
+            this.disposeJsonPlaceholderValidation(editorId);
 
-        // Add type fields for all object types
-        types.forEach(type => {
-            if (type.kind === 'OBJECT' && type.fields) {
-                type.fields.forEach(field => {
-                    suggestions.push({
-                        label: `${type.name}.${field.name}`,
-                        kind: monaco.languages.CompletionItemKind.Property,
-                        insertText: field.name,
-                        detail: this.getFieldType(field.type),
-                        documentation: field.description || `Field from ${type.name}`
-                    });
-                });
+            const editor = this.editors[editorId];
+            const model = editor ? editor.getModel() : null;
+            if (!model) {
+                return false;
             }
-        });
-
-        return suggestions;
-    },
 
-    // Build field snippet with arguments
-    buildFieldSnippet: function (field) {
-        if (!field.args || field.args.length === 0) {
-            return field.name;
-        }
+            const shadow = monaco.editor.createModel('', 'json', this.getJsonShadowUri(editorId));
+            const state = { model: model, shadow: shadow, active: false, disposables: [] };
+            this.jsonPlaceholderValidations[editorId] = state;
 
-        const args = field.args.map((arg, index) => {
-            const argType = this.getFieldType(arg.type);
-            return `${arg.name}: \${${index + 1}:${argType}}`;
-        }).join(', ');
+            const sync = () => {
+                const text = model.getValue();
+                // Without placeholders the worker's own markers are correct; large documents are not validated
+                state.active = model.getLanguageId() === 'json' && !this.largeDocuments[editorId] && text.includes('{{');
+                if (state.active) {
+                    shadow.setValue(this.maskJsonPlaceholders(text));
+                    this.applyJsonPlaceholderMarkers(state);
+                }
+            };
 
-        return `${field.name}(${args})`;
-    },
+            state.disposables.push(model.onDidChangeContent(sync));
+            state.disposables.push(model.onDidChangeLanguage(sync));
+            state.disposables.push(monaco.editor.onDidChangeMarkers(uris => {
+                const changed = uris.map(uri => uri.toString());
+                if (state.active && (changed.includes(model.uri.toString()) || changed.includes(shadow.uri.toString()))) {
+                    this.applyJsonPlaceholderMarkers(state);
+                }
+            }));
 
-    // Get field type as string
-    getFieldType: function (type) {
-        if (!type) return '';
-        
-        if (type.kind === 'NON_NULL') {
-            return this.getFieldType(type.ofType) + '!';
-        } else if (type.kind === 'LIST') {
-            return '[' + this.getFieldType(type.ofType) + ']';
-        } else {
-            return type.name || '';
+            sync();
+            return true;
+        } catch (error) {
+            console.error('Error registering JSON placeholder validation:', error);
+            return false;
         }
     },
 
-    // Register value change callback
-    onValueChanged: function (editorId, dotNetHelper) {
-        const editor = this.editors[editorId];
-        if (editor) {
-            editor.onDidChangeModelContent(() => {
-                const value = editor.getValue();
-                dotNetHelper.invokeMethodAsync('OnValueChanged', value);
-            });
+    disposeJsonPlaceholderValidation: function (editorId) {
+        const state = this.jsonPlaceholderValidations[editorId];
+        if (state) {
+            state.disposables.forEach(disposable => disposable.dispose());
+            state.shadow.dispose();
+            delete this.jsonPlaceholderValidations[editorId];
         }
     },
 
-    // Dispose editor
-    disposeEditor: function (editorId) {
-        if (this.editors[editorId]) {
-            this.editors[editorId].dispose();
-            delete this.editors[editorId];
+    // Replace the worker's markers on the editor model with those of the hidden copy
+    applyJsonPlaceholderMarkers: function (state) {
+        const { model, shadow } = state;
+        if (model.isDisposed() || shadow.getValueLength() !== model.getValueLength()) {
+            return;
         }
 
-        if (this.completionProviders[editorId]) {
-            this.completionProviders[editorId].dispose();
-            delete this.completionProviders[editorId];
-        }
+        const spans = this.findJsonPlaceholderSpans(model.getValue());
+        const markers = monaco.editor.getModelMarkers({ owner: 'json', resource: shadow.uri })
+            .filter(marker => {
+                const offset = shadow.getOffsetAt({ lineNumber: marker.startLineNumber, column: marker.startColumn });
+                return !spans.some(span => offset >= span.start && offset < span.end);
+            })
+            .map(marker => ({
+                severity: marker.severity,
+                message: marker.message,
+                source: marker.source,
+                code: marker.code,
+                startLineNumber: marker.startLineNumber,
+                startColumn: marker.startColumn,
+                endLineNumber: marker.endLineNumber,
+                endColumn: marker.endColumn
+            }));
 
-        if (this.hoverProviders[editorId]) {
-            this.hoverProviders[editorId].dispose();
-            delete this.hoverProviders[editorId];
+        // Setting markers raises onDidChangeMarkers again, so only write when something differs
+        const key = marker => `${marker.startLineNumber}:${marker.startColumn}:${marker.endLineNumber}:${marker.endColumn}:${marker.message}`;
+        const current = monaco.editor.getModelMarkers({ owner: 'json', resource: model.uri }).map(key).join('\n');
+        if (current !== markers.map(key).join('\n')) {
+            monaco.editor.setModelMarkers(model, 'json', markers);
         }
+    },
 
-        if (this.inlayHintsProviders[editorId]) {
-            this.inlayHintsProviders[editorId].dispose();
-            delete this.inlayHintsProviders[editorId];
+    // Find {{ }} placeholders in JSON text: unquoted ones ({ "id": {{id}} }) and strings that contain one
+    // ("{{token}}", "Bearer {{token}}"). Returns [{ start, end, quoted }] offsets.
+    findJsonPlaceholderSpans: function (text) {
+        const spans = [];
+        let pos = 0;
+        while (pos < text.length) {
+            if (text[pos] === '"') {
+                const start = pos++;
+                while (pos < text.length && text[pos] !== '"' && text[pos] !== '\n') {
+                    pos += text[pos] === '\\' ? 2 : 1;
+                }
+                pos++;
+                if (/\{\{[^{}]*\}\}/.test(text.substring(start, pos))) {
+                    spans.push({ start: start, end: Math.min(pos, text.length), quoted: true });
+                }
+            } else if (text[pos] === '{' && text[pos + 1] === '{') {
+                const close = text.indexOf('}}', pos + 2);
+                const newline = text.indexOf('\n', pos);
+                if (close === -1 || (newline !== -1 && newline < close)) {
+                    pos += 2;
+                    continue;
+                }
+                spans.push({ start: pos, end: close + 2, quoted: false });
+                pos = close + 2;
+            } else {
+                pos++;
+            }
         }
+        return spans;
     },
 
-    // Trigger suggestions
-    triggerSuggest: function (editorId) {
-        const editor = this.editors[editorId];
-        if (editor) {
-            editor.trigger('keyboard', 'editor.action.triggerSuggest', {});
-        }
+    // Replace unquoted placeholders with null padded to the same length, so positions stay the same
+    maskJsonPlaceholders: function (text) {
+        let masked = '';
+        let last = 0;
+        this.findJsonPlaceholderSpans(text).filter(span => !span.quoted).forEach(span => {
+            masked += text.substring(last, span.start) + 'null'.padEnd(span.end - span.start, ' ');
+            last = span.end;
+        });
+        return masked + text.substring(last);
     },
 
-    // Format document
-    formatDocument: function (editorId) {
+    // Update editor options
+    updateOptions: function (editorId, options) {
         const editor = this.editors[editorId];
         if (editor) {
-            editor.getAction('editor.action.formatDocument').run();
+            editor.updateOptions(options);
         }
     },
 
-    // Register variable hover provider
-    registerVariableHoverProvider: function (editorId, dotNetHelper) {
+    // Use an introspection result for an editor's completions, validation and hovers. Editors with the same
+    // schema share one parsed index, and all GraphQL models are served by one language-level provider.
+    registerGraphQLCompletionProvider: function (editorId, schemaJson) {
         try {
-            // Dispose existing provider if any
-            if (this.hoverProviders[editorId]) {
-                this.hoverProviders[editorId].dispose();
-                delete this.hoverProviders[editorId];
+            if (!schemaJson) {
+                this.releaseGraphQLSchema(editorId);
+                return false;
             }
 
-            if (!dotNetHelper) {
+            if (!this.acquireGraphQLSchema(editorId, schemaJson)) {
                 return false;
             }
 
-            const editor = this.editors[editorId];
-            if (!editor) {
-                return false;
+            this.ensureGraphQLCompletionProvider();
+
+            // Re-check the current document now that the schema is known
+            if (this.validationListeners[editorId]) {
+                this.validateGraphQLEditor(editorId);
             }
 
-            const model = editor.getModel();
-            if (!model) {
+            // Linked variables editors can now use the schema's input types
+            this.attachGraphQLVariablesLinks(editorId);
+
+            return true;
+        } catch (error) {
+            console.error('Error registering completion provider:', error);
+            return false;
+        }
+    },
+
+    // Point an editor at the registry entry for a schema, parsing it only if no other editor has yet
+    acquireGraphQLSchema: function (editorId, schemaJson) {
+        const key = this.findGraphQLSchemaKey(schemaJson);
+        if (this.graphQLEditorSchemas[editorId] === key) {
+            return true;
+        }
+
+        let entry = this.graphQLSchemaRegistry[key];
+        if (!entry) {
+            const schemaIndex = this.indexGraphQLSchema(JSON.parse(schemaJson));
+            if (!schemaIndex) {
+                this.releaseGraphQLSchema(editorId);
                 return false;
             }
+            entry = { hash: this.hashString(schemaJson), schemaJson: schemaJson, schemaIndex: schemaIndex, editorIds: new Set() };
+            this.graphQLSchemaRegistry[key] = entry;
+        }
 
-            // Register hover provider for the specific model language
-            const provider = monaco.languages.registerHoverProvider(model.getLanguageId(), {
-                provideHover: async function (hoverModel, position) {
-                    // Only provide hover for this specific editor's model
-                    if (model !== hoverModel) {
-                        return null;
-                    }
+        this.releaseGraphQLSchema(editorId);
+        entry.editorIds.add(editorId);
+        this.graphQLEditorSchemas[editorId] = key;
+        return true;
+    },
 
-                    // Check if we're hovering over a variable pattern {{ variableName }}
-                    const line = hoverModel.getLineContent(position.lineNumber);
-                    const beforeCursor = line.substring(0, position.column - 1);
-                    const afterCursor = line.substring(position.column - 1);
-                    
-                    // Look for {{ and }} around the cursor position
-                    const variablePattern = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
-                    let match;
-                    let foundVariable = null;
-                    
-                    // Search for variable patterns in the line
-                    while ((match = variablePattern.exec(line)) !== null) {
-                        const matchStart = match.index + 1; // +1 for 1-based column
+    // Registry key of the entry holding this exact schema, or a free key for it. A 32-bit hash can collide,
+    // so entries with the same hash but other JSON get a numbered suffix. Released entries leave gaps in
+    // the suffixes, so the whole chain is searched before a free key is picked.
+    findGraphQLSchemaKey: function (schemaJson) {
+        const hash = this.hashString(schemaJson);
+        const existing = Object.keys(this.graphQLSchemaRegistry).find(key =>
+            this.graphQLSchemaRegistry[key].hash === hash && this.graphQLSchemaRegistry[key].schemaJson === schemaJson);
+        if (existing) {
+            return existing;
+        }
+
+        let key = hash;
+        for (let suffix = 1; this.graphQLSchemaRegistry[key]; suffix++) {
+            key = `${hash}-${suffix}`;
+        }
+        return key;
+    },
+
+    // Drop an editor's reference to its schema; the last reference frees the schema, and the provider
+    // once no schema is left
+    releaseGraphQLSchema: function (editorId) {
+        const key = this.graphQLEditorSchemas[editorId];
+        if (key === undefined) {
+            return;
+        }
+        delete this.graphQLEditorSchemas[editorId];
+
+        const entry = this.graphQLSchemaRegistry[key];
+        if (entry) {
+            entry.editorIds.delete(editorId);
+            if (entry.editorIds.size === 0) {
+                delete this.graphQLSchemaRegistry[key];
+            }
+        }
+
+        if (Object.keys(this.graphQLSchemaRegistry).length === 0 && this.graphQLCompletionProvider) {
+            this.graphQLCompletionProvider.dispose();
+            this.graphQLCompletionProvider = null;
+        }
+    },
+
+    // Parsed schema used by an editor, or undefined when none has been loaded
+    getGraphQLSchema: function (editorId) {
+        const entry = this.graphQLSchemaRegistry[this.graphQLEditorSchemas[editorId]];
+        return entry ? entry.schemaIndex : undefined;
+    },
+
+    // Parsed schema of the editor showing a model, looked up by the model's URI
+    getGraphQLSchemaForModel: function (model) {
+        const editorId = this.getEditorIdForModel(model, Object.keys(this.graphQLEditorSchemas));
+        return editorId ? this.getGraphQLSchema(editorId) : undefined;
+    },
+
+    ensureGraphQLCompletionProvider: function () {
+        if (this.graphQLCompletionProvider) {
+            return;
+        }
+
+        this.graphQLCompletionProvider = monaco.languages.registerCompletionItemProvider('graphql', {
+            triggerCharacters: ['{', ' ', '\n', '.', '(', ':', '@', '$'],
+            provideCompletionItems: (model, position) => {
+                const schemaIndex = this.getGraphQLSchemaForModel(model);
+                if (!schemaIndex) {
+                    return { suggestions: [] };
+                }
+
+                // Inside an unclosed {{ the variable completion provider takes over
+                const linePrefix = model.getLineContent(position.lineNumber).substring(0, position.column - 1);
+                if (this.matchOpenVariable(linePrefix)) {
+                    return { suggestions: [] };
+                }
+
+                const word = model.getWordUntilPosition(position);
+                const range = {
+                    startLineNumber: position.lineNumber,
+                    endLineNumber: position.lineNumber,
+                    startColumn: word.startColumn,
+                    endColumn: word.endColumn
+                };
+
+                // Resolve what is valid at the start of the word being typed
+                const offset = model.getOffsetAt({ lineNumber: position.lineNumber, column: word.startColumn });
+                const tokens = this.tokenizeGraphQL(model.getValue());
+                const context = this.resolveGraphQLContext(schemaIndex, tokens, offset);
+
+                return {
+                    suggestions: this.buildGraphQLCompletions(schemaIndex, context, tokens, range)
+                };
+            }
+        });
+    },
+
+    // 32-bit FNV-1a hash of a string, as 8 hex digits
+    hashString: function (text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    },
+
+    // Index an introspection result by type name for fast lookups
+    indexGraphQLSchema: function (schema) {
+        if (!schema || !schema.data || !schema.data.__schema) {
+            return null;
+        }
+
+        const schemaData = schema.data.__schema;
+        const types = {};
+        (schemaData.types || []).forEach(type => {
+            if (type && type.name) {
+                types[type.name] = type;
+            }
+        });
+
+        const directives = {};
+        (schemaData.directives || []).forEach(directive => {
+            if (directive && directive.name) {
+                directives[directive.name] = directive;
+            }
+        });
+
+        return {
+            types: types,
+            directives: directives,
+            queryType: schemaData.queryType ? schemaData.queryType.name : null,
+            mutationType: schemaData.mutationType ? schemaData.mutationType.name : null,
+            subscriptionType: schemaData.subscriptionType ? schemaData.subscriptionType.name : null
+        };
+    },
+
+    // Split a GraphQL document into tokens, skipping whitespace, commas and (unless keepComments) comments.
+    // {{ variable }} placeholders are kept as single 'template' tokens.
+    tokenizeGraphQL: function (text, keepComments) {
+        const tokens = [];
+        const length = text.length;
+        let i = 0;
+
+        while (i < length) {
+            const ch = text[i];
+
+            if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r' || ch === ',' || ch === '\uFEFF') {
+                i++;
+                continue;
+            }
+
+            const start = i;
+
+            if (ch === '#') {
+                while (i < length && text[i] !== '\n') {
+                    i++;
+                }
+                if (keepComments) {
+                    tokens.push({ kind: 'comment', value: text.substring(start, i).trimEnd(), start: start, end: i });
+                }
+                continue;
+            }
+
+            if (ch === '{' && text[i + 1] === '{') {
+                const close = text.indexOf('}}', i + 2);
+                i = close === -1 ? length : close + 2;
+                tokens.push({ kind: 'template', value: text.substring(start, i), start: start, end: i });
+                continue;
+            }
+
+            if (ch === '"') {
+                const isBlock = text.startsWith('"""', i);
+                i += isBlock ? 3 : 1;
+                while (i < length) {
+                    if (text[i] === '\\') {
+                        i += 2;
+                        continue;
+                    }
+                    if (isBlock ? text.startsWith('"""', i) : text[i] === '"') {
+                        i += isBlock ? 3 : 1;
+                        break;
+                    }
+                    if (!isBlock && text[i] === '\n') {
+                        break;
+                    }
+                    i++;
+                }
+                tokens.push({ kind: 'string', value: text.substring(start, i), start: start, end: i });
+                continue;
+            }
+
+            if (ch === '.' && text.startsWith('...', i)) {
+                i += 3;
+                tokens.push({ kind: 'spread', value: '...', start: start, end: i });
+                continue;
+            }
+
+            if (ch === '$' || /[_A-Za-z]/.test(ch)) {
+                i++;
+                while (i < length && /[_0-9A-Za-z]/.test(text[i])) {
+                    i++;
+                }
+                tokens.push({ kind: ch === '$' ? 'variable' : 'name', value: text.substring(start, i), start: start, end: i });
+                continue;
+            }
+
+            if (ch === '-' || /[0-9]/.test(ch)) {
+                i++;
+                while (i < length && /[0-9.eE+\-]/.test(text[i])) {
+                    i++;
+                }
+                tokens.push({ kind: 'number', value: text.substring(start, i), start: start, end: i });
+                continue;
+            }
+
+            i++;
+            tokens.push({ kind: 'punct', value: ch, start: start, end: i });
+        }
+
+        return tokens;
+    },
+
+    // Unwrap NON_NULL and LIST wrappers down to the named type
+    getNamedTypeName: function (typeRef) {
+        let current = typeRef;
+        while (current && (current.kind === 'NON_NULL' || current.kind === 'LIST')) {
+            current = current.ofType;
+        }
+        return current ? current.name : null;
+    },
+
+    // Get the element type of a list type reference, ignoring NON_NULL wrappers
+    getListItemType: function (typeRef) {
+        let current = typeRef;
+        if (current && current.kind === 'NON_NULL') {
+            current = current.ofType;
+        }
+        return current && current.kind === 'LIST' ? current.ofType : null;
+    },
+
+    // Find a field definition (including __typename) on an object or interface type
+    findGraphQLField: function (schemaIndex, typeName, fieldName) {
+        if (fieldName === '__typename') {
+            return { name: '__typename', args: [], type: { kind: 'NON_NULL', ofType: { kind: 'SCALAR', name: 'String' } } };
+        }
+
+        const type = typeName ? schemaIndex.types[typeName] : null;
+        if (!type || !type.fields) {
+            return null;
+        }
+
+        return type.fields.find(f => f.name === fieldName) || null;
+    },
+
+    // Walk the tokens before the offset and describe the position the cursor is in.
+    // Tracks selection sets (with fragments and inline fragments), argument lists,
+    // input objects and lists so the parent type is known at every nesting level.
+    resolveGraphQLContext: function (schemaIndex, tokens, offset) {
+        const root = { kind: 'document', rootType: null, expect: null };
+        const stack = [root];
+        const variableNames = [];
+
+        // Helpers for frames that hold input values (arguments and input objects)
+        const inputFrame = (kind, inputValues) => ({ kind: kind, inputValues: inputValues || [], used: [], current: null, valueType: null });
+        const pushValue = (frame, token) => {
+            const valueType = frame.valueType;
+            frame.valueType = null;
+            if (token.value === '{') {
+                const inputType = schemaIndex.types[this.getNamedTypeName(valueType)];
+                stack.push(inputFrame('object', inputType ? inputType.inputFields : []));
+                return true;
+            }
+            if (token.value === '[') {
+                stack.push({ kind: 'list', itemType: this.getListItemType(valueType) });
+                return true;
+            }
+            return token.kind !== 'punct';
+        };
+
+        for (let i = 0; i < tokens.length; i++) {
+            // Tokens reaching past the offset include the word being typed, which is not context
+            const token = tokens[i];
+            if (token.end > offset) {
+                break;
+            }
+
+            const frame = stack[stack.length - 1];
+            const value = token.value;
+
+            switch (frame.kind) {
+                case 'document':
+                    if (frame.expect === 'operationName' && token.kind === 'name') {
+                        frame.expect = null;
+                    } else if (frame.expect === 'fragmentName') {
+                        frame.expect = 'on';
+                    } else if (frame.expect === 'on' && value === 'on') {
+                        frame.expect = 'typeCondition';
+                    } else if (frame.expect === 'typeCondition' && token.kind === 'name') {
+                        frame.rootType = value;
+                        frame.expect = null;
+                    } else if (frame.expect === 'directive') {
+                        frame.directive = value;
+                        frame.expect = null;
+                    } else if (value === 'query' || value === 'mutation' || value === 'subscription') {
+                        frame.rootType = schemaIndex[value + 'Type'];
+                        frame.expect = 'operationName';
+                    } else if (value === 'fragment') {
+                        frame.expect = 'fragmentName';
+                    } else if (value === '@') {
+                        frame.expect = 'directive';
+                    } else if (value === '(') {
+                        const directive = frame.directive ? schemaIndex.directives[frame.directive] : null;
+                        stack.push(directive ? inputFrame('arguments', directive.args) : { kind: 'variables', expectType: false });
+                        frame.directive = null;
+                        frame.expect = null;
+                    } else if (value === '{') {
+                        stack.push({ kind: 'selection', type: frame.rootType || schemaIndex.queryType, lastField: null });
+                        frame.rootType = null;
+                        frame.directive = null;
+                        frame.expect = null;
+                    }
+                    break;
+
+                case 'variables':
+                    if (token.kind === 'variable') {
+                        variableNames.push(value);
+                        frame.expectType = false;
+                    } else if (value === ':') {
+                        frame.expectType = true;
+                    } else if (value === '=' || (token.kind === 'name' && frame.expectType)) {
+                        frame.expectType = false;
+                    } else if (value === ')') {
+                        stack.pop();
+                    }
+                    break;
+
+                case 'selection':
+                    if (frame.expect === 'directive') {
+                        frame.directive = value;
+                        frame.expect = null;
+                    } else if (frame.expect === 'spread') {
+                        // "... on Type", "... {" or a named fragment spread
+                        frame.expect = value === 'on' ? 'typeCondition' : null;
+                        frame.inlineType = value === '{' || value === '@' ? frame.type : null;
+                        frame.lastField = null;
+                        if (value === '{') {
+                            stack.push({ kind: 'selection', type: frame.inlineType, lastField: null });
+                            frame.inlineType = null;
+                        } else if (value === '@') {
+                            frame.expect = 'directive';
+                        }
+                    } else if (frame.expect === 'typeCondition') {
+                        frame.inlineType = value;
+                        frame.expect = null;
+                    } else if (token.kind === 'spread') {
+                        frame.expect = 'spread';
+                    } else if (value === '@') {
+                        frame.expect = 'directive';
+                    } else if (value === '(') {
+                        let args = [];
+                        if (frame.directive) {
+                            const directive = schemaIndex.directives[frame.directive];
+                            args = directive ? directive.args : [];
+                        } else {
+                            const field = this.findGraphQLField(schemaIndex, frame.type, frame.lastField);
+                            args = field ? field.args : [];
+                        }
+                        frame.directive = null;
+                        stack.push(inputFrame('arguments', args));
+                    } else if (value === '{') {
+                        let nestedType = frame.inlineType;
+                        if (!nestedType) {
+                            const field = this.findGraphQLField(schemaIndex, frame.type, frame.lastField);
+                            nestedType = field ? this.getNamedTypeName(field.type) : null;
+                        }
+                        frame.inlineType = null;
+                        frame.directive = null;
+                        stack.push({ kind: 'selection', type: nestedType, lastField: null });
+                    } else if (value === '}') {
+                        stack.pop();
+                    } else if (token.kind === 'name') {
+                        // An alias is followed by ':' and then the real field name, which replaces it here
+                        frame.lastField = value;
+                        frame.directive = null;
+                    }
+                    break;
+
+                case 'arguments':
+                case 'object':
+                    if (frame.valueType !== null) {
+                        pushValue(frame, token);
+                    } else if (value === ':' && frame.current) {
+                        const inputValue = frame.inputValues.find(v => v.name === frame.current);
+                        frame.valueType = inputValue ? inputValue.type : undefined;
+                        frame.used.push(frame.current);
+                        frame.current = null;
+                    } else if (token.kind === 'name') {
+                        frame.current = value;
+                    } else if ((value === ')' && frame.kind === 'arguments') || (value === '}' && frame.kind === 'object')) {
+                        stack.pop();
+                    }
+                    break;
+
+                case 'list':
+                    if (value === ']') {
+                        stack.pop();
+                    } else {
+                        frame.valueType = frame.itemType;
+                        pushValue(frame, token);
+                    }
+                    break;
+            }
+        }
+
+        const frame = stack[stack.length - 1];
+        const context = { kind: 'none', frame: frame, variableNames: variableNames };
+
+        switch (frame.kind) {
+            case 'document':
+                if (frame.expect === 'typeCondition') {
+                    context.kind = 'typeCondition';
+                } else if (frame.expect === 'directive') {
+                    context.kind = 'directive';
+                } else if (frame.expect === 'on') {
+                    context.kind = 'on';
+                } else if (frame.expect === null) {
+                    context.kind = 'keyword';
+                }
+                break;
+            case 'variables':
+                context.kind = frame.expectType ? 'inputType' : 'none';
+                break;
+            case 'selection':
+                if (frame.expect === 'typeCondition') {
+                    context.kind = 'typeCondition';
+                    context.parentType = frame.type;
+                } else if (frame.expect === 'spread') {
+                    context.kind = 'spread';
+                    context.parentType = frame.type;
+                } else if (frame.expect === 'directive') {
+                    context.kind = 'directive';
+                } else {
+                    context.kind = 'field';
+                    context.parentType = frame.type;
+                }
+                break;
+            case 'arguments':
+            case 'object':
+                if (frame.valueType !== null) {
+                    context.kind = 'value';
+                    context.valueType = frame.valueType;
+                } else {
+                    context.kind = frame.kind === 'arguments' ? 'argument' : 'inputField';
+                    context.inputValues = frame.inputValues.filter(v => frame.used.indexOf(v.name) === -1);
+                }
+                break;
+            case 'list':
+                context.kind = 'value';
+                context.valueType = frame.itemType;
+                break;
+        }
+
+        return context;
+    },
+
+    // Build completion items for a resolved context
+    buildGraphQLCompletions: function (schemaIndex, context, tokens, range) {
+        const kinds = monaco.languages.CompletionItemKind;
+        const suggestions = [];
+        const add = (label, kind, insertText, detail, documentation, extra) => {
+            suggestions.push(Object.assign({
+                label: label,
+                kind: kind,
+                insertText: insertText,
+                detail: detail || '',
+                documentation: documentation || '',
+                range: range
+            }, extra || {}));
+        };
+        const deprecation = (item) => item.isDeprecated
+            ? { tags: [monaco.languages.CompletionItemTag.Deprecated], sortText: '1' + item.name }
+            : { sortText: '0' + item.name };
+
+        switch (context.kind) {
+            case 'keyword':
+                ['query', 'mutation', 'subscription', 'fragment'].forEach(keyword => {
+                    add(keyword, kinds.Keyword, keyword);
+                });
+                break;
+
+            case 'on':
+                add('on', kinds.Keyword, 'on');
+                break;
+
+            case 'field': {
+                const type = schemaIndex.types[context.parentType];
+                if (type && type.fields) {
+                    type.fields.forEach(field => {
+                        add(field.name, kinds.Field, this.buildFieldSnippet(field), this.getFieldType(field.type), field.description,
+                            Object.assign({ insertTextRules: monaco.languages.CompletionItemInsertTextRule.InsertAsSnippet }, deprecation(field)));
+                    });
+                }
+                if (type) {
+                    add('__typename', kinds.Field, '__typename', 'String!', 'The name of the current object type', { sortText: '2__typename' });
+                }
+                break;
+            }
+
+            case 'spread': {
+                add('on', kinds.Keyword, 'on');
+                const parentType = context.parentType;
+                this.getGraphQLFragments(tokens).forEach(fragment => {
+                    if (!parentType || this.isGraphQLTypeApplicable(schemaIndex, parentType, fragment.typeCondition)) {
+                        add(fragment.name, kinds.Reference, fragment.name, `fragment on ${fragment.typeCondition}`);
+                    }
+                });
+                break;
+            }
+
+            case 'typeCondition':
+                Object.keys(schemaIndex.types).forEach(name => {
+                    const type = schemaIndex.types[name];
+                    const isComposite = type.kind === 'OBJECT' || type.kind === 'INTERFACE' || type.kind === 'UNION';
+                    if (isComposite && !name.startsWith('__') &&
+                        (!context.parentType || this.isGraphQLTypeApplicable(schemaIndex, context.parentType, name))) {
+                        add(name, kinds.Class, name, type.kind, type.description);
+                    }
+                });
+                break;
+
+            case 'inputType':
+                Object.keys(schemaIndex.types).forEach(name => {
+                    const type = schemaIndex.types[name];
+                    if ((type.kind === 'SCALAR' || type.kind === 'ENUM' || type.kind === 'INPUT_OBJECT') && !name.startsWith('__')) {
+                        add(name, kinds.Class, name, type.kind, type.description);
+                    }
+                });
+                break;
+
+            case 'directive':
+                Object.keys(schemaIndex.directives).forEach(name => {
+                    const directive = schemaIndex.directives[name];
+                    add(name, kinds.Function, name, 'directive', directive.description);
+                });
+                break;
+
+            case 'argument':
+            case 'inputField':
+                context.inputValues.forEach(inputValue => {
+                    const typeString = this.getFieldType(inputValue.type);
+                    add(inputValue.name, kinds.Property, `${inputValue.name}: `, typeString, inputValue.description,
+                        { sortText: (inputValue.type && inputValue.type.kind === 'NON_NULL' ? '0' : '1') + inputValue.name });
+                });
+                break;
+
+            case 'value': {
+                const typeName = this.getNamedTypeName(context.valueType);
+                const type = typeName ? schemaIndex.types[typeName] : null;
+                if (type && type.kind === 'ENUM' && !this.getListItemType(context.valueType)) {
+                    (type.enumValues || []).forEach(enumValue => {
+                        add(enumValue.name, kinds.EnumMember, enumValue.name, typeName, enumValue.description, deprecation(enumValue));
+                    });
+                } else if (typeName === 'Boolean' && !this.getListItemType(context.valueType)) {
+                    add('true', kinds.Value, 'true', 'Boolean');
+                    add('false', kinds.Value, 'false', 'Boolean');
+                }
+                context.variableNames.forEach(variableName => {
+                    add(variableName, kinds.Variable, variableName, 'variable');
+                });
+                break;
+            }
+        }
+
+        return suggestions;
+    },
+
+    // Collect fragment definitions declared anywhere in the document
+    getGraphQLFragments: function (tokens) {
+        const fragments = [];
+        for (let i = 0; i + 3 < tokens.length; i++) {
+            if (tokens[i].value === 'fragment' && tokens[i + 1].kind === 'name' && tokens[i + 2].value === 'on') {
+                fragments.push({ name: tokens[i + 1].value, typeCondition: tokens[i + 3].value, token: tokens[i + 1] });
+            }
+        }
+        return fragments;
+    },
+
+    // Check whether a fragment on typeName can be spread inside parentTypeName
+    isGraphQLTypeApplicable: function (schemaIndex, parentTypeName, typeName) {
+        if (parentTypeName === typeName) {
+            return true;
+        }
+
+        const possibleTypes = (name) => {
+            const type = schemaIndex.types[name];
+            if (!type) {
+                return [name];
+            }
+            if (type.kind === 'INTERFACE' || type.kind === 'UNION') {
+                return (type.possibleTypes || []).map(t => t.name);
+            }
+            return [name];
+        };
+
+        const parentPossible = possibleTypes(parentTypeName);
+        return possibleTypes(typeName).some(name => parentPossible.indexOf(name) !== -1);
+    },
+
+    // Parse a complete GraphQL document into a lightweight AST with source offsets.
+    // Throws { syntaxError: true, message, start, end } on the first syntax error.
+    parseGraphQL: function (text) {
+        const tokens = this.tokenizeGraphQL(text);
+        let pos = 0;
+
+        const peek = () => tokens[pos];
+        const last = () => tokens[pos - 1];
+        const describe = (token) => token ? `"${token.value}"` : '<EOF>';
+        const fail = (message, token) => {
+            throw {
+                syntaxError: true,
+                message: `Syntax Error: ${message}`,
+                start: token ? token.start : text.length,
+                end: token ? token.end : text.length
+            };
+        };
+        const isPunct = (value) => pos < tokens.length && tokens[pos].kind === 'punct' && tokens[pos].value === value;
+        const isName = (value) => pos < tokens.length && tokens[pos].kind === 'name' && (value === undefined || tokens[pos].value === value);
+        const expectPunct = (value) => {
+            if (!isPunct(value)) {
+                fail(`Expected "${value}", found ${describe(peek())}.`, peek());
+            }
+            return tokens[pos++];
+        };
+        const expectName = () => {
+            if (!isName()) {
+                fail(`Expected Name, found ${describe(peek())}.`, peek());
+            }
+            return tokens[pos++];
+        };
+        // Parse "open item+ close", requiring at least one item
+        const many = (open, parseItem, close) => {
+            expectPunct(open);
+            const items = [parseItem()];
+            while (!isPunct(close)) {
+                if (pos >= tokens.length) {
+                    fail(`Expected "${close}", found <EOF>.`, null);
+                }
+                items.push(parseItem());
+            }
+            pos++;
+            return items;
+        };
+
+        const parseType = () => {
+            const start = peek();
+            let type;
+            if (isPunct('[')) {
+                pos++;
+                const ofType = parseType();
+                expectPunct(']');
+                type = { kind: 'list', ofType: ofType, start: start.start, end: last().end };
+            } else {
+                const name = expectName();
+                type = { kind: 'named', name: name, start: name.start, end: name.end };
+            }
+            if (isPunct('!')) {
+                pos++;
+                type = { kind: 'nonNull', ofType: type, start: type.start, end: last().end };
+            }
+            return type;
+        };
+
+        const parseValue = () => {
+            const token = peek();
+            if (!token) {
+                fail('Unexpected <EOF>.', null);
+            }
+
+            if (isPunct('[')) {
+                pos++;
+                const values = [];
+                while (!isPunct(']')) {
+                    if (pos >= tokens.length) {
+                        fail('Expected "]", found <EOF>.', null);
+                    }
+                    values.push(parseValue());
+                }
+                pos++;
+                return { kind: 'list', values: values, start: token.start, end: last().end };
+            }
+
+            if (isPunct('{')) {
+                pos++;
+                const fields = [];
+                while (!isPunct('}')) {
+                    const name = expectName();
+                    expectPunct(':');
+                    fields.push({ name: name, value: parseValue() });
+                }
+                pos++;
+                return { kind: 'object', fields: fields, start: token.start, end: last().end };
+            }
+
+            pos++;
+            const node = { token: token, start: token.start, end: token.end };
+            switch (token.kind) {
+                case 'variable':
+                    node.kind = 'variable';
+                    break;
+                case 'template':
+                    node.kind = 'template';
+                    break;
+                case 'string':
+                    node.kind = 'string';
+                    break;
+                case 'number':
+                    node.kind = /^-?\d+$/.test(token.value) ? 'int' : 'float';
+                    break;
+                case 'name':
+                    node.kind = token.value === 'true' || token.value === 'false'
+                        ? 'boolean'
+                        : token.value === 'null' ? 'null' : 'enum';
+                    break;
+                default:
+                    fail(`Unexpected ${describe(token)}.`, token);
+            }
+            return node;
+        };
+
+        const parseArguments = () => {
+            if (!isPunct('(')) {
+                return [];
+            }
+            return many('(', () => {
+                const name = expectName();
+                expectPunct(':');
+                return { name: name, value: parseValue() };
+            }, ')');
+        };
+
+        const parseDirectives = () => {
+            const directives = [];
+            while (isPunct('@')) {
+                pos++;
+                const name = expectName();
+                directives.push({ name: name, arguments: parseArguments() });
+            }
+            return directives;
+        };
+
+        let parseSelectionSet;
+
+        const parseSelection = () => {
+            const start = peek();
+
+            if (start && start.kind === 'spread') {
+                pos++;
+                if (isName() && peek().value !== 'on') {
+                    const name = expectName();
+                    return { kind: 'fragmentSpread', name: name, directives: parseDirectives(), start: start.start, end: last().end };
+                }
+                let typeCondition = null;
+                if (isName('on')) {
+                    pos++;
+                    typeCondition = expectName();
+                }
+                const directives = parseDirectives();
+                const selectionSet = parseSelectionSet();
+                return { kind: 'inlineFragment', typeCondition: typeCondition, directives: directives, selectionSet: selectionSet, start: start.start, end: last().end };
+            }
+
+            let alias = null;
+            let name = expectName();
+            if (isPunct(':')) {
+                pos++;
+                alias = name;
+                name = expectName();
+            }
+
+            const args = parseArguments();
+            const directives = parseDirectives();
+            const selectionSet = isPunct('{') ? parseSelectionSet() : null;
+            return { kind: 'field', alias: alias, name: name, arguments: args, directives: directives, selectionSet: selectionSet, start: start.start, end: last().end };
+        };
+
+        parseSelectionSet = () => {
+            const start = peek();
+            const selections = many('{', parseSelection, '}');
+            return { selections: selections, start: start.start, end: last().end };
+        };
+
+        const parseDefinition = () => {
+            const start = peek();
+
+            if (isPunct('{')) {
+                const selectionSet = parseSelectionSet();
+                return { kind: 'operation', operation: 'query', name: null, variableDefinitions: [], directives: [], selectionSet: selectionSet, start: start.start, end: last().end };
+            }
+
+            if (isName('query') || isName('mutation') || isName('subscription')) {
+                pos++;
+                const name = isName() ? expectName() : null;
+                const variableDefinitions = isPunct('(')
+                    ? many('(', () => {
+                        const variable = peek();
+                        if (!variable || variable.kind !== 'variable') {
+                            fail(`Expected "$", found ${describe(variable)}.`, variable);
+                        }
+                        pos++;
+                        expectPunct(':');
+                        const type = parseType();
+                        let defaultValue = null;
+                        if (isPunct('=')) {
+                            pos++;
+                            defaultValue = parseValue();
+                        }
+                        return { variable: variable, type: type, defaultValue: defaultValue, directives: parseDirectives() };
+                    }, ')')
+                    : [];
+                const directives = parseDirectives();
+                const selectionSet = parseSelectionSet();
+                return { kind: 'operation', operation: start.value, name: name, variableDefinitions: variableDefinitions, directives: directives, selectionSet: selectionSet, start: start.start, end: last().end };
+            }
+
+            if (isName('fragment')) {
+                pos++;
+                const name = expectName();
+                if (name.value === 'on') {
+                    fail('Unexpected Name "on".', name);
+                }
+                if (!isName('on')) {
+                    fail(`Expected "on", found ${describe(peek())}.`, peek());
+                }
+                pos++;
+                const typeCondition = expectName();
+                const directives = parseDirectives();
+                const selectionSet = parseSelectionSet();
+                return { kind: 'fragment', name: name, typeCondition: typeCondition, directives: directives, selectionSet: selectionSet, start: start.start, end: last().end };
+            }
+
+            fail(`Unexpected ${describe(start)}.`, start);
+        };
+
+        const definitions = [];
+        while (pos < tokens.length) {
+            definitions.push(parseDefinition());
+        }
+
+        return { definitions: definitions, tokens: tokens };
+    },
+
+    // Render a parsed type node (e.g. [ID!]!) back to a string
+    printGraphQLTypeNode: function (typeNode) {
+        if (typeNode.kind === 'nonNull') {
+            return this.printGraphQLTypeNode(typeNode.ofType) + '!';
+        }
+        if (typeNode.kind === 'list') {
+            return '[' + this.printGraphQLTypeNode(typeNode.ofType) + ']';
+        }
+        return typeNode.name.value;
+    },
+
+    // Convert a parsed type node to the introspection typeRef shape
+    toGraphQLTypeRef: function (schemaIndex, typeNode) {
+        if (typeNode.kind === 'nonNull') {
+            return { kind: 'NON_NULL', name: null, ofType: this.toGraphQLTypeRef(schemaIndex, typeNode.ofType) };
+        }
+        if (typeNode.kind === 'list') {
+            return { kind: 'LIST', name: null, ofType: this.toGraphQLTypeRef(schemaIndex, typeNode.ofType) };
+        }
+        const type = schemaIndex.types[typeNode.name.value];
+        return { kind: type ? type.kind : 'SCALAR', name: typeNode.name.value, ofType: null };
+    },
+
+    // Check whether a variable of varType may be used where locationType is expected
+    isGraphQLTypeCompatible: function (varType, locationType) {
+        if (!varType || !locationType) {
+            return true;
+        }
+        if (locationType.kind === 'NON_NULL') {
+            return varType.kind === 'NON_NULL' && this.isGraphQLTypeCompatible(varType.ofType, locationType.ofType);
+        }
+        if (varType.kind === 'NON_NULL') {
+            return this.isGraphQLTypeCompatible(varType.ofType, locationType);
+        }
+        if (locationType.kind === 'LIST') {
+            return varType.kind === 'LIST' && this.isGraphQLTypeCompatible(varType.ofType, locationType.ofType);
+        }
+        return varType.kind !== 'LIST' && varType.name === locationType.name;
+    },
+
+    // Validate a GraphQL document and return diagnostics as { message, severity, start, end } with offsets.
+    // Without a schema index only syntax errors and the document-level checks are reported.
+    validateGraphQL: function (schemaIndex, text) {
+        const diagnostics = [];
+        const error = (message, node) => diagnostics.push({ message: message, severity: 'error', start: node.start, end: node.end });
+        const warning = (message, node) => diagnostics.push({ message: message, severity: 'warning', start: node.start, end: node.end });
+
+        if (!text || !text.trim()) {
+            return diagnostics;
+        }
+
+        let documentNode;
+        try {
+            documentNode = this.parseGraphQL(text);
+        } catch (syntaxError) {
+            if (!syntaxError || !syntaxError.syntaxError) {
+                throw syntaxError;
+            }
+            diagnostics.push({ message: syntaxError.message, severity: 'error', start: syntaxError.start, end: syntaxError.end });
+            return diagnostics;
+        }
+
+        this.validateGraphQLDefinitions(documentNode, error, warning);
+
+        if (!schemaIndex) {
+            return diagnostics;
+        }
+
+        const fragments = {};
+        documentNode.definitions.filter(d => d.kind === 'fragment').forEach(fragment => {
+            fragments[fragment.name.value] = fragment;
+        });
+
+        // Check a literal value against an expected input typeRef, recording variable usages
+        const checkValue = (valueNode, typeRef, usages) => {
+            if (!typeRef || valueNode.kind === 'template') {
+                return;
+            }
+            if (valueNode.kind === 'variable') {
+                usages.push({ node: valueNode, name: valueNode.token.value, type: typeRef });
+                return;
+            }
+            const expected = this.getFieldType(typeRef);
+            if (typeRef.kind === 'NON_NULL') {
+                if (valueNode.kind === 'null') {
+                    error(`Expected value of type "${expected}", found null.`, valueNode);
+                    return;
+                }
+                checkValue(valueNode, typeRef.ofType, usages);
+                return;
+            }
+            if (valueNode.kind === 'null') {
+                return;
+            }
+            if (typeRef.kind === 'LIST') {
+                if (valueNode.kind === 'list') {
+                    valueNode.values.forEach(item => checkValue(item, typeRef.ofType, usages));
+                } else {
+                    checkValue(valueNode, typeRef.ofType, usages);
+                }
+                return;
+            }
+
+            const type = schemaIndex.types[typeRef.name];
+            if (!type) {
+                return;
+            }
+
+            const found = valueNode.kind === 'list' || valueNode.kind === 'object'
+                ? valueNode.kind
+                : valueNode.token.value;
+
+            if (type.kind === 'INPUT_OBJECT') {
+                if (valueNode.kind !== 'object') {
+                    error(`Expected value of type "${expected}", found ${found}.`, valueNode);
+                    return;
+                }
+                const inputFields = type.inputFields || [];
+                valueNode.fields.forEach(field => {
+                    const inputField = inputFields.find(f => f.name === field.name.value);
+                    if (!inputField) {
+                        error(`Field "${field.name.value}" is not defined by type "${type.name}".`, field.name);
+                    } else {
+                        checkValue(field.value, inputField.type, usages);
+                    }
+                });
+                inputFields.forEach(inputField => {
+                    if (inputField.type && inputField.type.kind === 'NON_NULL' && inputField.defaultValue == null &&
+                        !valueNode.fields.some(f => f.name.value === inputField.name)) {
+                        error(`Field "${type.name}.${inputField.name}" of required type "${this.getFieldType(inputField.type)}" was not provided.`, valueNode);
+                    }
+                });
+                return;
+            }
+
+            if (type.kind === 'ENUM') {
+                const isEnumValue = valueNode.kind === 'enum' &&
+                    (type.enumValues || []).some(v => v.name === valueNode.token.value);
+                if (!isEnumValue) {
+                    error(`Value ${found} does not exist in "${type.name}" enum.`, valueNode);
+                }
+                return;
+            }
+
+            const scalarKinds = {
+                Int: ['int'],
+                Float: ['int', 'float'],
+                String: ['string'],
+                Boolean: ['boolean'],
+                ID: ['int', 'string']
+            };
+            const accepted = scalarKinds[type.name];
+            if (accepted && accepted.indexOf(valueNode.kind) === -1) {
+                error(`${type.name} cannot represent value: ${found}`, valueNode);
+            }
+        };
+
+        // Check arguments passed to a field or directive against its definition
+        const checkArguments = (argumentNodes, definitions, ownerNode, ownerLabel, usages) => {
+            argumentNodes.forEach(argumentNode => {
+                const definition = definitions.find(d => d.name === argumentNode.name.value);
+                if (!definition) {
+                    error(`Unknown argument "${argumentNode.name.value}" on ${ownerLabel}.`, argumentNode.name);
+                } else {
+                    checkValue(argumentNode.value, definition.type, usages);
+                }
+            });
+            definitions.forEach(definition => {
+                if (definition.type && definition.type.kind === 'NON_NULL' && definition.defaultValue == null &&
+                    !argumentNodes.some(a => a.name.value === definition.name)) {
+                    error(`${ownerLabel.charAt(0).toUpperCase() + ownerLabel.slice(1)} argument "${definition.name}" of type "${this.getFieldType(definition.type)}" is required, but it was not provided.`, ownerNode);
+                }
+            });
+        };
+
+        const checkDirectives = (directiveNodes, usages) => {
+            directiveNodes.forEach(directiveNode => {
+                const directive = schemaIndex.directives[directiveNode.name.value];
+                if (!directive) {
+                    error(`Unknown directive "@${directiveNode.name.value}".`, directiveNode.name);
+                    return;
+                }
+                checkArguments(directiveNode.arguments, directive.args || [], directiveNode.name, `directive "@${directive.name}"`, usages);
+            });
+        };
+
+        // Walk a selection set, returning the variable usages and fragment spreads found in it
+        const checkSelectionSet = (selectionSet, typeName, usages, spreads) => {
+            const parentType = typeName ? schemaIndex.types[typeName] : null;
+
+            selectionSet.selections.forEach(selection => {
+                checkDirectives(selection.directives, usages);
+
+                if (selection.kind === 'fragmentSpread') {
+                    if (!fragments[selection.name.value]) {
+                        error(`Unknown fragment "${selection.name.value}".`, selection.name);
+                    } else {
+                        spreads.push(selection.name.value);
+                    }
+                    return;
+                }
+
+                if (selection.kind === 'inlineFragment') {
+                    let fragmentType = typeName;
+                    if (selection.typeCondition) {
+                        fragmentType = selection.typeCondition.value;
+                        if (!schemaIndex.types[fragmentType]) {
+                            error(`Unknown type "${fragmentType}".`, selection.typeCondition);
+                            fragmentType = null;
+                        }
+                    }
+                    checkSelectionSet(selection.selectionSet, fragmentType, usages, spreads);
+                    return;
+                }
+
+                if (!parentType) {
+                    return;
+                }
+
+                const fieldName = selection.name.value;
+                const field = this.findGraphQLField(schemaIndex, typeName, fieldName);
+                if (!field) {
+                    error(`Cannot query field "${fieldName}" on type "${typeName}".`, selection.name);
+                    return;
+                }
+
+                checkArguments(selection.arguments, field.args || [], selection.name, `field "${typeName}.${fieldName}"`, usages);
+
+                const fieldTypeName = this.getNamedTypeName(field.type);
+                const fieldType = schemaIndex.types[fieldTypeName];
+                const isLeaf = !fieldType || fieldType.kind === 'SCALAR' || fieldType.kind === 'ENUM';
+                if (isLeaf && selection.selectionSet) {
+                    error(`Field "${fieldName}" must not have a selection since type "${this.getFieldType(field.type)}" has no subfields.`, selection.selectionSet);
+                } else if (!isLeaf && !selection.selectionSet) {
+                    error(`Field "${fieldName}" of type "${this.getFieldType(field.type)}" must have a selection of subfields.`, selection.name);
+                }
+
+                if (selection.selectionSet) {
+                    checkSelectionSet(selection.selectionSet, isLeaf ? null : fieldTypeName, usages, spreads);
+                }
+            });
+        };
+
+        // Validate fragments once and remember what each one uses
+        const fragmentInfo = {};
+        Object.keys(fragments).forEach(name => {
+            const fragment = fragments[name];
+            const usages = [];
+            const spreads = [];
+            checkDirectives(fragment.directives, usages);
+            let typeName = fragment.typeCondition.value;
+            if (!schemaIndex.types[typeName]) {
+                error(`Unknown type "${typeName}".`, fragment.typeCondition);
+                typeName = null;
+            }
+            checkSelectionSet(fragment.selectionSet, typeName, usages, spreads);
+            fragmentInfo[name] = { usages: usages, spreads: spreads };
+        });
+
+        // Collect variable usages from fragments reachable through spreads
+        const collectFragmentUsages = (spreads, visited, usages) => {
+            spreads.forEach(name => {
+                if (visited[name] || !fragmentInfo[name]) {
+                    return;
+                }
+                visited[name] = true;
+                fragmentInfo[name].usages.forEach(usage => usages.push(usage));
+                collectFragmentUsages(fragmentInfo[name].spreads, visited, usages);
+            });
+        };
+
+        documentNode.definitions.filter(d => d.kind === 'operation').forEach(operation => {
+            const rootTypeName = schemaIndex[operation.operation + 'Type'];
+            const operationLabel = operation.name ? `operation "${operation.name.value}"` : 'anonymous operation';
+            if (!rootTypeName) {
+                error(`Schema is not configured for ${operation.operation} operations.`, { start: operation.start, end: operation.start + operation.operation.length });
+                return;
+            }
+
+            const declared = {};
+            operation.variableDefinitions.forEach(definition => {
+                const name = definition.variable.value;
+                const namedType = schemaIndex.types[this.getNamedTypeName(this.toGraphQLTypeRef(schemaIndex, definition.type))];
+                if (declared[name]) {
+                    error(`There can be only one variable named "${name}".`, definition.variable);
+                }
+                if (!namedType) {
+                    error(`Unknown type "${this.printGraphQLTypeNode(definition.type)}".`, definition.type);
+                } else if (namedType.kind !== 'SCALAR' && namedType.kind !== 'ENUM' && namedType.kind !== 'INPUT_OBJECT') {
+                    error(`Variable "${name}" cannot be non-input type "${this.printGraphQLTypeNode(definition.type)}".`, definition.type);
+                }
+                declared[name] = { definition: definition, type: this.toGraphQLTypeRef(schemaIndex, definition.type), used: false };
+            });
+
+            const usages = [];
+            const spreads = [];
+            checkDirectives(operation.directives, usages);
+            checkSelectionSet(operation.selectionSet, rootTypeName, usages, spreads);
+            collectFragmentUsages(spreads, {}, usages);
+
+            usages.forEach(usage => {
+                const variable = declared[usage.name];
+                if (!variable) {
+                    error(`Variable "${usage.name}" is not defined by ${operationLabel}.`, usage.node);
+                    return;
+                }
+                variable.used = true;
+                // A default value lets a nullable variable satisfy a non-null position
+                const varType = variable.definition.defaultValue && variable.definition.defaultValue.kind !== 'null' && variable.type.kind !== 'NON_NULL'
+                    ? { kind: 'NON_NULL', name: null, ofType: variable.type }
+                    : variable.type;
+                if (!this.isGraphQLTypeCompatible(varType, usage.type)) {
+                    error(`Variable "${usage.name}" of type "${this.getFieldType(variable.type)}" used in position expecting type "${this.getFieldType(usage.type)}".`, usage.node);
+                }
+            });
+
+            Object.keys(declared).forEach(name => {
+                if (!declared[name].used) {
+                    warning(`Variable "${name}" is never used in ${operationLabel}.`, declared[name].definition.variable);
+                }
+            });
+        });
+
+        return diagnostics;
+    },
+
+    // Checks that do not need a schema: unique operation and fragment names, a lone anonymous operation
+    // and fragments that no operation uses
+    validateGraphQLDefinitions: function (documentNode, error, warning) {
+        const operations = documentNode.definitions.filter(d => d.kind === 'operation');
+        const fragments = documentNode.definitions.filter(d => d.kind === 'fragment');
+
+        const operationNames = {};
+        operations.forEach(operation => {
+            if (!operation.name) {
+                if (operations.length > 1) {
+                    const end = operation.selectionSet.start > operation.start ? operation.selectionSet.start : operation.start + 1;
+                    error('This anonymous operation must be the only defined operation.', { start: operation.start, end: end });
+                }
+                return;
+            }
+
+            const name = operation.name.value;
+            if (operationNames[name]) {
+                error(`There can be only one operation named "${name}".`, operation.name);
+            }
+            operationNames[name] = true;
+        });
+
+        const fragmentNames = {};
+        fragments.forEach(fragment => {
+            const name = fragment.name.value;
+            if (fragmentNames[name]) {
+                error(`There can be only one fragment named "${name}".`, fragment.name);
+            }
+            fragmentNames[name] = true;
+        });
+
+        this.findUnusedGraphQLFragments(documentNode).forEach(fragment => {
+            warning(`Fragment "${fragment.name.value}" is never used.`, fragment.name);
+        });
+    },
+
+    // Fragment definitions that no operation spreads, directly or through other fragments
+    findUnusedGraphQLFragments: function (documentNode) {
+        const fragments = documentNode.definitions.filter(d => d.kind === 'fragment');
+        const fragmentsByName = {};
+        fragments.forEach(fragment => {
+            fragmentsByName[fragment.name.value] = fragmentsByName[fragment.name.value] || fragment;
+        });
+
+        // Follow spreads from the operations, through fragments that spread other fragments
+        const used = {};
+        const pending = [];
+        documentNode.definitions
+            .filter(d => d.kind === 'operation')
+            .forEach(operation => this.collectGraphQLSpreads(operation.selectionSet, pending));
+        while (pending.length > 0) {
+            const name = pending.pop();
+            if (!used[name] && fragmentsByName[name]) {
+                used[name] = true;
+                this.collectGraphQLSpreads(fragmentsByName[name].selectionSet, pending);
+            }
+        }
+
+        return fragments.filter(fragment => !used[fragment.name.value]);
+    },
+
+    // Register the document structure features of a GraphQL editor: an outline (document symbols, shown by
+    // "Go to Symbol" / Ctrl+Shift+O), breadcrumbs reported to .NET through GraphQLBreadcrumbsChanged as the
+    // cursor moves, and, when runnable, "▶ Run" code lenses that call RunOperation with the operation name.
+    registerGraphQLOperationTools: function (editorId, dotNetHelper, runnable) {
+        try {
+            this.disposeGraphQLOperationTools(editorId);
+
+            const editor = this.editors[editorId];
+            const model = editor ? editor.getModel() : null;
+            if (!model || !dotNetHelper) {
+                return false;
+            }
+
+            // Parse once per model version; null while the document has syntax errors
+            let parsed = { versionId: -1, document: null };
+            const getDocument = () => {
+                if (parsed.versionId !== model.getVersionId()) {
+                    let document = null;
+                    try {
+                        document = this.parseGraphQL(model.getValue());
+                    } catch (error) {
+                        if (!error || !error.syntaxError) {
+                            console.error('Error parsing GraphQL document:', error);
+                        }
+                    }
+                    parsed = { versionId: model.getVersionId(), document: document };
+                }
+                return parsed.document;
+            };
+
+            const disposables = [];
+            const toRange = (start, end) => monaco.Range.fromPositions(model.getPositionAt(start), model.getPositionAt(end));
+
+            disposables.push(monaco.languages.registerDocumentSymbolProvider('graphql', {
+                displayName: 'GraphQL',
+                provideDocumentSymbols: (symbolModel) => {
+                    // Only provide symbols for this specific editor's model
+                    if (symbolModel !== model) {
+                        return [];
+                    }
+
+                    const document = getDocument();
+                    return document ? document.definitions.map(definition => this.toGraphQLDocumentSymbol(definition, toRange)) : [];
+                }
+            }));
+
+            if (runnable) {
+                const commandId = editor.addCommand(0, (accessor, operationName) => {
+                    dotNetHelper.invokeMethodAsync('RunOperation', operationName)
+                        .catch(error => console.error('Error running GraphQL operation:', error));
+                }, '');
+
+                disposables.push(monaco.languages.registerCodeLensProvider('graphql', {
+                    provideCodeLenses: (lensModel) => {
+                        // Only provide code lenses for this specific editor's model
+                        const document = lensModel === model ? getDocument() : null;
+                        if (!document) {
+                            return { lenses: [], dispose: () => { } };
+                        }
+
+                        const lenses = document.definitions
+                            .filter(definition => definition.kind === 'operation')
+                            .map(operation => {
+                                const line = model.getPositionAt(operation.start).lineNumber;
+                                const name = operation.name ? operation.name.value : null;
+                                return {
+                                    range: new monaco.Range(line, 1, line, 1),
+                                    command: {
+                                        id: commandId,
+                                        title: name ? `▶ Run ${name}` : '▶ Run',
+                                        arguments: [name]
+                                    }
+                                };
+                            });
+                        return { lenses: lenses, dispose: () => { } };
+                    }
+                }));
+            }
+
+            // Report the path to the cursor whenever it changes
+            let lastPath = null;
+            let timer = null;
+            const updateBreadcrumbs = () => {
+                const position = editor.getPosition();
+                const document = getDocument();
+                // Keep the last path while the document does not parse
+                if (!position || (!document && lastPath !== null)) {
+                    return;
+                }
+
+                const path = document ? this.getGraphQLBreadcrumbs(document, model.getOffsetAt(position)) : [];
+                const key = path.join('\u0000');
+                if (key !== lastPath) {
+                    lastPath = key;
+                    dotNetHelper.invokeMethodAsync('GraphQLBreadcrumbsChanged', path)
+                        .catch(error => console.error('Error reporting GraphQL breadcrumbs:', error));
+                }
+            };
+            disposables.push(editor.onDidChangeCursorPosition(() => {
+                clearTimeout(timer);
+                timer = setTimeout(updateBreadcrumbs, 100);
+            }));
+
+            this.graphQLOperationTools[editorId] = {
+                dispose: () => {
+                    clearTimeout(timer);
+                    disposables.forEach(disposable => disposable.dispose());
+                }
+            };
+
+            updateBreadcrumbs();
+            return true;
+        } catch (error) {
+            console.error('Error registering GraphQL operation tools:', error);
+            return false;
+        }
+    },
+
+    disposeGraphQLOperationTools: function (editorId) {
+        if (this.graphQLOperationTools[editorId]) {
+            this.graphQLOperationTools[editorId].dispose();
+            delete this.graphQLOperationTools[editorId];
+        }
+    },
+
+    // Label of a definition or selection as shown in the outline and breadcrumbs
+    getGraphQLNodeLabel: function (node) {
+        switch (node.kind) {
+            case 'operation':
+                return node.name ? `${node.operation} ${node.name.value}` : `${node.operation} (anonymous)`;
+            case 'fragment':
+                return `fragment ${node.name.value}`;
+            case 'field':
+                return node.alias ? `${node.alias.value}: ${node.name.value}` : node.name.value;
+            case 'inlineFragment':
+                return node.typeCondition ? `... on ${node.typeCondition.value}` : '...';
+            case 'fragmentSpread':
+                return `...${node.name.value}`;
+            default:
+                return '';
+        }
+    },
+
+    // Convert a parsed definition or selection to a Monaco document symbol, with its selections as children
+    toGraphQLDocumentSymbol: function (node, toRange) {
+        const kinds = {
+            operation: monaco.languages.SymbolKind.Function,
+            fragment: monaco.languages.SymbolKind.Class,
+            field: monaco.languages.SymbolKind.Field,
+            inlineFragment: monaco.languages.SymbolKind.Struct,
+            fragmentSpread: monaco.languages.SymbolKind.Constant
+        };
+        const nameNode = node.alias || node.name || node.typeCondition;
+        const range = toRange(node.start, node.end);
+
+        return {
+            name: this.getGraphQLNodeLabel(node),
+            detail: node.kind === 'fragment' ? `on ${node.typeCondition.value}` : '',
+            kind: kinds[node.kind],
+            tags: [],
+            range: range,
+            selectionRange: nameNode ? toRange(nameNode.start, nameNode.end) : range,
+            children: node.selectionSet
+                ? node.selectionSet.selections.map(selection => this.toGraphQLDocumentSymbol(selection, toRange))
+                : []
+        };
+    },
+
+    // Labels from the definition down to the innermost selection containing the offset
+    getGraphQLBreadcrumbs: function (document, offset) {
+        const path = [];
+        let nodes = document.definitions;
+
+        while (nodes) {
+            const node = nodes.find(n => offset >= n.start && offset <= n.end);
+            if (!node) {
+                break;
+            }
+            path.push(this.getGraphQLNodeLabel(node));
+            nodes = node.selectionSet ? node.selectionSet.selections : null;
+        }
+
+        return path;
+    },
+
+    // Names of the fragments spread anywhere inside a selection set
+    collectGraphQLSpreads: function (selectionSet, names) {
+        (selectionSet ? selectionSet.selections : []).forEach(selection => {
+            if (selection.kind === 'fragmentSpread') {
+                names.push(selection.name.value);
+            } else {
+                this.collectGraphQLSpreads(selection.selectionSet, names);
+            }
+        });
+        return names;
+    },
+
+    // Validate a GraphQL editor's content on every change and show the results as markers
+    registerGraphQLValidation: function (editorId) {
+        const editor = this.editors[editorId];
+        if (!editor) {
+            return false;
+        }
+
+        if (this.validationListeners[editorId]) {
+            this.validationListeners[editorId].dispose();
+        }
+
+        let timer = null;
+        const listener = editor.onDidChangeModelContent(() => {
+            clearTimeout(timer);
+            timer = setTimeout(() => this.validateGraphQLEditor(editorId), 300);
+        });
+
+        this.validationListeners[editorId] = {
+            dispose: () => {
+                clearTimeout(timer);
+                listener.dispose();
+            }
+        };
+
+        this.validateGraphQLEditor(editorId);
+
+        // A variables editor may have been linked before this editor existed
+        this.attachGraphQLVariablesLinks(editorId);
+        return true;
+    },
+
+    // Link a JSON variables editor to the GraphQL editor holding its operation. The variables are then
+    // validated and completed against a JSON Schema built from the operation's variable definitions and the
+    // schema's input types and enums, and "Generate Variables Skeleton" is added to the context menu.
+    // Either editor may be initialized first; the link attaches once both exist.
+    linkGraphQLVariablesEditor: function (variablesEditorId, queryEditorId) {
+        try {
+            this.unlinkGraphQLVariablesEditor(variablesEditorId);
+
+            this.graphQLVariableLinks[variablesEditorId] = {
+                queryEditorId: queryEditorId,
+                queryListener: null,
+                action: null,
+                timer: null
+            };
+            this.attachGraphQLVariablesLinks(queryEditorId);
+            return true;
+        } catch (error) {
+            console.error('Error linking GraphQL variables editor:', error);
+            return false;
+        }
+    },
+
+    unlinkGraphQLVariablesEditor: function (variablesEditorId) {
+        const link = this.graphQLVariableLinks[variablesEditorId];
+        if (!link) {
+            return;
+        }
+
+        this.detachGraphQLVariablesLink(link);
+        if (link.action) {
+            link.action.dispose();
+        }
+        delete this.graphQLVariableLinks[variablesEditorId];
+        this.clearJsonSchema(variablesEditorId);
+    },
+
+    // Attach the links of a GraphQL editor whose editors both exist, and refresh their schemas
+    attachGraphQLVariablesLinks: function (queryEditorId) {
+        Object.entries(this.graphQLVariableLinks)
+            .filter(([, link]) => link.queryEditorId === queryEditorId)
+            .forEach(([variablesEditorId, link]) => {
+                const queryEditor = this.editors[queryEditorId];
+                const variablesEditor = this.editors[variablesEditorId];
+                if (!queryEditor || !variablesEditor) {
+                    return;
+                }
+
+                if (!link.queryListener) {
+                    link.queryListener = queryEditor.onDidChangeModelContent(() => {
+                        clearTimeout(link.timer);
+                        link.timer = setTimeout(() => this.updateGraphQLVariablesSchema(variablesEditorId), 300);
+                    });
+                }
+
+                if (!link.action) {
+                    link.action = variablesEditor.addAction({
+                        id: 'holyconnect.generateGraphQLVariables',
+                        label: 'Generate Variables Skeleton',
+                        contextMenuGroupId: '1_modification',
+                        run: () => this.generateGraphQLVariablesSkeleton(variablesEditorId)
+                    });
+                }
+
+                this.updateGraphQLVariablesSchema(variablesEditorId);
+            });
+    },
+
+    // Stop following a GraphQL editor that is being disposed (the link itself stays with the variables editor)
+    detachGraphQLVariablesLink: function (link) {
+        clearTimeout(link.timer);
+        if (link.queryListener) {
+            link.queryListener.dispose();
+            link.queryListener = null;
+        }
+    },
+
+    // Find the operation the variables belong to: the only one, or the one around the cursor of the GraphQL editor
+    getGraphQLVariablesOperation: function (queryEditorId) {
+        const editor = this.editors[queryEditorId];
+        const model = editor ? editor.getModel() : null;
+        if (!model) {
+            return null;
+        }
+
+        let document;
+        try {
+            document = this.parseGraphQL(model.getValue());
+        } catch {
+            // Syntax errors are reported by the GraphQL editor; keep the previous schema until the query parses
+            return undefined;
+        }
+
+        const operations = document.definitions.filter(d => d.kind === 'operation');
+        if (operations.length <= 1) {
+            return operations[0] || null;
+        }
+
+        const position = editor.getPosition();
+        const offset = position ? model.getOffsetAt(position) : 0;
+        return operations.find(o => offset >= o.start && offset <= o.end) || operations[0];
+    },
+
+    updateGraphQLVariablesSchema: function (variablesEditorId) {
+        const link = this.graphQLVariableLinks[variablesEditorId];
+        if (!link || !this.editors[variablesEditorId]) {
+            return;
+        }
+
+        const operation = this.getGraphQLVariablesOperation(link.queryEditorId);
+        if (operation === undefined) {
+            return;
+        }
+
+        const schema = this.buildGraphQLVariablesSchema(this.getGraphQLSchema(link.queryEditorId), operation);
+        this.setJsonSchema(variablesEditorId, JSON.stringify(schema));
+    },
+
+    // Build a JSON Schema for the variables of an operation. Input objects and enums become definitions,
+    // so recursive input types are fine. Without a schema index only built-in scalars are typed.
+    buildGraphQLVariablesSchema: function (schemaIndex, operation) {
+        const index = schemaIndex || { types: {} };
+        const definitions = {};
+
+        const toSchema = (typeRef, description) => {
+            const schema = typeRef.kind === 'NON_NULL'
+                ? this.toGraphQLValueSchema(index, typeRef.ofType, definitions, toSchema)
+                : { anyOf: [this.toGraphQLValueSchema(index, typeRef, definitions, toSchema), { type: 'null' }] };
+            schema.description = description;
+            return schema;
+        };
+
+        const properties = {};
+        const required = [];
+        (operation ? operation.variableDefinitions : []).forEach(definition => {
+            const name = definition.variable.value.substring(1);
+            const typeRef = this.toGraphQLTypeRef(index, definition.type);
+            properties[name] = toSchema(typeRef, this.getFieldType(typeRef));
+            if (typeRef.kind === 'NON_NULL' && !definition.defaultValue) {
+                required.push(name);
+            }
+        });
+
+        return {
+            type: 'object',
+            properties: properties,
+            required: required,
+            additionalProperties: false,
+            definitions: definitions
+        };
+    },
+
+    // JSON Schema for a nullable-stripped GraphQL input type reference
+    toGraphQLValueSchema: function (schemaIndex, typeRef, definitions, toSchema) {
+        if (typeRef.kind === 'LIST') {
+            return { type: 'array', items: toSchema(typeRef.ofType, this.getFieldType(typeRef.ofType)) };
+        }
+
+        switch (typeRef.name) {
+            case 'Int': return { type: 'integer' };
+            case 'Float': return { type: 'number' };
+            case 'String': return { type: 'string' };
+            case 'Boolean': return { type: 'boolean' };
+            case 'ID': return { type: ['string', 'integer'] };
+        }
+
+        const type = schemaIndex.types[typeRef.name];
+        if (!type || (type.kind !== 'ENUM' && type.kind !== 'INPUT_OBJECT')) {
+            // Custom scalars accept any JSON value
+            return {};
+        }
+
+        if (!definitions[type.name]) {
+            if (type.kind === 'ENUM') {
+                definitions[type.name] = {
+                    enum: (type.enumValues || []).map(v => v.name),
+                    description: type.description || undefined
+                };
+            } else {
+                const definition = { type: 'object', properties: {}, required: [], additionalProperties: false, description: type.description || undefined };
+                // Register before recursing so self-referencing input types resolve to the same definition
+                definitions[type.name] = definition;
+                (type.inputFields || []).forEach(field => {
+                    const fieldType = this.getFieldType(field.type);
+                    definition.properties[field.name] = toSchema(field.type, field.description ? `${fieldType} - ${field.description}` : fieldType);
+                    if (field.type.kind === 'NON_NULL' && (field.defaultValue === null || field.defaultValue === undefined)) {
+                        definition.required.push(field.name);
+                    }
+                });
+            }
+        }
+
+        return { $ref: `#/definitions/${type.name}` };
+    },
+
+    // Fill the variables editor with every variable of the operation, keeping values that are already there.
+    // Input objects are expanded with all their fields so nested structures don't have to be typed by hand.
+    generateGraphQLVariablesSkeleton: function (variablesEditorId) {
+        try {
+            const link = this.graphQLVariableLinks[variablesEditorId];
+            const editor = this.editors[variablesEditorId];
+            const model = editor ? editor.getModel() : null;
+            if (!link || !model) {
+                return false;
+            }
+
+            const operation = this.getGraphQLVariablesOperation(link.queryEditorId);
+            if (!operation) {
+                return false;
+            }
+
+            // Only merge into valid JSON; anything else would be lost
+            const text = model.getValue();
+            let existing = {};
+            if (text.trim()) {
+                try {
+                    existing = JSON.parse(text);
+                } catch {
+                    return false;
+                }
+                if (!existing || typeof existing !== 'object' || Array.isArray(existing)) {
+                    return false;
+                }
+            }
+
+            const index = this.getGraphQLSchema(link.queryEditorId) || { types: {} };
+            const skeleton = {};
+            operation.variableDefinitions.forEach(definition => {
+                const name = definition.variable.value.substring(1);
+                const typeRef = this.toGraphQLTypeRef(index, definition.type);
+                skeleton[name] = this.createGraphQLSampleValue(index, typeRef, existing[name], []);
+            });
+
+            // Keep variables that are not declared (yet); validation marks them
+            Object.keys(existing).forEach(name => {
+                if (!(name in skeleton)) {
+                    skeleton[name] = existing[name];
+                }
+            });
+
+            editor.pushUndoStop();
+            editor.executeEdits('graphql-variables', [{ range: model.getFullModelRange(), text: JSON.stringify(skeleton, null, 2) }]);
+            editor.pushUndoStop();
+            return true;
+        } catch (error) {
+            console.error('Error generating variables skeleton:', error);
+            return false;
+        }
+    },
+
+    // Sample value for an input type: existing values win, nullable leaves become null and input objects are
+    // expanded (except when they recurse into a type that is already being expanded)
+    createGraphQLSampleValue: function (schemaIndex, typeRef, existing, expanding) {
+        const nonNull = typeRef.kind === 'NON_NULL';
+        const type = nonNull ? typeRef.ofType : typeRef;
+        const namedType = type.kind === 'LIST' ? null : schemaIndex.types[type.name];
+        const isInputObject = namedType && namedType.kind === 'INPUT_OBJECT';
+
+        if (existing !== undefined && !(isInputObject && existing && typeof existing === 'object' && !Array.isArray(existing))) {
+            return existing;
+        }
+
+        if (type.kind === 'LIST') {
+            return nonNull ? [this.createGraphQLSampleValue(schemaIndex, type.ofType, undefined, expanding)] : null;
+        }
+
+        if (isInputObject) {
+            if (expanding.includes(namedType.name)) {
+                return nonNull ? {} : null;
+            }
+
+            const value = {};
+            (namedType.inputFields || []).forEach(field => {
+                value[field.name] = this.createGraphQLSampleValue(
+                    schemaIndex, field.type, existing ? existing[field.name] : undefined, expanding.concat([namedType.name]));
+            });
+            return value;
+        }
+
+        if (!nonNull) {
+            return null;
+        }
+
+        switch (type.name) {
+            case 'Int': return 0;
+            case 'Float': return 0.0;
+            case 'Boolean': return false;
+            case 'String':
+            case 'ID': return '';
+        }
+
+        if (namedType && namedType.kind === 'ENUM' && namedType.enumValues && namedType.enumValues.length > 0) {
+            return namedType.enumValues[0].name;
+        }
+        return null;
+    },
+
+    // Run validation for an editor now and replace its markers
+    validateGraphQLEditor: function (editorId) {
+        const editor = this.editors[editorId];
+        const model = editor ? editor.getModel() : null;
+        if (!model) {
+            return;
+        }
+
+        try {
+            const diagnostics = this.validateGraphQL(this.getGraphQLSchema(editorId), model.getValue());
+            const markers = diagnostics.map(diagnostic => {
+                const start = model.getPositionAt(diagnostic.start);
+                const end = model.getPositionAt(Math.max(diagnostic.end, diagnostic.start + 1));
+                return {
+                    severity: diagnostic.severity === 'warning' ? monaco.MarkerSeverity.Warning : monaco.MarkerSeverity.Error,
+                    message: diagnostic.message,
+                    startLineNumber: start.lineNumber,
+                    startColumn: start.column,
+                    endLineNumber: end.lineNumber,
+                    endColumn: end.column
+                };
+            });
+            monaco.editor.setModelMarkers(model, 'graphql', markers);
+        } catch (error) {
+            console.error('Error validating GraphQL document:', error);
+        }
+    },
+
+    // Register schema hovers and go-to-type (Ctrl+click) for a GraphQL editor.
+    // Definitions resolve to read-only SDL models; opening one asks .NET to show the schema viewer.
+    registerGraphQLSchemaNavigation: function (editorId, dotNetHelper) {
+        try {
+            this.disposeGraphQLSchemaNavigation(editorId);
+
+            const editor = this.editors[editorId];
+            const model = editor ? editor.getModel() : null;
+            if (!model || !dotNetHelper) {
+                return false;
+            }
+
+            this.graphQLSchemaHelpers[editorId] = dotNetHelper;
+            this.registerGraphQLSchemaOpener();
+
+            const hoverProvider = monaco.languages.registerHoverProvider('graphql', {
+                provideHover: (hoverModel, position) => {
+                    const schemaIndex = this.getGraphQLSchema(editorId);
+                    if (model !== hoverModel || !schemaIndex) {
+                        return null;
+                    }
+
+                    const symbol = this.resolveGraphQLSymbol(schemaIndex, hoverModel.getValue(), hoverModel.getOffsetAt(position));
+                    const contents = symbol ? this.buildGraphQLSymbolDocumentation(schemaIndex, symbol) : null;
+                    if (!contents) {
+                        return null;
+                    }
+
+                    const start = hoverModel.getPositionAt(symbol.token.start);
+                    const end = hoverModel.getPositionAt(symbol.token.end);
+                    return {
+                        range: new monaco.Range(start.lineNumber, start.column, end.lineNumber, end.column),
+                        contents: contents
+                    };
+                }
+            });
+
+            const definitionProvider = monaco.languages.registerDefinitionProvider('graphql', {
+                provideDefinition: (definitionModel, position) => {
+                    const schemaIndex = this.getGraphQLSchema(editorId);
+                    if (model !== definitionModel || !schemaIndex) {
+                        return null;
+                    }
+
+                    const symbol = this.resolveGraphQLSymbol(schemaIndex, definitionModel.getValue(), definitionModel.getOffsetAt(position));
+                    const typeName = symbol ? this.getGraphQLSymbolTypeName(symbol) : null;
+                    const type = typeName ? schemaIndex.types[typeName] : null;
+                    if (!type || typeName.startsWith('__')) {
+                        return null;
+                    }
+
+                    const typeModel = this.getGraphQLSchemaTypeModel(editorId, type);
+                    const headerLine = typeModel.getLinesContent().findIndex(line => /^(type|interface|input|enum|union|scalar) /.test(line)) + 1 || 1;
+                    return {
+                        uri: typeModel.uri,
+                        range: new monaco.Range(headerLine, 1, headerLine, typeModel.getLineMaxColumn(headerLine))
+                    };
+                }
+            });
+
+            this.graphQLNavigationProviders[editorId] = [hoverProvider, definitionProvider];
+            return true;
+        } catch (error) {
+            console.error('Error registering GraphQL schema navigation:', error);
+            return false;
+        }
+    },
+
+    // Register the editor opener for schema type models once per page
+    registerGraphQLSchemaOpener: function () {
+        if (this.graphQLSchemaOpener || !monaco.editor.registerEditorOpener) {
+            return;
+        }
+
+        this.graphQLSchemaOpener = monaco.editor.registerEditorOpener({
+            openCodeEditor: (source, resource) => {
+                if (resource.scheme !== 'graphql-schema') {
+                    return false;
+                }
+
+                const dotNetHelper = this.graphQLSchemaHelpers[resource.authority];
+                if (dotNetHelper) {
+                    dotNetHelper.invokeMethodAsync('OpenSchemaType', resource.path.substring(1))
+                        .catch(error => console.error('Error opening schema type:', error));
+                }
+                return true;
+            }
+        });
+    },
+
+    // Get (or create) the read-only SDL model describing a schema type for an editor
+    getGraphQLSchemaTypeModel: function (editorId, type) {
+        const uri = monaco.Uri.from({ scheme: 'graphql-schema', authority: editorId, path: '/' + type.name });
+        const sdl = this.printGraphQLTypeDefinition(type);
+
+        let typeModel = monaco.editor.getModel(uri);
+        if (typeModel) {
+            if (typeModel.getValue() !== sdl) {
+                typeModel.setValue(sdl);
+            }
+            return typeModel;
+        }
+
+        typeModel = monaco.editor.createModel(sdl, 'graphql', uri);
+        (this.graphQLSchemaTypeModels[editorId] = this.graphQLSchemaTypeModels[editorId] || []).push(typeModel);
+        return typeModel;
+    },
+
+    // Dispose hover/definition providers and schema type models of an editor
+    disposeGraphQLSchemaNavigation: function (editorId) {
+        (this.graphQLNavigationProviders[editorId] || []).forEach(provider => provider.dispose());
+        delete this.graphQLNavigationProviders[editorId];
+
+        (this.graphQLSchemaTypeModels[editorId] || []).forEach(typeModel => typeModel.dispose());
+        delete this.graphQLSchemaTypeModels[editorId];
+
+        delete this.graphQLSchemaHelpers[editorId];
+    },
+
+    // Identify the schema element (field, argument, enum value, type or directive) at an offset
+    resolveGraphQLSymbol: function (schemaIndex, text, offset) {
+        const tokens = this.tokenizeGraphQL(text);
+        const index = tokens.findIndex(t => t.start <= offset && offset < t.end);
+        const token = index === -1 ? null : tokens[index];
+        if (!token || token.kind !== 'name') {
+            return null;
+        }
+
+        const context = this.resolveGraphQLContext(schemaIndex, tokens, token.start);
+        const next = tokens[index + 1];
+
+        switch (context.kind) {
+            case 'field': {
+                // An alias is followed by ':' and has no definition of its own
+                if (next && next.value === ':') {
+                    return null;
+                }
+                const field = this.findGraphQLField(schemaIndex, context.parentType, token.value);
+                return field ? { kind: 'field', token: token, parentType: context.parentType, field: field } : null;
+            }
+            case 'argument':
+            case 'inputField': {
+                const inputValue = context.frame.inputValues.find(v => v.name === token.value);
+                return inputValue ? { kind: 'argument', token: token, inputValue: inputValue } : null;
+            }
+            case 'value': {
+                const typeName = this.getNamedTypeName(context.valueType);
+                const type = typeName ? schemaIndex.types[typeName] : null;
+                const enumValue = type && type.kind === 'ENUM'
+                    ? (type.enumValues || []).find(v => v.name === token.value)
+                    : null;
+                return enumValue ? { kind: 'enumValue', token: token, type: type, enumValue: enumValue } : null;
+            }
+            case 'typeCondition':
+            case 'inputType': {
+                const type = schemaIndex.types[token.value];
+                return type ? { kind: 'type', token: token, type: type } : null;
+            }
+            case 'directive': {
+                const directive = schemaIndex.directives[token.value];
+                return directive ? { kind: 'directive', token: token, directive: directive } : null;
+            }
+        }
+
+        return null;
+    },
+
+    // Name of the type a symbol points at for go-to-definition
+    getGraphQLSymbolTypeName: function (symbol) {
+        switch (symbol.kind) {
+            case 'field':
+                return this.getNamedTypeName(symbol.field.type);
+            case 'argument':
+                return this.getNamedTypeName(symbol.inputValue.type);
+            case 'enumValue':
+            case 'type':
+                return symbol.type.name;
+        }
+        return null;
+    },
+
+    // Build markdown hover contents for a resolved schema symbol
+    buildGraphQLSymbolDocumentation: function (schemaIndex, symbol) {
+        const formatInputValue = (inputValue) => {
+            const defaultValue = inputValue.defaultValue != null ? ` = ${inputValue.defaultValue}` : '';
+            return `${inputValue.name}: ${this.getFieldType(inputValue.type)}${defaultValue}`;
+        };
+        const code = (source) => ({ value: '```graphql\n' + source + '\n```' });
+        const contents = [];
+        let element;
+
+        switch (symbol.kind) {
+            case 'field': {
+                element = symbol.field;
+                const args = element.args || [];
+                const signature = args.length === 0
+                    ? ''
+                    : '(\n' + args.map(arg => '  ' + formatInputValue(arg)).join('\n') + '\n)';
+                contents.push(code(`${symbol.parentType}.${element.name}${signature}: ${this.getFieldType(element.type)}`));
+                break;
+            }
+            case 'argument':
+                element = symbol.inputValue;
+                contents.push(code(formatInputValue(element)));
+                break;
+            case 'enumValue':
+                element = symbol.enumValue;
+                contents.push(code(`${symbol.type.name}.${element.name}`));
+                break;
+            case 'type': {
+                element = symbol.type;
+                const keywords = { OBJECT: 'type', INTERFACE: 'interface', INPUT_OBJECT: 'input', ENUM: 'enum', UNION: 'union' };
+                contents.push(code(`${keywords[element.kind] || 'scalar'} ${element.name}`));
+                break;
+            }
+            case 'directive':
+                element = symbol.directive;
+                contents.push(code(`@${element.name}${(element.args || []).length ? '(' + element.args.map(formatInputValue).join(', ') + ')' : ''}`));
+                break;
+            default:
+                return null;
+        }
+
+        if (element.description) {
+            contents.push({ value: element.description });
+        }
+
+        if (element.isDeprecated) {
+            contents.push({ value: `**Deprecated:** ${element.deprecationReason || 'No longer supported'}` });
+        }
+
+        return contents;
+    },
+
+    // Render a schema type as SDL for definition previews
+    printGraphQLTypeDefinition: function (type) {
+        const lines = [];
+        const description = (text, indent) => {
+            if (text) {
+                lines.push(`${indent}"""${text.replace(/"""/g, '\\"""')}"""`);
+            }
+        };
+        const deprecated = (item) => item.isDeprecated
+            ? ` @deprecated${item.deprecationReason ? `(reason: ${JSON.stringify(item.deprecationReason)})` : ''}`
+            : '';
+        const inputValue = (value) => `${value.name}: ${this.getFieldType(value.type)}${value.defaultValue != null ? ` = ${value.defaultValue}` : ''}`;
+
+        description(type.description, '');
+
+        switch (type.kind) {
+            case 'OBJECT':
+            case 'INTERFACE': {
+                const interfaces = (type.interfaces || []).map(i => i.name);
+                const keyword = type.kind === 'OBJECT' ? 'type' : 'interface';
+                lines.push(`${keyword} ${type.name}${interfaces.length ? ' implements ' + interfaces.join(' & ') : ''} {`);
+                (type.fields || []).forEach(field => {
+                    description(field.description, '  ');
+                    const args = (field.args || []).map(inputValue).join(', ');
+                    lines.push(`  ${field.name}${args ? `(${args})` : ''}: ${this.getFieldType(field.type)}${deprecated(field)}`);
+                });
+                lines.push('}');
+                break;
+            }
+            case 'INPUT_OBJECT':
+                lines.push(`input ${type.name} {`);
+                (type.inputFields || []).forEach(field => {
+                    description(field.description, '  ');
+                    lines.push(`  ${inputValue(field)}`);
+                });
+                lines.push('}');
+                break;
+            case 'ENUM':
+                lines.push(`enum ${type.name} {`);
+                (type.enumValues || []).forEach(value => {
+                    description(value.description, '  ');
+                    lines.push(`  ${value.name}${deprecated(value)}`);
+                });
+                lines.push('}');
+                break;
+            case 'UNION':
+                lines.push(`union ${type.name} = ${(type.possibleTypes || []).map(t => t.name).join(' | ')}`);
+                break;
+            default:
+                lines.push(`scalar ${type.name}`);
+        }
+
+        return lines.join('\n');
+    },
+
+    // Build field snippet with arguments
+    buildFieldSnippet: function (field) {
+        if (!field.args || field.args.length === 0) {
+            return field.name;
+        }
+
+        const args = field.args.map((arg, index) => {
+            const argType = this.getFieldType(arg.type);
+            return `${arg.name}: \${${index + 1}:${argType}}`;
+        }).join(', ');
+
+        return `${field.name}(${args})`;
+    },
+
+    // Get field type as string
+    getFieldType: function (type) {
+        if (!type) return '';
+        
+        if (type.kind === 'NON_NULL') {
+            return this.getFieldType(type.ofType) + '!';
+        } else if (type.kind === 'LIST') {
+            return '[' + this.getFieldType(type.ofType) + ']';
+        } else {
+            return type.name || '';
+        }
+    },
+
+    // Register value change callback
+    onValueChanged: function (editorId, dotNetHelper) {
+        const editor = this.editors[editorId];
+        if (editor) {
+            editor.onDidChangeModelContent(() => {
+                if (this.settingValue[editorId]) {
+                    return;
+                }
+
+                const value = editor.getValue();
+                dotNetHelper.invokeMethodAsync('OnValueChanged', value);
+            });
+        }
+    },
+
+    // Get the model stored under a key, creating it when it does not exist yet
+    acquireModel: function (modelKey, initialValue, language) {
+        let entry = this.models[modelKey];
+        if (entry && entry.model.isDisposed()) {
+            delete this.models[modelKey];
+            entry = null;
+        }
+
+        if (!entry) {
+            const model = monaco.editor.createModel(
+                initialValue || '',
+                language,
+                monaco.Uri.parse(`inmemory://holyconnect/${modelKey}`)
+            );
+            entry = {
+                model: model,
+                viewState: null,
+                savedVersionId: model.getAlternativeVersionId(),
+                awaitingInitialValue: initialValue === null || initialValue === undefined
+            };
+            this.models[modelKey] = entry;
+            return entry;
+        }
+
+        if (entry.model.getLanguageId() !== language) {
+            monaco.editor.setModelLanguage(entry.model, language);
+        }
+
+        if (initialValue !== null && initialValue !== undefined && entry.model.getValue() !== initialValue) {
+            this.replaceModelContent(entry.model, initialValue);
+        }
+
+        return entry;
+    },
+
+    // Replace the whole content of a model as one undoable edit
+    replaceModelContent: function (model, value) {
+        model.pushStackElement();
+        model.pushEditOperations([], [{ range: model.getFullModelRange(), text: value }], () => null);
+        model.pushStackElement();
+    },
+
+    // Remember the cursor, selection, scroll and folding of an editor with a keyed model
+    saveViewState: function (editorId) {
+        const editor = this.editors[editorId];
+        const modelEntry = this.models[this.editorModelKeys[editorId]];
+        if (!editor || !modelEntry) {
+            return false;
+        }
+
+        modelEntry.viewState = editor.saveViewState();
+        return true;
+    },
+
+    // Restore the view state saved for the keyed model of an editor
+    restoreViewState: function (editorId) {
+        const editor = this.editors[editorId];
+        const modelEntry = this.models[this.editorModelKeys[editorId]];
+        if (!editor || !modelEntry || !modelEntry.viewState) {
+            return false;
+        }
+
+        editor.restoreViewState(modelEntry.viewState);
+        return true;
+    },
+
+    // Report to .NET whether the keyed model of an editor differs from its last saved state.
+    // Undoing back to the saved state makes the model clean again.
+    registerDirtyStateCallback: function (editorId, dotNetHelper) {
+        try {
+            this.disposeDirtyTracker(editorId);
+
+            const editor = this.editors[editorId];
+            const modelEntry = this.models[this.editorModelKeys[editorId]];
+            if (!editor || !modelEntry || !dotNetHelper) {
+                return false;
+            }
+
+            const tracker = { isDirty: null, dotNetHelper: dotNetHelper, listener: null };
+            tracker.update = () => {
+                const isDirty = modelEntry.model.getAlternativeVersionId() !== modelEntry.savedVersionId;
+                if (isDirty !== tracker.isDirty) {
+                    tracker.isDirty = isDirty;
+                    dotNetHelper.invokeMethodAsync('DirtyStateChanged', isDirty)
+                        .catch(error => console.error('Error reporting dirty state:', error));
+                }
+            };
+            tracker.listener = modelEntry.model.onDidChangeContent(tracker.update);
+            this.dirtyTrackers[editorId] = tracker;
+
+            // Models reused from an earlier editor may already be dirty
+            tracker.update();
+            return true;
+        } catch (error) {
+            console.error('Error registering dirty state callback:', error);
+            return false;
+        }
+    },
+
+    // Mark the current content of the keyed model of an editor as saved
+    markClean: function (editorId) {
+        const modelKey = this.editorModelKeys[editorId];
+        if (!this.editors[editorId] || !this.models[modelKey]) {
+            return false;
+        }
+
+        this.markModelsClean(modelKey);
+        return true;
+    },
+
+    // Mark the keyed models whose key starts with a prefix as saved, including models of editors
+    // that have been disposed (e.g. "request/<id>/" after the request was saved on navigation)
+    markModelsClean: function (keyPrefix) {
+        Object.keys(this.models)
+            .filter(key => key.startsWith(keyPrefix))
+            .forEach(key => {
+                const modelEntry = this.models[key];
+                modelEntry.savedVersionId = modelEntry.model.getAlternativeVersionId();
+            });
+
+        Object.keys(this.dirtyTrackers)
+            .filter(editorId => (this.editorModelKeys[editorId] || '').startsWith(keyPrefix))
+            .forEach(editorId => this.dirtyTrackers[editorId].update());
+    },
+
+    // Dispose the dirty state listener of an editor
+    disposeDirtyTracker: function (editorId) {
+        const tracker = this.dirtyTrackers[editorId];
+        if (tracker) {
+            tracker.listener.dispose();
+            delete this.dirtyTrackers[editorId];
+        }
+    },
+
+    // Dispose the keyed models under a prefix whose owner is not in a list of ids, e.g. the models
+    // under "request/" of requests that were deleted, directly or with their collection.
+    // Models still shown by an editor are disposed when that editor is disposed.
+    disposeModelsExcept: function (keyPrefix, ownerIds) {
+        const retained = new Set(ownerIds || []);
+        const attachedKeys = new Set(Object.values(this.editorModelKeys));
+        Object.keys(this.models)
+            .filter(key => key.startsWith(keyPrefix) && !retained.has(key.slice(keyPrefix.length).split('/')[0]))
+            .forEach(key => {
+                if (attachedKeys.has(key)) {
+                    this.models[key].disposeWhenDetached = true;
+                    return;
+                }
+                this.models[key].model.dispose();
+                delete this.models[key];
+            });
+    },
+
+    // Dispose editor
+    disposeEditor: function (editorId) {
+        this.disposeMergeEditor(editorId);
+        this.disposeEditorCommands(editorId);
+        this.disposeResponsePathActions(editorId);
+        delete this.largeDocuments[editorId];
+        delete this.valueUploads[editorId];
+
+        // Keyed models outlive the editor, so remember where the user was
+        this.saveViewState(editorId);
+        this.disposeDirtyTracker(editorId);
+        const modelKey = this.editorModelKeys[editorId];
+        delete this.editorModelKeys[editorId];
+
+        if (this.responseQueries[editorId]) {
+            this.responseQueries[editorId].listener.dispose();
+            delete this.responseQueries[editorId];
+        }
+
+        // Diff editors do not dispose the models they were given
+        const diffModels = this.diffSources[editorId] && this.editors[editorId] ? this.editors[editorId].getModel() : null;
+        delete this.diffSources[editorId];
+
+        if (this.editors[editorId]) {
+            this.editors[editorId].dispose();
+            delete this.editors[editorId];
+        }
+
+        if (diffModels) {
+            diffModels.original.dispose();
+            diffModels.modified.dispose();
+        }
+
+        if (modelKey && this.models[modelKey] && this.models[modelKey].disposeWhenDetached
+            && !Object.values(this.editorModelKeys).includes(modelKey)) {
+            this.models[modelKey].model.dispose();
+            delete this.models[modelKey];
+        }
+
+        this.releaseGraphQLSchema(editorId);
+
+        this.unlinkGraphQLVariablesEditor(editorId);
+        Object.values(this.graphQLVariableLinks)
+            .filter(link => link.queryEditorId === editorId)
+            .forEach(link => this.detachGraphQLVariablesLink(link));
+
+        if (this.validationListeners[editorId]) {
+            this.validationListeners[editorId].dispose();
+            delete this.validationListeners[editorId];
+        }
+
+        this.disposeGraphQLSchemaNavigation(editorId);
+        this.disposeGraphQLOperationTools(editorId);
+        this.disposeGraphQLFormatting(editorId);
+
+        if (this.hoverProviders[editorId]) {
+            this.hoverProviders[editorId].dispose();
+            delete this.hoverProviders[editorId];
+        }
+
+        if (this.inlayHintsProviders[editorId]) {
+            this.inlayHintsProviders[editorId].dispose();
+            delete this.inlayHintsProviders[editorId];
+        }
+
+        if (this.variableCompletionProviders[editorId]) {
+            this.variableCompletionProviders[editorId].dispose();
+            delete this.variableCompletionProviders[editorId];
+        }
+
+        this.disposeVariableDiagnostics(editorId);
+        this.disposeVariableHighlighting(editorId);
+        this.disposeSecretRevealLenses(editorId);
+        this.disposeJsonPlaceholderValidation(editorId);
+        this.clearJsonSchema(editorId);
+
+        if (this.variableCaches[editorId]) {
+            this.hideSecretVariables(editorId, null, false);
+            this.variableCaches[editorId].onDidChange.dispose();
+            delete this.variableCaches[editorId];
+        }
+    },
+
+    // Register HolyConnect commands as Monaco actions, so their shortcuts work while the editor has focus
+    // and they show up in the command palette (F1). Commands run in .NET; a returned string replaces the
+    // text the command was given (the selection, or the whole document when nothing is selected).
+    registerEditorCommands: function (editorId, dotNetHelper, bindings) {
+        try {
+            this.disposeEditorCommands(editorId);
+
+            const editor = this.editors[editorId];
+            if (!editor || !dotNetHelper) {
+                return false;
+            }
+
+            this.editorCommands[editorId] = (bindings || []).map(binding => {
+                const keybinding = this.toMonacoKeybinding(binding.chords);
+                return editor.addAction({
+                    id: `holyconnect.${binding.commandId}`,
+                    label: binding.description,
+                    keybindings: keybinding !== null ? [keybinding] : [],
+                    contextMenuGroupId: binding.scope === 'Editor' ? '1_modification' : undefined,
+                    run: (actionEditor) => this.runEditorCommand(actionEditor, dotNetHelper, binding.commandId)
+                });
+            });
+            return true;
+        } catch (error) {
+            console.error('Error registering editor commands:', error);
+            return false;
+        }
+    },
+
+    // Dispose the command actions of an editor
+    disposeEditorCommands: function (editorId) {
+        (this.editorCommands[editorId] || []).forEach(action => action.dispose());
+        delete this.editorCommands[editorId];
+    },
+
+    // Run a command in .NET with the selected text and apply the returned replacement as one undoable edit
+    runEditorCommand: async function (editor, dotNetHelper, commandId) {
+        const model = editor.getModel();
+        if (!model) {
+            return;
+        }
+
+        const selection = editor.getSelection();
+        const hasSelection = !!selection && !selection.isEmpty();
+        const range = hasSelection ? selection : model.getFullModelRange();
+        const text = model.getValueInRange(range);
+
+        try {
+            const replacement = await dotNetHelper.invokeMethodAsync('ExecuteEditorCommand', commandId, text, hasSelection);
+            if (typeof replacement !== 'string' || replacement === text || model.isDisposed()) {
+                return;
+            }
+
+            if (editor.getOption(monaco.editor.EditorOption.readOnly)) {
+                return;
+            }
+
+            editor.pushUndoStop();
+            editor.executeEdits('holyconnect', [{ range: range, text: replacement, forceMoveMarkers: true }]);
+            editor.pushUndoStop();
+        } catch (error) {
+            console.error('Error running editor command:', error);
+        }
+    },
+
+    // Convert chords sent by KeyboardShortcutService into a Monaco keybinding (null if Monaco cannot express it)
+    toMonacoKeybinding: function (chords) {
+        if (!chords || chords.length === 0 || chords.length > 2) {
+            return null;
+        }
+
+        const parts = chords.map(chord => {
+            const keyCode = this.toMonacoKeyCode(chord.key);
+            if (keyCode === null) {
+                return null;
+            }
+
+            return keyCode |
+                (chord.ctrlKey ? monaco.KeyMod.CtrlCmd : 0) |
+                (chord.shiftKey ? monaco.KeyMod.Shift : 0) |
+                (chord.altKey ? monaco.KeyMod.Alt : 0);
+        });
+
+        if (parts.includes(null)) {
+            return null;
+        }
+
+        return parts.length === 2 ? monaco.KeyMod.chord(parts[0], parts[1]) : parts[0];
+    },
+
+    // Map a KeyboardEvent.key value (lower-cased) to a Monaco KeyCode
+    toMonacoKeyCode: function (key) {
+        const keyCode = monaco.KeyCode;
+
+        if (/^[a-z]$/.test(key)) {
+            return keyCode['Key' + key.toUpperCase()];
+        }
+
+        if (/^[0-9]$/.test(key)) {
+            return keyCode['Digit' + key];
+        }
+
+        if (/^f([1-9]|1[0-9])$/.test(key)) {
+            return keyCode[key.toUpperCase()];
+        }
+
+        const namedKeys = {
+            'enter': keyCode.Enter,
+            'escape': keyCode.Escape,
+            'tab': keyCode.Tab,
+            ' ': keyCode.Space,
+            'backspace': keyCode.Backspace,
+            'delete': keyCode.Delete,
+            'insert': keyCode.Insert,
+            'home': keyCode.Home,
+            'end': keyCode.End,
+            'pageup': keyCode.PageUp,
+            'pagedown': keyCode.PageDown,
+            'arrowup': keyCode.UpArrow,
+            'arrowdown': keyCode.DownArrow,
+            'arrowleft': keyCode.LeftArrow,
+            'arrowright': keyCode.RightArrow,
+            ',': keyCode.Comma,
+            '.': keyCode.Period,
+            '/': keyCode.Slash,
+            ';': keyCode.Semicolon,
+            '\'': keyCode.Quote,
+            '[': keyCode.BracketLeft,
+            ']': keyCode.BracketRight,
+            '\\': keyCode.Backslash,
+            '-': keyCode.Minus,
+            '=': keyCode.Equal,
+            '`': keyCode.Backquote
+        };
+
+        return namedKeys[key] !== undefined ? namedKeys[key] : null;
+    },
+
+    // Trigger suggestions
+    triggerSuggest: function (editorId) {
+        const editor = this.editors[editorId];
+        if (editor) {
+            editor.trigger('keyboard', 'editor.action.triggerSuggest', {});
+        }
+    },
+
+    // Register the GraphQL formatter for an editor. Options: { indentSize, printWidth }. Formatting goes through
+    // one provider for the graphql language that looks up the options of the editor showing the model; the
+    // editor also gets "Copy Minified Query" and "Strip Comments and Unused Fragments" actions.
+    registerGraphQLFormatting: function (editorId, dotNetHelper, options) {
+        try {
+            this.disposeGraphQLFormatting(editorId);
+
+            const editor = this.editors[editorId];
+            const model = editor ? editor.getModel() : null;
+            if (!model) {
+                return false;
+            }
+
+            const indentSize = options && options.indentSize > 0 ? options.indentSize : 2;
+            model.updateOptions({ tabSize: indentSize, indentSize: indentSize, insertSpaces: true });
+
+            const actions = [
+                editor.addAction({
+                    id: 'holyconnect.graphql.copyMinified',
+                    label: 'Copy Minified Query',
+                    contextMenuGroupId: '1_modification',
+                    run: () => {
+                        if (dotNetHelper) {
+                            dotNetHelper.invokeMethodAsync('CopyToClipboard', this.minifyGraphQL(model.getValue()))
+                                .catch(error => console.error('Error copying minified query:', error));
+                        }
+                    }
+                }),
+                editor.addAction({
+                    id: 'holyconnect.graphql.strip',
+                    label: 'Strip Comments and Unused Fragments',
+                    contextMenuGroupId: '1_modification',
+                    run: () => this.stripGraphQLEditor(editorId)
+                })
+            ];
+
+            this.graphQLFormatting[editorId] = {
+                printWidth: options && options.printWidth > 0 ? options.printWidth : 80,
+                actions: actions
+            };
+            this.ensureGraphQLFormattingProviders();
+            return true;
+        } catch (error) {
+            console.error('Error registering GraphQL formatting:', error);
+            return false;
+        }
+    },
+
+    // Dispose an editor's formatting actions, and the providers once no editor uses them
+    disposeGraphQLFormatting: function (editorId) {
+        const state = this.graphQLFormatting[editorId];
+        if (!state) {
+            return;
+        }
+
+        state.actions.forEach(action => action.dispose());
+        delete this.graphQLFormatting[editorId];
+
+        if (Object.keys(this.graphQLFormatting).length === 0 && this.graphQLFormattingProviders) {
+            this.graphQLFormattingProviders.forEach(provider => provider.dispose());
+            this.graphQLFormattingProviders = null;
+        }
+    },
+
+    ensureGraphQLFormattingProviders: function () {
+        if (this.graphQLFormattingProviders) {
+            return;
+        }
+
+        // Monaco passes the indentation of the model; the print width comes from the editor's options
+        const getFormatOptions = (model, formattingOptions) => {
+            const editorId = this.getEditorIdForModel(model, Object.keys(this.graphQLFormatting));
+            return {
+                indent: formattingOptions.insertSpaces ? ' '.repeat(formattingOptions.tabSize) : '\t',
+                printWidth: editorId ? this.graphQLFormatting[editorId].printWidth : 80
+            };
+        };
+        const replace = (model, start, end, text) => [{
+            range: monaco.Range.fromPositions(model.getPositionAt(start), model.getPositionAt(end)),
+            text: text
+        }];
+
+        this.graphQLFormattingProviders = [
+            monaco.languages.registerDocumentFormattingEditProvider('graphql', {
+                displayName: 'HolyConnect GraphQL',
+                provideDocumentFormattingEdits: (model, formattingOptions) => {
+                    const text = model.getValue();
+                    const formatted = this.formatGraphQL(text, getFormatOptions(model, formattingOptions));
+                    return formatted === null || formatted === text ? [] : replace(model, 0, text.length, formatted);
+                }
+            }),
+            monaco.languages.registerDocumentRangeFormattingEditProvider('graphql', {
+                displayName: 'HolyConnect GraphQL',
+                provideDocumentRangeFormattingEdits: (model, range, formattingOptions) => {
+                    // Whole top-level definitions are formatted, so the result is always valid on its own
+                    const text = model.getValue();
+                    const span = this.getGraphQLDefinitionSpan(text,
+                        model.getOffsetAt(range.getStartPosition()), model.getOffsetAt(range.getEndPosition()));
+                    if (!span) {
+                        return [];
+                    }
+
+                    const original = text.substring(span.start, span.end);
+                    const formatted = this.formatGraphQL(original, getFormatOptions(model, formattingOptions));
+                    return formatted === null || formatted === original ? [] : replace(model, span.start, span.end, formatted);
+                }
+            })
+        ];
+    },
+
+    // Id of the editor, among the candidates, that shows a model (compared by URI)
+    getEditorIdForModel: function (model, editorIds) {
+        const uri = model.uri.toString();
+        return editorIds.find(id => {
+            const editorModel = this.editors[id] ? this.editors[id].getModel() : null;
+            return editorModel && editorModel.uri.toString() === uri;
+        });
+    },
+
+    // Format GraphQL text, or return null when its braces do not balance. Options: { indent, printWidth }.
+    // Selection sets are indented one selection per line, arguments and variable definitions stay on one line
+    // unless that exceeds the print width, and top-level definitions are separated by a blank line.
+    // Comments, strings and {{ variable }} placeholders are kept as they are.
+    formatGraphQL: function (text, options) {
+        const indentUnit = (options && options.indent) || '  ';
+        const printWidth = (options && options.printWidth) || 80;
+        const tokens = this.tokenizeGraphQL(text, true);
+        const lines = [];
+        let line = '';
+        let depth = 0;
+        let previous = null;
+        let beforePrevious = null;
+        let blankLineBeforeNext = false;
+
+        const indent = () => indentUnit.repeat(depth);
+        const flush = () => {
+            if (line) {
+                lines.push(indent() + line);
+            }
+            line = '';
+        };
+        // Start a line, keeping definitions apart and single blank lines the author left between selections
+        const begin = token => {
+            if (depth === 0 && blankLineBeforeNext && lines.length > 0) {
+                lines.push('');
+            } else if (depth > 0 && previous && previous.value !== '{'
+                && /\n[ \t\r]*\n/.test(text.substring(previous.end, token.start))) {
+                lines.push('');
+            }
+            blankLineBeforeNext = false;
+        };
+        const advance = token => {
+            beforePrevious = previous;
+            previous = token;
+        };
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            if (token.kind === 'comment') {
+                // A comment after code on the same line stays there
+                if (line && !text.substring(previous.end, token.start).includes('\n')) {
+                    line += ' ' + token.value;
+                } else {
+                    flush();
+                    begin(token);
+                    line = token.value;
+                }
+                flush();
+                advance(token);
+                continue;
+            }
+
+            if (token.kind === 'punct' && token.value === '{') {
+                if (!line) {
+                    begin(token);
+                }
+                line = line ? line + ' {' : '{';
+                flush();
+                depth++;
+                advance(token);
+                continue;
+            }
+
+            if (token.kind === 'punct' && token.value === '}') {
+                if (depth === 0) {
+                    return null;
+                }
+                flush();
+                depth--;
+                line = '}';
+                flush();
+                blankLineBeforeNext = depth === 0;
+                advance(token);
+                continue;
+            }
+
+            if (token.kind === 'punct' && token.value === '(') {
+                const close = this.findGraphQLGroupEnd(tokens, i);
+                if (close === -1) {
+                    return null;
+                }
+
+                const inner = tokens.slice(i + 1, close);
+                const items = this.splitGraphQLItems(inner, 'fields');
+                const inline = '(' + items.map(item => this.printGraphQLInline(item)).join(', ') + ')';
+
+                if (inner.some(t => t.kind === 'comment')) {
+                    // Keep commented argument lists as written rather than risk moving code into a comment
+                    line += text.substring(token.start, tokens[close].end);
+                } else if ((indent() + line + inline).length <= printWidth) {
+                    line += inline;
+                } else {
+                    line += '(';
+                    flush();
+                    depth++;
+                    items.forEach(item => {
+                        line = this.printGraphQLInline(item);
+                        flush();
+                    });
+                    depth--;
+                    line = ')';
+                }
+
+                i = close;
+                advance(tokens[close]);
+                continue;
+            }
+
+            if (line && depth > 0 && this.startsGraphQLSelection(previous, token, beforePrevious)) {
+                flush();
+            }
+
+            if (!line) {
+                begin(token);
+                line = token.value;
+            } else {
+                line += (this.needsGraphQLSpace(previous, token) ? ' ' : '') + token.value;
+            }
+            advance(token);
+        }
+
+        flush();
+        if (depth !== 0) {
+            return null;
+        }
+
+        return lines.join('\n') + (/\n\s*$/.test(text) && lines.length > 0 ? '\n' : '');
+    },
+
+    // Index of the token closing the bracket opened at openIndex, or -1 when it is not closed
+    findGraphQLGroupEnd: function (tokens, openIndex) {
+        let level = 0;
+        for (let i = openIndex; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.kind !== 'punct') {
+                continue;
+            }
+            if ('([{'.includes(token.value)) {
+                level++;
+            } else if (')]}'.includes(token.value) && --level === 0) {
+                return i;
+            }
+        }
+        return -1;
+    },
+
+    // Split the tokens inside brackets into items: "name: value" fields of arguments, variable definitions and
+    // input objects, or the values of a list
+    splitGraphQLItems: function (tokens, mode) {
+        const items = [];
+        let current = [];
+        let level = 0;
+
+        tokens.forEach((token, index) => {
+            const startsItem = mode === 'fields'
+                ? (token.kind === 'name' || token.kind === 'variable' || token.kind === 'template')
+                    && tokens[index + 1] && tokens[index + 1].value === ':'
+                : !(token.kind === 'punct' && token.value === '!');
+
+            if (level === 0 && current.length > 0 && startsItem) {
+                items.push(current);
+                current = [];
+            }
+            current.push(token);
+
+            if (token.kind === 'punct' && '([{'.includes(token.value)) {
+                level++;
+            } else if (token.kind === 'punct' && ')]}'.includes(token.value)) {
+                level--;
+            }
+        });
+
+        if (current.length > 0) {
+            items.push(current);
+        }
+        return items;
+    },
+
+    // Print tokens on one line, with nested objects, lists and arguments as comma-separated items
+    printGraphQLInline: function (tokens) {
+        let result = '';
+        let previous = null;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            let printed = token.value;
+
+            if (token.kind === 'punct' && '([{'.includes(token.value)) {
+                const close = this.findGraphQLGroupEnd(tokens, i);
+                if (close !== -1) {
+                    const mode = token.value === '[' ? 'elements' : 'fields';
+                    printed = token.value
+                        + this.splitGraphQLItems(tokens.slice(i + 1, close), mode).map(item => this.printGraphQLInline(item)).join(', ')
+                        + tokens[close].value;
+                    i = close;
+                }
+            }
+
+            result += (previous && this.needsGraphQLSpace(previous, token) ? ' ' : '') + printed;
+            previous = tokens[i];
+        }
+
+        return result;
+    },
+
+    // Whether a token inside a selection set starts the next selection rather than continuing the current one
+    startsGraphQLSelection: function (previous, token, beforePrevious) {
+        if (!previous || previous.kind === 'spread') {
+            return false;
+        }
+        if (previous.kind === 'name' && previous.value === 'on' && beforePrevious && beforePrevious.kind === 'spread') {
+            return false;
+        }
+        return !([':', '@'].includes(token.value) || [':', '@'].includes(previous.value));
+    },
+
+    needsGraphQLSpace: function (previous, token) {
+        if (token.kind === 'punct' && [':', ')', ']', '}', '!', '('].includes(token.value)) {
+            return false;
+        }
+        if (previous.kind === 'punct' && ['(', '[', '{', '@'].includes(previous.value)) {
+            return false;
+        }
+        if (previous.kind === 'spread') {
+            // "...Fragment", but "... on Type" and "... @include(if: $x)"
+            return token.value === 'on' || token.value === '@' || token.value === '{';
+        }
+        return true;
+    },
+
+    // Minify GraphQL for use in a URL: comments and insignificant whitespace and commas are dropped
+    minifyGraphQL: function (text) {
+        const isWord = token => ['name', 'number', 'variable', 'template'].includes(token.kind);
+        let result = '';
+        let previous = null;
+
+        this.tokenizeGraphQL(text || '').forEach(token => {
+            if (previous && isWord(previous) && isWord(token)) {
+                result += ' ';
+            }
+            result += token.value;
+            previous = token;
+        });
+
+        return result;
+    },
+
+    // Minified content of a GraphQL editor
+    getMinifiedGraphQL: function (editorId) {
+        const editor = this.editors[editorId];
+        return editor ? this.minifyGraphQL(editor.getValue()) : null;
+    },
+
+    // Remove comments and fragments no operation uses from a GraphQL editor as one undoable edit.
+    // Returns { comments, fragments } removed, or null when the document does not parse.
+    stripGraphQLEditor: function (editorId) {
+        try {
+            const editor = this.editors[editorId];
+            const model = editor ? editor.getModel() : null;
+            if (!model || editor.getOption(monaco.editor.EditorOption.readOnly)) {
+                return null;
+            }
+
+            const text = model.getValue();
+            const strip = this.getGraphQLStripRanges(text);
+            if (!strip) {
+                return null;
+            }
+
+            if (strip.ranges.length > 0) {
+                editor.pushUndoStop();
+                editor.executeEdits('holyconnect', strip.ranges.map(range => ({
+                    range: monaco.Range.fromPositions(model.getPositionAt(range.start), model.getPositionAt(range.end)),
+                    text: ''
+                })));
+                editor.pushUndoStop();
+            }
+
+            return { comments: strip.comments, fragments: strip.fragments };
+        } catch (error) {
+            console.error('Error stripping GraphQL document:', error);
+            return null;
+        }
+    },
+
+    // Offset ranges that remove the comments and unused fragments of a document, without overlaps.
+    // Returns { ranges, comments, fragments }, or null when the document does not parse.
+    getGraphQLStripRanges: function (text) {
+        let documentNode;
+        try {
+            documentNode = this.parseGraphQL(text);
+        } catch (error) {
+            if (!error || !error.syntaxError) {
+                throw error;
+            }
+            return null;
+        }
+
+        const fragments = this.findUnusedGraphQLFragments(documentNode);
+        const comments = this.tokenizeGraphQL(text, true).filter(token => token.kind === 'comment');
+
+        // Comments inside removed fragments go with them
+        const insideFragment = token => fragments.some(fragment => token.start >= fragment.start && token.end <= fragment.end);
+        const strippedComments = comments.filter(comment => !insideFragment(comment));
+
+        const ranges = fragments.concat(strippedComments)
+            .map(node => this.expandToWholeLines(text, node.start, node.end))
+            .sort((a, b) => a.start - b.start);
+
+        const merged = [];
+        ranges.forEach(range => {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ start: range.start, end: range.end });
+            }
+        });
+
+        return { ranges: merged, comments: strippedComments.length, fragments: fragments.length };
+    },
+
+    // Widen a removal to the whole lines when nothing else is on them (and drop a blank line it would leave
+    // doubled); otherwise remove just the span and the spaces before it
+    expandToWholeLines: function (text, start, end) {
+        let lineStart = start;
+        while (lineStart > 0 && (text[lineStart - 1] === ' ' || text[lineStart - 1] === '\t')) {
+            lineStart--;
+        }
+        let lineEnd = end;
+        while (lineEnd < text.length && (text[lineEnd] === ' ' || text[lineEnd] === '\t' || text[lineEnd] === '\r')) {
+            lineEnd++;
+        }
+
+        const ownLine = (lineStart === 0 || text[lineStart - 1] === '\n') && (lineEnd === text.length || text[lineEnd] === '\n');
+        if (!ownLine) {
+            return { start: lineStart, end: end };
+        }
+
+        lineEnd = Math.min(text.length, lineEnd + 1);
+        const blankAfter = /^[ \t]*\r?\n/.exec(text.substring(lineEnd));
+        const blankBefore = lineStart === 0 || /\n[ \t]*\r?\n$/.test(text.substring(0, lineStart));
+        if (blankAfter && blankBefore) {
+            lineEnd += blankAfter[0].length;
+        }
+        return { start: lineStart, end: lineEnd };
+    },
+
+    // Offsets spanning the top-level definitions (with the comments before them) that overlap start..end
+    getGraphQLDefinitionSpan: function (text, start, end) {
+        const definitions = [];
+        let current = null;
+        let depth = 0;
+
+        this.tokenizeGraphQL(text, true).forEach(token => {
+            if (!current) {
+                current = { start: token.start, end: token.end };
+            }
+            current.end = token.end;
+
+            if (token.kind === 'punct' && token.value === '{') {
+                depth++;
+            } else if (token.kind === 'punct' && token.value === '}' && --depth <= 0) {
+                depth = 0;
+                definitions.push(current);
+                current = null;
+            }
+        });
+        if (current) {
+            definitions.push(current);
+        }
+
+        const overlapping = definitions.filter(definition => definition.end >= start && definition.start <= end);
+        return overlapping.length > 0
+            ? { start: overlapping[0].start, end: overlapping[overlapping.length - 1].end }
+            : null;
+    },
+
+    // Format document. Returns whether the editor formatted the document (the textarea fallback only formats JSON)
+    formatDocument: function (editorId) {
+        const editor = this.editors[editorId];
+        if (!editor) {
+            return false;
+        }
+
+        editor.getAction('editor.action.formatDocument').run();
+        return true;
+    },
+
+    // Evaluate a JSONPath (JSON) or XPath (XML) expression against the editor content and highlight the matches
+    queryResponse: function (editorId, expression) {
+        try {
+            const editor = this.editors[editorId];
+            const model = editor ? editor.getModel() : null;
+            if (!model) {
+                return { matchCount: 0, error: 'Editor not found' };
+            }
+
+            this.clearResponseQuery(editorId, false);
+            if (!expression || !expression.trim()) {
+                return { matchCount: 0, error: null };
+            }
+
+            const text = model.getValue();
+            const result = this.getDocumentLanguage(model) === 'xml'
+                ? this.evaluateXPath(text, expression.trim())
+                : this.evaluateJsonPathOnText(text, expression.trim());
+            if (result.error) {
+                return { matchCount: 0, error: result.error };
+            }
+
+            const ranges = result.matches.map(match => monaco.Range.fromPositions(
+                model.getPositionAt(match.offset),
+                model.getPositionAt(match.offset + match.length)
+            ));
+
+            const decorations = editor.createDecorationsCollection(ranges.map(range => ({
+                range: range,
+                options: {
+                    className: 'response-query-match',
+                    stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges,
+                    overviewRuler: {
+                        color: 'rgba(255, 193, 7, 0.8)',
+                        position: monaco.editor.OverviewRulerLane.Center
+                    }
+                }
+            })));
+
+            // A new response replaces the content, which invalidates the matches
+            const listener = model.onDidChangeContent(() => this.clearResponseQuery(editorId, false));
+            this.responseQueries[editorId] = { decorations, ranges, listener };
+
+            if (ranges.length > 0) {
+                editor.revealRangeNearTop(ranges[0]);
+            }
+
+            return { matchCount: ranges.length, error: null };
+        } catch (error) {
+            console.error('Error querying response:', error);
+            return { matchCount: 0, error: error.message || String(error) };
+        }
+    },
+
+    // Fold everything except the nodes matched by the last query
+    foldToMatches: function (editorId) {
+        const editor = this.editors[editorId];
+        const query = this.responseQueries[editorId];
+        if (!editor || !query || query.ranges.length === 0) {
+            return false;
+        }
+
+        // Folding commands take 0-based line numbers
+        const lines = query.ranges.map(range => range.startLineNumber - 1);
+        editor.trigger('responseQuery', 'editor.foldAll', null);
+        editor.trigger('responseQuery', 'editor.unfold', { direction: 'up', levels: Number.MAX_SAFE_INTEGER, selectionLines: lines });
+        editor.trigger('responseQuery', 'editor.unfold', { direction: 'down', levels: Number.MAX_SAFE_INTEGER, selectionLines: lines });
+        editor.revealRangeNearTop(query.ranges[0]);
+        return true;
+    },
+
+    // Remove query highlights, optionally unfolding everything that foldToMatches folded
+    clearResponseQuery: function (editorId, unfold) {
+        const query = this.responseQueries[editorId];
+        if (query) {
+            query.decorations.clear();
+            query.listener.dispose();
+            delete this.responseQueries[editorId];
+        }
+
+        const editor = this.editors[editorId];
+        if (editor && unfold !== false) {
+            editor.trigger('responseQuery', 'editor.unfoldAll', null);
+        }
+    },
+
+    // Add "Copy path" and "Create response extraction" to the context menu of a response editor
+    registerResponsePathActions: function (editorId, dotNetHelper) {
+        try {
+            this.disposeResponsePathActions(editorId);
+
+            const editor = this.editors[editorId];
+            if (!editor || !dotNetHelper) {
+                return false;
+            }
+
+            const runWithPath = (actionEditor, method) => {
+                const path = this.getResponsePathAtPosition(actionEditor.getModel(), actionEditor.getPosition());
+                if (path) {
+                    dotNetHelper.invokeMethodAsync(method, path).catch(error => console.error(`Error calling ${method}:`, error));
+                }
+            };
+
+            this.responsePathActions[editorId] = [
+                editor.addAction({
+                    id: 'holyconnect.response.copyPath',
+                    label: 'Copy path',
+                    contextMenuGroupId: 'navigation',
+                    contextMenuOrder: 1,
+                    run: (actionEditor) => runWithPath(actionEditor, 'CopyResponsePath')
+                }),
+                editor.addAction({
+                    id: 'holyconnect.response.createExtraction',
+                    label: 'Create response extraction',
+                    contextMenuGroupId: 'navigation',
+                    contextMenuOrder: 2,
+                    run: (actionEditor) => runWithPath(actionEditor, 'CreateResponseExtraction')
+                })
+            ];
+            return true;
+        } catch (error) {
+            console.error('Error registering response path actions:', error);
+            return false;
+        }
+    },
+
+    // Dispose the response path actions of an editor
+    disposeResponsePathActions: function (editorId) {
+        (this.responsePathActions[editorId] || []).forEach(action => action.dispose());
+        delete this.responsePathActions[editorId];
+    },
+
+    // Build the JSONPath or XPath of the node at a position, as accepted by ResponseValueExtractor
+    getResponsePathAtPosition: function (model, position) {
+        if (!model || !position) {
+            return null;
+        }
+
+        const text = model.getValue();
+        const offset = model.getOffsetAt(position);
+
+        if (this.getDocumentLanguage(model) === 'xml') {
+            const tree = this.parseXmlTree(text);
+            return tree ? this.buildXPath(tree, offset) : null;
+        }
+
+        const root = this.parseJsonTree(text);
+        if (!root) {
+            return null;
+        }
+
+        let node = root;
+        for (;;) {
+            const child = node.children.find(c =>
+                offset >= (c.keyOffset !== undefined ? c.keyOffset : c.offset) && offset < c.offset + c.length);
+            if (!child) {
+                break;
+            }
+            node = child;
+        }
+
+        const ancestors = [];
+        for (let current = node; current.parent; current = current.parent) {
+            ancestors.unshift(current);
+        }
+        return ancestors.reduce((path, current) => current.key !== undefined
+            ? this.appendJsonPathKey(path, current.key)
+            : `${path}[${current.index}]`, '$');
+    },
+
+    // Append a member name to a JSONPath, using bracket notation when it is not a plain identifier
+    appendJsonPathKey: function (path, key) {
+        return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key)
+            ? `${path}.${key}`
+            : `${path}['${key.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`;
+    },
+
+    // Parse JSON into a tree of nodes that keep their offsets in the text (null if the JSON is invalid)
+    parseJsonTree: function (text) {
+        let pos = 0;
+        const literal = /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null/y;
+
+        const fail = () => {
+            throw new Error(`Unexpected token at offset ${pos}`);
+        };
+        const skipWhitespace = () => {
+            while (pos < text.length && /\s/.test(text[pos])) {
+                pos++;
+            }
+        };
+        const parseString = () => {
+            const start = pos++;
+            while (pos < text.length && text[pos] !== '"') {
+                pos += text[pos] === '\\' ? 2 : 1;
+            }
+            if (pos >= text.length) {
+                fail();
+            }
+            pos++;
+            return JSON.parse(text.substring(start, pos));
+        };
+        const parseValue = (parent) => {
+            skipWhitespace();
+            const node = { type: null, offset: pos, length: 0, parent: parent, children: [] };
+
+            if (text[pos] === '{' || text[pos] === '[') {
+                const isObject = text[pos] === '{';
+                const close = isObject ? '}' : ']';
+                node.type = isObject ? 'object' : 'array';
+                pos++;
+                skipWhitespace();
+
+                if (text[pos] === close) {
+                    pos++;
+                } else {
+                    for (;;) {
+                        skipWhitespace();
+                        let key;
+                        let keyOffset;
+                        if (isObject) {
+                            if (text[pos] !== '"') {
+                                fail();
+                            }
+                            keyOffset = pos;
+                            key = parseString();
+                            skipWhitespace();
+                            if (text[pos] !== ':') {
+                                fail();
+                            }
+                            pos++;
+                        }
+
+                        const child = parseValue(node);
+                        if (isObject) {
+                            child.key = key;
+                            child.keyOffset = keyOffset;
+                        } else {
+                            child.index = node.children.length;
+                        }
+                        node.children.push(child);
+
+                        skipWhitespace();
+                        if (text[pos] === ',') {
+                            pos++;
+                        } else if (text[pos] === close) {
+                            pos++;
+                            break;
+                        } else {
+                            fail();
+                        }
+                    }
+                }
+            } else if (text[pos] === '"') {
+                node.type = 'string';
+                node.value = parseString();
+            } else {
+                literal.lastIndex = pos;
+                const match = literal.exec(text);
+                if (!match) {
+                    fail();
+                }
+                pos += match[0].length;
+                node.type = /^[-\d]/.test(match[0]) ? 'number' : match[0] === 'null' ? 'null' : 'boolean';
+                node.value = JSON.parse(match[0]);
+            }
+
+            node.length = pos - node.offset;
+            return node;
+        };
+
+        try {
+            const root = parseValue(null);
+            skipWhitespace();
+            return pos === text.length ? root : null;
+        } catch (error) {
+            return null;
+        }
+    },
+
+    // Evaluate a JSONPath expression against JSON text and return the matched ranges
+    evaluateJsonPathOnText: function (text, path) {
+        const root = this.parseJsonTree(text);
+        if (!root) {
+            return { error: 'The response is not valid JSON' };
+        }
+
+        try {
+            const nodes = this.evaluateJsonPath(root, path);
+            return { matches: nodes.map(node => ({ offset: node.offset, length: node.length })) };
+        } catch (error) {
+            return { error: error.message };
+        }
+    },
+
+    // Evaluate a JSONPath expression against a node tree from parseJsonTree.
+    // Supports dot and bracket names, wildcards, indexes, unions, slices, recursive descent and simple filters.
+    evaluateJsonPath: function (root, path) {
+        let current = [root];
+
+        this.parseJsonPath(path).forEach(segment => {
+            const candidates = segment.descendant
+                ? current.flatMap(node => this.getJsonDescendants(node))
+                : current;
+
+            const next = [];
+            candidates.forEach(node => segment.selectors.forEach(selector => {
+                this.selectJsonChildren(node, selector).forEach(child => {
+                    if (!next.includes(child)) {
+                        next.push(child);
+                    }
+                });
+            }));
+            current = next;
+        });
+
+        return current;
+    },
+
+    // Split a JSONPath expression into segments of selectors
+    parseJsonPath: function (path) {
+        let text = path.trim();
+        if (!text.startsWith('$') && !text.startsWith('@')) {
+            // Newtonsoft's SelectToken also accepts paths without the root marker
+            text = text.startsWith('[') ? `$${text}` : `$.${text}`;
+        }
+
+        const segments = [];
+        let pos = 1;
+
+        const readBracket = () => {
+            let depth = 0;
+            let quote = null;
+            const start = pos;
+            for (; pos < text.length; pos++) {
+                const ch = text[pos];
+                if (quote) {
+                    if (ch === '\\') {
+                        pos++;
+                    } else if (ch === quote) {
+                        quote = null;
+                    }
+                } else if (ch === '\'' || ch === '"') {
+                    quote = ch;
+                } else if (ch === '[' || ch === '(') {
+                    depth++;
+                } else if (ch === ']' || ch === ')') {
+                    depth--;
+                    if (depth === 0 && ch === ']') {
+                        pos++;
+                        return text.substring(start + 1, pos - 1).trim();
+                    }
+                }
+            }
+            throw new Error(`Unclosed bracket in '${path}'`);
+        };
+
+        const readName = () => {
+            const match = /\*|[^.[\]\s]+/y;
+            match.lastIndex = pos;
+            const result = match.exec(text);
+            if (!result) {
+                throw new Error(`Expected a property name at position ${pos} in '${path}'`);
+            }
+            pos += result[0].length;
+            return result[0] === '*' ? { kind: 'wildcard' } : { kind: 'name', name: result[0] };
+        };
+
+        while (pos < text.length) {
+            let descendant = false;
+            if (text.startsWith('..', pos)) {
+                descendant = true;
+                pos += 2;
+            } else if (text[pos] === '.') {
+                pos++;
+            } else if (text[pos] !== '[') {
+                throw new Error(`Unexpected '${text[pos]}' at position ${pos} in '${path}'`);
+            }
+
+            const selectors = text[pos] === '['
+                ? this.parseJsonPathSelectors(readBracket())
+                : [readName()];
+            segments.push({ descendant, selectors });
+        }
+
+        return segments;
+    },
+
+    // Parse the content of a [...] JSONPath selector
+    parseJsonPathSelectors: function (content) {
+        if (content.startsWith('?')) {
+            const expression = content.substring(1).trim();
+            return [{ kind: 'filter', expression: expression.startsWith('(') && expression.endsWith(')') ? expression.slice(1, -1) : expression }];
+        }
+
+        const parts = content.match(/'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"|[^,]+/g) || [];
+        return parts.map(part => part.trim()).filter(part => part.length > 0).map(part => {
+            if (part === '*') {
+                return { kind: 'wildcard' };
+            }
+            if (/^['"]/.test(part)) {
+                return { kind: 'name', name: part.slice(1, -1).replace(/\\(.)/g, '$1') };
+            }
+            if (part.includes(':')) {
+                const [start, end, step] = part.split(':').map(value => value.trim() === '' ? undefined : parseInt(value, 10));
+                return { kind: 'slice', start, end, step: step || 1 };
+            }
+            if (/^-?\d+$/.test(part)) {
+                return { kind: 'index', index: parseInt(part, 10) };
+            }
+            return { kind: 'name', name: part };
+        });
+    },
+
+    // A node followed by all of its descendants
+    getJsonDescendants: function (node) {
+        return [node].concat(node.children.flatMap(child => this.getJsonDescendants(child)));
+    },
+
+    // Apply one JSONPath selector to the children of a node
+    selectJsonChildren: function (node, selector) {
+        const children = node.children;
+        switch (selector.kind) {
+            case 'name':
+                return node.type === 'object' ? children.filter(child => child.key === selector.name) : [];
+            case 'wildcard':
+                return children;
+            case 'index': {
+                if (node.type !== 'array') {
+                    return [];
+                }
+                const child = children[selector.index < 0 ? children.length + selector.index : selector.index];
+                return child ? [child] : [];
+            }
+            case 'slice': {
+                if (node.type !== 'array') {
+                    return [];
+                }
+                const length = children.length;
+                const normalize = (value, fallback) => value === undefined
+                    ? fallback
+                    : Math.min(Math.max(value < 0 ? length + value : value, 0), length);
+                const result = [];
+                if (selector.step > 0) {
+                    for (let i = normalize(selector.start, 0); i < normalize(selector.end, length); i += selector.step) {
+                        result.push(children[i]);
+                    }
+                }
+                return result;
+            }
+            case 'filter':
+                return children.filter(child => this.evaluateJsonPathFilter(child, selector.expression));
+            default:
+                return [];
+        }
+    },
+
+    // Evaluate a filter such as @.price < 10 && @.category == 'fiction' for one candidate node
+    evaluateJsonPathFilter: function (node, expression) {
+        const tokens = expression.match(/\s*(@(?:\.\.?[^\s.[\]=!<>&|()]+|\[[^\]]*\])*|'(?:\\.|[^'\\])*'|"(?:\\.|[^"\\])*"|-?\d+(?:\.\d+)?|true|false|null|==|!=|<=|>=|<|>|&&|\|\||!|\(|\))/gy);
+        if (!tokens || tokens.join('').length !== expression.length) {
+            throw new Error(`Unsupported filter expression '${expression}'`);
+        }
+
+        const items = tokens.map(token => token.trim());
+        let pos = 0;
+        // Cleared while parsing an operand that && or || has already decided, so its paths are not evaluated
+        let evaluate = true;
+
+        const toValue = (target) => target && (target.type === 'object' || target.type === 'array') ? target : target ? target.value : undefined;
+        const parseOperand = () => {
+            const token = items[pos++];
+            if (token === '(') {
+                const value = parseOr();
+                pos++;
+                return value;
+            }
+            if (token === '!') {
+                return !parseOperand();
+            }
+            if (token && token.startsWith('@')) {
+                if (!evaluate) {
+                    return undefined;
+                }
+                const matches = this.evaluateJsonPath(node, `$${token.substring(1)}`);
+                return matches.length > 0 ? toValue(matches[0]) : undefined;
+            }
+            if (token && /^['"]/.test(token)) {
+                return token.slice(1, -1).replace(/\\(.)/g, '$1');
+            }
+            return token !== undefined ? JSON.parse(token) : undefined;
+        };
+        const parseComparison = () => {
+            const left = parseOperand();
+            const operator = items[pos];
+            if (!['==', '!=', '<', '<=', '>', '>='].includes(operator)) {
+                return left !== undefined && left !== null && left !== false;
+            }
+            pos++;
+            const right = parseOperand();
+            switch (operator) {
+                case '==': return left === right;
+                case '!=': return left !== right;
+                case '<': return left < right;
+                case '<=': return left <= right;
+                case '>': return left > right;
+                default: return left >= right;
+            }
+        };
+        const parseRight = (parse, needed) => {
+            const outer = evaluate;
+            evaluate = outer && needed;
+            const value = parse();
+            evaluate = outer;
+            return value;
+        };
+        const parseAnd = () => {
+            let value = parseComparison();
+            while (items[pos] === '&&') {
+                pos++;
+                const right = parseRight(parseComparison, !!value);
+                value = value && right;
+            }
+            return value;
+        };
+        const parseOr = () => {
+            let value = parseAnd();
+            while (items[pos] === '||') {
+                pos++;
+                const right = parseRight(parseAnd, !value);
+                value = value || right;
+            }
+            return value;
+        };
+
+        return !!parseOr();
+    },
+
+    // Scan XML into a list of elements (in document order) that keep their offsets in the text
+    parseXmlTree: function (text) {
+        const elements = [];
+        const stack = [];
+        const startTag = /<([A-Za-z_][\w.:-]*)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+        const endTag = /<\/([^\s>]+)\s*>/y;
+        let pos = 0;
+
+        while ((pos = text.indexOf('<', pos)) !== -1) {
+            if (text.startsWith('<!--', pos)) {
+                pos = this.skipPast(text, pos, '-->');
+            } else if (text.startsWith('<![CDATA[', pos)) {
+                pos = this.skipPast(text, pos, ']]>');
+            } else if (text.startsWith('<?', pos)) {
+                pos = this.skipPast(text, pos, '?>');
+            } else if (text.startsWith('<!', pos)) {
+                pos = this.skipPast(text, pos, '>');
+            } else if (text[pos + 1] === '/') {
+                endTag.lastIndex = pos;
+                const match = endTag.exec(text);
+                const element = stack.pop();
+                if (!match || !element || element.name !== match[1]) {
+                    return null;
+                }
+                element.innerLength = pos - element.innerOffset;
+                element.length = pos + match[0].length - element.offset;
+                pos += match[0].length;
+            } else {
+                startTag.lastIndex = pos;
+                const match = startTag.exec(text);
+                if (!match) {
+                    return null;
+                }
+
+                const element = {
+                    name: match[1],
+                    offset: pos,
+                    length: match[0].length,
+                    innerOffset: pos + match[0].length,
+                    innerLength: 0,
+                    parent: stack.length > 0 ? stack[stack.length - 1] : null,
+                    children: [],
+                    attributes: []
+                };
+
+                const attributesOffset = pos + 1 + match[1].length;
+                const attribute = /([^\s=/>]+)\s*=\s*("[^"]*"|'[^']*')/g;
+                let attributeMatch;
+                while ((attributeMatch = attribute.exec(match[2])) !== null) {
+                    element.attributes.push({
+                        name: attributeMatch[1],
+                        offset: attributesOffset + attributeMatch.index,
+                        length: attributeMatch[0].length
+                    });
+                }
+
+                if (element.parent) {
+                    element.parent.children.push(element);
+                }
+                elements.push(element);
+                if (!match[3]) {
+                    stack.push(element);
+                }
+                pos += match[0].length;
+            }
+
+            if (pos < 0) {
+                return null;
+            }
+        }
+
+        return stack.length === 0 && elements.length > 0 ? elements : null;
+    },
+
+    // Offset just past the next occurrence of a terminator (-1 if it is missing)
+    skipPast: function (text, pos, terminator) {
+        const end = text.indexOf(terminator, pos);
+        return end === -1 ? -1 : end + terminator.length;
+    },
+
+    // Evaluate an XPath expression with the browser's XPath engine and map the selected nodes back to text ranges
+    evaluateXPath: function (text, expression) {
+        const elements = this.parseXmlTree(text);
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (!elements || doc.getElementsByTagName('parsererror').length > 0) {
+            return { error: 'The response is not valid XML' };
+        }
+
+        let snapshot;
+        try {
+            snapshot = doc.evaluate(expression, doc, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        } catch (error) {
+            return { error: `Invalid XPath expression or it does not select nodes: ${error.message}` };
+        }
+
+        // Elements appear in the same document order in the DOM and in the scanned tree
+        const domElements = new Map();
+        Array.from(doc.getElementsByTagName('*')).forEach((element, index) => domElements.set(element, elements[index]));
+
+        const matches = [];
+        for (let i = 0; i < snapshot.snapshotLength; i++) {
+            const node = snapshot.snapshotItem(i);
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                const element = domElements.get(node);
+                if (element) {
+                    matches.push({ offset: element.offset, length: element.length });
+                }
+            } else if (node.nodeType === Node.ATTRIBUTE_NODE) {
+                const element = domElements.get(node.ownerElement);
+                const attribute = element ? element.attributes.find(a => a.name === node.name) : null;
+                if (attribute) {
+                    matches.push({ offset: attribute.offset, length: attribute.length });
+                }
+            } else if (node.parentNode && node.parentNode.nodeType === Node.ELEMENT_NODE) {
+                // Text and CDATA nodes: highlight the content of the parent element
+                const element = domElements.get(node.parentNode);
+                if (element && element.innerLength > 0) {
+                    matches.push({ offset: element.innerOffset, length: element.innerLength });
+                }
+            }
+        }
+
+        return { matches };
+    },
+
+    // Build an absolute XPath such as /root/items/item[2]/@id for the element or attribute at an offset
+    buildXPath: function (elements, offset) {
+        let element = null;
+        elements.forEach(candidate => {
+            if (offset >= candidate.offset && offset < candidate.offset + candidate.length) {
+                element = candidate;
+            }
+        });
+        if (!element) {
+            return null;
+        }
+
+        const attribute = element.attributes.find(a => offset >= a.offset && offset < a.offset + a.length);
+
+        const steps = [];
+        for (let current = element; current; current = current.parent) {
+            const siblings = current.parent
+                ? current.parent.children.filter(sibling => sibling.name === current.name)
+                : [current];
+            const name = current.name.includes(':') ? `*[name()='${current.name}']` : current.name;
+            steps.unshift(siblings.length > 1 ? `${name}[${siblings.indexOf(current) + 1}]` : name);
+        }
+
+        return `/${steps.join('/')}${attribute ? `/@${attribute.name}` : ''}`;
+    },
+
+    // Register variable hover provider
+    registerVariableHoverProvider: function (editorId, dotNetHelper) {
+        try {
+            // Dispose existing provider if any
+            if (this.hoverProviders[editorId]) {
+                this.hoverProviders[editorId].dispose();
+                delete this.hoverProviders[editorId];
+            }
+
+            if (!dotNetHelper) {
+                return false;
+            }
+
+            const editor = this.editors[editorId];
+            if (!editor) {
+                return false;
+            }
+
+            const model = editor.getModel();
+            if (!model) {
+                return false;
+            }
+
+            // Registered for every language rather than the model's current one, so it keeps working when the
+            // editor switches language; the provider filters by model instead
+            const provider = monaco.languages.registerHoverProvider('*', {
+                provideHover: async (hoverModel, position, token) => {
+                    // Only provide hover for this specific editor's model
+                    if (model !== hoverModel) {
+                        return null;
+                    }
+
+                    // Check if we're hovering over a variable pattern {{ variableName }}
+                    const line = hoverModel.getLineContent(position.lineNumber);
+                    const beforeCursor = line.substring(0, position.column - 1);
+                    const afterCursor = line.substring(position.column - 1);
+                    
+                    // Look for {{ and }} around the cursor position
+                    const variablePattern = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+                    let match;
+                    let foundVariable = null;
+                    
+                    // Search for variable patterns in the line
+                    while ((match = variablePattern.exec(line)) !== null) {
+                        const matchStart = match.index + 1; // +1 for 1-based column
                         const matchEnd = match.index + match[0].length + 1;
                         
                         // Check if cursor is within this variable
@@ -358,127 +4484,1186 @@ window.monacoEditorInterop = {
                             break;
                         }
                     }
-                    
-                    if (foundVariable) {
-                        // Call back to .NET to get variable value
-                        try {
-                            const result = await dotNetHelper.invokeMethodAsync('GetVariableHoverInfo', foundVariable.name);
-                            if (result) {
-                                return {
-                                    range: new monaco.Range(
-                                        position.lineNumber,
-                                        foundVariable.start,
-                                        position.lineNumber,
-                                        foundVariable.end
-                                    ),
-                                    contents: [
-                                        { value: '**Variable**' },
-                                        { value: result }
-                                    ]
-                                };
+                    
+                    if (foundVariable) {
+                        // Call back to .NET to get variable value (cached until variables change)
+                        try {
+                            const result = await this.resolveVariableHoverInfo(editorId, dotNetHelper, foundVariable.name);
+                            if (result && !token.isCancellationRequested) {
+                                return {
+                                    range: new monaco.Range(
+                                        position.lineNumber,
+                                        foundVariable.start,
+                                        position.lineNumber,
+                                        foundVariable.end
+                                    ),
+                                    contents: [
+                                        { value: '**Variable**' },
+                                        { value: result }
+                                    ]
+                                };
+                            }
+                        } catch (error) {
+                            console.error('Error getting variable hover info:', error);
+                        }
+                    }
+                    
+                    return null;
+                }
+            });
+
+            this.hoverProviders[editorId] = provider;
+            return true;
+        } catch (error) {
+            console.error('Error registering hover provider:', error);
+            return false;
+        }
+    },
+
+    // Register {{ variable }} name completion, opening the suggestion list as soon as "{{" is typed
+    registerVariableCompletionProvider: function (editorId, dotNetHelper) {
+        try {
+            // Dispose existing provider if any
+            if (this.variableCompletionProviders[editorId]) {
+                this.variableCompletionProviders[editorId].dispose();
+                delete this.variableCompletionProviders[editorId];
+            }
+
+            if (!dotNetHelper) {
+                return false;
+            }
+
+            const editor = this.editors[editorId];
+            if (!editor) {
+                return false;
+            }
+
+            const model = editor.getModel();
+            if (!model) {
+                return false;
+            }
+
+            const provider = monaco.languages.registerCompletionItemProvider('*', {
+                triggerCharacters: ['{'],
+                provideCompletionItems: async (completionModel, position) => {
+                    // Only provide completions for this specific editor's model
+                    if (model !== completionModel) {
+                        return { suggestions: [] };
+                    }
+
+                    const line = completionModel.getLineContent(position.lineNumber);
+                    const match = this.matchOpenVariable(line.substring(0, position.column - 1));
+                    if (!match) {
+                        return { suggestions: [] };
+                    }
+
+                    let variables = [];
+                    try {
+                        variables = await dotNetHelper.invokeMethodAsync('GetAvailableVariables') || [];
+                    } catch (error) {
+                        console.error('Error getting available variables:', error);
+                    }
+
+                    // Close the placeholder unless the user already has "}}" after the cursor
+                    const hasClosing = /^\s*\}\}/.test(line.substring(position.column - 1));
+                    const range = new monaco.Range(
+                        position.lineNumber,
+                        position.column - match.prefix.length,
+                        position.lineNumber,
+                        position.column
+                    );
+
+                    return {
+                        suggestions: variables.map((variable, index) => ({
+                            label: { label: variable.name, description: this.getVariableSourceLabel(variable.source) },
+                            kind: variable.source === 'Dynamic'
+                                ? monaco.languages.CompletionItemKind.Function
+                                : monaco.languages.CompletionItemKind.Variable,
+                            insertText: hasClosing ? variable.name : `${variable.name}${match.hasSpace ? ' ' : ''}}}`,
+                            filterText: variable.name,
+                            sortText: String(index).padStart(5, '0'),
+                            detail: variable.preview,
+                            documentation: {
+                                value: `**${this.getVariableSourceLabel(variable.source)}**${variable.detail ? ` _(${variable.detail})_` : ''}\n\n` +
+                                    (variable.isSecret ? '_Secret value hidden_' : '`' + variable.preview + '`')
+                            },
+                            range: range
+                        }))
+                    };
+                }
+            });
+
+            // Suggestions are not opened on trigger characters by default, so open them for "{{" explicitly
+            const listener = editor.onDidChangeModelContent(event => {
+                const position = editor.getPosition();
+                if (!position || event.isFlush || event.changes.length !== 1 || !event.changes[0].text.endsWith('{')) {
+                    return;
+                }
+
+                const linePrefix = model.getLineContent(position.lineNumber).substring(0, position.column - 1);
+                if (linePrefix.endsWith('{{')) {
+                    editor.trigger('variables', 'editor.action.triggerSuggest', {});
+                }
+            });
+
+            this.variableCompletionProviders[editorId] = {
+                dispose: () => {
+                    provider.dispose();
+                    listener.dispose();
+                }
+            };
+            return true;
+        } catch (error) {
+            console.error('Error registering variable completion provider:', error);
+            return false;
+        }
+    },
+
+    // Match an unclosed "{{ name" at the end of the text before the cursor
+    matchOpenVariable: function (linePrefix) {
+        const match = /\{\{(\s*)([a-zA-Z0-9_]*)$/.exec(linePrefix);
+        return match ? { prefix: match[2], hasSpace: match[1].length > 0 } : null;
+    },
+
+    // Human readable label for a VariableSource value sent from .NET
+    getVariableSourceLabel: function (source) {
+        switch (source) {
+            case 'Environment': return 'Environment';
+            case 'Collection': return 'Collection';
+            case 'Secret': return 'Secret';
+            case 'Dynamic': return 'Dynamic';
+            case 'ResponseExtraction': return 'Response extraction';
+            default: return source || 'Variable';
+        }
+    },
+
+    // Flag {{ variables }} that do not resolve in the current context and offer quick fixes for them
+    registerVariableDiagnostics: function (editorId, dotNetHelper) {
+        try {
+            this.disposeVariableDiagnostics(editorId);
+
+            if (!dotNetHelper) {
+                return false;
+            }
+
+            const editor = this.editors[editorId];
+            const model = editor ? editor.getModel() : null;
+            if (!model) {
+                return false;
+            }
+
+            const state = { names: [], timer: null, version: 0 };
+
+            const validate = async () => {
+                const version = ++state.version;
+                if (this.largeDocuments[editorId]) {
+                    monaco.editor.setModelMarkers(model, 'variables', []);
+                    return;
+                }
+
+                let variables;
+                try {
+                    variables = await dotNetHelper.invokeMethodAsync('GetAvailableVariables') || [];
+                } catch (error) {
+                    console.error('Error getting available variables:', error);
+                    return;
+                }
+
+                // Skip results that were overtaken by a newer run or a disposed editor
+                if (version !== state.version || model.isDisposed()) {
+                    return;
+                }
+
+                state.names = variables.map(v => v.name);
+                const known = new Set(state.names);
+                const markers = [];
+                const variablePattern = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+                const text = model.getValue();
+                let match;
+
+                while ((match = variablePattern.exec(text)) !== null) {
+                    if (known.has(match[1])) {
+                        continue;
+                    }
+
+                    const nameOffset = match.index + match[0].indexOf(match[1]);
+                    const start = model.getPositionAt(nameOffset);
+                    const end = model.getPositionAt(nameOffset + match[1].length);
+                    markers.push({
+                        severity: monaco.MarkerSeverity.Warning,
+                        message: `Variable '${match[1]}' is not defined in the current environment or collection`,
+                        code: 'undefined-variable',
+                        startLineNumber: start.lineNumber,
+                        startColumn: start.column,
+                        endLineNumber: end.lineNumber,
+                        endColumn: end.column
+                    });
+                }
+
+                monaco.editor.setModelMarkers(model, 'variables', markers);
+            };
+
+            const listener = model.onDidChangeContent(() => {
+                clearTimeout(state.timer);
+                state.timer = setTimeout(validate, 300);
+            });
+
+            // Command behind the "Create variable" quick fix, invoked with the variable name
+            const createCommandId = `holyconnect.createVariable.${editorId}`;
+            const createCommand = monaco.editor.registerCommand(createCommandId, async (accessor, variableName) => {
+                try {
+                    if (await dotNetHelper.invokeMethodAsync('CreateVariable', variableName)) {
+                        await validate();
+                    }
+                } catch (error) {
+                    console.error('Error creating variable:', error);
+                }
+            });
+
+            const codeActionProvider = monaco.languages.registerCodeActionProvider('*', {
+                provideCodeActions: (actionModel, range, context) => {
+                    const actions = [];
+
+                    // Only provide actions for this specific editor's model
+                    if (model === actionModel) {
+                        context.markers
+                            .filter(marker => marker.code === 'undefined-variable')
+                            .forEach(marker => {
+                                const variableName = actionModel.getValueInRange(marker);
+                                const suggestion = this.findClosestVariableName(variableName, state.names);
+
+                                if (suggestion) {
+                                    actions.push({
+                                        title: `Did you mean '${suggestion}'?`,
+                                        kind: 'quickfix',
+                                        diagnostics: [marker],
+                                        isPreferred: true,
+                                        edit: {
+                                            edits: [{
+                                                resource: actionModel.uri,
+                                                versionId: actionModel.getVersionId(),
+                                                textEdit: { range: marker, text: suggestion }
+                                            }]
+                                        }
+                                    });
+                                }
+
+                                actions.push({
+                                    title: `Create variable '${variableName}' in active environment`,
+                                    kind: 'quickfix',
+                                    diagnostics: [marker],
+                                    command: {
+                                        id: createCommandId,
+                                        title: 'Create variable',
+                                        arguments: [variableName]
+                                    }
+                                });
+                            });
+                    }
+
+                    return { actions: actions, dispose: () => { } };
+                }
+            });
+
+            this.variableDiagnostics[editorId] = {
+                refresh: validate,
+                dispose: () => {
+                    clearTimeout(state.timer);
+                    state.version++;
+                    listener.dispose();
+                    createCommand.dispose();
+                    codeActionProvider.dispose();
+                    if (!model.isDisposed()) {
+                        monaco.editor.setModelMarkers(model, 'variables', []);
+                    }
+                }
+            };
+
+            validate();
+            return true;
+        } catch (error) {
+            console.error('Error registering variable diagnostics:', error);
+            return false;
+        }
+    },
+
+    // Dispose variable diagnostics and quick fixes of an editor
+    disposeVariableDiagnostics: function (editorId) {
+        if (this.variableDiagnostics[editorId]) {
+            this.variableDiagnostics[editorId].dispose();
+            delete this.variableDiagnostics[editorId];
+        }
+    },
+
+    // Find the known variable name closest to a misspelled one (case-insensitive edit distance)
+    findClosestVariableName: function (name, candidates) {
+        const source = name.toLowerCase();
+        const maxDistance = Math.max(2, Math.floor(source.length / 3));
+        let best = null;
+        let bestDistance = Infinity;
+
+        candidates.forEach(candidate => {
+            const target = candidate.toLowerCase();
+            if (Math.abs(target.length - source.length) > maxDistance) {
+                return;
+            }
+
+            // Single-row Levenshtein distance
+            const row = Array.from({ length: target.length + 1 }, (_, i) => i);
+            for (let i = 1; i <= source.length; i++) {
+                let previous = row[0];
+                row[0] = i;
+                for (let j = 1; j <= target.length; j++) {
+                    const current = row[j];
+                    row[j] = source[i - 1] === target[j - 1]
+                        ? previous
+                        : Math.min(previous, row[j - 1], row[j]) + 1;
+                    previous = current;
+                }
+            }
+
+            const distance = row[target.length];
+            if (distance <= maxDistance && distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    },
+
+    // Colour {{ variables }} by where they are defined (environment, collection, secret, dynamic or response
+    // extraction) and mark undefined ones. They are semantic tokens, so they take part in the language's own
+    // colouring in JSON, XML, GraphQL and plain text alike; the theme (see resolveTheme) colours them.
+    registerVariableHighlighting: function (editorId, dotNetHelper) {
+        try {
+            this.disposeVariableHighlighting(editorId);
+
+            if (!dotNetHelper) {
+                return false;
+            }
+
+            const editor = this.editors[editorId];
+            const model = editor ? editor.getModel() : null;
+            if (!model) {
+                return false;
+            }
+
+            const cache = this.getVariableCache(editorId);
+            const modifiers = ['environment', 'collection', 'secret', 'dynamic', 'extraction', 'undefined'];
+
+            // Registered for every language and filtered by model, so it keeps working after a language change
+            const provider = monaco.languages.registerDocumentSemanticTokensProvider('*', {
+                // Ask Monaco for new tokens when the available variables change
+                onDidChange: cache.onDidChange.event,
+                getLegend: () => ({ tokenTypes: ['templateVariable'], tokenModifiers: modifiers }),
+                provideDocumentSemanticTokens: async (tokenModel, lastResultId, token) => {
+                    // Other editors' models are left to their own providers
+                    if (tokenModel !== model || this.largeDocuments[editorId]) {
+                        return null;
+                    }
+
+                    const catalog = await this.resolveVariableCatalog(editorId, dotNetHelper);
+                    if (!catalog || model.isDisposed() || (token && token.isCancellationRequested)) {
+                        return null;
+                    }
+
+                    // Tokens are encoded as deltas: line, start column, length, type and modifier bit set
+                    const variablePattern = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+                    const text = model.getValue();
+                    const data = [];
+                    let previousLine = 0;
+                    let previousColumn = 0;
+                    let match;
+
+                    while ((match = variablePattern.exec(text)) !== null) {
+                        const start = model.getPositionAt(match.index);
+                        const end = model.getPositionAt(match.index + match[0].length);
+                        const modifier = this.getVariableSourceModifier(catalog.get(match[1]));
+
+                        // A token cannot span lines, and variables of unknown sources stay neutral
+                        if (start.lineNumber !== end.lineNumber || !modifier) {
+                            continue;
+                        }
+
+                        const line = start.lineNumber - 1;
+                        const column = start.column - 1;
+                        data.push(
+                            line - previousLine,
+                            line === previousLine ? column - previousColumn : column,
+                            end.column - start.column,
+                            0,
+                            1 << modifiers.indexOf(modifier));
+                        previousLine = line;
+                        previousColumn = column;
+                    }
+
+                    return { data: new Uint32Array(data) };
+                },
+                releaseDocumentSemanticTokens: () => { }
+            });
+
+            // Semantic tokens are off by default for the built-in themes
+            editor.updateOptions({ 'semanticHighlighting.enabled': true });
+            this.variableHighlighting[editorId] = provider;
+            return true;
+        } catch (error) {
+            console.error('Error registering variable highlighting:', error);
+            return false;
+        }
+    },
+
+    disposeVariableHighlighting: function (editorId) {
+        if (this.variableHighlighting[editorId]) {
+            this.variableHighlighting[editorId].dispose();
+            delete this.variableHighlighting[editorId];
+        }
+    },
+
+    // Semantic token modifier for a variable descriptor from .NET: 'undefined' when the variable does not
+    // exist, null (no colour) for a source this editor does not know
+    getVariableSourceModifier: function (variable) {
+        if (!variable) {
+            return 'undefined';
+        }
+
+        switch (variable.source) {
+            case 'Environment': return 'environment';
+            case 'Collection': return 'collection';
+            case 'Secret': return 'secret';
+            case 'Dynamic': return variable.isSecret ? 'secret' : 'dynamic';
+            case 'ResponseExtraction': return 'extraction';
+            default: return null;
+        }
+    },
+
+    // Add "Reveal" code lenses above lines that use secret {{ variables }}. A revealed value is fetched from
+    // .NET on demand, shown in the inlay hint only while the editor has focus, and hidden again after
+    // secretRevealTimeout or as soon as the editor loses focus.
+    registerSecretRevealLenses: function (editorId, dotNetHelper) {
+        try {
+            this.disposeSecretRevealLenses(editorId);
+
+            if (!dotNetHelper) {
+                return false;
+            }
+
+            const editor = this.editors[editorId];
+            const model = editor ? editor.getModel() : null;
+            if (!model) {
+                return false;
+            }
+
+            const cache = this.getVariableCache(editorId);
+            const commandId = editor.addCommand(0, (accessor, variableName) => {
+                if (cache.revealed.has(variableName)) {
+                    this.hideSecretVariables(editorId, variableName);
+                } else {
+                    this.revealSecretVariable(editorId, dotNetHelper, variableName);
+                }
+            }, '');
+
+            const provider = monaco.languages.registerCodeLensProvider('*', {
+                onDidChange: cache.onDidChange.event,
+                provideCodeLenses: async (lensModel) => {
+                    // Only provide code lenses for this specific editor's model
+                    if (lensModel !== model || this.largeDocuments[editorId]) {
+                        return { lenses: [], dispose: () => { } };
+                    }
+
+                    const catalog = await this.resolveVariableCatalog(editorId, dotNetHelper);
+                    if (!catalog || lensModel.isDisposed()) {
+                        return { lenses: [], dispose: () => { } };
+                    }
+
+                    const variablePattern = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+                    const lenses = [];
+
+                    for (let lineNumber = 1; lineNumber <= lensModel.getLineCount(); lineNumber++) {
+                        const names = new Set();
+                        const line = lensModel.getLineContent(lineNumber);
+                        let match;
+
+                        variablePattern.lastIndex = 0;
+                        while ((match = variablePattern.exec(line)) !== null) {
+                            const variable = catalog.get(match[1]);
+                            if (variable && variable.isSecret) {
+                                names.add(match[1]);
                             }
-                        } catch (error) {
-                            console.error('Error getting variable hover info:', error);
                         }
+
+                        names.forEach(name => lenses.push({
+                            range: new monaco.Range(lineNumber, 1, lineNumber, 1),
+                            command: {
+                                id: commandId,
+                                title: cache.revealed.has(name) ? `Hide ${name}` : `Reveal ${name}`,
+                                arguments: [name]
+                            }
+                        }));
                     }
-                    
-                    return null;
+
+                    return { lenses: lenses, dispose: () => { } };
                 }
             });
 
-            this.hoverProviders[editorId] = provider;
+            // Revealed values must not stay on screen once the user moves to another editor
+            const blurListener = editor.onDidBlurEditorText(() => this.hideSecretVariables(editorId));
+
+            this.secretRevealLenses[editorId] = {
+                dispose: () => {
+                    provider.dispose();
+                    blurListener.dispose();
+                    this.hideSecretVariables(editorId);
+                }
+            };
             return true;
         } catch (error) {
-            console.error('Error registering hover provider:', error);
+            console.error('Error registering secret reveal lenses:', error);
+            return false;
+        }
+    },
+
+    disposeSecretRevealLenses: function (editorId) {
+        if (this.secretRevealLenses[editorId]) {
+            this.secretRevealLenses[editorId].dispose();
+            delete this.secretRevealLenses[editorId];
+        }
+    },
+
+    // Fetch the value of a secret variable and show it in the inlay hints until it times out
+    revealSecretVariable: async function (editorId, dotNetHelper, variableName) {
+        const editor = this.editors[editorId];
+        if (!editor) {
+            return false;
+        }
+
+        try {
+            // Clicking a code lens can move focus away from the text; reveal only into a focused editor
+            editor.focus();
+
+            const cache = this.getVariableCache(editorId);
+            const generation = cache.generation;
+            const value = await dotNetHelper.invokeMethodAsync('RevealSecretVariable', variableName);
+
+            if (value === null || value === undefined || generation !== cache.generation
+                || this.editors[editorId] !== editor || !editor.hasTextFocus()) {
+                return false;
+            }
+
+            this.hideSecretVariables(editorId, variableName, false);
+            cache.revealed.set(variableName, {
+                value: value,
+                timer: setTimeout(() => this.hideSecretVariables(editorId, variableName), this.secretRevealTimeout)
+            });
+            cache.onDidChange.fire();
+            return true;
+        } catch (error) {
+            console.error('Error revealing secret variable:', error);
+            return false;
+        }
+    },
+
+    // Hide one revealed secret variable, or all of them when no name is given
+    hideSecretVariables: function (editorId, variableName, notify) {
+        const cache = this.variableCaches[editorId];
+        if (!cache || cache.revealed.size === 0) {
+            return;
+        }
+
+        const names = variableName ? [variableName] : [...cache.revealed.keys()];
+        let changed = false;
+        names.forEach(name => {
+            const revealed = cache.revealed.get(name);
+            if (revealed) {
+                clearTimeout(revealed.timer);
+                cache.revealed.delete(name);
+                changed = true;
+            }
+        });
+
+        if (changed && notify !== false) {
+            cache.onDidChange.fire();
+        }
+    },
+
+    // Register variable inlay hints provider. Secret values are never sent from .NET here; their hints show
+    // the mask unless the user revealed them through the code lens and the editor has focus.
+    registerVariableInlayHintsProvider: function (editorId, dotNetHelper) {
+        try {
+            // Dispose existing provider if any
+            if (this.inlayHintsProviders[editorId]) {
+                this.inlayHintsProviders[editorId].dispose();
+                delete this.inlayHintsProviders[editorId];
+            }
+
+            if (!dotNetHelper) {
+                return false;
+            }
+
+            const editor = this.editors[editorId];
+            if (!editor) {
+                return false;
+            }
+
+            const model = editor.getModel();
+            if (!model) {
+                return false;
+            }
+
+            const cache = this.getVariableCache(editorId);
+
+            const provider = monaco.languages.registerInlayHintsProvider('*', {
+                // Fired when the variable cache is invalidated so hints are recomputed
+                onDidChangeInlayHints: cache.onDidChange.event,
+                provideInlayHints: async (hintModel, range, token) => {
+                    // Only provide hints for this specific editor's model
+                    if (model !== hintModel) {
+                        return { hints: [], dispose: () => {} };
+                    }
+
+                    const matches = [];
+                    const variablePattern = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+                    // Collect every variable in the visible range first so they can be resolved in one call
+                    for (let lineNumber = range.startLineNumber; lineNumber <= range.endLineNumber; lineNumber++) {
+                        const line = hintModel.getLineContent(lineNumber);
+                        let match;
+
+                        // Reset lastIndex to avoid issues with global regex across multiple lines
+                        variablePattern.lastIndex = 0;
+
+                        while ((match = variablePattern.exec(line)) !== null) {
+                            matches.push({
+                                name: match[1],
+                                position: new monaco.Position(lineNumber, match.index + match[0].length + 1)
+                            });
+                        }
+                    }
+
+                    const [values, catalog] = await Promise.all([
+                        this.resolveVariableValues(
+                            editorId,
+                            dotNetHelper,
+                            [...new Set(matches.map(m => m.name))],
+                            token
+                        ),
+                        this.resolveVariableCatalog(editorId, dotNetHelper)
+                    ]);
+
+                    if (!values || (token && token.isCancellationRequested)) {
+                        return { hints: [], dispose: () => {} };
+                    }
+
+                    const hints = matches
+                        .filter(m => values[m.name] !== null && values[m.name] !== undefined)
+                        .map(m => {
+                            const variable = catalog ? catalog.get(m.name) : null;
+                            const revealed = variable && variable.isSecret && editor.hasTextFocus()
+                                ? cache.revealed.get(m.name)
+                                : null;
+                            return {
+                                kind: monaco.languages.InlayHintKind.Parameter,
+                                position: m.position,
+                                label: ` = ${revealed ? revealed.value : values[m.name]}`,
+                                paddingLeft: true,
+                                paddingRight: false,
+                                tooltip: variable && variable.isSecret
+                                    ? (revealed ? 'Secret value revealed, hides automatically' : 'Secret value hidden')
+                                    : `Value from ${variable ? this.getVariableSourceLabel(variable.source) : 'environment/collection'}`
+                            };
+                        });
+
+                    return {
+                        hints: hints,
+                        dispose: () => {}
+                    };
+                }
+            });
+
+            this.inlayHintsProviders[editorId] = provider;
+            return true;
+        } catch (error) {
+            console.error('Error registering inlay hints provider:', error);
+            return false;
+        }
+    },
+
+    // Get (or create) the per-editor cache of resolved variable values and hover texts
+    getVariableCache: function (editorId) {
+        if (!this.variableCaches[editorId]) {
+            this.variableCaches[editorId] = {
+                values: new Map(),
+                hovers: new Map(),
+                pending: new Map(),
+                // Promise of a Map of variable name to descriptor from GetAvailableVariables
+                catalog: null,
+                // Secret values revealed by the user: name to { value, timer }
+                revealed: new Map(),
+                generation: 0,
+                onDidChange: new monaco.Emitter()
+            };
+        }
+        return this.variableCaches[editorId];
+    },
+
+    // Resolve variable values through the cache, fetching all missing names with a single .NET call.
+    // Returns null when the cancellation token fired while waiting.
+    resolveVariableValues: async function (editorId, dotNetHelper, variableNames, token) {
+        const cache = this.getVariableCache(editorId);
+        const generation = cache.generation;
+        const missing = variableNames.filter(name => !cache.values.has(name) && !cache.pending.has(name));
+
+        if (missing.length > 0 && !(token && token.isCancellationRequested)) {
+            const request = dotNetHelper.invokeMethodAsync('GetVariableValues', missing)
+                .then(values => {
+                    // Results requested before an invalidation are stale
+                    if (generation === cache.generation) {
+                        missing.forEach(name => cache.values.set(name, values ? values[name] ?? null : null));
+                    }
+                })
+                .catch(error => console.error('Error resolving variable values:', error))
+                .finally(() => missing.forEach(name => {
+                    if (cache.pending.get(name) === request) {
+                        cache.pending.delete(name);
+                    }
+                }));
+
+            missing.forEach(name => cache.pending.set(name, request));
+        }
+
+        await Promise.all([...new Set(variableNames.map(name => cache.pending.get(name)).filter(Boolean))]);
+
+        if (token && token.isCancellationRequested) {
+            return null;
+        }
+
+        const result = {};
+        variableNames.forEach(name => {
+            result[name] = cache.values.get(name);
+        });
+        return result;
+    },
+
+    // Resolve the variables available to an editor (name to descriptor) through the cache.
+    // Returns null when they could not be fetched.
+    resolveVariableCatalog: function (editorId, dotNetHelper) {
+        const cache = this.getVariableCache(editorId);
+        if (!cache.catalog) {
+            const request = dotNetHelper.invokeMethodAsync('GetAvailableVariables')
+                .then(variables => new Map((variables || []).map(variable => [variable.name, variable])))
+                .catch(error => {
+                    console.error('Error getting available variables:', error);
+                    // Try again next time instead of caching the failure
+                    if (cache.catalog === request) {
+                        cache.catalog = null;
+                    }
+                    return null;
+                });
+            cache.catalog = request;
+        }
+        return cache.catalog;
+    },
+
+    // Resolve the hover text of a variable through the cache
+    resolveVariableHoverInfo: async function (editorId, dotNetHelper, variableName) {
+        const cache = this.getVariableCache(editorId);
+        if (cache.hovers.has(variableName)) {
+            return cache.hovers.get(variableName);
+        }
+
+        const generation = cache.generation;
+        const result = await dotNetHelper.invokeMethodAsync('GetVariableHoverInfo', variableName);
+        if (generation === cache.generation) {
+            cache.hovers.set(variableName, result);
+        }
+        return result;
+    },
+
+    // Drop cached variable values of an editor (called by .NET when environment or collection variables change)
+    invalidateVariableCache: function (editorId) {
+        const cache = this.variableCaches[editorId];
+        if (!cache) {
+            return;
+        }
+
+        this.hideSecretVariables(editorId, null, false);
+        cache.generation++;
+        cache.values.clear();
+        cache.hovers.clear();
+        cache.pending.clear();
+        cache.catalog = null;
+        cache.onDidChange.fire();
+
+        if (this.variableDiagnostics[editorId]) {
+            this.variableDiagnostics[editorId].refresh();
+        }
+    },
+
+    // Initialize Monaco Diff Editor. With jsonDiffOptions { semantic: true, ignorePaths: [...] } JSON documents
+    // are compared after normalising them (sorted keys, canonical formatting, ignored paths left out).
+    initializeDiffEditor: async function (editorId, originalContent, modifiedContent, language, theme, readOnly, jsonDiffOptions) {
+        if (!await this.whenMonacoReady()) {
+            return window.textareaEditorFallback.initializeDiffEditor(editorId, originalContent, modifiedContent, language, theme, readOnly);
+        }
+
+        try {
+            const container = document.getElementById(editorId);
+            if (!container) {
+                console.error('Container not found:', editorId);
+                return false;
+            }
+
+            // Dispose existing editor if any
+            if (this.editors[editorId]) {
+                this.editors[editorId].dispose();
+            }
+
+            // Create diff editor
+            const diffEditor = monaco.editor.createDiffEditor(container, {
+                theme: this.resolveTheme(theme),
+                readOnly: readOnly !== false,
+                automaticLayout: true,
+                minimap: { enabled: false },
+                scrollBeyondLastLine: false,
+                fontSize: 14,
+                lineNumbers: 'on',
+                renderLineHighlight: 'all',
+                contextmenu: true,
+                padding: { top: 8, bottom: 8 },
+                lineDecorationsWidth: 10,
+                lineNumbersMinChars: 3,
+                glyphMargin: false,
+                folding: true,
+                renderWhitespace: 'selection',
+                cursorBlinking: 'smooth',
+                smoothScrolling: true,
+                scrollbar: {
+                    useShadows: false,
+                    verticalScrollbarSize: 10,
+                    horizontalScrollbarSize: 10
+                },
+                renderSideBySide: true,
+                ignoreTrimWhitespace: false,
+                enableSplitViewResizing: true
+            });
+
+            // Set models; the content is filled in by applyDiffContent
+            const originalModel = monaco.editor.createModel('', language || 'plaintext');
+            const modifiedModel = monaco.editor.createModel('', language || 'plaintext');
+
+            diffEditor.setModel({
+                original: originalModel,
+                modified: modifiedModel
+            });
+
+            this.editors[editorId] = diffEditor;
+            this.diffSources[editorId] = {
+                original: originalContent || '',
+                modified: modifiedContent || '',
+                language: language || 'plaintext',
+                options: jsonDiffOptions || null,
+                summary: null
+            };
+            this.applyDiffContent(editorId);
+
+            return true;
+        } catch (error) {
+            console.error('Error initializing Monaco Diff Editor:', error);
+            return false;
+        }
+    },
+
+    // Update diff editor content; jsonDiffOptions is only changed when it is passed
+    updateDiffEditor: function (editorId, originalContent, modifiedContent, language, jsonDiffOptions) {
+        try {
+            const diffEditor = this.editors[editorId];
+            const source = this.diffSources[editorId];
+            if (!diffEditor || !diffEditor.getOriginalEditor || !source) {
+                return false;
+            }
+
+            source.original = originalContent || '';
+            source.modified = modifiedContent || '';
+
+            // Update language if provided
+            if (language) {
+                source.language = language;
+            }
+            if (jsonDiffOptions !== undefined) {
+                source.options = jsonDiffOptions;
+            }
+
+            this.applyDiffContent(editorId);
+            return true;
+        } catch (error) {
+            console.error('Error updating Monaco Diff Editor:', error);
             return false;
         }
     },
 
-    // Register variable inlay hints provider
-    registerVariableInlayHintsProvider: function (editorId, dotNetHelper) {
-        try {
-            // Dispose existing provider if any
-            if (this.inlayHintsProviders[editorId]) {
-                this.inlayHintsProviders[editorId].dispose();
-                delete this.inlayHintsProviders[editorId];
+    // Show the stored diff sources in a diff editor, normalised first when semantic JSON mode is on.
+    // Returns the JSON diff summary (null outside semantic mode).
+    applyDiffContent: function (editorId) {
+        const diffEditor = this.editors[editorId];
+        const source = this.diffSources[editorId];
+        if (!diffEditor || !source) {
+            return null;
+        }
+
+        let original = source.original;
+        let modified = source.modified;
+        let language = source.language || 'plaintext';
+        source.summary = null;
+
+        if (source.options && source.options.semantic) {
+            const originalJson = this.normalizeJsonForDiff(source.original, source.options.ignorePaths, 'original');
+            const modifiedJson = this.normalizeJsonForDiff(source.modified, source.options.ignorePaths, 'modified');
+            const error = originalJson.error || modifiedJson.error;
+
+            if (error) {
+                // Fall back to the raw text diff, but say why
+                source.summary = { changes: [], error: error };
+            } else {
+                original = originalJson.text;
+                modified = modifiedJson.text;
+                language = 'json';
+                source.summary = {
+                    changes: this.compareJsonNodes(originalJson.root, modifiedJson.root, originalJson.ignored, modifiedJson.ignored, '$', []),
+                    error: null
+                };
             }
+        }
 
-            if (!dotNetHelper) {
-                return false;
+        const originalModel = diffEditor.getOriginalEditor().getModel();
+        const modifiedModel = diffEditor.getModifiedEditor().getModel();
+        [[originalModel, original], [modifiedModel, modified]].forEach(([model, value]) => {
+            if (model.getValue() !== value) {
+                model.setValue(value);
+            }
+            if (model.getLanguageId() !== language) {
+                monaco.editor.setModelLanguage(model, language);
             }
+        });
 
-            const editor = this.editors[editorId];
-            if (!editor) {
-                return false;
+        return source.summary;
+    },
+
+    // Switch semantic JSON mode ({ semantic, ignorePaths }) on an existing diff editor and return the new summary
+    setJsonDiffOptions: function (editorId, jsonDiffOptions) {
+        try {
+            const source = this.diffSources[editorId];
+            if (!source) {
+                return null;
             }
 
-            const model = editor.getModel();
-            if (!model) {
+            source.options = jsonDiffOptions || null;
+            return this.applyDiffContent(editorId);
+        } catch (error) {
+            console.error('Error updating JSON diff options:', error);
+            return null;
+        }
+    },
+
+    // Added, removed and changed JSON paths of the last semantic comparison: { changes: [{ path, kind, original, modified }], error }
+    getJsonDiffSummary: function (editorId) {
+        const source = this.diffSources[editorId];
+        return source ? source.summary : null;
+    },
+
+    // Select a JSON path from the diff summary, on the requested side or on the other side when it only exists there
+    revealJsonDiffPath: function (editorId, path, side) {
+        try {
+            const diffEditor = this.editors[editorId];
+            if (!diffEditor || !diffEditor.getOriginalEditor) {
                 return false;
             }
 
-            // Register inlay hints provider for the specific model language
-            const provider = monaco.languages.registerInlayHintsProvider(model.getLanguageId(), {
-                provideInlayHints: async function (hintModel, range, token) {
-                    // Only provide hints for this specific editor's model
-                    if (model !== hintModel) {
-                        return { hints: [], dispose: () => {} };
-                    }
+            const sides = side === 'original'
+                ? [diffEditor.getOriginalEditor(), diffEditor.getModifiedEditor()]
+                : [diffEditor.getModifiedEditor(), diffEditor.getOriginalEditor()];
 
-                    const hints = [];
-                    const variablePattern = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
-                    
-                    // Process each line in the visible range
-                    for (let lineNumber = range.startLineNumber; lineNumber <= range.endLineNumber; lineNumber++) {
-                        const line = hintModel.getLineContent(lineNumber);
-                        let match;
-                        
-                        // Reset lastIndex to avoid issues with global regex across multiple lines
-                        variablePattern.lastIndex = 0;
-                        
-                        // Find all variables in the line
-                        while ((match = variablePattern.exec(line)) !== null) {
-                            const variableName = match[1];
-                            const matchEnd = match.index + match[0].length;
-                            
-                            try {
-                                // Call back to .NET to get variable value
-                                const value = await dotNetHelper.invokeMethodAsync('GetVariableValue', variableName);
-                                
-                                if (value !== null && value !== undefined) {
-                                    // Add inlay hint after the variable
-                                    hints.push({
-                                        kind: monaco.languages.InlayHintKind.Parameter,
-                                        position: new monaco.Position(lineNumber, matchEnd + 1),
-                                        label: ` = ${value}`,
-                                        paddingLeft: true,
-                                        paddingRight: false,
-                                        tooltip: `Variable value from environment/collection`
-                                    });
-                                }
-                            } catch (error) {
-                                console.error('Error getting variable value for inlay hint:', error);
-                            }
-                        }
-                    }
-                    
-                    return {
-                        hints: hints,
-                        dispose: () => {}
-                    };
+            for (const editor of sides) {
+                const model = editor.getModel();
+                const root = model ? this.parseJsonTree(model.getValue()) : null;
+                const node = root ? this.evaluateJsonPath(root, path)[0] : null;
+                if (!node) {
+                    continue;
                 }
-            });
 
-            this.inlayHintsProviders[editorId] = provider;
-            return true;
+                const start = model.getPositionAt(node.keyOffset !== undefined ? node.keyOffset : node.offset);
+                const end = model.getPositionAt(node.offset + node.length);
+                const range = monaco.Range.fromPositions(start, end);
+                editor.setSelection(range);
+                editor.revealRangeInCenterIfOutsideViewport(range);
+                editor.focus();
+                return true;
+            }
+
+            return false;
         } catch (error) {
-            console.error('Error registering inlay hints provider:', error);
+            console.error('Error revealing JSON diff path:', error);
             return false;
         }
     },
 
-    // Initialize Monaco Diff Editor
-    initializeDiffEditor: function (editorId, originalContent, modifiedContent, language, theme, readOnly) {
+    // Parse JSON for a semantic diff: nodes matched by an ignore path are left out and the rest is printed
+    // with sorted keys and two-space indentation
+    normalizeJsonForDiff: function (text, ignorePaths, side) {
+        const root = this.parseJsonTree(text || '');
+        if (!root) {
+            return { error: `The ${side} content is not valid JSON` };
+        }
+
+        // Scalars compare by their canonical form; large integers keep their digits instead of being rounded
+        this.getJsonDescendants(root).forEach(node => {
+            if (node.type !== 'object' && node.type !== 'array') {
+                const raw = text.slice(node.offset, node.offset + node.length);
+                node.canonical = node.type === 'number' && /^-?\d+$/.test(raw) && !Number.isSafeInteger(node.value)
+                    ? raw.replace(/^(-?)0+(?=\d)/, '$1')
+                    : JSON.stringify(node.value);
+            }
+        });
+
+        const ignored = new Set();
+        for (const path of ignorePaths || []) {
+            if (!path || !path.trim()) {
+                continue;
+            }
+
+            try {
+                this.evaluateJsonPath(root, path).forEach(node => {
+                    if (node !== root) {
+                        ignored.add(node);
+                    }
+                });
+            } catch (error) {
+                return { error: `Invalid ignore path "${path}": ${error.message}` };
+            }
+        }
+
+        return { root: root, ignored: ignored, text: this.printCanonicalJson(root, ignored, '') };
+    },
+
+    printCanonicalJson: function (node, ignored, indent) {
+        if (node.type !== 'object' && node.type !== 'array') {
+            return node.canonical;
+        }
+
+        const isObject = node.type === 'object';
+        const children = this.getVisibleJsonChildren(node, ignored);
+        if (children.length === 0) {
+            return isObject ? '{}' : '[]';
+        }
+
+        const childIndent = indent + '  ';
+        const items = children.map(child => childIndent
+            + (isObject ? `${JSON.stringify(child.key)}: ` : '')
+            + this.printCanonicalJson(child, ignored, childIndent));
+        return `${isObject ? '{' : '['}\n${items.join(',\n')}\n${indent}${isObject ? '}' : ']'}`;
+    },
+
+    // Children that are not ignored, object members sorted by key
+    getVisibleJsonChildren: function (node, ignored) {
+        const children = node.children.filter(child => !ignored.has(child));
+        return node.type === 'object'
+            ? children.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+            : children;
+    },
+
+    // Compare two normalised JSON trees and collect { path, kind: 'added' | 'removed' | 'changed', original, modified }
+    compareJsonNodes: function (original, modified, ignoredOriginal, ignoredModified, path, changes) {
+        const isContainer = original.type === 'object' || original.type === 'array';
+        if (original.type !== modified.type || (!isContainer && original.canonical !== modified.canonical)) {
+            changes.push({ path: path, kind: 'changed', original: this.previewJsonNode(original), modified: this.previewJsonNode(modified) });
+            return changes;
+        }
+
+        if (!isContainer) {
+            return changes;
+        }
+
+        const originalChildren = this.getVisibleJsonChildren(original, ignoredOriginal);
+        const modifiedChildren = this.getVisibleJsonChildren(modified, ignoredModified);
+        const pairs = [];
+
+        if (original.type === 'object') {
+            const originalByKey = new Map(originalChildren.map(child => [child.key, child]));
+            const modifiedByKey = new Map(modifiedChildren.map(child => [child.key, child]));
+            [...new Set([...originalByKey.keys(), ...modifiedByKey.keys()])].sort().forEach(key => {
+                const childPath = this.appendJsonPathKey(path, key);
+                pairs.push([childPath, childPath, originalByKey.get(key), modifiedByKey.get(key)]);
+            });
+        } else {
+            this.pairJsonArrayItems(originalChildren, modifiedChildren, ignoredOriginal, ignoredModified).forEach(([i, j]) => {
+                pairs.push([`${path}[${i}]`, `${path}[${j}]`, originalChildren[i], modifiedChildren[j]]);
+            });
+        }
+
+        // Removed items are reported at their original path, everything else at the modified one
+        pairs.forEach(([originalPath, modifiedPath, originalChild, modifiedChild]) => {
+            if (!modifiedChild) {
+                changes.push({ path: originalPath, kind: 'removed', original: this.previewJsonNode(originalChild), modified: null });
+            } else if (!originalChild) {
+                changes.push({ path: modifiedPath, kind: 'added', original: null, modified: this.previewJsonNode(modifiedChild) });
+            } else {
+                this.compareJsonNodes(originalChild, modifiedChild, ignoredOriginal, ignoredModified, modifiedPath, changes);
+            }
+        });
+
+        return changes;
+    },
+
+    // Align the items of two arrays so an inserted or removed item does not shift every later item into a
+    // change: equal items are matched by a diff of their canonical text, and within each changed run the
+    // items are paired up in order, the surplus being added or removed. Returns [originalIndex, modifiedIndex]
+    // pairs in which the missing side is -1.
+    pairJsonArrayItems: function (originalItems, modifiedItems, ignoredOriginal, ignoredModified) {
+        const originalTexts = originalItems.map(item => this.printCanonicalJson(item, ignoredOriginal, ''));
+        const modifiedTexts = modifiedItems.map(item => this.printCanonicalJson(item, ignoredModified, ''));
+
+        const pairs = [];
+        const pairRange = (originalStart, originalEnd, modifiedStart, modifiedEnd) => {
+            for (let k = 0; k < Math.max(originalEnd - originalStart, modifiedEnd - modifiedStart); k++) {
+                pairs.push([
+                    originalStart + k < originalEnd ? originalStart + k : -1,
+                    modifiedStart + k < modifiedEnd ? modifiedStart + k : -1
+                ]);
+            }
+        };
+
+        let i = 0;
+        let j = 0;
+        this.computeLineDiff(originalTexts, modifiedTexts).forEach(change => {
+            // Items before the change are equal
+            pairRange(i, change.baseStart, j, change.sideStart);
+            pairRange(change.baseStart, change.baseEnd, change.sideStart, change.sideEnd);
+            i = change.baseEnd;
+            j = change.sideEnd;
+        });
+        pairRange(i, originalItems.length, j, modifiedItems.length);
+
+        return pairs;
+    },
+
+    // Short one-line description of a JSON value for the diff summary
+    previewJsonNode: function (node) {
+        switch (node.type) {
+            case 'object':
+                return `{ ${node.children.length} ${node.children.length === 1 ? 'key' : 'keys'} }`;
+            case 'array':
+                return `[ ${node.children.length} ${node.children.length === 1 ? 'item' : 'items'} ]`;
+            default:
+                return node.canonical.length > 80 ? `${node.canonical.substring(0, 77)}...` : node.canonical;
+        }
+    },
+    // Initialize a three-way merge editor for a conflicted file: read-only ours, base and theirs panes on
+    // top and an editable result below. Non-conflicting changes from either side are applied to the result;
+    // conflicting regions start out with the base text and get per-hunk accept code lenses.
+    initializeMergeEditor: async function (editorId, baseContent, oursContent, theirsContent, language, theme, dotNetHelper) {
+        if (!await this.whenMonacoReady()) {
+            return window.textareaEditorFallback.initializeMergeEditor(editorId);
+        }
+
         try {
             const container = document.getElementById(editorId);
             if (!container) {
@@ -487,86 +5672,549 @@ window.monacoEditorInterop = {
             }
 
             // Dispose existing editor if any
-            if (this.editors[editorId]) {
-                this.editors[editorId].dispose();
-            }
+            this.disposeEditor(editorId);
 
-            // Create diff editor
-            const diffEditor = monaco.editor.createDiffEditor(container, {
-                theme: theme || 'vs-dark',
-                readOnly: readOnly || true,
+            const merge = this.computeMerge(baseContent || '', oursContent || '', theirsContent || '');
+
+            const root = document.createElement('div');
+            root.className = 'merge-editor';
+            const sidesRow = document.createElement('div');
+            sidesRow.className = 'merge-editor-sides';
+            root.appendChild(sidesRow);
+            const createPane = (parent, title) => {
+                const pane = document.createElement('div');
+                pane.className = 'merge-editor-pane';
+                const header = document.createElement('div');
+                header.className = 'merge-editor-title';
+                header.textContent = title;
+                const host = document.createElement('div');
+                host.className = 'merge-editor-host';
+                pane.appendChild(header);
+                pane.appendChild(host);
+                parent.appendChild(pane);
+                return host;
+            };
+            const hosts = {
+                ours: createPane(sidesRow, 'Ours (current)'),
+                base: createPane(sidesRow, 'Base'),
+                theirs: createPane(sidesRow, 'Theirs (incoming)'),
+                result: createPane(root, 'Result')
+            };
+            hosts.result.parentElement.classList.add('merge-editor-result');
+            container.replaceChildren(root);
+
+            const options = {
+                theme: this.resolveTheme(theme),
                 automaticLayout: true,
                 minimap: { enabled: false },
                 scrollBeyondLastLine: false,
                 fontSize: 14,
                 lineNumbers: 'on',
-                renderLineHighlight: 'all',
                 contextmenu: true,
                 padding: { top: 8, bottom: 8 },
                 lineDecorationsWidth: 10,
                 lineNumbersMinChars: 3,
                 glyphMargin: false,
-                folding: true,
+                folding: false,
                 renderWhitespace: 'selection',
-                cursorBlinking: 'smooth',
                 smoothScrolling: true,
                 scrollbar: {
                     useShadows: false,
                     verticalScrollbarSize: 10,
                     horizontalScrollbarSize: 10
-                },
-                renderSideBySide: true,
-                ignoreTrimWhitespace: false,
-                enableSplitViewResizing: true
+                }
+            };
+
+            const models = {
+                ours: monaco.editor.createModel(oursContent || '', language || 'plaintext'),
+                base: monaco.editor.createModel(baseContent || '', language || 'plaintext'),
+                theirs: monaco.editor.createModel(theirsContent || '', language || 'plaintext'),
+                result: monaco.editor.createModel(merge.result, language || 'plaintext')
+            };
+
+            const panes = {};
+            ['ours', 'base', 'theirs'].forEach(name => {
+                panes[name] = monaco.editor.create(hosts[name], { ...options, model: models[name], readOnly: true });
+                panes[name].createDecorationsCollection(merge.conflicts
+                    .filter(conflict => conflict[name].end > conflict[name].start)
+                    .map(conflict => ({
+                        range: new monaco.Range(conflict[name].start + 1, 1, conflict[name].end, 1),
+                        options: { isWholeLine: true, className: `merge-conflict-${name}` }
+                    })));
             });
 
-            // Set models
-            const originalModel = monaco.editor.createModel(originalContent || '', language || 'plaintext');
-            const modifiedModel = monaco.editor.createModel(modifiedContent || '', language || 'plaintext');
+            const result = monaco.editor.create(hosts.result, { ...options, model: models.result, readOnly: false });
+            const resultModel = models.result;
 
-            diffEditor.setModel({
-                original: originalModel,
-                modified: modifiedModel
+            // Conflict regions are tracked with invisible decorations so they follow edits around them
+            const conflicts = merge.conflicts.map(conflict => {
+                const range = monaco.Range.fromPositions(
+                    resultModel.getPositionAt(conflict.resultStart),
+                    resultModel.getPositionAt(conflict.resultEnd));
+                return {
+                    ...conflict,
+                    trackingId: resultModel.deltaDecorations([], [{ range: range, options: this.mergeTrackingOptions(range) }])[0],
+                    currentText: conflict.baseText,
+                    resolution: null
+                };
             });
 
-            this.editors[editorId] = diffEditor;
+            const state = {
+                panes: panes,
+                result: result,
+                models: models,
+                conflicts: conflicts,
+                dotNetHelper: dotNetHelper,
+                highlights: result.createDecorationsCollection([]),
+                lensEmitter: new monaco.Emitter(),
+                applying: false,
+                lastUnresolved: -1,
+                disposables: []
+            };
+            this.mergeEditors[editorId] = state;
+            this.editors[editorId] = result;
+
+            const commandId = result.addCommand(0, (accessor, index, resolution) => {
+                this.acceptMergeConflict(editorId, index, resolution);
+            }, '');
+
+            state.disposables.push(monaco.languages.registerCodeLensProvider('*', {
+                onDidChange: state.lensEmitter.event,
+                provideCodeLenses: (lensModel) => {
+                    // Only provide code lenses for this merge editor's result model
+                    if (lensModel !== resultModel) {
+                        return { lenses: [], dispose: () => { } };
+                    }
+
+                    const lenses = [];
+                    state.conflicts.forEach((conflict, index) => {
+                        const range = lensModel.getDecorationRange(conflict.trackingId);
+                        if (!range) {
+                            return;
+                        }
+
+                        const lensRange = new monaco.Range(range.startLineNumber, 1, range.startLineNumber, 1);
+                        const actions = conflict.resolution
+                            ? [[`✓ Resolved (${this.getMergeResolutionLabel(conflict.resolution)}) · Reset`, 'reset']]
+                            : [['Accept Ours', 'ours'], ['Accept Theirs', 'theirs'], ['Accept Both', 'both'], ['Keep Base', 'base']];
+                        actions.forEach(([title, resolution]) => lenses.push({
+                            range: lensRange,
+                            command: { id: commandId, title: title, arguments: [index, resolution] }
+                        }));
+                    });
+                    return { lenses: lenses, dispose: () => { } };
+                }
+            }));
+
+            // Editing inside a conflict by hand counts as resolving it
+            state.disposables.push(resultModel.onDidChangeContent(() => {
+                if (state.applying) {
+                    return;
+                }
+
+                let resolutionChanged = false;
+                state.conflicts.forEach(conflict => {
+                    const range = resultModel.getDecorationRange(conflict.trackingId);
+                    if (!conflict.resolution && range && resultModel.getValueInRange(range) !== conflict.currentText) {
+                        conflict.resolution = 'manual';
+                        resolutionChanged = true;
+                    }
+                });
+
+                this.refreshMergeDecorations(state);
+                if (resolutionChanged) {
+                    state.lensEmitter.fire();
+                    this.notifyMergeState(state);
+                }
+            }));
+
+            state.disposables.push(result.addAction({
+                id: 'holyconnect.merge.nextConflict',
+                label: 'Go to Next Conflict',
+                keybindings: [monaco.KeyCode.F7],
+                run: () => this.goToMergeConflict(editorId, 1)
+            }));
+            state.disposables.push(result.addAction({
+                id: 'holyconnect.merge.previousConflict',
+                label: 'Go to Previous Conflict',
+                keybindings: [monaco.KeyMod.Shift | monaco.KeyCode.F7],
+                run: () => this.goToMergeConflict(editorId, -1)
+            }));
+
+            this.refreshMergeDecorations(state);
+            this.notifyMergeState(state);
+            if (conflicts.length > 0) {
+                this.goToMergeConflict(editorId, 1);
+            }
 
             return true;
         } catch (error) {
-            console.error('Error initializing Monaco Diff Editor:', error);
+            console.error('Error initializing Monaco Merge Editor:', error);
             return false;
         }
     },
 
-    // Update diff editor content
-    updateDiffEditor: function (editorId, originalContent, modifiedContent, language) {
+    // Resolve a conflict with 'ours', 'theirs', 'both' or 'base'; 'reset' puts the base text back and marks it unresolved
+    acceptMergeConflict: function (editorId, index, resolution) {
         try {
-            const diffEditor = this.editors[editorId];
-            if (!diffEditor || !diffEditor.getOriginalEditor) {
+            const state = this.mergeEditors[editorId];
+            const conflict = state ? state.conflicts[index] : null;
+            if (!conflict) {
                 return false;
             }
 
-            const originalModel = diffEditor.getOriginalEditor().getModel();
-            const modifiedModel = diffEditor.getModifiedEditor().getModel();
+            let text;
+            switch (resolution) {
+                case 'ours': text = conflict.oursText; break;
+                case 'theirs': text = conflict.theirsText; break;
+                case 'both': text = this.joinMergeTexts(conflict.oursText, conflict.theirsText); break;
+                case 'base':
+                case 'reset': text = conflict.baseText; break;
+                default: return false;
+            }
 
-            if (originalModel && modifiedModel) {
-                // Update content
-                originalModel.setValue(originalContent || '');
-                modifiedModel.setValue(modifiedContent || '');
+            this.applyMergeConflictText(state, conflict, text);
+            conflict.resolution = resolution === 'reset' ? null : resolution;
 
-                // Update language if provided
-                if (language) {
-                    monaco.editor.setModelLanguage(originalModel, language);
-                    monaco.editor.setModelLanguage(modifiedModel, language);
-                }
+            this.refreshMergeDecorations(state);
+            state.lensEmitter.fire();
+            this.notifyMergeState(state);
+            return true;
+        } catch (error) {
+            console.error('Error accepting merge conflict:', error);
+            return false;
+        }
+    },
 
-                return true;
+    // Resolve every unresolved conflict the same way
+    acceptAllMergeConflicts: function (editorId, resolution) {
+        const state = this.mergeEditors[editorId];
+        if (!state) {
+            return false;
+        }
+
+        state.conflicts.forEach((conflict, index) => {
+            if (!conflict.resolution) {
+                this.acceptMergeConflict(editorId, index, resolution);
+            }
+        });
+        return true;
+    },
+
+    // Move the cursor to the next (direction > 0) or previous unresolved conflict, wrapping around, and
+    // scroll the ours/base/theirs panes to the same hunk. Returns the 1-based conflict number, or 0.
+    goToMergeConflict: function (editorId, direction) {
+        try {
+            const state = this.mergeEditors[editorId];
+            if (!state) {
+                return 0;
             }
 
-            return false;
+            const model = state.models.result;
+            const unresolved = state.conflicts.filter(conflict => !conflict.resolution);
+            const candidates = (unresolved.length > 0 ? unresolved : state.conflicts)
+                .map(conflict => ({ conflict: conflict, range: model.getDecorationRange(conflict.trackingId) }))
+                .filter(candidate => candidate.range);
+            if (candidates.length === 0) {
+                return 0;
+            }
+
+            const position = state.result.getPosition();
+            const line = position ? position.lineNumber : 0;
+            const target = direction < 0
+                ? [...candidates].reverse().find(candidate => candidate.range.startLineNumber < line) || candidates[candidates.length - 1]
+                : candidates.find(candidate => candidate.range.startLineNumber > line) || candidates[0];
+
+            const lineNumber = target.range.startLineNumber;
+            state.result.setPosition({ lineNumber: lineNumber, column: 1 });
+            state.result.revealLineInCenter(lineNumber);
+            state.result.focus();
+
+            ['ours', 'base', 'theirs'].forEach(name => {
+                state.panes[name].revealLineInCenter(target.conflict[name].start + 1);
+            });
+
+            return state.conflicts.indexOf(target.conflict) + 1;
         } catch (error) {
-            console.error('Error updating Monaco Diff Editor:', error);
-            return false;
+            console.error('Error navigating merge conflicts:', error);
+            return 0;
+        }
+    },
+
+    // Get the merged content along with how many conflicts are still unresolved
+    getMergeResult: function (editorId) {
+        const state = this.mergeEditors[editorId];
+        if (!state) {
+            return null;
+        }
+
+        return {
+            content: state.models.result.getValue(),
+            unresolvedConflicts: state.conflicts.filter(conflict => !conflict.resolution).length,
+            totalConflicts: state.conflicts.length
+        };
+    },
+
+    disposeMergeEditor: function (editorId) {
+        const state = this.mergeEditors[editorId];
+        if (!state) {
+            return;
+        }
+
+        state.disposables.forEach(disposable => disposable.dispose());
+        state.lensEmitter.dispose();
+        Object.values(state.panes).forEach(pane => pane.dispose());
+        state.result.dispose();
+        Object.values(state.models).forEach(model => model.dispose());
+
+        delete this.mergeEditors[editorId];
+        delete this.editors[editorId];
+    },
+
+    // Replace the text of a conflict region and keep tracking the replaced range
+    applyMergeConflictText: function (state, conflict, text) {
+        const model = state.models.result;
+        const range = model.getDecorationRange(conflict.trackingId);
+        const startOffset = model.getOffsetAt(range.getStartPosition());
+        const endOffset = model.getOffsetAt(range.getEndPosition());
+        const lengthBefore = model.getValueLength();
+
+        state.applying = true;
+        try {
+            model.pushStackElement();
+            model.pushEditOperations([], [{ range: range, text: text }], () => null);
+            model.pushStackElement();
+        } finally {
+            state.applying = false;
+        }
+
+        // The model may normalize line endings, so measure the inserted text from the length change
+        const newEndOffset = endOffset + model.getValueLength() - lengthBefore;
+        const newRange = monaco.Range.fromPositions(model.getPositionAt(startOffset), model.getPositionAt(newEndOffset));
+        conflict.trackingId = model.deltaDecorations([conflict.trackingId], [{ range: newRange, options: this.mergeTrackingOptions(newRange) }])[0];
+        conflict.currentText = model.getValueInRange(newRange);
+    },
+
+    // Highlight conflict regions in the result, leaving out the line that only holds the trailing newline
+    refreshMergeDecorations: function (state) {
+        const model = state.models.result;
+        state.highlights.set(state.conflicts.map(conflict => {
+            const range = model.getDecorationRange(conflict.trackingId);
+            if (!range) {
+                return null;
+            }
+
+            const endLine = range.endColumn === 1 && range.endLineNumber > range.startLineNumber
+                ? range.endLineNumber - 1
+                : range.endLineNumber;
+            return {
+                range: new monaco.Range(range.startLineNumber, 1, endLine, 1),
+                options: {
+                    isWholeLine: true,
+                    className: conflict.resolution ? 'merge-conflict-resolved' : 'merge-conflict-unresolved'
+                }
+            };
+        }).filter(decoration => decoration));
+    },
+
+    // Typing right next to a conflict stays outside of it. An empty region (e.g. both sides added lines where
+    // the base had none) has no inside to type into, so it takes up text typed at its position instead.
+    mergeTrackingOptions: function (range) {
+        return {
+            stickiness: range.isEmpty()
+                ? monaco.editor.TrackedRangeStickiness.AlwaysGrowsWhenTypingAtEdges
+                : monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges
+        };
+    },
+
+    // Report the number of unresolved conflicts to .NET whenever it changes
+    notifyMergeState: function (state) {
+        const unresolved = state.conflicts.filter(conflict => !conflict.resolution).length;
+        if (unresolved === state.lastUnresolved) {
+            return;
+        }
+
+        state.lastUnresolved = unresolved;
+        if (state.dotNetHelper) {
+            state.dotNetHelper.invokeMethodAsync('MergeStateChanged', unresolved, state.conflicts.length)
+                .catch(error => console.error('Error reporting merge state:', error));
+        }
+    },
+
+    getMergeResolutionLabel: function (resolution) {
+        switch (resolution) {
+            case 'ours': return 'ours';
+            case 'theirs': return 'theirs';
+            case 'both': return 'both';
+            case 'base': return 'base';
+            default: return 'edited';
+        }
+    },
+
+    // Concatenate two regions, making sure the first one ends on a line break
+    joinMergeTexts: function (first, second) {
+        if (first && second && !first.endsWith('\n')) {
+            return first + '\n' + second;
+        }
+        return first + second;
+    },
+
+    // Split text into lines that keep their line terminator, so joining them gives back the exact text
+    splitMergeLines: function (text) {
+        return text ? text.match(/[^\n]*\n|[^\n]+$/g) || [] : [];
+    },
+
+    // Above this many LCS cells a changed block is treated as a single change instead of being diffed
+    mergeDiffMaxCells: 4000000,
+
+    // Line diff of a side against the base, as runs of changed lines: { baseStart, baseEnd, sideStart, sideEnd }
+    computeLineDiff: function (baseLines, sideLines) {
+        let prefix = 0;
+        while (prefix < baseLines.length && prefix < sideLines.length && baseLines[prefix] === sideLines[prefix]) {
+            prefix++;
+        }
+
+        let suffix = 0;
+        while (suffix < baseLines.length - prefix && suffix < sideLines.length - prefix
+            && baseLines[baseLines.length - 1 - suffix] === sideLines[sideLines.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        const n = baseLines.length - prefix - suffix;
+        const m = sideLines.length - prefix - suffix;
+        if (n === 0 && m === 0) {
+            return [];
         }
+        if (n === 0 || m === 0 || n * m > this.mergeDiffMaxCells) {
+            return [{ baseStart: prefix, baseEnd: prefix + n, sideStart: prefix, sideEnd: prefix + m }];
+        }
+
+        // lengths[i][j] is the LCS length of the base lines from i and the side lines from j
+        const width = m + 1;
+        const lengths = new Uint32Array((n + 1) * width);
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i * width + j] = baseLines[prefix + i] === sideLines[prefix + j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        const changes = [];
+        let change = null;
+        let i = 0;
+        let j = 0;
+        while (i < n || j < m) {
+            if (i < n && j < m && baseLines[prefix + i] === sideLines[prefix + j]) {
+                change = null;
+                i++;
+                j++;
+                continue;
+            }
+
+            if (!change) {
+                change = { baseStart: prefix + i, baseEnd: prefix + i, sideStart: prefix + j, sideEnd: prefix + j };
+                changes.push(change);
+            }
+
+            if (j >= m || (i < n && lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+                i++;
+                change.baseEnd = prefix + i;
+            } else {
+                j++;
+                change.sideEnd = prefix + j;
+            }
+        }
+
+        return changes;
+    },
+
+    // Three-way merge of ours and theirs against base. Changes from both sides that overlap or touch form
+    // one region; it merges cleanly when only one side changed it or both made the same change, otherwise
+    // it is a conflict. Conflicts keep the base text in the result, at [resultStart, resultEnd).
+    computeMerge: function (baseText, oursText, theirsText) {
+        const base = this.splitMergeLines(baseText);
+        const sides = {
+            ours: { lines: this.splitMergeLines(oursText), delta: 0 },
+            theirs: { lines: this.splitMergeLines(theirsText), delta: 0 }
+        };
+
+        const hunks = [
+            ...this.computeLineDiff(base, sides.ours.lines).map(change => ({ ...change, side: 'ours' })),
+            ...this.computeLineDiff(base, sides.theirs.lines).map(change => ({ ...change, side: 'theirs' }))
+        ].sort((a, b) => a.baseStart - b.baseStart || a.baseEnd - b.baseEnd);
+
+        const chunks = [];
+        const conflicts = [];
+        let offset = 0;
+        let basePosition = 0;
+        let index = 0;
+        const emit = text => {
+            chunks.push(text);
+            offset += text.length;
+        };
+
+        while (index < hunks.length) {
+            const group = [hunks[index++]];
+            const groupStart = group[0].baseStart;
+            let groupEnd = group[0].baseEnd;
+            while (index < hunks.length && hunks[index].baseStart <= groupEnd) {
+                groupEnd = Math.max(groupEnd, hunks[index].baseEnd);
+                group.push(hunks[index++]);
+            }
+
+            emit(base.slice(basePosition, groupStart).join(''));
+
+            // Map the base region onto each side; a side without changes here is shifted by its earlier changes
+            const ranges = {};
+            ['ours', 'theirs'].forEach(name => {
+                const side = sides[name];
+                const sideHunks = group.filter(hunk => hunk.side === name);
+                if (sideHunks.length === 0) {
+                    ranges[name] = { start: groupStart + side.delta, end: groupEnd + side.delta };
+                    return;
+                }
+
+                const first = sideHunks[0];
+                const last = sideHunks[sideHunks.length - 1];
+                ranges[name] = {
+                    start: first.sideStart - (first.baseStart - groupStart),
+                    end: last.sideEnd + (groupEnd - last.baseEnd)
+                };
+                side.delta = ranges[name].end - groupEnd;
+            });
+
+            const baseRegion = base.slice(groupStart, groupEnd).join('');
+            const oursRegion = sides.ours.lines.slice(ranges.ours.start, ranges.ours.end).join('');
+            const theirsRegion = sides.theirs.lines.slice(ranges.theirs.start, ranges.theirs.end).join('');
+
+            if (oursRegion === theirsRegion || theirsRegion === baseRegion) {
+                emit(oursRegion);
+            } else if (oursRegion === baseRegion) {
+                emit(theirsRegion);
+            } else {
+                const resultStart = offset;
+                emit(baseRegion);
+                conflicts.push({
+                    resultStart: resultStart,
+                    resultEnd: offset,
+                    base: { start: groupStart, end: groupEnd },
+                    ours: ranges.ours,
+                    theirs: ranges.theirs,
+                    baseText: baseRegion,
+                    oursText: oursRegion,
+                    theirsText: theirsRegion
+                });
+            }
+
+            basePosition = groupEnd;
+        }
+
+        emit(base.slice(basePosition).join(''));
+        return { result: chunks.join(''), conflicts: conflicts };
     }
+
 };
+
+// Start loading Monaco right away rather than when the first editor is created
+window.monacoEditorInterop.whenMonacoReady();
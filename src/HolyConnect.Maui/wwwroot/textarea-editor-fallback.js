@@ -0,0 +1,316 @@
+// Plain-textarea stand-in for the Monaco editor interop in HolyConnect
+//
+// When Monaco cannot be loaded, monacoEditorInterop.useTextareaFallback routes every interop call here.
+// It implements what .NET needs to keep editing: content, change and dirty-state callbacks, chunked value
+// uploads, keyed models and read-only diffs. Language features have no textarea equivalent and are ignored.
+
+window.textareaEditorFallback = {
+    // { textarea, language, model, valueCallback, dirtyCallback, isDirty }, or { diff: { original, modified } }
+    editors: {},
+    // Content kept under a model key across editors: { value, savedValue, awaitingInitialValue }
+    models: {},
+    valueUploads: {},
+
+    initializeEditor: function (editorId, initialValue, language, theme, readOnly, modelKey) {
+        const container = document.getElementById(editorId);
+        if (!container) {
+            console.error('Container not found:', editorId);
+            return false;
+        }
+
+        this.disposeEditor(editorId);
+
+        let model = null;
+        if (modelKey) {
+            model = this.models[modelKey];
+            if (!model) {
+                model = {
+                    value: initialValue || '',
+                    savedValue: initialValue || '',
+                    awaitingInitialValue: initialValue === null || initialValue === undefined
+                };
+                this.models[modelKey] = model;
+            } else if (initialValue !== null && initialValue !== undefined) {
+                model.value = initialValue;
+            }
+        }
+
+        const textarea = this.createTextarea(model ? model.value : (initialValue || ''), readOnly);
+        const state = {
+            textarea: textarea,
+            language: language || 'graphql',
+            model: model,
+            modelKey: modelKey,
+            valueCallback: null,
+            dirtyCallback: null,
+            isDirty: null
+        };
+
+        textarea.addEventListener('input', () => {
+            if (state.model) {
+                state.model.value = textarea.value;
+            }
+            if (state.valueCallback) {
+                state.valueCallback(textarea.value);
+            }
+            this.updateDirtyState(state);
+        });
+
+        container.replaceChildren(textarea);
+        this.editors[editorId] = state;
+        return true;
+    },
+
+    // Show the two sides of a diff next to each other
+    initializeDiffEditor: function (editorId, originalContent, modifiedContent) {
+        const container = document.getElementById(editorId);
+        if (!container) {
+            console.error('Container not found:', editorId);
+            return false;
+        }
+
+        this.disposeEditor(editorId);
+
+        const diff = {
+            original: this.createTextarea(originalContent || '', true),
+            modified: this.createTextarea(modifiedContent || '', true)
+        };
+        const wrapper = document.createElement('div');
+        wrapper.className = 'textarea-editor-diff';
+        wrapper.append(diff.original, diff.modified);
+
+        container.replaceChildren(wrapper);
+        this.editors[editorId] = { diff: diff };
+        return true;
+    },
+
+    updateDiffEditor: function (editorId, originalContent, modifiedContent) {
+        const state = this.editors[editorId];
+        if (state && state.diff) {
+            state.diff.original.value = originalContent || '';
+            state.diff.modified.value = modifiedContent || '';
+        }
+    },
+
+    // Resolving conflicts without the merge editor could silently drop one side, so it is not offered
+    initializeMergeEditor: function (editorId) {
+        const container = document.getElementById(editorId);
+        if (container) {
+            const message = document.createElement('div');
+            message.className = 'textarea-editor-message';
+            message.textContent = 'The merge editor is not available because the code editor could not be loaded.';
+            container.replaceChildren(message);
+        }
+        return false;
+    },
+
+    getValue: function (editorId) {
+        const state = this.editors[editorId];
+        return state && state.textarea ? state.textarea.value : null;
+    },
+
+    // Set the value without reporting it back to .NET. Returns false: there is no large-document mode.
+    setValue: function (editorId, value) {
+        const state = this.editors[editorId];
+        if (!state || !state.textarea) {
+            return false;
+        }
+
+        if (state.textarea.value !== (value || '')) {
+            state.textarea.value = value || '';
+        }
+
+        if (state.model) {
+            state.model.value = state.textarea.value;
+
+            // The first value streamed into a new model is its saved state
+            if (state.model.awaitingInitialValue) {
+                state.model.awaitingInitialValue = false;
+                state.model.savedValue = state.model.value;
+            }
+        }
+
+        this.updateDirtyState(state);
+        return false;
+    },
+
+    // Chunked uploads are tagged with an id, so chunks of an upload that was superseded are ignored
+    beginValueUpload: function (editorId, uploadId) {
+        this.valueUploads[editorId] = { id: uploadId, chunks: [] };
+    },
+
+    appendValueChunk: function (editorId, uploadId, chunk) {
+        const upload = this.valueUploads[editorId];
+        if (upload && upload.id === uploadId) {
+            upload.chunks.push(chunk);
+        }
+    },
+
+    // Returns null when the upload was superseded
+    endValueUpload: function (editorId, uploadId) {
+        const upload = this.valueUploads[editorId];
+        if (!upload || upload.id !== uploadId) {
+            return null;
+        }
+
+        delete this.valueUploads[editorId];
+        return this.setValue(editorId, upload.chunks.join(''));
+    },
+
+    setLanguage: function (editorId, language) {
+        const state = this.editors[editorId];
+        if (state) {
+            state.language = language;
+        }
+    },
+
+    onValueChanged: function (editorId, dotNetHelper) {
+        const state = this.editors[editorId];
+        if (state && state.textarea) {
+            state.valueCallback = value => dotNetHelper.invokeMethodAsync('OnValueChanged', value);
+        }
+    },
+
+    registerDirtyStateCallback: function (editorId, dotNetHelper) {
+        const state = this.editors[editorId];
+        if (!state || !state.model || !dotNetHelper) {
+            return false;
+        }
+
+        state.dirtyCallback = isDirty => dotNetHelper.invokeMethodAsync('DirtyStateChanged', isDirty)
+            .catch(error => console.error('Error reporting dirty state:', error));
+        state.isDirty = null;
+        this.updateDirtyState(state);
+        return true;
+    },
+
+    markClean: function (editorId) {
+        const state = this.editors[editorId];
+        if (!state || !state.model) {
+            return false;
+        }
+
+        this.markModelsClean(state.modelKey);
+        return true;
+    },
+
+    markModelsClean: function (keyPrefix) {
+        Object.keys(this.models)
+            .filter(key => key.startsWith(keyPrefix))
+            .forEach(key => {
+                this.models[key].savedValue = this.models[key].value;
+            });
+
+        Object.values(this.editors)
+            .filter(state => state.model && state.modelKey.startsWith(keyPrefix))
+            .forEach(state => this.updateDirtyState(state));
+    },
+
+    // Report a change of the dirty state of an editor's model; editing back to the saved text makes it clean
+    updateDirtyState: function (state) {
+        if (!state.model || !state.dirtyCallback) {
+            return;
+        }
+
+        const isDirty = state.model.value !== state.model.savedValue;
+        if (isDirty !== state.isDirty) {
+            state.isDirty = isDirty;
+            state.dirtyCallback(isDirty);
+        }
+    },
+
+    // Only JSON can be formatted without a language service; false leaves other languages to .NET
+    formatDocument: function (editorId) {
+        const state = this.editors[editorId];
+        if (!state || !state.textarea || state.textarea.readOnly || state.language !== 'json') {
+            return false;
+        }
+
+        try {
+            const formatted = JSON.stringify(JSON.parse(state.textarea.value), null, 2);
+            if (formatted !== state.textarea.value) {
+                state.textarea.value = formatted;
+                state.textarea.dispatchEvent(new Event('input'));
+            }
+        } catch (error) {
+            // Invalid JSON stays as it is
+        }
+        return true;
+    },
+
+    // There is no JSON validation to apply a schema to, which is not an error
+    setJsonSchema: function () {
+        return true;
+    },
+
+    queryResponse: function () {
+        return { matchCount: 0, error: 'Queries are not available because the code editor could not be loaded' };
+    },
+
+    getJsonDiffSummary: function () {
+        return null;
+    },
+
+    setJsonDiffOptions: function () {
+        return null;
+    },
+
+    getMergeResult: function () {
+        return null;
+    },
+
+    goToMergeConflict: function () {
+        return 0;
+    },
+
+    getMinifiedGraphQL: function () {
+        return null;
+    },
+
+    stripGraphQLEditor: function () {
+        return null;
+    },
+
+    disposeModelsExcept: function (keyPrefix, ownerIds) {
+        const retained = new Set(ownerIds || []);
+        const attachedKeys = new Set(Object.values(this.editors).map(state => state.modelKey));
+        Object.keys(this.models)
+            .filter(key => key.startsWith(keyPrefix) && !retained.has(key.slice(keyPrefix.length).split('/')[0]))
+            .forEach(key => {
+                // Models still shown by an editor go when that editor is disposed
+                if (attachedKeys.has(key)) {
+                    this.models[key].disposeWhenDetached = true;
+                } else {
+                    delete this.models[key];
+                }
+            });
+    },
+
+    disposeEditor: function (editorId) {
+        const state = this.editors[editorId];
+        delete this.editors[editorId];
+        delete this.valueUploads[editorId];
+
+        if (!state) {
+            return;
+        }
+
+        (state.textarea || state.diff.original.parentElement).remove();
+
+        if (state.model && state.model.disposeWhenDetached
+            && !Object.values(this.editors).some(other => other.modelKey === state.modelKey)) {
+            delete this.models[state.modelKey];
+        }
+    },
+
+    // The textarea takes its colours from the app palette, so it follows theme changes by itself
+    createTextarea: function (value, readOnly) {
+        const textarea = document.createElement('textarea');
+        textarea.className = 'textarea-editor';
+        textarea.value = value;
+        textarea.readOnly = !!readOnly;
+        textarea.spellcheck = false;
+        textarea.wrap = 'off';
+        return textarea;
+    }
+};
@@ -0,0 +1,92 @@
+using HolyConnect.Application.Common;
+
+namespace HolyConnect.Application.Tests.Common;
+
+public class KeyBindingHelperTests
+{
+    [Fact]
+    public void TryParse_WithSingleChord_ShouldParseModifiersAndKey()
+    {
+        // Act
+        var result = KeyBindingHelper.TryParse("Ctrl+Shift+N", out var chords);
+
+        // Assert
+        Assert.True(result);
+        var chord = Assert.Single(chords);
+        Assert.Equal("n", chord.Key);
+        Assert.True(chord.CtrlKey);
+        Assert.True(chord.ShiftKey);
+        Assert.False(chord.AltKey);
+    }
+
+    [Fact]
+    public void TryParse_WithChordSequence_ShouldParseEachChord()
+    {
+        // Act
+        var result = KeyBindingHelper.TryParse("Ctrl+K Ctrl+S", out var chords);
+
+        // Assert
+        Assert.True(result);
+        Assert.Equal(2, chords.Count);
+        Assert.Equal("k", chords[0].Key);
+        Assert.Equal("s", chords[1].Key);
+        Assert.All(chords, c => Assert.True(c.CtrlKey));
+    }
+
+    [Theory]
+    [InlineData("Ctrl++", "+")]
+    [InlineData("Alt+Space", " ")]
+    [InlineData("Esc", "escape")]
+    [InlineData("Cmd+Enter", "enter")]
+    public void TryParse_WithSpecialKeys_ShouldNormalizeKey(string binding, string expectedKey)
+    {
+        // Act
+        var result = KeyBindingHelper.TryParse(binding, out var chords);
+
+        // Assert
+        Assert.True(result);
+        Assert.Equal(expectedKey, Assert.Single(chords).Key);
+    }
+
+    [Theory]
+    [InlineData("")]
+    [InlineData("   ")]
+    [InlineData("Hyper+K")]
+    [InlineData(null)]
+    public void TryParse_WithInvalidBinding_ShouldReturnFalse(string? binding)
+    {
+        // Act
+        var result = KeyBindingHelper.TryParse(binding, out var chords);
+
+        // Assert
+        Assert.False(result);
+        Assert.Empty(chords);
+    }
+
+    [Fact]
+    public void Format_ShouldRoundTripParsedBinding()
+    {
+        // Arrange
+        KeyBindingHelper.TryParse("shift+ctrl+k ctrl+s", out var chords);
+
+        // Act
+        var formatted = KeyBindingHelper.Format(chords);
+
+        // Assert
+        Assert.Equal("Ctrl+Shift+K Ctrl+S", formatted);
+    }
+
+    [Fact]
+    public void StartsWith_WithChordPrefix_ShouldReturnTrue()
+    {
+        // Arrange
+        KeyBindingHelper.TryParse("Ctrl+K Ctrl+S", out var chords);
+        KeyBindingHelper.TryParse("Ctrl+K", out var prefix);
+        KeyBindingHelper.TryParse("Ctrl+S", out var other);
+
+        // Act & Assert
+        Assert.True(KeyBindingHelper.StartsWith(chords, prefix));
+        Assert.False(KeyBindingHelper.StartsWith(chords, other));
+        Assert.False(KeyBindingHelper.StartsWith(prefix, chords));
+    }
+}
@@ -0,0 +1,112 @@
+using HolyConnect.Application.Common;
+using HolyConnect.Domain.Entities;
+
+namespace HolyConnect.Application.Tests.Common;
+
+public class RequestChangeTrackerTests
+{
+    [Fact]
+    public void Update_WithUnchangedRequest_ShouldStayClean()
+    {
+        // Arrange
+        var tracker = new RequestChangeTracker();
+        tracker.Track(new RestRequest { Id = Guid.NewGuid(), Url = "https://api.example.com" });
+
+        // Act
+        var changed = tracker.Update();
+
+        // Assert
+        Assert.False(changed);
+        Assert.False(tracker.IsDirty);
+    }
+
+    [Fact]
+    public void Update_WithChangedField_ShouldBecomeDirtyAndCleanAgainWhenReverted()
+    {
+        // Arrange
+        var request = new RestRequest { Id = Guid.NewGuid(), Url = "https://api.example.com" };
+        var tracker = new RequestChangeTracker();
+        tracker.Track(request);
+
+        // Act & Assert
+        request.Headers["X-Api-Key"] = "secret";
+        Assert.True(tracker.Update());
+        Assert.True(tracker.IsDirty);
+        Assert.False(tracker.Update());
+
+        request.Headers.Remove("X-Api-Key");
+        Assert.True(tracker.Update());
+        Assert.False(tracker.IsDirty);
+    }
+
+    [Fact]
+    public void Update_WithDirtyEditor_ShouldBeDirtyUntilEditorIsClean()
+    {
+        // Arrange
+        var tracker = new RequestChangeTracker();
+        tracker.Track(new GraphQLRequest { Id = Guid.NewGuid() });
+
+        // Act & Assert
+        tracker.SetEditorDirty(true);
+        Assert.True(tracker.Update());
+        Assert.True(tracker.IsDirty);
+
+        tracker.SetEditorDirty(false);
+        Assert.True(tracker.Update());
+        Assert.False(tracker.IsDirty);
+    }
+
+    [Fact]
+    public void MarkClean_ShouldTakeCurrentFieldsAsSavedState()
+    {
+        // Arrange
+        var request = new RestRequest { Id = Guid.NewGuid(), Url = "https://api.example.com" };
+        var tracker = new RequestChangeTracker();
+        tracker.Track(request);
+        request.Url = "https://api.example.com/users";
+        tracker.SetEditorDirty(true);
+        tracker.Update();
+
+        // Act
+        tracker.MarkClean();
+
+        // Assert
+        Assert.True(tracker.Update());
+        Assert.False(tracker.IsDirty);
+    }
+
+    [Fact]
+    public void Track_WithAnotherRequestInstance_ShouldStartClean()
+    {
+        // Arrange
+        var request = new RestRequest { Id = Guid.NewGuid(), Url = "https://api.example.com" };
+        var tracker = new RequestChangeTracker();
+        tracker.Track(request);
+        request.Url = "https://api.example.com/users";
+        tracker.Update();
+
+        // Act
+        tracker.Track(new RestRequest { Id = request.Id, Url = request.Url });
+
+        // Assert
+        Assert.True(tracker.Update());
+        Assert.False(tracker.IsDirty);
+    }
+
+    [Fact]
+    public void Track_WithSameRequestInstance_ShouldKeepSavedState()
+    {
+        // Arrange
+        var request = new RestRequest { Id = Guid.NewGuid(), Url = "https://api.example.com" };
+        var tracker = new RequestChangeTracker();
+        tracker.Track(request);
+        request.Url = "https://api.example.com/users";
+
+        // Act
+        tracker.Track(request);
+
+        // Assert
+        Assert.True(tracker.Update());
+        Assert.True(tracker.IsDirty);
+    }
+}
@@ -21,6 +21,7 @@ public class RequestClonerTests
             Body = "{ \"test\": \"data\" }",
             ContentType = "application/json",
             BodyType = BodyType.Json,
+            BodySchema = "{ \"type\": \"object\" }",
             QueryParameters = new Dictionary<string, string> { { "param1", "value1" } },
             DisabledQueryParameters = new HashSet<string> { "disabled1" },
             Headers = new Dictionary<string, string> { { "X-Custom", "value" } },
@@ -47,6 +48,7 @@ public class RequestClonerTests
         Assert.Equal(original.Method, clone.Method);
         Assert.Equal(original.Body, clone.Body);
         Assert.Equal(original.ContentType, clone.ContentType);
+        Assert.Equal(original.BodySchema, clone.BodySchema);
         
         // Verify collections are copied, not referenced
         Assert.NotSame(original.Headers, clone.Headers);
@@ -0,0 +1,88 @@
+using HolyConnect.Application.Common;
+using HolyConnect.Domain.Entities;
+
+namespace HolyConnect.Application.Tests.Common;
+
+public class RequestSnapshotHelperTests
+{
+    [Fact]
+    public void CreateSnapshot_WithUnchangedRequest_ShouldBeEqual()
+    {
+        // Arrange
+        var request = new RestRequest
+        {
+            Id = Guid.NewGuid(),
+            Url = "https://api.example.com",
+            Headers = new Dictionary<string, string> { { "Accept", "application/json" } }
+        };
+
+        // Act
+        var first = RequestSnapshotHelper.CreateSnapshot(request);
+        var second = RequestSnapshotHelper.CreateSnapshot(request);
+
+        // Assert
+        Assert.Equal(first, second);
+    }
+
+    [Fact]
+    public void CreateSnapshot_WithChangedFields_ShouldDiffer()
+    {
+        // Arrange
+        var request = new RestRequest { Id = Guid.NewGuid(), Url = "https://api.example.com" };
+        var original = RequestSnapshotHelper.CreateSnapshot(request);
+
+        // Act & Assert
+        request.Url = "https://api.example.com/users";
+        Assert.NotEqual(original, RequestSnapshotHelper.CreateSnapshot(request));
+
+        request.Url = "https://api.example.com";
+        request.Headers["Authorization"] = "Bearer token";
+        Assert.NotEqual(original, RequestSnapshotHelper.CreateSnapshot(request));
+
+        request.Headers.Clear();
+        request.AuthType = AuthenticationType.Basic;
+        Assert.NotEqual(original, RequestSnapshotHelper.CreateSnapshot(request));
+
+        request.AuthType = AuthenticationType.None;
+        request.QueryParameters["page"] = "1";
+        Assert.NotEqual(original, RequestSnapshotHelper.CreateSnapshot(request));
+
+        request.QueryParameters.Clear();
+        Assert.Equal(original, RequestSnapshotHelper.CreateSnapshot(request));
+    }
+
+    [Fact]
+    public void CreateSnapshot_ShouldIgnoreEditorTrackedContent()
+    {
+        // Arrange
+        var restRequest = new RestRequest { Id = Guid.NewGuid(), Body = "{ }" };
+        var graphQLRequest = new GraphQLRequest { Id = Guid.NewGuid(), Query = "{ users { id } }" };
+        var restSnapshot = RequestSnapshotHelper.CreateSnapshot(restRequest);
+        var graphQLSnapshot = RequestSnapshotHelper.CreateSnapshot(graphQLRequest);
+
+        // Act
+        restRequest.Body = "{ \"name\": \"test\" }";
+        graphQLRequest.Query = "{ users { id name } }";
+        graphQLRequest.Variables = "{ \"id\": 1 }";
+
+        // Assert
+        Assert.Equal(restSnapshot, RequestSnapshotHelper.CreateSnapshot(restRequest));
+        Assert.Equal(graphQLSnapshot, RequestSnapshotHelper.CreateSnapshot(graphQLRequest));
+    }
+
+    [Fact]
+    public void CreateSnapshot_ShouldIgnoreCollectionNavigationProperty()
+    {
+        // Arrange
+        var collection = new Collection { Id = Guid.NewGuid(), Name = "Collection" };
+        var request = new GraphQLRequest { Id = Guid.NewGuid(), CollectionId = collection.Id };
+        collection.Requests.Add(request);
+        var original = RequestSnapshotHelper.CreateSnapshot(request);
+
+        // Act
+        request.Collection = collection;
+
+        // Assert
+        Assert.Equal(original, RequestSnapshotHelper.CreateSnapshot(request));
+    }
+}
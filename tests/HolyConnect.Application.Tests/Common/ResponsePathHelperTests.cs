@@ -0,0 +1,41 @@
+using HolyConnect.Application.Common;
+
+namespace HolyConnect.Application.Tests.Common;
+
+public class ResponsePathHelperTests
+{
+    [Theory]
+    [InlineData("$.data.user.id", "userId")]
+    [InlineData("$.data.items[0].price", "price")]
+    [InlineData("$.data.user.firstName", "firstName")]
+    [InlineData("$['data']['odd key']", "oddKey")]
+    [InlineData("$.data.ID", "dataId")]
+    [InlineData("/root/items/item[2]/@id", "itemId")]
+    [InlineData("/root/user/email", "email")]
+    [InlineData("$", "extractedValue")]
+    [InlineData("$.items[*]", "items")]
+    [InlineData("", "extractedValue")]
+    public void SuggestVariableName_ShouldReturnCamelCaseName(string pattern, string expected)
+    {
+        // Act
+        var result = ResponsePathHelper.SuggestVariableName(pattern);
+
+        // Assert
+        Assert.Equal(expected, result);
+    }
+
+    [Fact]
+    public void CreateExtraction_ShouldPrefillNewEnabledRule()
+    {
+        // Act
+        var result = ResponsePathHelper.CreateExtraction("$.data.user.id");
+
+        // Assert
+        Assert.Equal(Guid.Empty, result.Id);
+        Assert.Equal("$.data.user.id", result.Pattern);
+        Assert.Equal("userId", result.VariableName);
+        Assert.Equal("Extract userId", result.Name);
+        Assert.True(result.IsEnabled);
+        Assert.False(result.SaveToCollection);
+    }
+}
@@ -0,0 +1,133 @@
+using HolyConnect.Application.Common;
+using HolyConnect.Domain.Entities;
+
+namespace HolyConnect.Application.Tests.Common;
+
+public class VariableCatalogHelperTests
+{
+    private readonly Domain.Entities.Environment _environment;
+    private readonly Collection _collection;
+
+    public VariableCatalogHelperTests()
+    {
+        _environment = new Domain.Entities.Environment
+        {
+            Id = Guid.NewGuid(),
+            Name = "Test Environment",
+            Variables = new Dictionary<string, string>
+            {
+                { "baseUrl", "https://api.example.com" },
+                { "token", "secret-token" },
+                { "shared", "from-environment" }
+            },
+            SecretVariableNames = new HashSet<string> { "token" },
+            DynamicVariables = new List<DynamicVariable>
+            {
+                new() { Name = "randomEmail", GeneratorType = DataGeneratorType.Email }
+            }
+        };
+        _collection = new Collection
+        {
+            Id = Guid.NewGuid(),
+            Name = "Test Collection",
+            Variables = new Dictionary<string, string>
+            {
+                { "shared", "from-collection" }
+            }
+        };
+    }
+
+    [Fact]
+    public void GetAvailableVariables_ShouldListEnvironmentVariables()
+    {
+        // Act
+        var result = VariableCatalogHelper.GetAvailableVariables(_environment);
+
+        // Assert
+        var baseUrl = Assert.Single(result, v => v.Name == "baseUrl");
+        Assert.Equal(VariableSource.Environment, baseUrl.Source);
+        Assert.Equal("https://api.example.com", baseUrl.Preview);
+        Assert.False(baseUrl.IsSecret);
+    }
+
+    [Fact]
+    public void GetAvailableVariables_WithSecretVariable_ShouldMaskPreview()
+    {
+        // Act
+        var result = VariableCatalogHelper.GetAvailableVariables(_environment);
+
+        // Assert
+        var token = Assert.Single(result, v => v.Name == "token");
+        Assert.Equal(VariableSource.Secret, token.Source);
+        Assert.True(token.IsSecret);
+        Assert.Equal(VariableCatalogHelper.SecretMask, token.Preview);
+        Assert.DoesNotContain(result, v => v.Preview.Contains("secret-token"));
+    }
+
+    [Fact]
+    public void GetAvailableVariables_WithCollection_CollectionVariableShouldTakePrecedence()
+    {
+        // Act
+        var result = VariableCatalogHelper.GetAvailableVariables(_environment, _collection);
+
+        // Assert
+        var shared = Assert.Single(result, v => v.Name == "shared");
+        Assert.Equal(VariableSource.Collection, shared.Source);
+        Assert.Equal("from-collection", shared.Preview);
+    }
+
+    [Fact]
+    public void GetAvailableVariables_WithDynamicVariable_ShouldShowGeneratorType()
+    {
+        // Act
+        var result = VariableCatalogHelper.GetAvailableVariables(_environment);
+
+        // Assert
+        var email = Assert.Single(result, v => v.Name == "randomEmail");
+        Assert.Equal(VariableSource.Dynamic, email.Source);
+        Assert.Equal("<Email>", email.Preview);
+    }
+
+    [Fact]
+    public void GetAvailableVariables_WithResponseExtraction_ShouldListExtractionTarget()
+    {
+        // Arrange
+        var request = new RestRequest
+        {
+            ResponseExtractions = new List<ResponseExtraction>
+            {
+                new() { Name = "User id", Pattern = "$.data.user.id", VariableName = "userId" },
+                new() { Name = "Disabled", Pattern = "$.other", VariableName = "other", IsEnabled = false },
+                new() { Name = "Existing", Pattern = "$.url", VariableName = "baseUrl" }
+            }
+        };
+
+        // Act
+        var result = VariableCatalogHelper.GetAvailableVariables(_environment, _collection, request);
+
+        // Assert
+        var userId = Assert.Single(result, v => v.Name == "userId");
+        Assert.Equal(VariableSource.ResponseExtraction, userId.Source);
+        Assert.Equal("$.data.user.id", userId.Preview);
+        Assert.DoesNotContain(result, v => v.Name == "other");
+        Assert.Single(result, v => v.Name == "baseUrl");
+    }
+
+    [Fact]
+    public void GetSecretVariableNames_ShouldIncludeStaticAndDynamicSecrets()
+    {
+        // Arrange
+        _environment.DynamicVariables.Add(new DynamicVariable
+        {
+            Name = "apiKey",
+            GeneratorType = DataGeneratorType.Guid,
+            IsSecret = true
+        });
+
+        // Act
+        var result = VariableCatalogHelper.GetSecretVariableNames(_environment, _collection);
+
+        // Assert
+        Assert.Equal(new HashSet<string> { "token", "apiKey" }, result);
+    }
+}
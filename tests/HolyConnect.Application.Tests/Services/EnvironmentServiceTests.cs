@@ -123,6 +123,30 @@ public class EnvironmentServiceTests
         _mockRepository.Verify(r => r.UpdateAsync(It.IsAny<DomainEnvironment>()), Times.Once);
     }
 
+    [Fact]
+    public async Task UpdateEnvironmentAsync_WithNotifier_ShouldNotifyVariablesChanged()
+    {
+        // Arrange
+        var notifier = new VariableChangeNotifier();
+        var service = new EnvironmentService(_mockRepository.Object, _mockSecretVariablesService.Object, notifier);
+        var environment = new DomainEnvironment
+        {
+            Id = Guid.NewGuid(),
+            Name = "Test"
+        };
+        var notifiedIds = new List<Guid>();
+        notifier.VariablesChanged += notifiedIds.Add;
+
+        _mockRepository.Setup(r => r.UpdateAsync(It.IsAny<DomainEnvironment>()))
+            .ReturnsAsync((DomainEnvironment e) => e);
+
+        // Act
+        await service.UpdateEnvironmentAsync(environment);
+
+        // Assert
+        Assert.Equal(new[] { environment.Id }, notifiedIds);
+    }
+
     [Fact]
     public async Task DeleteEnvironmentAsync_ShouldCallRepository()
     {
@@ -1,3 +1,4 @@
+using HolyConnect.Application.Interfaces;
 using HolyConnect.Application.Services;
 
 namespace HolyConnect.Application.Tests.Services;
@@ -212,4 +213,217 @@ public class KeyboardShortcutServiceTests
         Assert.False(handled);
         Assert.False(handlerCalled);
     }
+
+    [Fact]
+    public async Task RegisterCommand_WithChordBinding_ShouldExecuteThroughShortcutId()
+    {
+        // Arrange
+        var handlerCalled = false;
+        var shortcutId = _service.RegisterCommand("request.save", "Ctrl+K Ctrl+S", () =>
+        {
+            handlerCalled = true;
+            return Task.CompletedTask;
+        }, "Save request", ShortcutScope.Editor, allowInInputs: true);
+
+        // Act
+        var handled = await _service.ExecuteShortcut(shortcutId);
+
+        // Assert
+        Assert.True(handled);
+        Assert.True(handlerCalled);
+        var binding = Assert.Single(_service.GetBindings());
+        Assert.Equal("Ctrl+K Ctrl+S", binding.Binding);
+        Assert.Equal(ShortcutScope.Editor, binding.Scope);
+        Assert.True(binding.AllowInInputs);
+        Assert.Equal(2, binding.Chords.Count);
+    }
+
+    [Fact]
+    public async Task ExecuteCommand_WithRegisteredCommand_ShouldExecuteHandler()
+    {
+        // Arrange
+        var handlerCalled = false;
+        _service.RegisterCommand("request.send", "Ctrl+Enter", () =>
+        {
+            handlerCalled = true;
+            return Task.CompletedTask;
+        }, "Send request");
+
+        // Act
+        var handled = await _service.ExecuteCommand("request.send");
+        var unknownHandled = await _service.ExecuteCommand("unknown.command");
+
+        // Assert
+        Assert.True(handled);
+        Assert.True(handlerCalled);
+        Assert.False(unknownHandled);
+    }
+
+    [Fact]
+    public void RegisterCommand_WithInvalidBinding_ShouldThrow()
+    {
+        // Act & Assert
+        Assert.Throws<ArgumentException>(() =>
+            _service.RegisterCommand("test", "Hyper+K", () => Task.CompletedTask, "Test"));
+    }
+
+    [Fact]
+    public async Task SetBindingOverrides_ShouldRemapCommand()
+    {
+        // Arrange
+        var handlerCalled = false;
+        _service.RegisterCommand("search.open", "Ctrl+K", () =>
+        {
+            handlerCalled = true;
+            return Task.CompletedTask;
+        }, "Open search");
+
+        // Act
+        _service.SetBindingOverrides(new Dictionary<string, string> { { "search.open", "Ctrl+P" } });
+
+        // Assert
+        Assert.False(await _service.HandleKeyPress("k", true, false, false));
+        Assert.True(await _service.HandleKeyPress("p", true, false, false));
+        Assert.True(handlerCalled);
+        var binding = Assert.Single(_service.GetBindings());
+        Assert.True(binding.IsCustomized);
+        Assert.Equal("Ctrl+K", binding.DefaultBinding);
+    }
+
+    [Fact]
+    public void SetBindingOverrides_WithEmptyBinding_ShouldUnbindCommand()
+    {
+        // Arrange
+        _service.RegisterCommand("search.open", "Ctrl+K", () => Task.CompletedTask, "Open search");
+
+        // Act
+        _service.SetBindingOverrides(new Dictionary<string, string> { { "search.open", "" } });
+
+        // Assert
+        var binding = Assert.Single(_service.GetBindings());
+        Assert.Empty(binding.Chords);
+        Assert.Empty(_service.GetAllShortcuts());
+    }
+
+    [Fact]
+    public void SetBindingOverrides_ShouldRaiseBindingsChanged()
+    {
+        // Arrange
+        var raised = 0;
+        _service.BindingsChanged += () => raised++;
+
+        // Act
+        _service.SetBindingOverrides(new Dictionary<string, string>());
+
+        // Assert
+        Assert.Equal(1, raised);
+    }
+
+    [Fact]
+    public void GetConflicts_WithSameBindingInOverlappingScopes_ShouldReportConflict()
+    {
+        // Arrange
+        _service.RegisterCommand("search.open", "Ctrl+K", () => Task.CompletedTask, "Open search");
+        _service.RegisterCommand("request.send", "Ctrl+Enter", () => Task.CompletedTask, "Send", ShortcutScope.Editor);
+        _service.RegisterCommand("request.save", "Ctrl+K Ctrl+S", () => Task.CompletedTask, "Save", ShortcutScope.Editor);
+        _service.RegisterCommand("navigate.flows", "Ctrl+Shift+F", () => Task.CompletedTask, "Go to flows");
+        _service.RegisterCommand("editor.format", "Ctrl+Shift+F", () => Task.CompletedTask, "Format", ShortcutScope.Editor);
+
+        // Act
+        var conflicts = _service.GetConflicts();
+
+        // Assert
+        var conflict = Assert.Single(conflicts);
+        Assert.Equal("search.open", conflict.First.CommandId);
+        Assert.Equal("request.save", conflict.Second.CommandId);
+        Assert.Equal("Ctrl+K starts the chord Ctrl+K Ctrl+S", conflict.Reason);
+    }
+
+    [Fact]
+    public async Task RegisterCommand_WithSameCommandId_ShouldShadowEarlierHandlerUntilUnregistered()
+    {
+        // Arrange
+        var executed = new List<string>();
+        var firstId = _service.RegisterCommand("request.send", "Ctrl+Enter", () =>
+        {
+            executed.Add("first");
+            return Task.CompletedTask;
+        }, "Send request");
+        var secondId = _service.RegisterCommand("request.send", "Ctrl+Enter", () =>
+        {
+            executed.Add("second");
+            return Task.CompletedTask;
+        }, "Send request");
+
+        // Act
+        await _service.ExecuteCommand("request.send");
+        var bindingsWhileShadowed = _service.GetBindings();
+        _service.UnregisterShortcut(secondId);
+        await _service.ExecuteCommand("request.send");
+
+        // Assert
+        Assert.Equal(new[] { "second", "first" }, executed);
+        Assert.Equal(secondId, Assert.Single(bindingsWhileShadowed).Id);
+        Assert.Equal(firstId, Assert.Single(_service.GetBindings()).Id);
+    }
+
+    [Fact]
+    public async Task UnregisterShortcut_WithShadowedRegistration_ShouldKeepNewerHandler()
+    {
+        // Arrange
+        var handlerCalled = false;
+        var firstId = _service.RegisterCommand("request.send", "Ctrl+Enter", () => Task.CompletedTask, "Send request");
+        _service.RegisterCommand("request.send", "Ctrl+Enter", () =>
+        {
+            handlerCalled = true;
+            return Task.CompletedTask;
+        }, "Send request");
+
+        // Act
+        _service.UnregisterShortcut(firstId);
+        var handled = await _service.HandleKeyPress("Enter", true, false, false);
+
+        // Assert
+        Assert.True(handled);
+        Assert.True(handlerCalled);
+    }
+
+    [Fact]
+    public async Task RegisterEditorCommand_ShouldBeBoundButNotExecutableOutsideEditors()
+    {
+        // Arrange
+        _service.RegisterEditorCommand("editor.format", "Ctrl+Shift+F", "Format document");
+
+        // Act
+        var executed = await _service.ExecuteCommand("editor.format");
+        var handled = await _service.HandleKeyPress("f", true, true, false);
+
+        // Assert
+        Assert.False(executed);
+        Assert.False(handled);
+        var binding = Assert.Single(_service.GetBindings());
+        Assert.True(binding.IsEditorOnly);
+        Assert.Equal(ShortcutScope.Editor, binding.Scope);
+        Assert.Equal("Ctrl+Shift+F", binding.Binding);
+    }
+
+    [Fact]
+    public async Task HandleKeyPress_WithEditorCommandOnSameKeys_ShouldRunGlobalCommand()
+    {
+        // Arrange
+        var handlerCalled = false;
+        _service.RegisterEditorCommand("editor.format", "Ctrl+Shift+F", "Format document");
+        _service.RegisterCommand("navigate.flows", "Ctrl+Shift+F", () =>
+        {
+            handlerCalled = true;
+            return Task.CompletedTask;
+        }, "Go to flows");
+
+        // Act
+        var handled = await _service.HandleKeyPress("f", true, true, false);
+
+        // Assert
+        Assert.True(handled);
+        Assert.True(handlerCalled);
+    }
 }
@@ -263,6 +263,54 @@ public class RequestServiceTests
         Assert.Contains(request.Type.ToString(), exception.Message);
     }
 
+    [Fact]
+    public async Task ExecuteRequestAsync_WithStreamProgress_ShouldPassItToStreamingExecutor()
+    {
+        // Arrange
+        var request = new WebSocketRequest
+        {
+            Id = Guid.NewGuid(),
+            Name = "Test Socket",
+            Url = "wss://echo.example.com"
+        };
+        var expectedResponse = new RequestResponse { IsStreaming = true };
+        var progress = new Mock<IProgress<StreamEvent>>().Object;
+        var streamingExecutor = new Mock<IStreamingRequestExecutor>();
+        streamingExecutor.Setup(e => e.ExecuteAsync(It.IsAny<Request>(), progress))
+            .ReturnsAsync(expectedResponse);
+        _mockExecutorFactory.Setup(f => f.GetExecutor(It.IsAny<Request>()))
+            .Returns(streamingExecutor.Object);
+
+        // Act
+        var result = await _service.ExecuteRequestAsync(request, progress);
+
+        // Assert
+        Assert.Same(expectedResponse, result);
+        streamingExecutor.Verify(e => e.ExecuteAsync(It.IsAny<Request>(), progress), Times.Once);
+        streamingExecutor.Verify(e => e.ExecuteAsync(It.IsAny<Request>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task ExecuteRequestAsync_WithStreamProgress_ShouldUseRegularExecutorWhenNotStreaming()
+    {
+        // Arrange
+        var request = new RestRequest
+        {
+            Id = Guid.NewGuid(),
+            Name = "Test Request",
+            Url = "https://api.example.com"
+        };
+        _mockExecutor.Setup(e => e.ExecuteAsync(It.IsAny<Request>()))
+            .ReturnsAsync(new RequestResponse { StatusCode = 200 });
+
+        // Act
+        var result = await _service.ExecuteRequestAsync(request, new Mock<IProgress<StreamEvent>>().Object);
+
+        // Assert
+        Assert.Equal(200, result.StatusCode);
+        _mockExecutor.Verify(e => e.ExecuteAsync(It.IsAny<Request>()), Times.Once);
+    }
+
     [Fact]
     public async Task CreateRequestAsync_ShouldCreateRequestWithoutCollection()
     {
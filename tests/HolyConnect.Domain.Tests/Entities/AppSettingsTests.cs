@@ -105,6 +105,17 @@ public class AppSettingsTests
         Assert.False(settings.AutoSaveOnNavigate);
     }
 
+    [Fact]
+    public void GraphQLFormatting_ShouldDefaultToTwoSpacesAndEightyColumns()
+    {
+        // Arrange & Act
+        var settings = new AppSettings();
+
+        // Assert
+        Assert.Equal(2, settings.GraphQLFormatIndentSize);
+        Assert.Equal(80, settings.GraphQLFormatPrintWidth);
+    }
+
     [Fact]
     public void EnvironmentOrder_ShouldBeInitializedAsEmptyList()
     {
@@ -1,6 +1,7 @@
 using System.Net;
 using HolyConnect.Domain.Entities;
 using HolyConnect.Infrastructure.Common;
+using Moq;
 using Xunit;
 
 namespace HolyConnect.Infrastructure.Tests.Common;
@@ -266,6 +267,27 @@ public class RequestResponseBuilderTests
         Assert.Equal("Event 3", response.StreamEvents[2].Data);
     }
 
+    [Fact]
+    public void AddStreamEvent_WithStreamProgress_ShouldReportEventsAsTheyAreAdded()
+    {
+        // Arrange
+        var reported = new List<StreamEvent>();
+        var progress = new Mock<IProgress<StreamEvent>>();
+        progress.Setup(p => p.Report(It.IsAny<StreamEvent>())).Callback<StreamEvent>(reported.Add);
+        var builder = RequestResponseBuilder.CreateStreaming()
+            .WithStreamProgress(progress.Object);
+
+        // Act
+        builder.AddStreamEvent("Event 1", "message");
+        var reportedBeforeBuild = reported.Count;
+        builder.AddStreamEvent("Event 2", "message");
+        var response = builder.Build();
+
+        // Assert
+        Assert.Equal(1, reportedBeforeBuild);
+        Assert.Equal(response.StreamEvents, reported);
+    }
+
     [Fact]
     public void FinalizeStreaming_ShouldBuildBodyFromStreamEvents()
     {
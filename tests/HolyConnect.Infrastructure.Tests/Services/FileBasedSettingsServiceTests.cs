@@ -172,6 +172,26 @@ public class FileBasedSettingsServiceTests : IDisposable
         Assert.True(loadedSettings.AutoSaveOnNavigate);
     }
 
+    [Fact]
+    public async Task SaveSettingsAsync_WithGraphQLFormatting_ShouldPersistFormattingOptions()
+    {
+        // Arrange
+        var settings = new AppSettings
+        {
+            StoragePath = "/test/path",
+            GraphQLFormatIndentSize = 4,
+            GraphQLFormatPrintWidth = 120
+        };
+
+        // Act
+        await _service.SaveSettingsAsync(settings);
+        var loadedSettings = await _service.GetSettingsAsync();
+
+        // Assert
+        Assert.Equal(4, loadedSettings.GraphQLFormatIndentSize);
+        Assert.Equal(120, loadedSettings.GraphQLFormatPrintWidth);
+    }
+
     [Fact]
     public async Task SaveSettingsAsync_WithAutoSaveDisabled_ShouldPersistAutoSavePreference()
     {
@@ -1211,4 +1211,95 @@ public class GitServiceTests : IDisposable
         // Assert
         Assert.Null(diff);
     }
+
+    private void CreateMergeConflict()
+    {
+        using var repo = new Repository(_testRepoPath);
+        var signature = new Signature("Test User", "test@example.com", DateTimeOffset.Now);
+        var testFile = Path.Combine(_testRepoPath, "conflict.txt");
+
+        File.WriteAllText(testFile, "base content");
+        Commands.Stage(repo, "conflict.txt");
+        repo.Commit("Base commit", signature, signature);
+        var mainBranch = repo.Head;
+
+        var featureBranch = repo.CreateBranch("feature");
+        Commands.Checkout(repo, featureBranch);
+        File.WriteAllText(testFile, "theirs content");
+        Commands.Stage(repo, "conflict.txt");
+        repo.Commit("Feature commit", signature, signature);
+
+        Commands.Checkout(repo, mainBranch);
+        File.WriteAllText(testFile, "ours content");
+        Commands.Stage(repo, "conflict.txt");
+        repo.Commit("Main commit", signature, signature);
+
+        repo.Merge(repo.Branches["feature"], signature);
+    }
+
+    [Fact]
+    public async Task GetFileChangesAsync_WithMergeConflict_ShouldMarkFileAsConflicted()
+    {
+        // Arrange
+        await _gitService.InitRepositoryAsync(_testRepoPath);
+        CreateMergeConflict();
+
+        // Act
+        var changes = await _gitService.GetFileChangesAsync();
+
+        // Assert
+        var change = Assert.Single(changes, c => c.FilePath == "conflict.txt");
+        Assert.True(change.IsConflicted);
+        Assert.Equal("Conflicted", change.Status);
+    }
+
+    [Fact]
+    public async Task GetMergeConflictAsync_WithMergeConflict_ShouldReturnAllSides()
+    {
+        // Arrange
+        await _gitService.InitRepositoryAsync(_testRepoPath);
+        CreateMergeConflict();
+
+        // Act
+        var conflict = await _gitService.GetMergeConflictAsync("conflict.txt");
+
+        // Assert
+        Assert.NotNull(conflict);
+        Assert.Equal("conflict.txt", conflict.FilePath);
+        Assert.Equal("base content", conflict.BaseContent);
+        Assert.Equal("ours content", conflict.OursContent);
+        Assert.Equal("theirs content", conflict.TheirsContent);
+    }
+
+    [Fact]
+    public async Task GetMergeConflictAsync_WithoutConflict_ShouldReturnNull()
+    {
+        // Arrange
+        await _gitService.InitRepositoryAsync(_testRepoPath);
+        CreateInitialCommit();
+
+        // Act
+        var conflict = await _gitService.GetMergeConflictAsync("test.txt");
+
+        // Assert
+        Assert.Null(conflict);
+    }
+
+    [Fact]
+    public async Task ResolveConflictAsync_WithMergeConflict_ShouldWriteAndStageFile()
+    {
+        // Arrange
+        await _gitService.InitRepositoryAsync(_testRepoPath);
+        CreateMergeConflict();
+
+        // Act
+        var result = await _gitService.ResolveConflictAsync("conflict.txt", "resolved content");
+
+        // Assert
+        Assert.True(result);
+        Assert.Equal("resolved content", await File.ReadAllTextAsync(Path.Combine(_testRepoPath, "conflict.txt")));
+        using var repo = new Repository(_testRepoPath);
+        Assert.Null(repo.Index.Conflicts["conflict.txt"]);
+        Assert.Equal(FileStatus.ModifiedInIndex, repo.RetrieveStatus("conflict.txt"));
+    }
 }
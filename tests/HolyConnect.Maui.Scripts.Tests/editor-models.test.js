@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, createDotNetReference } = require('./helpers');
+const { createMonacoStub, createEditorStub } = require('./monaco-stub');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+function setup(keys) {
+    const { window } = createPage('monaco-interop.js');
+    const monaco = createMonacoStub();
+    window.monaco = monaco;
+
+    const interop = window.monacoEditorInterop;
+    for (const key of keys) {
+        const model = monaco.editor.createModel('', 'json');
+        interop.models[key] = { model, viewState: null, savedVersionId: model.getAlternativeVersionId() };
+    }
+
+    return { interop };
+}
+
+// Show a keyed model in an editor, as initializeEditor does
+function attach(interop, editorId, key) {
+    interop.editors[editorId] = createEditorStub(interop.models[key].model);
+    interop.editorModelKeys[editorId] = key;
+}
+
+test('disposeModelsExcept disposes the models of owners that no longer exist', () => {
+    const { interop } = setup(['request/1/body', 'request/2/body', 'request/2/query', 'other/3']);
+    const deleted = interop.models['request/2/body'].model;
+
+    interop.disposeModelsExcept('request/', ['1']);
+
+    assert.deepEqual(Object.keys(interop.models).sort(), ['other/3', 'request/1/body']);
+    assert.equal(deleted.isDisposed(), true);
+});
+
+test('models still shown by an editor are disposed with the editor', () => {
+    const { interop } = setup(['request/1/body']);
+    const model = interop.models['request/1/body'].model;
+    attach(interop, 'editor', 'request/1/body');
+
+    interop.disposeModelsExcept('request/', []);
+    assert.equal(model.isDisposed(), false);
+
+    interop.disposeEditor('editor');
+    assert.equal(model.isDisposed(), true);
+    assert.equal(interop.models['request/1/body'], undefined);
+});
+
+test('markModelsClean marks detached models as saved and reports attached ones', async () => {
+    const { interop } = setup(['request/1/body', 'request/1/query', 'request/2/body']);
+    attach(interop, 'editor', 'request/1/query');
+    const dotNet = createDotNetReference();
+    interop.registerDirtyStateCallback('editor', dotNet);
+
+    Object.values(interop.models).forEach(entry => entry.model.setValue('changed'));
+    interop.markModelsClean('request/1/');
+    await flush();
+
+    const isClean = key => interop.models[key].model.getAlternativeVersionId() === interop.models[key].savedVersionId;
+    assert.equal(isClean('request/1/body'), true);
+    assert.equal(isClean('request/1/query'), true);
+    assert.equal(isClean('request/2/body'), false);
+    assert.deepEqual(dotNet.calls.map(call => call.args[0]), [false, true, false]);
+});
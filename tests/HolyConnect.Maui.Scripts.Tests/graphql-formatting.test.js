@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers');
+
+function getInterop() {
+    return createPage('monaco-interop.js').window.monacoEditorInterop;
+}
+
+// Text left after removing the ranges returned by getGraphQLStripRanges
+function strip(interop, text) {
+    const result = interop.getGraphQLStripRanges(text);
+    const stripped = Array.from(result.ranges).reverse()
+        .reduce((current, range) => current.slice(0, range.start) + current.slice(range.end), text);
+    return { stripped, comments: result.comments, fragments: result.fragments };
+}
+
+test('formatGraphQL puts one selection per line and keeps {{ }} placeholders intact', () => {
+    const interop = getInterop();
+
+    assert.equal(
+        interop.formatGraphQL('query Users($id: ID = "{{ userId }}") { user(id: $id, token: {{ token }}) { id name } }'),
+        [
+            'query Users($id: ID = "{{ userId }}") {',
+            '  user(id: $id, token: {{ token }}) {',
+            '    id',
+            '    name',
+            '  }',
+            '}'
+        ].join('\n'));
+});
+
+test('formatGraphQL keeps block strings and comments as they are', () => {
+    const interop = getInterop();
+
+    assert.equal(
+        interop.formatGraphQL('# Users\nquery A { search(text: """first\n# not a comment\nlast""") {\n# the id\nid } }'),
+        [
+            '# Users',
+            'query A {',
+            '  search(text: """first',
+            '# not a comment',
+            'last""") {',
+            '    # the id',
+            '    id',
+            '  }',
+            '}'
+        ].join('\n'));
+});
+
+test('formatGraphQL wraps arguments and variable definitions that exceed the print width', () => {
+    const interop = getInterop();
+
+    assert.equal(
+        interop.formatGraphQL('{ users(first: 10, filter: { name: "Ada" }, orderBy: { field: NAME }) { id } }', { printWidth: 40 }),
+        [
+            '{',
+            '  users(',
+            '    first: 10',
+            '    filter: {name: "Ada"}',
+            '    orderBy: {field: NAME}',
+            '  ) {',
+            '    id',
+            '  }',
+            '}'
+        ].join('\n'));
+
+    assert.equal(
+        interop.formatGraphQL('query Long($first: Int, $after: String) { users(first: $first) { id } }', { indent: '    ', printWidth: 30 }),
+        [
+            'query Long(',
+            '    $first: Int',
+            '    $after: String',
+            ') {',
+            '    users(first: $first) {',
+            '        id',
+            '    }',
+            '}'
+        ].join('\n'));
+});
+
+test('formatGraphQL separates top-level definitions and gives up on unbalanced braces', () => {
+    const interop = getInterop();
+
+    assert.equal(interop.formatGraphQL('query A { a } fragment F on User { id }'), 'query A {\n  a\n}\n\nfragment F on User {\n  id\n}');
+    assert.equal(interop.formatGraphQL('{ a { b }'), null);
+});
+
+test('minifyGraphQL drops comments, commas and whitespace but not what strings and placeholders contain', () => {
+    const interop = getInterop();
+
+    assert.equal(
+        interop.minifyGraphQL('query Q($id: ID) {\n  # comment\n  user(id: $id, key: {{ apiKey }}) { id, name ...F }\n}\nfragment F on User { email }'),
+        'query Q($id:ID){user(id:$id key:{{ apiKey }}){id name...F}}fragment F on User{email}');
+    assert.equal(interop.minifyGraphQL('{ search(text: """a # b""", other: "c # d") }'), '{search(text:"""a # b"""other:"c # d")}');
+});
+
+test('getGraphQLStripRanges removes comments and unused fragments with their lines', () => {
+    const interop = getInterop();
+    const text = [
+        '# header',
+        'query Q { ...Used id } # inline',
+        '',
+        'fragment Used on User { id }',
+        '',
+        '# about Unused',
+        'fragment Unused on User {',
+        '  # inside',
+        '  id',
+        '}',
+        ''
+    ].join('\n');
+
+    assert.deepEqual(strip(interop, text), {
+        stripped: 'query Q { ...Used id }\n\nfragment Used on User { id }\n\n',
+        comments: 3,
+        fragments: 1
+    });
+});
+
+test('getGraphQLStripRanges leaves strings alone and returns null for documents that do not parse', () => {
+    const interop = getInterop();
+
+    assert.deepEqual(strip(interop, '{ search(text: "# not a comment", block: """# nor this""") { id } }'), {
+        stripped: '{ search(text: "# not a comment", block: """# nor this""") { id } }',
+        comments: 0,
+        fragments: 0
+    });
+    assert.equal(interop.getGraphQLStripRanges('{ a '), null);
+});
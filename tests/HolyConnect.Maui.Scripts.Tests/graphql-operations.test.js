@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers');
+
+function getInterop() {
+    return createPage('monaco-interop.js').window.monacoEditorInterop;
+}
+
+// Diagnostics of a document without a schema, as "severity: text of the range: message"
+function diagnose(interop, text) {
+    return Array.from(interop.validateGraphQL(null, text),
+        d => `${d.severity}: ${text.substring(d.start, d.end)}: ${d.message}`);
+}
+
+test('validateGraphQLDefinitions reports operations and fragments with the same name', () => {
+    const interop = getInterop();
+
+    assert.deepEqual(diagnose(interop, 'query A { a } query A { b } fragment F on User { id } fragment F on User { name } query B { ...F }'), [
+        'error: A: There can be only one operation named "A".',
+        'error: F: There can be only one fragment named "F".'
+    ]);
+});
+
+test('validateGraphQLDefinitions only allows an anonymous operation on its own', () => {
+    const interop = getInterop();
+
+    assert.deepEqual(diagnose(interop, '{ users { id } }'), []);
+    assert.deepEqual(diagnose(interop, 'query Users { users { id } }\n{ me { id } }'), [
+        'error: {: This anonymous operation must be the only defined operation.'
+    ]);
+    assert.deepEqual(diagnose(interop, 'query Users { users { id } }\nquery { me { id } }'), [
+        'error: query : This anonymous operation must be the only defined operation.'
+    ]);
+});
+
+test('validateGraphQLDefinitions warns about fragments no operation reaches', () => {
+    const interop = getInterop();
+
+    assert.deepEqual(diagnose(interop, 'query A { ...Outer } fragment Outer on User { ...Inner } fragment Inner on User { id }'), []);
+    assert.deepEqual(diagnose(interop, 'query A { id } fragment Orphan on User { ...Reached } fragment Reached on User { id }'), [
+        'warning: Orphan: Fragment "Orphan" is never used.',
+        'warning: Reached: Fragment "Reached" is never used.'
+    ]);
+});
+
+test('getGraphQLBreadcrumbs follows the selections around the offset', () => {
+    const interop = getInterop();
+    const text = 'query Users($id: ID) { user(id: $id) { friends { name } ...Details } }\nfragment Details on User { id }';
+    const document = interop.parseGraphQL(text);
+    const breadcrumbs = offset => Array.from(interop.getGraphQLBreadcrumbs(document, offset));
+
+    assert.deepEqual(breadcrumbs(text.indexOf('name')), ['query Users', 'user', 'friends', 'name']);
+    assert.deepEqual(breadcrumbs(text.indexOf('...Details') + 1), ['query Users', 'user', '...Details']);
+    assert.deepEqual(breadcrumbs(text.lastIndexOf('id')), ['fragment Details', 'id']);
+    assert.deepEqual(breadcrumbs(text.indexOf('$id')), ['query Users']);
+});
+
+test('getGraphQLBreadcrumbs labels anonymous operations', () => {
+    const interop = getInterop();
+    const text = '{ me { id } }';
+
+    assert.deepEqual(Array.from(interop.getGraphQLBreadcrumbs(interop.parseGraphQL(text), text.indexOf('id'))), ['query (anonymous)', 'me', 'id']);
+    assert.deepEqual(Array.from(interop.getGraphQLBreadcrumbs(interop.parseGraphQL(text + '\n\n'), text.length + 1)), []);
+});
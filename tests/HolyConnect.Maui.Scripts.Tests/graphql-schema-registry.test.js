@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers');
+const { createMonacoStub } = require('./monaco-stub');
+
+// An introspection result with a single object type, told apart by its name
+const schemaJson = name => JSON.stringify({
+    data: { __schema: { queryType: { name: name }, types: [{ kind: 'OBJECT', name: name, fields: [] }] } }
+});
+
+function setup() {
+    const { window } = createPage('monaco-interop.js');
+    window.monaco = createMonacoStub();
+    return window.monacoEditorInterop;
+}
+
+test('editors with the same schema share one parsed index', () => {
+    const interop = setup();
+    let parsed = 0;
+    const indexGraphQLSchema = interop.indexGraphQLSchema.bind(interop);
+    interop.indexGraphQLSchema = schema => {
+        parsed++;
+        return indexGraphQLSchema(schema);
+    };
+
+    assert.equal(interop.registerGraphQLCompletionProvider('first', schemaJson('Query')), true);
+    assert.equal(interop.registerGraphQLCompletionProvider('second', schemaJson('Query')), true);
+
+    assert.equal(parsed, 1);
+    assert.equal(interop.getGraphQLSchema('first'), interop.getGraphQLSchema('second'));
+    assert.equal(Object.keys(interop.graphQLSchemaRegistry).length, 1);
+});
+
+test('a schema is freed with its last editor, and the provider with the last schema', () => {
+    const interop = setup();
+    interop.registerGraphQLCompletionProvider('first', schemaJson('Query'));
+    interop.registerGraphQLCompletionProvider('second', schemaJson('Query'));
+    interop.registerGraphQLCompletionProvider('third', schemaJson('Other'));
+
+    interop.releaseGraphQLSchema('first');
+    assert.ok(interop.getGraphQLSchema('second'));
+    assert.equal(interop.getGraphQLSchema('first'), undefined);
+
+    // Switching to another schema releases the previous one
+    interop.registerGraphQLCompletionProvider('second', schemaJson('Other'));
+    assert.equal(Object.keys(interop.graphQLSchemaRegistry).length, 1);
+    assert.equal(interop.getGraphQLSchema('second'), interop.getGraphQLSchema('third'));
+
+    interop.registerGraphQLCompletionProvider('second', null);
+    assert.ok(interop.graphQLCompletionProvider);
+    interop.releaseGraphQLSchema('third');
+    assert.equal(interop.graphQLCompletionProvider, null);
+    assert.deepEqual(Object.keys(interop.graphQLSchemaRegistry), []);
+});
+
+test('schemas with colliding hashes keep separate entries, even after one in the middle is released', () => {
+    const interop = setup();
+    interop.hashString = () => 'collision';
+
+    interop.registerGraphQLCompletionProvider('a', schemaJson('A'));
+    interop.registerGraphQLCompletionProvider('b', schemaJson('B'));
+    interop.registerGraphQLCompletionProvider('c', schemaJson('C'));
+    assert.deepEqual(Object.keys(interop.graphQLSchemaRegistry), ['collision', 'collision-1', 'collision-2']);
+
+    // Leaves a gap before C's entry, which must still be found instead of parsing C again
+    interop.releaseGraphQLSchema('b');
+    interop.registerGraphQLCompletionProvider('another c', schemaJson('C'));
+
+    assert.equal(interop.graphQLEditorSchemas['another c'], 'collision-2');
+    assert.equal(interop.getGraphQLSchema('another c'), interop.getGraphQLSchema('c'));
+
+    // A new schema takes the free key
+    interop.registerGraphQLCompletionProvider('d', schemaJson('D'));
+    assert.equal(interop.graphQLEditorSchemas.d, 'collision-1');
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers');
+
+const named = (kind, name) => ({ kind, name, ofType: null });
+const nonNull = ofType => ({ kind: 'NON_NULL', name: null, ofType });
+const list = ofType => ({ kind: 'LIST', name: null, ofType });
+
+const introspection = {
+    data: {
+        __schema: {
+            types: [
+                {
+                    kind: 'INPUT_OBJECT',
+                    name: 'UserFilter',
+                    description: 'Filters users',
+                    inputFields: [
+                        { name: 'name', type: named('SCALAR', 'String'), defaultValue: null },
+                        { name: 'role', type: nonNull(named('ENUM', 'Role')), defaultValue: null },
+                        { name: 'limit', type: nonNull(named('SCALAR', 'Int')), defaultValue: '10' },
+                        { name: 'or', type: list(nonNull(named('INPUT_OBJECT', 'UserFilter'))), defaultValue: null }
+                    ]
+                },
+                { kind: 'ENUM', name: 'Role', enumValues: [{ name: 'ADMIN' }, { name: 'USER' }] },
+                { kind: 'SCALAR', name: 'DateTime' }
+            ]
+        }
+    }
+};
+
+const query = 'query Users($filter: UserFilter!, $ids: [ID!]!, $first: Int! = 5, $role: Role, $since: DateTime) { users }';
+
+function setup() {
+    const interop = createPage('monaco-interop.js').window.monacoEditorInterop;
+    const index = interop.indexGraphQLSchema(introspection);
+    const operation = interop.parseGraphQL(query).definitions[0];
+    return { interop, index, operation };
+}
+
+// Compare as plain JSON, dropping undefined descriptions and crossing the jsdom realm
+const plain = value => JSON.parse(JSON.stringify(value));
+
+function sampleValues(interop, index, operation, existing = {}) {
+    const values = {};
+    operation.variableDefinitions.forEach(definition => {
+        const name = definition.variable.value.substring(1);
+        values[name] = interop.createGraphQLSampleValue(index, interop.toGraphQLTypeRef(index, definition.type), existing[name], []);
+    });
+    return plain(values);
+}
+
+test('buildGraphQLVariablesSchema requires non-null variables without a default value', () => {
+    const { interop, index, operation } = setup();
+    const schema = plain(interop.buildGraphQLVariablesSchema(index, operation));
+
+    assert.deepEqual(schema.required, ['filter', 'ids']);
+    assert.equal(schema.additionalProperties, false);
+    assert.deepEqual(schema.properties.first, { type: 'integer', description: 'Int!' });
+    assert.deepEqual(schema.properties.ids, {
+        type: 'array',
+        items: { type: ['string', 'integer'], description: 'ID!' },
+        description: '[ID!]!'
+    });
+    assert.deepEqual(schema.properties.since, { anyOf: [{}, { type: 'null' }], description: 'DateTime' });
+});
+
+test('buildGraphQLVariablesSchema turns enums and recursive input types into definitions', () => {
+    const { interop, index, operation } = setup();
+    const schema = plain(interop.buildGraphQLVariablesSchema(index, operation));
+
+    assert.deepEqual(schema.properties.filter, { $ref: '#/definitions/UserFilter', description: 'UserFilter!' });
+    assert.deepEqual(schema.properties.role, { anyOf: [{ $ref: '#/definitions/Role' }, { type: 'null' }], description: 'Role' });
+    assert.deepEqual(schema.definitions.Role, { enum: ['ADMIN', 'USER'] });
+
+    const filter = schema.definitions.UserFilter;
+    assert.equal(filter.description, 'Filters users');
+    assert.deepEqual(filter.required, ['role']);
+    assert.deepEqual(filter.properties.or, {
+        anyOf: [
+            { type: 'array', items: { $ref: '#/definitions/UserFilter', description: 'UserFilter!' } },
+            { type: 'null' }
+        ],
+        description: '[UserFilter!]'
+    });
+});
+
+test('buildGraphQLVariablesSchema without a schema only types built-in scalars', () => {
+    const { interop, operation } = setup();
+    const schema = plain(interop.buildGraphQLVariablesSchema(null, operation));
+
+    assert.deepEqual(schema.properties.filter, { description: 'UserFilter!' });
+    assert.deepEqual(schema.properties.first, { type: 'integer', description: 'Int!' });
+    assert.deepEqual(schema.definitions, {});
+});
+
+test('toGraphQLValueSchema reuses the definition of an input type it is already building', () => {
+    const { interop, index } = setup();
+    const definitions = {};
+    const toSchema = typeRef => interop.toGraphQLValueSchema(index, typeRef.kind === 'NON_NULL' ? typeRef.ofType : typeRef, definitions, toSchema);
+
+    const schema = plain(interop.toGraphQLValueSchema(index, named('INPUT_OBJECT', 'UserFilter'), definitions, toSchema));
+
+    assert.deepEqual(schema, { $ref: '#/definitions/UserFilter' });
+    assert.deepEqual(Object.keys(definitions).sort(), ['Role', 'UserFilter']);
+    assert.deepEqual(plain(definitions.UserFilter.properties.or), { type: 'array', items: { $ref: '#/definitions/UserFilter' } });
+});
+
+test('createGraphQLSampleValue expands input objects once and picks the first enum value', () => {
+    const { interop, index, operation } = setup();
+
+    assert.deepEqual(sampleValues(interop, index, operation), {
+        filter: { name: null, role: 'ADMIN', limit: 0, or: null },
+        ids: [''],
+        first: 0,
+        role: null,
+        since: null
+    });
+});
+
+test('createGraphQLSampleValue keeps existing values, including inside input objects', () => {
+    const { interop, index, operation } = setup();
+
+    const values = sampleValues(interop, index, operation, {
+        filter: { name: 'Ada', or: [{ role: 'USER' }] },
+        ids: ['1', '2'],
+        role: 'USER'
+    });
+
+    assert.deepEqual(values.filter, { name: 'Ada', role: 'ADMIN', limit: 0, or: [{ role: 'USER' }] });
+    assert.deepEqual(values.ids, ['1', '2']);
+    assert.equal(values.role, 'USER');
+});
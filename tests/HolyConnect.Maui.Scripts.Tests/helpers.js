@@ -0,0 +1,79 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const { createMonacoStub } = require('./monaco-stub');
+
+const wwwroot = path.join(__dirname, '..', '..', 'src', 'HolyConnect.Maui', 'wwwroot');
+
+// Create a page with the given wwwroot scripts loaded, in the order index.html loads them.
+// Document keydown listeners are recorded, so tests can check that nothing is left attached
+// (jsdom adds mouse listeners of its own once events are dispatched).
+// Monaco is already loaded, as if by index.html; pass { setup(window) } first to prepare the page
+// before the scripts run instead, e.g. to leave Monaco out.
+function createPage(...args) {
+    const options = typeof args[0] === 'object' ? args.shift() : {};
+    const scripts = args;
+    const dom = new JSDOM('<!DOCTYPE html><body></body>', { runScripts: 'outside-only' });
+    const { window } = dom;
+    const document = window.document;
+
+    const listeners = [];
+    const addEventListener = document.addEventListener.bind(document);
+    const removeEventListener = document.removeEventListener.bind(document);
+
+    document.addEventListener = (type, listener, options) => {
+        if (type === 'keydown') {
+            listeners.push({ type, listener, capture: getCapture(options) });
+        }
+        addEventListener(type, listener, options);
+    };
+    document.removeEventListener = (type, listener, options) => {
+        const index = listeners.findIndex(entry =>
+            entry.type === type && entry.listener === listener && entry.capture === getCapture(options));
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+        removeEventListener(type, listener, options);
+    };
+
+    // Keep the scripts' console output out of the test report
+    window.console.log = () => {};
+
+    if (options.setup) {
+        options.setup(window);
+    } else {
+        window.monaco = createMonacoStub();
+    }
+
+    for (const script of scripts) {
+        window.eval(fs.readFileSync(path.join(wwwroot, script), 'utf8'));
+    }
+
+    return { window, document, listeners };
+}
+
+function getCapture(options) {
+    return typeof options === 'boolean' ? options : !!(options && options.capture);
+}
+
+// Stand-in for a DotNetObjectReference that records the .NET methods invoked on it.
+// Handlers supply return values, keyed by method name.
+function createDotNetReference(handlers = {}) {
+    const calls = [];
+    return {
+        calls,
+        invokeMethodAsync(method, ...args) {
+            calls.push({ method, args });
+            const handler = handlers[method];
+            return Promise.resolve(handler ? handler(...args) : undefined);
+        }
+    };
+}
+
+function pressKey(window, target, key, modifiers) {
+    const event = new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...modifiers });
+    target.dispatchEvent(event);
+    return event;
+}
+
+module.exports = { wwwroot, createPage, createDotNetReference, pressKey };
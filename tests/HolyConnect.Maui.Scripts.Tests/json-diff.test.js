@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers');
+
+function setup() {
+    const { window } = createPage('monaco-interop.js');
+    return window.monacoEditorInterop;
+}
+
+// Semantic comparison of two JSON documents, as applyDiffContent runs it
+function compare(interop, originalText, modifiedText, ignorePaths) {
+    const original = interop.normalizeJsonForDiff(originalText, ignorePaths, 'original');
+    const modified = interop.normalizeJsonForDiff(modifiedText, ignorePaths, 'modified');
+    return Array.from(interop.compareJsonNodes(original.root, modified.root, original.ignored, modified.ignored, '$', []),
+        change => ({ ...change }));
+}
+
+test('normalizeJsonForDiff sorts keys, keeps large integers and leaves out ignored paths', () => {
+    const interop = setup();
+
+    const normalized = interop.normalizeJsonForDiff('{"b":1,"a":{"id":12345678901234567890,"at":"now"}}', ['$..at'], 'original');
+
+    assert.equal(normalized.text, '{\n  "a": {\n    "id": 12345678901234567890\n  },\n  "b": 1\n}');
+});
+
+test('normalizeJsonForDiff reports invalid JSON and invalid ignore paths', () => {
+    const interop = setup();
+
+    assert.equal(interop.normalizeJsonForDiff('{', [], 'modified').error, 'The modified content is not valid JSON');
+    assert.match(interop.normalizeJsonForDiff('{}', ['$['], 'original').error, /^Invalid ignore path "\$\["/);
+});
+
+test('compareJsonNodes ignores key order and formatting', () => {
+    const interop = setup();
+
+    assert.deepEqual(compare(interop, '{"a":1,"b":[1,2]}', '{ "b": [1, 2], "a": 1.0 }'), []);
+});
+
+test('compareJsonNodes reports added, removed and changed members', () => {
+    const interop = setup();
+
+    assert.deepEqual(compare(interop, '{"a":1,"b":2,"c":{"d":true}}', '{"a":1,"c":{"d":false},"e":"x"}'), [
+        { path: '$.b', kind: 'removed', original: '2', modified: null },
+        { path: '$.c.d', kind: 'changed', original: 'true', modified: 'false' },
+        { path: '$.e', kind: 'added', original: null, modified: '"x"' }
+    ]);
+});
+
+test('compareJsonNodes reports an item inserted into an array once instead of shifting the rest', () => {
+    const interop = setup();
+
+    const changes = compare(interop,
+        '{"items":[{"id":1},{"id":2},{"id":3}]}',
+        '{"items":[{"id":0},{"id":1},{"id":2},{"id":3}]}');
+
+    assert.deepEqual(changes, [{ path: '$.items[0]', kind: 'added', original: null, modified: '{ 1 key }' }]);
+});
+
+test('compareJsonNodes reports a removed array item at its original index', () => {
+    const interop = setup();
+
+    const changes = compare(interop, '[1,2,3,4]', '[1,3,4]');
+
+    assert.deepEqual(changes, [{ path: '$[1]', kind: 'removed', original: '2', modified: null }]);
+});
+
+test('compareJsonNodes compares the changed items of an array in place', () => {
+    const interop = setup();
+
+    const changes = compare(interop,
+        '[{"id":1,"name":"a"},{"id":2,"name":"b"}]',
+        '[{"id":1,"name":"a"},{"id":2,"name":"B"},{"id":3,"name":"c"}]');
+
+    assert.deepEqual(changes, [
+        { path: '$[1].name', kind: 'changed', original: '"b"', modified: '"B"' },
+        { path: '$[2]', kind: 'added', original: null, modified: '{ 2 keys }' }
+    ]);
+});
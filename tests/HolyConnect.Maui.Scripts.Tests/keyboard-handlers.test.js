@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+const { createPage, createDotNetReference, pressKey } = require('./helpers');
+
+const searchBinding = {
+    id: 'search',
+    commandId: 'search.open',
+    scope: 'Global',
+    allowInInputs: true,
+    chords: [{ key: 'k', ctrlKey: true, shiftKey: false, altKey: false }]
+};
+
+function importPaletteModule() {
+    const file = path.join(__dirname, '..', '..', 'src', 'HolyConnect.Maui', 'Components', 'Shared', 'Dialogs', 'GlobalSearchDialog.razor.js');
+    return import(pathToFileURL(file).href);
+}
+
+test('re-initialising the shortcuts, as MainLayout does, does not stack handlers', () => {
+    const { window, document, listeners } = createPage('keyboard-handler-registry.js', 'keyboard-shortcuts.js');
+    const dotnet = createDotNetReference();
+
+    window.keyboardShortcuts.initialize(dotnet, [searchBinding]);
+    window.keyboardShortcuts.initialize(dotnet, [searchBinding]);
+    pressKey(window, document.body, 'k', { ctrlKey: true });
+
+    assert.equal(window.keyboardHandlerRegistry.count('keyboard-shortcuts'), 1);
+    assert.equal(listeners.length, 2);
+    assert.deepEqual(dotnet.calls, [{ method: 'ExecuteShortcut', args: ['search'] }]);
+});
+
+test('unregistering an owner removes all of its handlers and keeps the others', () => {
+    const { window, document } = createPage('keyboard-handler-registry.js');
+    const registry = window.keyboardHandlerRegistry;
+    const received = [];
+
+    registry.register('first', () => received.push('first a'));
+    registry.register('first', () => received.push('first b'));
+    registry.register('first', () => received.push('first modal'), { modal: true });
+    registry.register('second', () => received.push('second'));
+
+    registry.unregister('first');
+    pressKey(window, document.body, 'a');
+
+    assert.equal(registry.count('first'), 0);
+    assert.equal(registry.count('second'), 1);
+    assert.deepEqual(received, ['second']);
+});
+
+test('only the top-most modal receives Escape', async () => {
+    const { window, document } = createPage('keyboard-handler-registry.js', 'keyboard-shortcuts.js');
+    const shortcuts = createDotNetReference();
+    const palette = createDotNetReference();
+    const received = [];
+
+    global.window = window;
+    try {
+        const paletteModule = await importPaletteModule();
+        window.keyboardShortcuts.initialize(shortcuts, [searchBinding]);
+        paletteModule.initialize(palette, document.body);
+        window.keyboardHandlerRegistry.register('confirm-dialog', event => received.push(event.key), { modal: true });
+
+        // The dialog on top closes first, the palette underneath only with the next Escape
+        pressKey(window, document.body, 'Escape');
+        assert.deepEqual(received, ['Escape']);
+        assert.deepEqual(palette.calls, []);
+
+        window.keyboardHandlerRegistry.unregister('confirm-dialog');
+        pressKey(window, document.body, 'Escape');
+        assert.deepEqual(received, ['Escape']);
+        assert.deepEqual(palette.calls, [{ method: 'CloseDialog', args: [] }]);
+
+        // Global shortcuts stay quiet while a modal is open
+        pressKey(window, document.body, 'k', { ctrlKey: true });
+        assert.deepEqual(shortcuts.calls, []);
+
+        paletteModule.dispose();
+        pressKey(window, document.body, 'k', { ctrlKey: true });
+        assert.deepEqual(shortcuts.calls, [{ method: 'ExecuteShortcut', args: ['search'] }]);
+    } finally {
+        delete global.window;
+    }
+});
+
+test('an open dialog keeps the global shortcuts quiet until it closes', () => {
+    const { window, document } = createPage('keyboard-handler-registry.js', 'keyboard-shortcuts.js');
+    const shortcuts = createDotNetReference();
+    window.keyboardShortcuts.initialize(shortcuts, [searchBinding]);
+
+    window.keyboardHandlerRegistry.openDialog('a1');
+    pressKey(window, document.body, 'k', { ctrlKey: true });
+    assert.deepEqual(shortcuts.calls, []);
+
+    window.keyboardHandlerRegistry.closeDialog('a1');
+    pressKey(window, document.body, 'k', { ctrlKey: true });
+    assert.deepEqual(shortcuts.calls, [{ method: 'ExecuteShortcut', args: ['search'] }]);
+});
+
+test('a dialog handler takes over the place opened for its dialog', () => {
+    const { window, document } = createPage('keyboard-handler-registry.js');
+    const registry = window.keyboardHandlerRegistry;
+    const received = [];
+
+    registry.openDialog('palette');
+    registry.openDialog('confirm');
+    registry.register(registry.dialogOwner('palette'), event => received.push(event.key), { modal: true });
+
+    // The confirmation opened later stays on top, and the palette only gets keys once it is closed
+    pressKey(window, document.body, 'Escape');
+    registry.closeDialog('confirm');
+    pressKey(window, document.body, 'Escape');
+
+    // Opening a place for a dialog that already registered its handler keeps the handler
+    registry.openDialog('palette');
+    pressKey(window, document.body, 'Enter');
+
+    assert.deepEqual(received, ['Escape', 'Enter']);
+    assert.equal(registry.count(registry.dialogOwner('palette')), 1);
+
+    registry.closeDialog('palette');
+    assert.equal(registry.count(), 0);
+});
+
+test('dispose removes both document listeners', () => {
+    const { window, document, listeners } = createPage('keyboard-handler-registry.js', 'keyboard-shortcuts.js');
+    const registry = window.keyboardHandlerRegistry;
+    const received = [];
+
+    registry.register('dialog', () => received.push('modal'), { modal: true });
+    registry.register('global', () => received.push('regular'));
+    assert.deepEqual(listeners.map(entry => [entry.type, entry.capture]), [['keydown', true], ['keydown', false]]);
+
+    registry.dispose();
+    pressKey(window, document.body, 'Escape');
+
+    assert.deepEqual(listeners, []);
+    assert.deepEqual(received, []);
+    assert.equal(registry.count(), 0);
+});
+
+test('disposing the shortcuts leaves no document listeners behind', () => {
+    const { window, listeners } = createPage('keyboard-handler-registry.js', 'keyboard-shortcuts.js');
+
+    window.keyboardShortcuts.initialize(createDotNetReference(), [searchBinding]);
+    window.keyboardShortcuts.dispose();
+
+    assert.deepEqual(listeners, []);
+});
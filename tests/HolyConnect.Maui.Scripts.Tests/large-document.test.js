@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, createDotNetReference } = require('./helpers');
+const { createMonacoStub, createEditorStub } = require('./monaco-stub');
+
+function setup(options) {
+    const { window } = createPage('monaco-interop.js');
+    const monaco = createMonacoStub();
+    window.monaco = monaco;
+
+    const interop = window.monacoEditorInterop;
+    interop.largeDocumentThresholds = { size: 100, lineCount: 1000, plainTextSize: 1000 };
+    const model = monaco.editor.createModel('', 'json');
+    const editor = createEditorStub(model, options);
+    interop.editors.editor = editor;
+
+    return { interop, model, editor };
+}
+
+test('endValueUpload applies the uploaded chunks in order', () => {
+    const { interop, model } = setup();
+
+    interop.beginValueUpload('editor', 1);
+    interop.appendValueChunk('editor', 1, '{ "a": ');
+    interop.appendValueChunk('editor', 1, '1 }');
+
+    assert.equal(interop.endValueUpload('editor', 1), false);
+    assert.equal(model.getValue(), '{ "a": 1 }');
+    assert.equal(interop.valueUploads.editor, undefined);
+});
+
+test('chunks and ends of an abandoned upload are ignored', () => {
+    const { interop, model } = setup();
+
+    interop.beginValueUpload('editor', 1);
+    interop.appendValueChunk('editor', 1, 'old ');
+    interop.beginValueUpload('editor', 2);
+    interop.appendValueChunk('editor', 1, 'stale');
+    interop.appendValueChunk('editor', 2, 'new');
+
+    assert.equal(interop.endValueUpload('editor', 1), null);
+    assert.equal(model.getValue(), '');
+    assert.equal(interop.endValueUpload('editor', 2), false);
+    assert.equal(model.getValue(), 'new');
+    assert.equal(interop.endValueUpload('editor', 2), null);
+});
+
+test('leaving large-document mode restores the editor options', () => {
+    const { interop, model, editor } = setup({ folding: false, matchBrackets: 'near', hover: { enabled: true, delay: 500 } });
+
+    assert.equal(interop.setValue('editor', 'x'.repeat(200), true), true);
+    assert.equal(editor.options.matchBrackets, 'never');
+    assert.equal(editor.options.hover.enabled, false);
+
+    assert.equal(interop.setValue('editor', 'small', true), false);
+    assert.equal(editor.options.folding, false);
+    assert.equal(editor.options.matchBrackets, 'near');
+    assert.deepEqual({ ...editor.options.hover }, { enabled: true, delay: 500 });
+    assert.equal(model.getLanguageId(), 'json');
+});
+
+test('very large documents are shown as plain text and keep their language', () => {
+    const { interop, model } = setup();
+
+    interop.setValue('editor', 'x'.repeat(2000), true);
+    assert.equal(model.getLanguageId(), 'plaintext');
+    assert.equal(interop.getDocumentLanguage(model), 'json');
+
+    interop.setLanguage('editor', 'xml');
+    interop.setValue('editor', '<a/>', true);
+    assert.equal(model.getLanguageId(), 'xml');
+});
+
+test('silent values are not echoed through onValueChanged', async () => {
+    const { interop } = setup();
+    const dotNet = createDotNetReference({ OnValueChanged: () => {} });
+    interop.onValueChanged('editor', dotNet);
+
+    interop.setValue('editor', 'from .NET', true);
+    interop.beginValueUpload('editor', 1);
+    interop.appendValueChunk('editor', 1, 'uploaded');
+    interop.endValueUpload('editor', 1);
+    interop.setValue('editor', 'echoed');
+
+    assert.deepEqual(dotNet.calls.map(call => call.args[0]), ['echoed']);
+});
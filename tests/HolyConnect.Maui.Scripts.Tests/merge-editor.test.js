@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers');
+const { createMonacoStub } = require('./monaco-stub');
+
+function setup() {
+    const { window } = createPage('monaco-interop.js');
+    const monaco = createMonacoStub();
+    window.monaco = monaco;
+    return { interop: window.monacoEditorInterop, monaco };
+}
+
+// Track the conflicts of a merge in a result model the way initializeMergeEditor does
+function trackConflicts(interop, monaco, merge) {
+    const model = monaco.editor.createModel(merge.result, 'plaintext');
+    const conflicts = merge.conflicts.map(conflict => {
+        const range = monaco.Range.fromPositions(model.getPositionAt(conflict.resultStart), model.getPositionAt(conflict.resultEnd));
+        return {
+            ...conflict,
+            trackingId: model.deltaDecorations([], [{ range: range, options: interop.mergeTrackingOptions(range) }])[0],
+            currentText: conflict.baseText
+        };
+    });
+    return { model, conflicts, state: { models: { result: model }, applying: false } };
+}
+
+test('computeLineDiff reports runs of changed lines', () => {
+    const { interop } = setup();
+
+    const changes = interop.computeLineDiff(['a\n', 'b\n', 'c\n', 'd\n'], ['a\n', 'B\n', 'c\n', 'x\n', 'd\n']);
+
+    assert.deepEqual(Array.from(changes, change => ({ ...change })), [
+        { baseStart: 1, baseEnd: 2, sideStart: 1, sideEnd: 2 },
+        { baseStart: 3, baseEnd: 3, sideStart: 3, sideEnd: 4 }
+    ]);
+    assert.equal(interop.computeLineDiff(['a\n'], ['a\n']).length, 0);
+});
+
+test('computeMerge applies separate changes from both sides', () => {
+    const { interop } = setup();
+
+    const merge = interop.computeMerge('a\nb\nc\nd\n', 'A\nb\nc\nd\n', 'a\nb\nc\nD\n');
+
+    assert.equal(merge.result, 'A\nb\nc\nD\n');
+    assert.equal(merge.conflicts.length, 0);
+});
+
+test('computeMerge takes a change made the same way on both sides once', () => {
+    const { interop } = setup();
+
+    const merge = interop.computeMerge('a\nb\n', 'a\nB\n', 'a\nB\n');
+
+    assert.equal(merge.result, 'a\nB\n');
+    assert.equal(merge.conflicts.length, 0);
+});
+
+test('computeMerge keeps the base text of overlapping changes as a conflict', () => {
+    const { interop } = setup();
+
+    const merge = interop.computeMerge('a\nb\nc\n', 'a\nours\nc\n', 'a\ntheirs\nc\n');
+
+    assert.equal(merge.result, 'a\nb\nc\n');
+    assert.equal(merge.conflicts.length, 1);
+    const conflict = merge.conflicts[0];
+    assert.equal(merge.result.slice(conflict.resultStart, conflict.resultEnd), 'b\n');
+    assert.equal(conflict.oursText, 'ours\n');
+    assert.equal(conflict.theirsText, 'theirs\n');
+    assert.deepEqual({ ...conflict.base }, { start: 1, end: 2 });
+});
+
+test('computeMerge reports lines added at the same place on both sides as an empty-base conflict', () => {
+    const { interop } = setup();
+
+    const merge = interop.computeMerge('a\nc\n', 'a\nours\nc\n', 'a\ntheirs\nc\n');
+
+    assert.equal(merge.result, 'a\nc\n');
+    assert.equal(merge.conflicts.length, 1);
+    const conflict = merge.conflicts[0];
+    assert.equal(conflict.baseText, '');
+    assert.equal(conflict.resultStart, 2);
+    assert.equal(conflict.resultEnd, 2);
+});
+
+test('applyMergeConflictText replaces the conflict and keeps tracking it', () => {
+    const { interop, monaco } = setup();
+    const { model, conflicts, state } = trackConflicts(interop, monaco,
+        interop.computeMerge('a\nb\nc\n', 'a\nours\nc\n', 'a\ntheirs\nc\n'));
+    const conflict = conflicts[0];
+
+    interop.applyMergeConflictText(state, conflict, 'ours\ntheirs\n');
+
+    assert.equal(model.getValue(), 'a\nours\ntheirs\nc\n');
+    assert.equal(conflict.currentText, 'ours\ntheirs\n');
+    assert.equal(model.getValueInRange(model.getDecorationRange(conflict.trackingId)), 'ours\ntheirs\n');
+
+    // Typing next to the conflict stays outside of it
+    model.applyEdits([{ range: new monaco.Range(4, 1, 4, 1), text: 'x' }]);
+    assert.equal(model.getValueInRange(model.getDecorationRange(conflict.trackingId)), 'ours\ntheirs\n');
+});
+
+test('text typed into an empty-base conflict becomes part of it', () => {
+    const { interop, monaco } = setup();
+    const { model, conflicts, state } = trackConflicts(interop, monaco,
+        interop.computeMerge('a\nc\n', 'a\nours\nc\n', 'a\ntheirs\nc\n'));
+    const conflict = conflicts[0];
+
+    model.applyEdits([{ range: new monaco.Range(2, 1, 2, 1), text: 'mine\n' }]);
+
+    assert.equal(model.getValueInRange(model.getDecorationRange(conflict.trackingId)), 'mine\n');
+
+    // Putting the base back empties the region again, and it still takes up typed text
+    interop.applyMergeConflictText(state, conflict, conflict.baseText);
+    assert.equal(model.getValue(), 'a\nc\n');
+    model.applyEdits([{ range: new monaco.Range(2, 1, 2, 1), text: 'again\n' }]);
+    assert.equal(model.getValueInRange(model.getDecorationRange(conflict.trackingId)), 'again\n');
+});
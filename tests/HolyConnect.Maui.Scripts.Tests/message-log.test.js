@@ -0,0 +1,180 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { createPage, createDotNetReference, pressKey } = require('./helpers');
+
+const modulePath = path.join(__dirname, '..', '..', 'src', 'HolyConnect.Maui', 'Components', 'Shared', 'Viewers',
+    'WebSocketMessageLog.razor.js');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// The log module is an ES module that uses the global window and document, so it runs in Node against a jsdom page
+async function loadLog() {
+    const source = fs.readFileSync(modulePath, 'utf8');
+    return import(`data:text/javascript;base64,${Buffer.from(source).toString('base64')}`);
+}
+
+// A page with a 240px high viewport (ten rows), animation frames run by hand and a recording inspector
+function setup() {
+    const { window, document } = createPage();
+    global.window = window;
+    global.document = document;
+
+    const frames = [];
+    global.requestAnimationFrame = callback => frames.push(callback);
+    global.cancelAnimationFrame = id => { frames[id - 1] = () => {}; };
+    const render = () => frames.splice(0).forEach(callback => callback());
+
+    // jsdom does no layout, so the viewport gets its size and scroll position here
+    const viewport = document.createElement('div');
+    document.body.appendChild(viewport);
+    let scrollTop = 0;
+    Object.defineProperties(viewport, {
+        clientHeight: { value: 240 },
+        scrollHeight: { get: () => parseInt(viewport.firstChild.style.height, 10) || 0 },
+        scrollTop: {
+            get: () => scrollTop,
+            set: value => { scrollTop = Math.max(0, Math.min(value, viewport.scrollHeight - 240)); }
+        }
+    });
+
+    const inspector = [];
+    window.monacoEditorInterop = {
+        disposeEditor: () => {},
+        initializeEditor: (id, text, language) => inspector.push({ text, language }),
+        initializeDiffEditor: (id, original, modified, language) => inspector.push({ original, modified, language })
+    };
+
+    const rows = () => Array.from(viewport.querySelectorAll('[data-message-index]'),
+        row => Number(row.getAttribute('data-message-index')));
+
+    return { window, viewport, render, rows, inspector };
+}
+
+const message = (data, direction = 'received', eventType = null) =>
+    ({ direction, eventType, time: '12:00:00.000', size: data.length, data });
+
+const messages = count => Array.from({ length: count }, (_, i) => message(`message ${i}`));
+
+test('only the rows in view are rendered, and new messages scroll the log to the end', async () => {
+    const log = await loadLog();
+    const { viewport, render, rows } = setup();
+    log.initialize('render', createDotNetReference(), viewport, 'inspector');
+
+    const state = log.appendMessages('render', messages(1000));
+    render();
+
+    assert.deepEqual({ ...state }, { total: 1000, shown: 1000, pending: 0, filterError: null });
+    assert.equal(viewport.scrollTop, 1000 * 24 - 240);
+    assert.deepEqual(rows(), Array.from({ length: 20 }, (_, i) => 980 + i));
+
+    // Without auto-scroll the log stays where it is
+    log.setAutoScroll('render', false);
+    viewport.scrollTop = 0;
+    log.appendMessages('render', messages(10));
+    viewport.dispatchEvent(new window.Event('scroll'));
+    render();
+
+    assert.equal(viewport.scrollTop, 0);
+    assert.deepEqual(rows(), Array.from({ length: 20 }, (_, i) => i));
+    log.dispose('render');
+});
+
+test('messages that arrive while paused are added when the log is resumed', async () => {
+    const log = await loadLog();
+    const { viewport } = setup();
+    log.initialize('pause', createDotNetReference(), viewport, 'inspector');
+    log.appendMessages('pause', messages(2));
+
+    log.setPaused('pause', true);
+    const paused = log.appendMessages('pause', messages(3));
+    const resumed = log.setPaused('pause', false);
+
+    assert.deepEqual([paused.total, paused.pending], [2, 3]);
+    assert.deepEqual([resumed.total, resumed.pending], [5, 0]);
+    log.dispose('pause');
+});
+
+test('the filter matches data and event types, and an invalid pattern keeps the previous filter', async () => {
+    const log = await loadLog();
+    const { viewport, render, rows } = setup();
+    log.initialize('filter', createDotNetReference(), viewport, 'inspector');
+    log.appendMessages('filter', [
+        message('{"type":"ping"}'),
+        message('{"type":"data"}'),
+        message('Connection closed', 'event', 'close')
+    ]);
+
+    const filtered = log.setFilter('filter', 'PING|close');
+    const invalid = log.setFilter('filter', '(');
+    render();
+
+    assert.equal(filtered.shown, 2);
+    assert.equal(invalid.shown, 2);
+    assert.match(invalid.filterError, /Invalid regular expression/);
+    assert.deepEqual(rows(), [0, 2]);
+    assert.equal(log.setFilter('filter', '').shown, 3);
+    log.dispose('filter');
+});
+
+test('a selected message is reported to .NET and opened pretty-printed, or as a diff with the previous one', async () => {
+    const log = await loadLog();
+    const { window, viewport, render, inspector } = setup();
+    const dotNet = createDotNetReference();
+    log.initialize('inspect', dotNet, viewport, 'inspector');
+    log.appendMessages('inspect', [
+        message('{"n":1}'),
+        message('subscribe', 'sent'),
+        message('{"n":2}')
+    ]);
+    render();
+
+    viewport.querySelector('[data-message-index="2"]').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+    await flush();
+    log.setInspectorMode('inspect', 'diff');
+    await flush();
+
+    const { index, isJson, hasPrevious } = dotNet.calls[0].args[0];
+    assert.deepEqual({ method: dotNet.calls[0].method, index, isJson, hasPrevious },
+        { method: 'MessageSelected', index: 2, isJson: true, hasPrevious: true });
+    assert.deepEqual(inspector, [
+        { text: '{\n  "n": 2\n}', language: 'json' },
+        { original: '{\n  "n": 1\n}', modified: '{\n  "n": 2\n}', language: 'json' }
+    ]);
+    log.dispose('inspect');
+});
+
+test('arrow keys move the selection through the rows that pass the filter', async () => {
+    const log = await loadLog();
+    const { window, viewport } = setup();
+    const dotNet = createDotNetReference();
+    log.initialize('keys', dotNet, viewport, 'inspector');
+    log.appendMessages('keys', [message('a1'), message('b'), message('a2'), message('a3')]);
+    log.setFilter('keys', '^a');
+
+    pressKey(window, viewport, 'ArrowDown');
+    pressKey(window, viewport, 'ArrowDown');
+    pressKey(window, viewport, 'ArrowUp');
+    const arrowUp = pressKey(window, viewport, 'ArrowUp');
+
+    assert.equal(arrowUp.defaultPrevented, true);
+    assert.deepEqual(dotNet.calls.map(call => call.args[0].index), [0, 2, 0, 0]);
+    log.dispose('keys');
+});
+
+test('dispose empties the viewport and stops handling its events', async () => {
+    const log = await loadLog();
+    const { window, viewport, render } = setup();
+    const dotNet = createDotNetReference();
+    log.initialize('dispose', dotNet, viewport, 'inspector');
+    log.appendMessages('dispose', messages(3));
+    render();
+
+    log.dispose('dispose');
+    pressKey(window, viewport, 'ArrowDown');
+
+    assert.equal(viewport.childElementCount, 0);
+    assert.deepEqual(dotNet.calls, []);
+    assert.equal(log.appendMessages('dispose', messages(1)), null);
+});
@@ -0,0 +1,266 @@
+// Minimal stand-in for the parts of the Monaco API that monaco-interop.js touches.
+// Models keep their text in a string and map offsets to 1-based positions like Monaco does.
+
+const TrackedRangeStickiness = {
+    AlwaysGrowsWhenTypingAtEdges: 0,
+    NeverGrowsWhenTypingAtEdges: 1
+};
+
+class Range {
+    constructor(startLineNumber, startColumn, endLineNumber, endColumn) {
+        this.startLineNumber = startLineNumber;
+        this.startColumn = startColumn;
+        this.endLineNumber = endLineNumber;
+        this.endColumn = endColumn;
+    }
+
+    static fromPositions(start, end) {
+        end = end || start;
+        return new Range(start.lineNumber, start.column, end.lineNumber, end.column);
+    }
+
+    isEmpty() { return this.startLineNumber === this.endLineNumber && this.startColumn === this.endColumn; }
+    getStartPosition() { return toStart(this); }
+    getEndPosition() { return toEnd(this); }
+}
+
+class TextModel {
+    constructor(value, languageId, uri) {
+        this.value = value || '';
+        this.languageId = languageId || 'plaintext';
+        const id = `inmemory://model/${TextModel.nextId++}`;
+        this.uri = uri || { toString: () => id };
+        this.versionId = 1;
+        this.disposed = false;
+        this.contentListeners = [];
+        this.languageListeners = [];
+        // Decorations by id, as offsets so edits can move them
+        this.decorations = new Map();
+        this.nextDecorationId = 1;
+    }
+
+    getValue() { return this.value; }
+    getValueLength() { return this.value.length; }
+    getLanguageId() { return this.languageId; }
+    getVersionId() { return this.versionId; }
+    getAlternativeVersionId() { return this.versionId; }
+    isDisposed() { return this.disposed; }
+    getLinesContent() { return this.value.split('\n'); }
+    getLineCount() { return this.getLinesContent().length; }
+    getLineContent(lineNumber) { return this.getLinesContent()[lineNumber - 1]; }
+    getLineMaxColumn(lineNumber) { return this.getLineContent(lineNumber).length + 1; }
+
+    setValue(value) {
+        this.value = value;
+        this.versionId++;
+        this.contentListeners.forEach(listener => listener({ isFlush: true, changes: [] }));
+    }
+
+    // Applies { range, text } edits, last one first so earlier ranges stay valid
+    applyEdits(edits) {
+        const sorted = edits
+            .map(edit => ({ start: this.getOffsetAt(toStart(edit.range)), end: this.getOffsetAt(toEnd(edit.range)), text: edit.text || '' }))
+            .sort((a, b) => b.start - a.start);
+        for (const edit of sorted) {
+            this.value = this.value.slice(0, edit.start) + edit.text + this.value.slice(edit.end);
+            this.decorations.forEach(decoration => moveDecoration(decoration, edit));
+        }
+        this.versionId++;
+        this.contentListeners.forEach(listener => listener({ isFlush: false, changes: edits }));
+    }
+
+    getPositionAt(offset) {
+        const before = this.value.slice(0, Math.max(0, Math.min(offset, this.value.length)));
+        const lines = before.split('\n');
+        return { lineNumber: lines.length, column: lines[lines.length - 1].length + 1 };
+    }
+
+    getOffsetAt(position) {
+        const lines = this.getLinesContent();
+        let offset = 0;
+        for (let i = 0; i < position.lineNumber - 1 && i < lines.length; i++) {
+            offset += lines[i].length + 1;
+        }
+        return offset + position.column - 1;
+    }
+
+    pushStackElement() {}
+
+    pushEditOperations(beforeCursorState, edits) {
+        this.applyEdits(edits);
+        return null;
+    }
+
+    deltaDecorations(oldIds, newDecorations) {
+        oldIds.forEach(id => this.decorations.delete(id));
+        return newDecorations.map(decoration => {
+            const id = `decoration-${this.nextDecorationId++}`;
+            this.decorations.set(id, {
+                start: this.getOffsetAt(toStart(decoration.range)),
+                end: this.getOffsetAt(toEnd(decoration.range)),
+                stickiness: (decoration.options && decoration.options.stickiness) || TrackedRangeStickiness.AlwaysGrowsWhenTypingAtEdges
+            });
+            return id;
+        });
+    }
+
+    getDecorationRange(id) {
+        const decoration = this.decorations.get(id);
+        return decoration
+            ? Range.fromPositions(this.getPositionAt(decoration.start), this.getPositionAt(decoration.end))
+            : null;
+    }
+
+    getValueInRange(range) {
+        return this.value.slice(this.getOffsetAt(toStart(range)), this.getOffsetAt(toEnd(range)));
+    }
+
+    onDidChangeContent(listener) {
+        return subscribe(this.contentListeners, listener);
+    }
+
+    onDidChangeLanguage(listener) {
+        return subscribe(this.languageListeners, listener);
+    }
+
+    dispose() {
+        this.disposed = true;
+    }
+}
+
+TextModel.nextId = 1;
+
+// Move a decoration's offsets for an edit that replaced [start, end) with text. Text inserted at an edge
+// only joins the decoration when it grows at its edges.
+function moveDecoration(decoration, edit) {
+    const delta = edit.text.length - (edit.end - edit.start);
+    const grows = decoration.stickiness === TrackedRangeStickiness.AlwaysGrowsWhenTypingAtEdges;
+    const move = (offset, isStart) => {
+        if (offset < edit.start || (offset === edit.start && (isStart ? grows : !grows))) {
+            return offset;
+        }
+        if (offset > edit.end) {
+            return offset + delta;
+        }
+        return isStart && offset < edit.end ? edit.start : edit.start + edit.text.length;
+    };
+
+    decoration.start = move(decoration.start, true);
+    decoration.end = Math.max(decoration.start, move(decoration.end, false));
+}
+
+function toStart(range) {
+    return { lineNumber: range.startLineNumber, column: range.startColumn };
+}
+
+function toEnd(range) {
+    return { lineNumber: range.endLineNumber, column: range.endColumn };
+}
+
+function subscribe(listeners, listener) {
+    listeners.push(listener);
+    return {
+        dispose: () => {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        }
+    };
+}
+
+class Emitter {
+    constructor() {
+        this.listeners = [];
+        this.event = listener => subscribe(this.listeners, listener);
+    }
+
+    fire(value) {
+        this.listeners.slice().forEach(listener => listener(value));
+    }
+
+    dispose() {
+        this.listeners = [];
+    }
+}
+
+function createMonacoStub() {
+    const markers = new Map();
+    const commands = new Map();
+    const providers = [];
+
+    const registerProvider = kind => (selector, provider) => {
+        const entry = { kind, selector, provider };
+        providers.push(entry);
+        return {
+            dispose: () => {
+                const index = providers.indexOf(entry);
+                if (index !== -1) {
+                    providers.splice(index, 1);
+                }
+            }
+        };
+    };
+
+    const monaco = {
+        Range,
+        Emitter,
+        MarkerSeverity: { Hint: 1, Info: 2, Warning: 4, Error: 8 },
+        editor: {
+            TrackedRangeStickiness,
+            // Option ids are the option names, so getOption can look them up directly
+            EditorOption: new Proxy({}, { get: (target, name) => name }),
+            createModel: (value, languageId, uri) => new TextModel(value, languageId, uri),
+            setModelMarkers: (model, owner, modelMarkers) => {
+                markers.set(`${model.uri.toString()}#${owner}`, modelMarkers);
+            },
+            getModelMarkers: ({ owner, resource }) => markers.get(`${resource.toString()}#${owner}`) || [],
+            setModelLanguage: (model, languageId) => {
+                model.languageId = languageId;
+                model.languageListeners.forEach(listener => listener({ newLanguage: languageId }));
+            },
+            registerCommand: (id, handler) => {
+                commands.set(id, handler);
+                return { dispose: () => commands.delete(id) };
+            }
+        },
+        languages: {
+            registerCompletionItemProvider: registerProvider('completion'),
+            registerHoverProvider: registerProvider('hover'),
+            registerCodeActionProvider: registerProvider('codeAction'),
+            registerCodeLensProvider: registerProvider('codeLens'),
+            registerInlayHintsProvider: registerProvider('inlayHints'),
+            registerDefinitionProvider: registerProvider('definition'),
+            registerDocumentSemanticTokensProvider: registerProvider('semanticTokens')
+        },
+
+        // Test helpers: run a registered command, or find the providers of a kind that apply to a model
+        executeCommand: (id, ...args) => commands.get(id)(null, ...args),
+        hasCommand: id => commands.has(id),
+        providersFor: (kind, model) => providers
+            .filter(entry => entry.kind === kind && (entry.selector === '*' || entry.selector === model.getLanguageId()))
+            .map(entry => entry.provider)
+    };
+
+    return monaco;
+}
+
+// Editor stand-in around a model, with the value and option calls of the Monaco editor
+function createEditorStub(model, options = {}) {
+    const current = { ...options };
+    return {
+        options: current,
+        getModel: () => model,
+        getValue: () => model.getValue(),
+        setValue: value => model.setValue(value),
+        onDidChangeModelContent: listener => model.onDidChangeContent(listener),
+        getOption: name => current[name],
+        updateOptions: newOptions => Object.assign(current, newOptions),
+        saveViewState: () => ({ model: model.uri.toString() }),
+        restoreViewState: () => {},
+        // Like Monaco, an editor leaves the model it was given to its owner
+        dispose: () => {}
+    };
+}
+
+module.exports = { TextModel, Range, createMonacoStub, createEditorStub };
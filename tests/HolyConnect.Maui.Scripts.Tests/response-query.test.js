@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage } = require('./helpers');
+
+const json = `{
+  "store": {
+    "book": [
+      { "title": "Sayings", "category": "reference", "price": 8.95 },
+      { "title": "Sword", "category": "fiction", "price": 12.99, "isbn": "0-553" },
+      { "title": "Moby Dick", "category": "fiction", "price": 8.99, "isbn": "0-395" }
+    ],
+    "bicycle": { "color": "red", "price": 19.95 },
+    "odd key": true
+  }
+}`;
+
+const xml = `<?xml version="1.0"?>
+<library>
+  <!-- <book>not a book</book> -->
+  <book id="1"><title>Sayings</title></book>
+  <book id="2"><title><![CDATA[Sword & Shield]]></title></book>
+  <shelf/>
+</library>`;
+
+function textAt(source, offset, length) {
+    return source.slice(offset, offset + length);
+}
+
+function getInterop() {
+    return createPage('monaco-interop.js').window.monacoEditorInterop;
+}
+
+// Text of each node returned by evaluateJsonPath
+function select(interop, path) {
+    const root = interop.parseJsonTree(json);
+    return Array.from(interop.evaluateJsonPath(root, path), node => textAt(json, node.offset, node.length));
+}
+
+test('parseJsonTree keeps offsets, keys and indexes of every node', () => {
+    const interop = getInterop();
+    const root = interop.parseJsonTree(json);
+
+    const store = root.children[0];
+    const bicycle = store.children[1];
+    assert.equal(store.key, 'store');
+    assert.equal(json.substring(store.keyOffset, store.keyOffset + 7), '"store"');
+    assert.equal(bicycle.type, 'object');
+    assert.equal(json.substring(bicycle.offset, bicycle.offset + bicycle.length), '{ "color": "red", "price": 19.95 }');
+    assert.equal(store.children[0].children[2].index, 2);
+    assert.equal(bicycle.children[1].value, 19.95);
+    assert.equal(bicycle.parent, store);
+});
+
+test('parseJsonTree returns null for invalid JSON', () => {
+    const interop = getInterop();
+
+    assert.equal(interop.parseJsonTree('{ "a": 1, }'), null);
+    assert.equal(interop.parseJsonTree('{ "a": "unterminated }'), null);
+    assert.equal(interop.parseJsonTree('[1, 2] trailing'), null);
+});
+
+test('evaluateJsonPath supports names, indexes, wildcards, unions, slices and recursive descent', () => {
+    const interop = getInterop();
+
+    assert.deepEqual(select(interop, '$.store.bicycle.color'), ['"red"']);
+    assert.deepEqual(select(interop, "$['store']['odd key']"), ['true']);
+    assert.deepEqual(select(interop, 'store.book[-1].title'), ['"Moby Dick"']);
+    assert.deepEqual(select(interop, '$.store.book[*].price'), ['8.95', '12.99', '8.99']);
+    assert.deepEqual(select(interop, '$.store.book[0,2].title'), ['"Sayings"', '"Moby Dick"']);
+    assert.deepEqual(select(interop, '$.store.book[1:].title'), ['"Sword"', '"Moby Dick"']);
+    assert.deepEqual(select(interop, '$..price'), ['8.95', '12.99', '8.99', '19.95']);
+    assert.deepEqual(select(interop, '$.store.missing'), []);
+});
+
+test('evaluateJsonPath rejects malformed paths', () => {
+    const interop = getInterop();
+    const root = interop.parseJsonTree(json);
+
+    assert.throws(() => interop.evaluateJsonPath(root, '$.store.book[0'), /Unclosed bracket/);
+    assert.equal(interop.evaluateJsonPathOnText('not json', '$.a').error, 'The response is not valid JSON');
+});
+
+test('evaluateJsonPathFilter compares values and combines conditions', () => {
+    const interop = getInterop();
+
+    assert.deepEqual(select(interop, '$.store.book[?(@.price < 9)].title'), ['"Sayings"', '"Moby Dick"']);
+    assert.deepEqual(select(interop, "$.store.book[?(@.category == 'fiction' && @.price > 10)].title"), ['"Sword"']);
+    assert.deepEqual(select(interop, "$.store.book[?(@.category == 'reference' || @.price > 10)].title"), ['"Sayings"', '"Sword"']);
+    assert.deepEqual(select(interop, '$.store.book[?(@.isbn)].title'), ['"Sword"', '"Moby Dick"']);
+    assert.deepEqual(select(interop, '$.store.book[?(!(@.isbn))].title'), ['"Sayings"']);
+    assert.throws(() => select(interop, '$.store.book[?(@.price ~ 1)]'), /Unsupported filter expression/);
+});
+
+test('evaluateJsonPathFilter does not evaluate operands that && or || already decided', () => {
+    const interop = getInterop();
+    const node = interop.parseJsonTree('{ "a": 1, "b": 2 }');
+    const evaluate = interop.evaluateJsonPath;
+    const paths = [];
+    interop.evaluateJsonPath = function (root, path) {
+        paths.push(path);
+        return evaluate.call(this, root, path);
+    };
+
+    assert.equal(interop.evaluateJsonPathFilter(node, '@.a == 2 && @.b == 2'), false);
+    assert.equal(interop.evaluateJsonPathFilter(node, '@.a == 1 || (@.b == 2 && @.c)'), true);
+    assert.equal(interop.evaluateJsonPathFilter(node, '@.a == 1 && @.b == 2 || @.c'), true);
+
+    assert.deepEqual(paths, ['$.a', '$.a', '$.a', '$.b']);
+});
+
+test('parseXmlTree skips comments, CDATA and declarations and nests elements', () => {
+    const interop = getInterop();
+    const elements = interop.parseXmlTree(xml);
+
+    assert.deepEqual(Array.from(elements, element => element.name), ['library', 'book', 'title', 'book', 'title', 'shelf']);
+    const book = elements[1];
+    assert.equal(book.parent, elements[0]);
+    assert.equal(textAt(xml, book.offset, book.length), '<book id="1"><title>Sayings</title></book>');
+    assert.equal(textAt(xml, book.attributes[0].offset, book.attributes[0].length), 'id="1"');
+    assert.equal(textAt(xml, elements[2].innerOffset, elements[2].innerLength), 'Sayings');
+    assert.equal(interop.parseXmlTree('<a><b></a>'), null);
+});
+
+test('evaluateXPath maps elements, attributes and text back to ranges', () => {
+    const interop = getInterop();
+    const text = result => Array.from(result.matches, match => textAt(xml, match.offset, match.length));
+
+    assert.deepEqual(text(interop.evaluateXPath(xml, '//book[2]/title')), ['<title><![CDATA[Sword & Shield]]></title>']);
+    assert.deepEqual(text(interop.evaluateXPath(xml, '//book/@id')), ['id="1"', 'id="2"']);
+    assert.deepEqual(text(interop.evaluateXPath(xml, '//book[1]/title/text()')), ['Sayings']);
+    assert.equal(interop.evaluateXPath('<a>', '/a').error, 'The response is not valid XML');
+    assert.match(interop.evaluateXPath(xml, '//book[').error, /^Invalid XPath expression/);
+});
+
+test('buildXPath indexes repeated siblings and includes the attribute at the offset', () => {
+    const interop = getInterop();
+    const elements = interop.parseXmlTree(xml);
+
+    assert.equal(interop.buildXPath(elements, xml.indexOf('Sayings')), '/library/book[1]/title');
+    assert.equal(interop.buildXPath(elements, xml.indexOf('id="2"') + 1), '/library/book[2]/@id');
+    assert.equal(interop.buildXPath(elements, xml.indexOf('<shelf')), '/library/shelf');
+    assert.equal(interop.buildXPath(elements, 0), null);
+});
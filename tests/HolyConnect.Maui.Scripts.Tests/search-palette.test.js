@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { createPage, createDotNetReference, pressKey } = require('./helpers');
+
+const modulePath = path.join(__dirname, '..', '..', 'src', 'HolyConnect.Maui', 'Components', 'Shared', 'Dialogs',
+    'GlobalSearchDialog.razor.js');
+
+// The palette module is an ES module that uses the global window and document, so it runs in Node against a jsdom page
+async function loadPalette() {
+    const source = fs.readFileSync(modulePath, 'utf8');
+    return import(`data:text/javascript;base64,${Buffer.from(source).toString('base64')}`);
+}
+
+function createList(itemCount, selectedIndex) {
+    const { window, document, listeners } = createPage('keyboard-handler-registry.js');
+    global.window = window;
+    global.document = document;
+
+    const list = document.createElement('div');
+    document.body.appendChild(list);
+    const scrolled = [];
+    for (let i = 0; i < itemCount; i++) {
+        const item = document.createElement('div');
+        item.setAttribute('data-palette-index', String(i));
+        item.setAttribute('aria-selected', i === selectedIndex ? 'true' : 'false');
+        item.scrollIntoView = () => scrolled.push(i);
+        list.appendChild(item);
+    }
+
+    const press = (key, options) => pressKey(window, document.body, key, options);
+
+    return { window, list, scrolled, press, listeners };
+}
+
+test('matchLabels prefers word starts and reports the matched positions', async () => {
+    const palette = await loadPalette();
+
+    const [requestMatch, noMatch, empty] = palette.matchLabels('gu', ['Get users', 'Bug', '']);
+
+    assert.deepEqual(requestMatch.positions, [0, 4]);
+    assert.ok(requestMatch.score > 0);
+    assert.equal(noMatch, null);
+    assert.equal(empty, null);
+});
+
+test('matchLabels needs the query characters in order and ignores case and spaces', async () => {
+    const palette = await loadPalette();
+
+    const [inOrder, reversed, spaced] = palette.matchLabels('ab', ['xAxB', 'ba', 'a b']);
+
+    assert.deepEqual(inOrder.positions, [1, 3]);
+    assert.equal(reversed, null);
+    assert.deepEqual(palette.matchLabels('a b', ['ab'])[0].positions, [0, 1]);
+    assert.deepEqual(spaced.positions, [0, 2]);
+});
+
+test('matchLabels ranks consecutive and word-start matches above scattered ones', async () => {
+    const palette = await loadPalette();
+
+    const [prefix, camelCase, scattered] = palette.matchLabels('env', ['Environments', 'OpenEnvironment', 'xexnxv']);
+
+    assert.ok(prefix.score > camelCase.score);
+    assert.ok(camelCase.score > scattered.score);
+    assert.deepEqual(palette.matchLabels('', ['anything'])[0], { score: 0, positions: [] });
+});
+
+test('navigation keys are passed on to .NET, which owns the selection', async () => {
+    const palette = await loadPalette();
+    const { list, press } = createList(3, 0);
+    const dotNet = createDotNetReference();
+
+    palette.initialize(dotNet, list);
+    const arrowDown = press('ArrowDown');
+    press('ArrowUp');
+    press('Enter', { ctrlKey: true });
+    press('Tab', { shiftKey: true });
+    press('Escape');
+    press('a');
+    palette.dispose();
+    press('ArrowDown');
+
+    assert.equal(arrowDown.defaultPrevented, true);
+    assert.deepEqual(dotNet.calls.map(call => [call.method, ...call.args]), [
+        ['MoveSelection', 1],
+        ['MoveSelection', -1],
+        ['OpenSelectedItem', true],
+        ['CycleCategory', -1],
+        ['CloseDialog']
+    ]);
+});
+
+test('the palette keeps keys from the global shortcuts while it is open', async () => {
+    const palette = await loadPalette();
+    const { window, list, press, listeners } = createList(1, 0);
+    const shortcuts = [];
+    window.keyboardHandlerRegistry.register('shortcuts', event => shortcuts.push(event.key));
+
+    palette.initialize(createDotNetReference(), list);
+    press('k', { ctrlKey: true });
+    palette.dispose();
+    press('k', { ctrlKey: true });
+    window.keyboardHandlerRegistry.unregister('shortcuts');
+
+    assert.deepEqual(shortcuts, ['k']);
+    assert.equal(listeners.length, 0);
+});
+
+test('scrollToSelection brings the item .NET rendered as selected into view', async () => {
+    const palette = await loadPalette();
+    const { list, scrolled } = createList(5, 3);
+
+    palette.initialize(createDotNetReference(), list);
+    palette.scrollToSelection();
+    palette.dispose();
+
+    assert.deepEqual(scrolled, [3]);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, createDotNetReference } = require('./helpers');
+const { createMonacoStub, createEditorStub } = require('./monaco-stub');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+function setup(text) {
+    const { window } = createPage('monaco-interop.js');
+    const monaco = createMonacoStub();
+    window.monaco = monaco;
+
+    const interop = window.monacoEditorInterop;
+    const model = monaco.editor.createModel(text, 'json');
+
+    // Editor commands, focus and blur on top of the plain editor stub
+    const commands = [];
+    const blurListeners = [];
+    let focused = true;
+    const editor = Object.assign(createEditorStub(model), {
+        addCommand: (keybinding, handler) => `command-${commands.push(handler)}`,
+        onDidBlurEditorText: listener => {
+            blurListeners.push(listener);
+            return { dispose: () => blurListeners.splice(blurListeners.indexOf(listener), 1) };
+        },
+        focus: () => { focused = true; },
+        hasTextFocus: () => focused,
+        blur: () => {
+            focused = false;
+            blurListeners.slice().forEach(listener => listener());
+        }
+    });
+    interop.editors.editor = editor;
+
+    const dotNet = createDotNetReference({
+        GetAvailableVariables: () => [
+            { name: 'token', source: 'Secret', isSecret: true },
+            { name: 'baseUrl', source: 'Environment' }
+        ],
+        RevealSecretVariable: name => `${name}-value`
+    });
+
+    // Run a code lens command the way Monaco does when the lens is clicked
+    const click = lens => commands[Number(lens.command.id.split('-')[1]) - 1](null, ...lens.command.arguments);
+
+    return { interop, monaco, model, editor, dotNet, click };
+}
+
+async function getLenses(monaco, model) {
+    const [provider] = monaco.providersFor('codeLens', model);
+    const { lenses } = await provider.provideCodeLenses(model);
+    return Array.from(lenses, lens => ({ line: lens.range.startLineNumber, title: lens.command.title, lens }));
+}
+
+test('registerSecretRevealLenses adds a lens for each secret variable, in any language', async () => {
+    const { interop, monaco, model, dotNet } = setup('{{ baseUrl }}/{{ token }}\n{{token}} {{ token }}');
+
+    assert.equal(interop.registerSecretRevealLenses('editor', dotNet), true);
+    monaco.editor.setModelLanguage(model, 'xml');
+
+    const lenses = await getLenses(monaco, model);
+    assert.deepEqual(lenses.map(({ line, title }) => ({ line, title })), [
+        { line: 1, title: 'Reveal token' },
+        { line: 2, title: 'Reveal token' }
+    ]);
+});
+
+test('revealed secrets are hidden again when the editor loses focus', async () => {
+    const { interop, monaco, model, editor, dotNet, click } = setup('{{ token }}');
+    interop.registerSecretRevealLenses('editor', dotNet);
+
+    click((await getLenses(monaco, model))[0].lens);
+    await flush();
+
+    const cache = interop.getVariableCache('editor');
+    assert.equal(cache.revealed.get('token').value, 'token-value');
+    assert.equal((await getLenses(monaco, model))[0].title, 'Hide token');
+
+    editor.blur();
+
+    assert.equal(cache.revealed.size, 0);
+    assert.equal((await getLenses(monaco, model))[0].title, 'Reveal token');
+});
+
+test('a secret is not revealed into an editor that lost focus while it was fetched', async () => {
+    const { interop, monaco, model, editor, dotNet, click } = setup('{{ token }}');
+    interop.registerSecretRevealLenses('editor', dotNet);
+    const lens = (await getLenses(monaco, model))[0].lens;
+
+    click(lens);
+    editor.blur();
+    await flush();
+
+    assert.equal(interop.getVariableCache('editor').revealed.size, 0);
+});
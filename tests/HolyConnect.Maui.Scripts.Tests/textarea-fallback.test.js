@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, createDotNetReference } = require('./helpers');
+const { createMonacoStub } = require('./monaco-stub');
+
+// A page where loading Monaco goes the way loadMonaco makes it go (no loader at all by default)
+function setup(loadMonaco) {
+    const { window, document } = createPage({
+        setup: window => {
+            window.console.error = () => {};
+            if (loadMonaco) {
+                window.require = (modules, onLoad, onError) => loadMonaco(window, onLoad, onError);
+            }
+        }
+    }, 'textarea-editor-fallback.js', 'monaco-interop.js');
+
+    return { window, document, interop: window.monacoEditorInterop, fallback: window.textareaEditorFallback };
+}
+
+function addContainer(document, id) {
+    const container = document.createElement('div');
+    container.id = id;
+    document.body.appendChild(container);
+    return container;
+}
+
+function type(window, textarea, value) {
+    textarea.value = value;
+    textarea.dispatchEvent(new window.Event('input'));
+}
+
+test('the interop uses Monaco once the loader has loaded it', async () => {
+    const { window, interop } = setup((window, onLoad) => {
+        window.monaco = createMonacoStub();
+        onLoad();
+    });
+
+    assert.equal(await interop.monacoReady, true);
+    assert.equal(interop.setValue.name, 'setValue');
+    assert.equal(window.document.querySelector('textarea'), null);
+});
+
+test('useTextareaFallback routes the interop to the fallback when the loader is missing or fails', async () => {
+    for (const loadMonaco of [null, (window, onLoad, onError) => onError(new Error('Script error for "vs/editor/editor.main"'))]) {
+        const { document, interop } = setup(loadMonaco);
+        const container = addContainer(document, 'editor');
+
+        assert.equal(await interop.monacoReady, false);
+        assert.equal(await interop.initializeEditor('editor', '{ "a": 1 }', 'json', 'vs-dark', false, null), true);
+        assert.equal(container.querySelector('textarea').value, '{ "a": 1 }');
+        assert.equal(interop.getValue('editor'), '{ "a": 1 }');
+
+        // Monaco-only features do nothing, and functions returning a result to .NET return what it expects
+        assert.equal(interop.triggerSuggest('editor'), false);
+        assert.equal(interop.setJsonDiffOptions('editor', {}), null);
+        assert.deepEqual({ ...interop.queryResponse('editor', '$.a') }, {
+            matchCount: 0,
+            error: 'Queries are not available because the code editor could not be loaded'
+        });
+    }
+});
+
+test('the fallback keeps keyed models and reports their dirty state', async () => {
+    const { window, document, interop } = setup();
+    addContainer(document, 'editor');
+    await interop.monacoReady;
+
+    await interop.initializeEditor('editor', null, 'json', 'vs-dark', false, 'request/1/body');
+    const dotNet = createDotNetReference();
+    interop.onValueChanged('editor', dotNet);
+    interop.registerDirtyStateCallback('editor', dotNet);
+    interop.setValue('editor', '{}', true);
+
+    const textarea = document.querySelector('#editor textarea');
+    type(window, textarea, '{ "name": "Ada" }');
+    type(window, textarea, '{}');
+    type(window, textarea, '{ "name": "Grace" }');
+    interop.markModelsClean('request/1/');
+
+    assert.deepEqual(dotNet.calls.map(call => `${call.method}(${call.args[0]})`), [
+        'DirtyStateChanged(false)',
+        'OnValueChanged({ "name": "Ada" })',
+        'DirtyStateChanged(true)',
+        'OnValueChanged({})',
+        'DirtyStateChanged(false)',
+        'OnValueChanged({ "name": "Grace" })',
+        'DirtyStateChanged(true)',
+        'DirtyStateChanged(false)'
+    ]);
+
+    // A new editor for the same key shows the kept content
+    interop.disposeEditor('editor');
+    addContainer(document, 'other');
+    await interop.initializeEditor('other', null, 'json', 'vs-dark', false, 'request/1/body');
+    assert.equal(interop.getValue('other'), '{ "name": "Grace" }');
+});
+
+test('the fallback ignores chunks and ends of a superseded upload', async () => {
+    const { document, interop } = setup();
+    addContainer(document, 'editor');
+    await interop.monacoReady;
+    await interop.initializeEditor('editor', '', 'json', 'vs-dark', false, null);
+
+    interop.beginValueUpload('editor', 1);
+    interop.appendValueChunk('editor', 1, '{ "old"');
+    interop.beginValueUpload('editor', 2);
+    interop.appendValueChunk('editor', 1, ': true }');
+    interop.appendValueChunk('editor', 2, '{ "new": ');
+    interop.appendValueChunk('editor', 2, 'true }');
+
+    assert.equal(interop.endValueUpload('editor', 1), null);
+    assert.equal(interop.endValueUpload('editor', 2), false);
+    assert.equal(interop.getValue('editor'), '{ "new": true }');
+});
+
+test('the fallback disposes the models of owners that no longer exist once no editor shows them', async () => {
+    const { document, interop, fallback } = setup();
+    addContainer(document, 'editor');
+    await interop.monacoReady;
+
+    await interop.initializeEditor('editor', 'deleted', 'json', 'vs-dark', false, 'request/1/body');
+    interop.disposeEditor('editor');
+    await interop.initializeEditor('editor', 'shown', 'json', 'vs-dark', false, 'request/2/body');
+    fallback.models['request/3/body'] = { value: 'kept', savedValue: 'kept' };
+
+    interop.disposeModelsExcept('request/', ['3']);
+    assert.deepEqual(Object.keys(fallback.models).sort(), ['request/2/body', 'request/3/body']);
+
+    interop.disposeEditor('editor');
+    assert.deepEqual(Object.keys(fallback.models), ['request/3/body']);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, createDotNetReference } = require('./helpers');
+const { createMonacoStub, createEditorStub } = require('./monaco-stub');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+function setup(text, variableNames, handlers = {}) {
+    const { window } = createPage('monaco-interop.js');
+    const monaco = createMonacoStub();
+    window.monaco = monaco;
+
+    const interop = window.monacoEditorInterop;
+    const model = monaco.editor.createModel(text, 'json');
+    interop.editors.editor = createEditorStub(model);
+
+    const dotNet = createDotNetReference({
+        GetAvailableVariables: () => variableNames.map(name => ({ name })),
+        ...handlers
+    });
+
+    return { interop, monaco, model, dotNet };
+}
+
+function getMarkers(monaco, model) {
+    return monaco.editor.getModelMarkers({ owner: 'variables', resource: model.uri });
+}
+
+test('findClosestVariableName suggests the nearest name, ignoring case', () => {
+    const { interop } = setup('', []);
+
+    assert.equal(interop.findClosestVariableName('baseUlr', ['baseUrl', 'token']), 'baseUrl');
+    assert.equal(interop.findClosestVariableName('TOKEN', ['baseUrl', 'token']), 'token');
+    assert.equal(interop.findClosestVariableName('somethingElse', ['baseUrl', 'token']), null);
+});
+
+test('registerVariableDiagnostics marks only variables that do not resolve', async () => {
+    const { interop, monaco, model, dotNet } = setup('{\n  "url": "{{ baseUrl }}",\n  "key": "{{apiKey}}"\n}', ['baseUrl']);
+
+    assert.equal(interop.registerVariableDiagnostics('editor', dotNet), true);
+    await flush();
+
+    const markers = getMarkers(monaco, model);
+    assert.equal(markers.length, 1);
+    assert.equal(markers[0].code, 'undefined-variable');
+    assert.equal(model.getValueInRange(markers[0]), 'apiKey');
+    assert.deepEqual(
+        [markers[0].startLineNumber, markers[0].startColumn, markers[0].endColumn],
+        [3, 13, 19]);
+});
+
+test('quick fixes offer the closest name and create the variable', async () => {
+    let created = null;
+    const { interop, monaco, model, dotNet } = setup('{{ baseUlr }}', ['baseUrl'], {
+        CreateVariable: name => {
+            created = name;
+            return true;
+        }
+    });
+
+    interop.registerVariableDiagnostics('editor', dotNet);
+    await flush();
+
+    const markers = getMarkers(monaco, model);
+    const [provider] = monaco.providersFor('codeAction', model);
+    const { actions } = provider.provideCodeActions(model, markers[0], { markers });
+
+    // Arrays created inside the page come from another realm, so copy them before deep comparisons
+    assert.deepEqual(Array.from(actions, action => action.title), [
+        "Did you mean 'baseUrl'?",
+        "Create variable 'baseUlr' in active environment"
+    ]);
+    assert.equal(actions[0].edit.edits[0].textEdit.text, 'baseUrl');
+
+    await monaco.executeCommand(actions[1].command.id, ...actions[1].command.arguments);
+    assert.equal(created, 'baseUlr');
+    assert.equal(dotNet.calls.filter(call => call.method === 'GetAvailableVariables').length, 2);
+});
+
+test('code actions ignore the models of other editors', async () => {
+    const { interop, monaco, model, dotNet } = setup('{{ missing }}', []);
+
+    interop.registerVariableDiagnostics('editor', dotNet);
+    await flush();
+
+    const other = monaco.editor.createModel('{{ missing }}', 'json');
+    const markers = getMarkers(monaco, model);
+    const [provider] = monaco.providersFor('codeAction', other);
+
+    assert.equal(provider.provideCodeActions(other, markers[0], { markers }).actions.length, 0);
+});
+
+test('disposing the diagnostics clears markers and the create command', async () => {
+    const { interop, monaco, model, dotNet } = setup('{{ missing }}', []);
+
+    interop.registerVariableDiagnostics('editor', dotNet);
+    await flush();
+    assert.equal(getMarkers(monaco, model).length, 1);
+
+    interop.disposeVariableDiagnostics('editor');
+
+    assert.equal(getMarkers(monaco, model).length, 0);
+    assert.equal(monaco.hasCommand('holyconnect.createVariable.editor'), false);
+    assert.equal(monaco.providersFor('codeAction', model).length, 0);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createPage, createDotNetReference } = require('./helpers');
+const { createMonacoStub, createEditorStub } = require('./monaco-stub');
+
+function setup(text, variables) {
+    const { window } = createPage('monaco-interop.js');
+    const monaco = createMonacoStub();
+    window.monaco = monaco;
+
+    const interop = window.monacoEditorInterop;
+    const model = monaco.editor.createModel(text, 'json');
+    const editor = createEditorStub(model);
+    interop.editors.editor = editor;
+
+    const dotNet = createDotNetReference({ GetAvailableVariables: () => variables });
+    return { interop, monaco, model, editor, dotNet };
+}
+
+// Decode semantic tokens into { line, column, length, modifiers } with 1-based lines and columns
+function decodeTokens(tokens, legend) {
+    const decoded = [];
+    let line = 1;
+    let column = 1;
+    for (let i = 0; i < tokens.data.length; i += 5) {
+        const [deltaLine, deltaColumn, length, type, modifierSet] = tokens.data.slice(i, i + 5);
+        line += deltaLine;
+        column = deltaLine === 0 ? column + deltaColumn : deltaColumn + 1;
+        decoded.push({
+            line,
+            column,
+            length,
+            type: legend.tokenTypes[type],
+            modifiers: Array.from(legend.tokenModifiers).filter((modifier, bit) => modifierSet & (1 << bit))
+        });
+    }
+    return decoded;
+}
+
+test('registerVariableHighlighting marks variables by source as semantic tokens', async () => {
+    const { interop, monaco, model, editor, dotNet } = setup(
+        '{ "url": "{{ baseUrl }}/{{token}}",\n  "id": "{{ now }}", "x": "{{ missing }}" }',
+        [
+            { name: 'baseUrl', source: 'Environment' },
+            { name: 'token', source: 'Secret', isSecret: true },
+            { name: 'now', source: 'Dynamic' }
+        ]);
+
+    assert.equal(interop.registerVariableHighlighting('editor', dotNet), true);
+    assert.equal(editor.options['semanticHighlighting.enabled'], true);
+
+    const [provider] = monaco.providersFor('semanticTokens', model);
+    const tokens = await provider.provideDocumentSemanticTokens(model, null, null);
+
+    assert.deepEqual(decodeTokens(tokens, provider.getLegend()), [
+        { line: 1, column: 11, length: 13, type: 'templateVariable', modifiers: ['environment'] },
+        { line: 1, column: 25, length: 9, type: 'templateVariable', modifiers: ['secret'] },
+        { line: 2, column: 10, length: 9, type: 'templateVariable', modifiers: ['dynamic'] },
+        { line: 2, column: 28, length: 13, type: 'templateVariable', modifiers: ['undefined'] }
+    ]);
+});
+
+test('variable semantic tokens are only provided for the editor\'s own model, in any language', async () => {
+    const { interop, monaco, model, dotNet } = setup('{{ a }}', [{ name: 'a', source: 'Collection' }]);
+    interop.registerVariableHighlighting('editor', dotNet);
+    const [provider] = monaco.providersFor('semanticTokens', model);
+
+    monaco.editor.setModelLanguage(model, 'xml');
+    const other = monaco.editor.createModel('{{ a }}', 'json');
+
+    assert.equal(monaco.providersFor('semanticTokens', model)[0], provider);
+    assert.equal((await provider.provideDocumentSemanticTokens(model, null, null)).data.length, 5);
+    assert.equal(await provider.provideDocumentSemanticTokens(other, null, null), null);
+});
+
+test('getVariableSourceModifier leaves variables of unknown sources uncoloured', () => {
+    const { interop } = setup('', []);
+
+    assert.equal(interop.getVariableSourceModifier(null), 'undefined');
+    assert.equal(interop.getVariableSourceModifier({ source: 'Dynamic', isSecret: true }), 'secret');
+    assert.equal(interop.getVariableSourceModifier({ source: 'Imported' }), null);
+});
+
+test('disposeVariableHighlighting removes the semantic tokens provider', () => {
+    const { interop, monaco, model, dotNet } = setup('', []);
+    interop.registerVariableHighlighting('editor', dotNet);
+
+    interop.disposeVariableHighlighting('editor');
+
+    assert.equal(monaco.providersFor('semanticTokens', model).length, 0);
+});